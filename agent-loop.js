@@ -0,0 +1,110 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { getFunctionDeclarations, executeTool } from './tool-registry.js';
+import { t } from './i18n.js';
+
+// --- Agent Loop ---
+// One user request to the assistant: the model is called repeatedly, every
+// function call it emits is run through the tool registry, and the results
+// are fed back until it answers with plain text. The chat is drawn by the
+// caller through AgentHandlers, so this module needs no page.
+
+// Upper bound on model round-trips per user message, so a tool loop can't run forever.
+export const MAX_AGENT_STEPS = 6;
+
+/**
+ * @typedef {object} AgentHandlers
+ * @property {(previewCard: import('./safe-html.js').SafeHtml, choices?: import('./tool-registry.js').PreviewChoices) => Promise<boolean | string>} confirm
+ *     Asks the user to approve a destructive call, see executeTool.
+ * @property {(text: string) => void} onText The text of the turn being streamed, so far.
+ * @property {(text: string, aborted: boolean) => void} onTurnEnd The stream of a turn ended; `text` is all of it.
+ * @property {(type: 'model' | 'system' | 'error', text: string, card?: import('./safe-html.js').SafeHtml) => void} onMessage
+ *     A chat message that is not streamed: a status line, an error, a tool's card.
+ * @property {(text: string) => void} [onReply] A finished piece of the model's answer, streamed or not (e.g. to read aloud).
+ * @property {(undo: () => Promise<void>) => void} [onUndo] A tool call can be undone.
+ */
+
+/**
+ * Runs the conversation in `history` until the model answers with plain text
+ * or MAX_AGENT_STEPS turns have passed. The model's turns and the function
+ * responses are appended to `history`; `signal` stops the loop.
+ * @param {object} options
+ * @param {any} options.ai A client shaped like GoogleGenAI.
+ * @param {string} options.model
+ * @param {object} options.config Generation parameters, see model-settings.js.
+ * @param {object[]} options.history Gemini `contents`, ending with the user's message.
+ * @param {string} options.systemInstruction
+ * @param {AbortSignal} options.signal
+ * @param {AgentHandlers} handlers
+ */
+export async function runAgentLoop({ ai, model, config, history, systemInstruction, signal }, handlers) {
+    const tools = [{ functionDeclarations: getFunctionDeclarations() }];
+    const request = { model, contents: history, config: { ...config, systemInstruction: { parts: [{ text: systemInstruction }] }, tools, abortSignal: signal } };
+    for (let step = 0; step < MAX_AGENT_STEPS; step++) {
+        const { text, functionCalls, modelContent } = await streamModelTurn(ai, request, signal, handlers);
+
+        if (signal.aborted) {
+            // Keep the history well-formed so the conversation can go on.
+            history.push({ role: 'model', parts: [{ text: text || t('chat.stopped') }] });
+            handlers.onMessage('system', t('chat.stopped'));
+            return;
+        }
+
+        if (text) handlers.onReply?.(text);
+        if (functionCalls.length === 0) {
+            const finalText = text || t('chat.done');
+            if (!text) {
+                handlers.onMessage('model', finalText);
+                handlers.onReply?.(finalText);
+            }
+            history.push({ role: 'model', parts: [{ text: finalText }] });
+            return;
+        }
+
+        history.push(modelContent);
+        handlers.onMessage('system', t('chat.running'));
+
+        const responseParts = [];
+        for (const { name, args } of functionCalls) {
+            const { response: result, card, undo } = await executeTool(name, args || {}, { confirm: handlers.confirm });
+            if (card) handlers.onMessage('system', t('chat.cardDone'), card);
+            if (undo) handlers.onUndo?.(undo);
+            responseParts.push({ functionResponse: { name, response: result } });
+        }
+        history.push({ role: 'user', parts: responseParts });
+    }
+
+    const text = t('chat.error.tooManySteps');
+    handlers.onMessage('error', text);
+    history.push({ role: 'model', parts: [{ text }] });
+}
+
+/**
+ * Streams one model turn. Text parts are handed to `onText` as they arrive;
+ * function calls may come at any point of the stream and are collected for
+ * the caller. An aborted stream resolves with whatever arrived before the stop.
+ * @param {AgentHandlers} handlers
+ */
+async function streamModelTurn(ai, request, signal, { onText, onTurnEnd }) {
+    let text = '';
+    const functionCallParts = [];
+    try {
+        const stream = await ai.models.generateContentStream({ ...request, contents: [...request.contents] });
+        for await (const chunk of stream) {
+            (chunk.candidates?.[0]?.content?.parts || []).forEach((part) => {
+                if (part.functionCall) functionCallParts.push(part);
+                else if (part.text && !part.thought) text += part.text;
+            });
+            if (text) onText(text);
+        }
+    } catch (error) {
+        if (!signal.aborted) throw error;
+    }
+    onTurnEnd(text, signal.aborted);
+    const parts = [...(text ? [{ text }] : []), ...functionCallParts];
+    return { text, functionCalls: functionCallParts.map(part => part.functionCall), modelContent: { role: 'model', parts } };
+}
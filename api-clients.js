@@ -0,0 +1,45 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { GoogleGenAI } from '@google/genai';
+
+// --- API Clients ---
+// The app reaches Google APIs and Gemini only through these functions. In the
+// browser they hand out the `gapi` and Google Identity Services globals that
+// index.html loads and a real @google/genai client; the tests in test/ install
+// fakes with setApiClients before the app starts.
+
+/**
+ * @typedef {object} ApiClients
+ * @property {() => any} gapi The `gapi` object: load(), client.init(), client.setToken(), client.calendar, ...
+ * @property {() => any} identity `google.accounts` from Google Identity Services.
+ * @property {(options: { apiKey: string, httpOptions?: object }) => any} createGemini A client shaped like GoogleGenAI.
+ */
+
+/** @type {ApiClients} */
+const browserClients = {
+    gapi: () => window.gapi,
+    identity: () => window.google.accounts,
+    createGemini: options => new GoogleGenAI(options),
+};
+let clients = browserClients;
+
+/** Replaces some or all of the clients; call before initializeApp. */
+export function setApiClients(overrides) {
+    clients = { ...clients, ...overrides };
+}
+
+export function getGapi() {
+    return clients.gapi();
+}
+
+export function getIdentity() {
+    return clients.identity();
+}
+
+export function createGemini(options) {
+    return clients.createGemini(options);
+}
@@ -0,0 +1,187 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { Type } from '@google/genai';
+import { registerTool } from './tool-registry.js';
+
+// --- Assistant Tools ---
+// The functions the assistant may call, as the model sees them: name,
+// description, argument schema, and whether the call changes existing data.
+// What each one does, and the cards it shows, comes from the app when it
+// registers them with registerAssistantTools.
+
+/** @type {{ name: string, description: string, parameters: object, destructive?: boolean }[]} */
+export const TOOL_DECLARATIONS = [
+    {
+        name: 'create_calendar_event',
+        description: 'Создает событие в Google Календаре.',
+        parameters: { type: Type.OBJECT, properties: {
+            summary: { type: Type.STRING, description: 'Название события.' },
+            description: { type: Type.STRING, description: 'Описание события.' },
+            start_time: { type: Type.STRING, format: 'date-time', description: 'Время начала в формате ISO 8601.' },
+            end_time: { type: Type.STRING, format: 'date-time', description: 'Время окончания в формате ISO 8601.' },
+            location: { type: Type.STRING, description: 'Место проведения.' },
+            attendees: { type: Type.ARRAY, items: { type: Type.STRING }, description: 'Email-адреса или имена участников.' },
+            add_meet_link: { type: Type.BOOLEAN, description: 'Добавить ссылку Google Meet.' },
+            recurrence: { type: Type.ARRAY, items: { type: Type.STRING }, description: 'Правила повторения в формате RFC 5545, например ["RRULE:FREQ=WEEKLY;BYDAY=MO"].' },
+            calendar_id: { type: Type.STRING, description: 'ID или название календаря. По умолчанию — основной календарь.' }
+        }, required: ['summary', 'start_time', 'end_time'] },
+    },
+    {
+        name: 'find_events',
+        description: 'Ищет события в календаре по дате или ключевому слову.',
+        parameters: { type: Type.OBJECT, properties: {
+            time_min: { type: Type.STRING, format: 'date-time', description: 'Начало периода поиска в ISO 8601.' },
+            time_max: { type: Type.STRING, format: 'date-time', description: 'Конец периода поиска в ISO 8601.' },
+            query: { type: Type.STRING, description: 'Ключевые слова для поиска в названии или описании.' },
+            calendar_id: { type: Type.STRING, description: 'ID или название календаря. По умолчанию поиск идет по всем видимым календарям.' }
+        }, required: [] },
+    },
+    {
+        name: 'export_events_ics',
+        description: 'Выгружает события за период в файл .ics и скачивает его. Используй, когда пользователь просит экспортировать или сохранить события в файл, в том числе найденные через find_events: передай те же параметры.',
+        parameters: { type: Type.OBJECT, properties: {
+            time_min: { type: Type.STRING, format: 'date-time', description: 'Начало периода в ISO 8601.' },
+            time_max: { type: Type.STRING, format: 'date-time', description: 'Конец периода в ISO 8601.' },
+            query: { type: Type.STRING, description: 'Ключевые слова: выгрузить только подходящие события.' },
+            calendar_id: { type: Type.STRING, description: 'ID или название календаря. По умолчанию — все видимые календари.' }
+        }, required: ['time_min', 'time_max'] },
+    },
+    {
+        name: 'find_free_slots',
+        description: 'Находит свободное время для встречи с учетом занятости пользователя и участников. Показывает пользователю варианты, из которых он может выбрать.',
+        parameters: { type: Type.OBJECT, properties: {
+            attendees: { type: Type.ARRAY, items: { type: Type.STRING }, description: 'Email-адреса или имена участников.' },
+            duration_minutes: { type: Type.INTEGER, description: 'Длительность встречи в минутах.' },
+            time_min: { type: Type.STRING, format: 'date-time', description: 'Начало периода поиска в ISO 8601.' },
+            time_max: { type: Type.STRING, format: 'date-time', description: 'Конец периода поиска в ISO 8601.' },
+            workday_start: { type: Type.STRING, description: 'Начало рабочего дня, "ЧЧ:ММ". По умолчанию 09:00.' },
+            workday_end: { type: Type.STRING, description: 'Конец рабочего дня, "ЧЧ:ММ". По умолчанию 18:00.' },
+            include_weekends: { type: Type.BOOLEAN, description: 'Искать также в выходные.' },
+            max_results: { type: Type.INTEGER, description: 'Сколько вариантов предложить. По умолчанию 5.' },
+            summary: { type: Type.STRING, description: 'Название встречи, которая будет создана по выбранному варианту.' },
+            add_meet_link: { type: Type.BOOLEAN, description: 'Добавить ссылку Google Meet к создаваемой встрече.' },
+            calendar_id: { type: Type.STRING, description: 'ID или название календаря для создаваемой встречи.' }
+        }, required: ['duration_minutes', 'time_min', 'time_max'] },
+    },
+    {
+        name: 'list_calendars',
+        description: 'Возвращает календари пользователя с их ID, названиями и правами на запись.',
+        parameters: { type: Type.OBJECT, properties: {}, required: [] },
+    },
+    {
+        name: 'update_calendar_event',
+        description: 'Обновляет существующее событие в календаре.',
+        parameters: { type: Type.OBJECT, properties: {
+            event_id: { type: Type.STRING, description: 'ID события для обновления.' },
+            calendar_id: { type: Type.STRING, description: 'ID или название календаря. По умолчанию — основной календарь.' },
+            summary: { type: Type.STRING, description: 'Новое название события.' },
+            start_time: { type: Type.STRING, format: 'date-time', description: 'Новое время начала в ISO 8601.' },
+            end_time: { type: Type.STRING, format: 'date-time', description: 'Новое время окончания в ISO 8601.' },
+            location: { type: Type.STRING, description: 'Новое место проведения.' },
+            attendees_to_add: { type: Type.ARRAY, items: { type: Type.STRING }, description: 'Email-адреса или имена участников для добавления.' },
+            scope: { type: Type.STRING, enum: ['this', 'following', 'all'], format: 'enum', description: 'Для повторяющихся событий: this — только это, following — это и последующие, all — вся серия. Пользователь подтвердит выбор.' },
+        }, required: ['event_id'] },
+        destructive: true,
+    },
+    {
+        name: 'delete_calendar_event',
+        description: 'Удаляет событие из календаря.',
+        parameters: { type: Type.OBJECT, properties: {
+            event_id: { type: Type.STRING, description: 'ID события для удаления.' },
+            scope: { type: Type.STRING, enum: ['this', 'following', 'all'], format: 'enum', description: 'Для повторяющихся событий: this — только это, following — это и последующие, all — вся серия. Пользователь подтвердит выбор.' },
+            calendar_id: { type: Type.STRING, description: 'ID или название календаря. По умолчанию — основной календарь.' }
+        }, required: ['event_id'] },
+        destructive: true,
+    },
+    {
+        name: 'create_task',
+        description: 'Создает задачу в Google Задачах.',
+        parameters: { type: Type.OBJECT, properties: {
+            title: { type: Type.STRING, description: 'Название задачи.' },
+            notes: { type: Type.STRING, description: 'Описание задачи.' },
+            due: { type: Type.STRING, format: 'date-time', description: 'Срок выполнения в формате ISO 8601 (только дата).' },
+            tasklist_id: { type: Type.STRING, description: 'ID списка задач. По умолчанию — основной список.' }
+        }, required: ['title'] },
+    },
+    {
+        name: 'list_task_lists',
+        description: 'Возвращает списки задач пользователя с их ID.',
+        parameters: { type: Type.OBJECT, properties: {}, required: [] },
+    },
+    {
+        name: 'list_tasks',
+        description: 'Возвращает задачи из списка, при необходимости с фильтром по сроку выполнения.',
+        parameters: { type: Type.OBJECT, properties: {
+            tasklist_id: { type: Type.STRING, description: 'ID списка задач. По умолчанию — основной список.' },
+            due_min: { type: Type.STRING, format: 'date-time', description: 'Самый ранний срок выполнения (включительно) в ISO 8601.' },
+            due_max: { type: Type.STRING, format: 'date-time', description: 'Самый поздний срок выполнения (включительно) в ISO 8601.' },
+            show_completed: { type: Type.BOOLEAN, description: 'Включать выполненные задачи.' }
+        }, required: [] },
+    },
+    {
+        name: 'complete_task',
+        description: 'Отмечает задачу как выполненную.',
+        parameters: { type: Type.OBJECT, properties: {
+            task_id: { type: Type.STRING, description: 'ID задачи.' },
+            tasklist_id: { type: Type.STRING, description: 'ID списка задач. По умолчанию — основной список.' }
+        }, required: ['task_id'] },
+    },
+    {
+        name: 'update_task',
+        description: 'Изменяет название, описание, срок или статус задачи.',
+        parameters: { type: Type.OBJECT, properties: {
+            task_id: { type: Type.STRING, description: 'ID задачи.' },
+            tasklist_id: { type: Type.STRING, description: 'ID списка задач. По умолчанию — основной список.' },
+            title: { type: Type.STRING, description: 'Новое название задачи.' },
+            notes: { type: Type.STRING, description: 'Новое описание задачи.' },
+            due: { type: Type.STRING, format: 'date-time', description: 'Новый срок выполнения в ISO 8601 (только дата).' },
+            completed: { type: Type.BOOLEAN, description: 'true — выполнена, false — вернуть в работу.' }
+        }, required: ['task_id'] },
+        destructive: true,
+    },
+    {
+        name: 'move_task',
+        description: 'Перемещает задачу в другой список или делает ее подзадачей.',
+        parameters: { type: Type.OBJECT, properties: {
+            task_id: { type: Type.STRING, description: 'ID задачи.' },
+            tasklist_id: { type: Type.STRING, description: 'ID текущего списка задач. По умолчанию — основной список.' },
+            destination_tasklist_id: { type: Type.STRING, description: 'ID списка, в который нужно переместить задачу.' },
+            parent_task_id: { type: Type.STRING, description: 'ID родительской задачи, если задача должна стать подзадачей.' },
+            previous_task_id: { type: Type.STRING, description: 'ID задачи, после которой нужно разместить эту.' }
+        }, required: ['task_id'] },
+    },
+    {
+        name: 'delete_task',
+        description: 'Удаляет задачу.',
+        parameters: { type: Type.OBJECT, properties: {
+            task_id: { type: Type.STRING, description: 'ID задачи.' },
+            tasklist_id: { type: Type.STRING, description: 'ID списка задач. По умолчанию — основной список.' }
+        }, required: ['task_id'] },
+        destructive: true,
+    },
+    {
+        name: 'find_contacts',
+        description: 'Ищет человека по имени в контактах, в переписке и среди участников прошлых встреч. Если подходит несколько людей, пользователю показывается карточка для выбора; его выбор запоминается для этого имени.',
+        parameters: { type: Type.OBJECT, properties: {
+            name_query: { type: Type.STRING, description: 'Имя или часть имени в именительном падеже, например "Иван" для "пригласи Ивана".' },
+            ignore_remembered: { type: Type.BOOLEAN, description: 'Не использовать запомненный выбор, например, если пользователь говорит о другом человеке с тем же именем.' }
+        }, required: ['name_query'] },
+    },
+];
+
+/**
+ * Registers every tool of TOOL_DECLARATIONS with the tool registry.
+ * @param {Record<string, { handler: Function, renderCard?: Function, preview?: Function, undo?: Function }>} implementations
+ *     What runs each tool, by function name; one is needed for every declaration.
+ */
+export function registerAssistantTools(implementations) {
+    TOOL_DECLARATIONS.forEach((declaration) => {
+        const implementation = implementations[declaration.name];
+        if (!implementation) throw new Error(`No implementation for tool "${declaration.name}".`);
+        registerTool({ ...declaration, ...implementation });
+    });
+}
@@ -0,0 +1,154 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { t, getLocale } from './i18n.js';
+
+// --- Chat History Store ---
+// Chat sessions persisted in IndexedDB. A session keeps both the Gemini
+// `history` (so a conversation can be resumed with its context) and the
+// rendered `messages` shown in the chat, including images and cards.
+
+const DB_NAME = 'assistant-chat';
+const DB_VERSION = 1;
+const SESSIONS_STORE = 'sessions';
+const SNIPPET_RADIUS = 40;
+
+/**
+ * @typedef {object} ChatMessage
+ * @property {string} type 'user' | 'model' | 'system' | 'error'
+ * @property {string} text
+ * @property {string | { data: string, type: string }[]} content Card HTML, or attached images for user messages.
+ * @property {string} createdAt ISO timestamp.
+ */
+/**
+ * @typedef {object} ChatSession
+ * @property {string} id
+ * @property {string} title
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ * @property {object[]} history Gemini `contents`.
+ * @property {ChatMessage[]} messages
+ */
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(SESSIONS_STORE, { keyPath: 'id' });
+                store.createIndex('updatedAt', 'updatedAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+function toPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function withStore(mode, callback) {
+    const db = await openDatabase();
+    return toPromise(callback(db.transaction(SESSIONS_STORE, mode).objectStore(SESSIONS_STORE)));
+}
+
+/** @returns {ChatSession} */
+export function createSession(title) {
+    const now = new Date().toISOString();
+    return { id: crypto.randomUUID(), title, createdAt: now, updatedAt: now, history: [], messages: [] };
+}
+
+/** @param {ChatSession} session */
+export function saveSession(session) {
+    return withStore('readwrite', store => store.put(session));
+}
+
+/** @returns {Promise<ChatSession | undefined>} */
+export function getSession(id) {
+    return withStore('readonly', store => store.get(id));
+}
+
+/** @returns {Promise<ChatSession[]>} Newest first. */
+export async function listSessions() {
+    const sessions = await withStore('readonly', store => store.index('updatedAt').getAll());
+    return sessions.reverse();
+}
+
+export function deleteSession(id) {
+    return withStore('readwrite', store => store.delete(id));
+}
+
+/** Removes the whole database, e.g. when the app is reset. */
+export async function deleteAllSessions() {
+    if (dbPromise) (await dbPromise).close();
+    dbPromise = null;
+    await toPromise(indexedDB.deleteDatabase(DB_NAME));
+}
+
+/**
+ * Full-text search over titles and message texts (cards included). Every
+ * word of the query has to occur somewhere in the session.
+ * @param {ChatSession[]} sessions
+ * @returns {{ session: ChatSession, snippet: string }[]}
+ */
+export function searchSessions(sessions, query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return sessions.map(session => ({ session, snippet: '' }));
+    return sessions.flatMap((session) => {
+        const text = [session.title, ...session.messages.map(messageToText)].join('\n');
+        const haystack = text.toLowerCase();
+        if (!terms.every(term => haystack.includes(term))) return [];
+        const index = haystack.indexOf(terms[0]);
+        const from = Math.max(0, index - SNIPPET_RADIUS);
+        const to = Math.min(text.length, index + terms[0].length + SNIPPET_RADIUS);
+        const snippet = `${from > 0 ? '…' : ''}${text.slice(from, to).replace(/\s+/g, ' ').trim()}${to < text.length ? '…' : ''}`;
+        return [{ session, snippet }];
+    });
+}
+
+/** @param {ChatSession} session */
+export function sessionToMarkdown(session) {
+    const lines = [`# ${session.title}`, '', `_${new Date(session.createdAt).toLocaleString(getLocale())}_`, ''];
+    session.messages.forEach((message) => {
+        const text = messageToText(message);
+        const images = Array.isArray(message.content) ? message.content : [];
+        if (!text && images.length === 0) return;
+        const role = ['user', 'model', 'system', 'error'].includes(message.type) ? t(`sessions.role.${message.type}`) : message.type;
+        lines.push(`**${role}** (${new Date(message.createdAt).toLocaleTimeString(getLocale(), { hour: '2-digit', minute: '2-digit' })}):`, '');
+        images.forEach(image => lines.push(`![${t('chat.imageTitle')}](data:${image.type};base64,${image.data})`, ''));
+        if (text) lines.push(text, '');
+    });
+    return lines.join('\n');
+}
+
+/** @param {ChatSession} session */
+export function sessionToJson(session) {
+    return JSON.stringify({ format: 'assistant-chat-session', version: 1, ...session }, null, 2);
+}
+
+function messageToText(message) {
+    const card = typeof message.content === 'string' ? htmlToText(message.content) : '';
+    return [message.text, card].filter(Boolean).join('\n');
+}
+
+function htmlToText(html) {
+    return html
+        .replace(/<(button|script|style)\b[\s\S]*?<\/\1>/gi, ' ')
+        // Icon ligatures ("schedule", "event") are not part of the text.
+        .replace(/<span class="material-symbols-outlined">[^<]*<\/span>/g, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\s*\n\s*/g, '\n')
+        .trim();
+}
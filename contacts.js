@@ -0,0 +1,60 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// --- Attendee Resolution ---
+// Pure helpers for matching a name as the user says it ("Иван", "Петрова")
+// against people from three places: contacts, "other contacts" (addresses the
+// user has corresponded with) and attendees of past meetings.
+
+/**
+ * @typedef {object} PersonCandidate
+ * @property {string} name Display name, may be empty.
+ * @property {string} email
+ * @property {('contact' | 'other' | 'attendee')[]} sources Where the person was found, best first.
+ * @property {number} meetings Past meetings with this person that were looked at.
+ */
+
+const SOURCE_ORDER = ['contact', 'other', 'attendee'];
+
+/** Lowercase, "ё" as "е", single spaces: the form names are compared and remembered in. */
+export function normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/ё/g, 'е').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Whether every word of `query` starts one of the words of `texts`. A word
+ * may also start with a name of three or more letters, so the inflected
+ * "Ивана" still finds "Иван".
+ */
+export function nameMatches(query, ...texts) {
+    const words = texts.flatMap(text => normalizeName(text).split(/[\s.@_-]+/)).filter(Boolean);
+    return normalizeName(query).split(' ').filter(Boolean).every(part =>
+        words.some(word => word.startsWith(part) || (word.length >= 3 && part.startsWith(word))));
+}
+
+/**
+ * Merges people found in several places into one entry per email. Contacts
+ * come before other contacts and past attendees, then people the user meets
+ * more often.
+ * @param {{ name?: string, email: string, source: 'contact' | 'other' | 'attendee' }[]} found
+ * @returns {PersonCandidate[]}
+ */
+export function mergeCandidates(found) {
+    const byEmail = new Map();
+    found.forEach(({ name, email, source }) => {
+        if (!email) return;
+        const key = email.trim().toLowerCase();
+        const candidate = byEmail.get(key) || { name: '', email: email.trim(), sources: [], meetings: 0 };
+        if (!candidate.name && name) candidate.name = name.trim();
+        if (!candidate.sources.includes(source)) candidate.sources.push(source);
+        if (source === 'attendee') candidate.meetings++;
+        byEmail.set(key, candidate);
+    });
+    const rank = candidate => Math.min(...candidate.sources.map(source => SOURCE_ORDER.indexOf(source)));
+    return [...byEmail.values()]
+        .map(candidate => ({ ...candidate, sources: [...candidate.sources].sort((a, b) => SOURCE_ORDER.indexOf(a) - SOURCE_ORDER.indexOf(b)) }))
+        .sort((a, b) => rank(a) - rank(b) || b.meetings - a.meetings);
+}
@@ -0,0 +1,107 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { t } from './i18n.js';
+
+// --- Credential Storage ---
+// The Gemini API key and the Google Client ID are kept in localStorage, either
+// as plain text or, when the user sets a passphrase, encrypted with AES-GCM
+// under a key derived from it with PBKDF2. The passphrase itself is never
+// stored, so encrypted credentials are unlocked once per page load.
+
+const VAULT_KEY = 'credentialVault';
+const PLAIN_KEYS = ['geminiApiKey', 'googleClientId'];
+const PBKDF2_ITERATIONS = 600000;
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * @typedef {object} Credentials
+ * @property {string} geminiApiKey Empty when Gemini is reached through the proxy.
+ * @property {string} googleClientId
+ */
+
+export function hasEncryptedCredentials() {
+    return localStorage.getItem(VAULT_KEY) !== null;
+}
+
+/**
+ * Credentials stored as plain text, or null when they are encrypted.
+ * @returns {Credentials | null}
+ */
+export function loadPlainCredentials() {
+    if (hasEncryptedCredentials()) return null;
+    return {
+        geminiApiKey: localStorage.getItem('geminiApiKey') || '',
+        googleClientId: localStorage.getItem('googleClientId') || '',
+    };
+}
+
+/**
+ * Decrypts the stored credentials. Rejects with a readable message when the
+ * passphrase is wrong.
+ * @returns {Promise<Credentials>}
+ */
+export async function unlockCredentials(passphrase) {
+    const vault = JSON.parse(localStorage.getItem(VAULT_KEY));
+    const key = await deriveKey(passphrase, base64ToBytes(vault.salt), vault.iterations);
+    let plaintext;
+    try {
+        plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(vault.iv) }, key, base64ToBytes(vault.data));
+    } catch {
+        // AES-GCM can't tell a wrong key from damaged data; a wrong passphrase is far more likely.
+        throw new Error(t('unlock.wrongPassphrase'));
+    }
+    return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Stores the credentials, encrypted when a passphrase is given. The other
+ * form is removed, so switching encryption off leaves no vault behind and
+ * switching it on leaves no plain copy.
+ * @param {Credentials} credentials
+ * @param {string} [passphrase]
+ */
+export async function saveCredentials(credentials, passphrase = '') {
+    if (!passphrase) {
+        localStorage.removeItem(VAULT_KEY);
+        PLAIN_KEYS.forEach(name => {
+            if (credentials[name]) localStorage.setItem(name, credentials[name]);
+            else localStorage.removeItem(name);
+        });
+        return;
+    }
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(credentials)));
+    localStorage.setItem(VAULT_KEY, JSON.stringify({
+        version: 1,
+        iterations: PBKDF2_ITERATIONS,
+        salt: bytesToBase64(salt),
+        iv: bytesToBase64(iv),
+        data: bytesToBase64(new Uint8Array(data)),
+    }));
+    PLAIN_KEYS.forEach(name => localStorage.removeItem(name));
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt'],
+    );
+}
+
+function bytesToBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+}
+
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
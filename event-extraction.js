@@ -0,0 +1,89 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { Type } from '@google/genai';
+import { t, getLocale, getTimeZone } from './i18n.js';
+
+// --- Event Extraction ---
+// Turns photos and PDFs of schedules (conference programs, school timetables,
+// posters) into a list of events and tasks. Gemini answers with JSON matching
+// EXTRACTION_SCHEMA; the list is then reviewed by the user before anything is created.
+
+// Items below this confidence are shown unchecked in the review table.
+export const CONFIDENCE_THRESHOLD = 0.6;
+
+/**
+ * @typedef {object} ExtractedItem
+ * @property {'event' | 'task'} kind
+ * @property {string} title
+ * @property {string} date "YYYY-MM-DD"; a task's due date.
+ * @property {string} start_time "HH:MM", or '' for an all-day event or a task.
+ * @property {string} end_time "HH:MM", or ''.
+ * @property {string} location
+ * @property {string} notes
+ * @property {number} confidence 0..1, how sure the model is that it read the item correctly.
+ */
+
+export const EXTRACTION_SCHEMA = {
+    type: Type.OBJECT,
+    properties: {
+        items: {
+            type: Type.ARRAY,
+            items: {
+                type: Type.OBJECT,
+                properties: {
+                    kind: { type: Type.STRING, enum: ['event', 'task'], format: 'enum', description: 'event — у пункта есть время или день проведения; task — дело со сроком (сдать, оплатить, подготовить).' },
+                    title: { type: Type.STRING, description: 'Короткое название.' },
+                    date: { type: Type.STRING, description: 'Дата в формате YYYY-MM-DD.' },
+                    start_time: { type: Type.STRING, description: 'Время начала "HH:MM" или пустая строка, если времени нет.' },
+                    end_time: { type: Type.STRING, description: 'Время окончания "HH:MM" или пустая строка, если не указано.' },
+                    location: { type: Type.STRING, description: 'Место, аудитория, зал.' },
+                    notes: { type: Type.STRING, description: 'Докладчик, преподаватель и другие подробности.' },
+                    confidence: { type: Type.NUMBER, description: 'Уверенность от 0 до 1 в том, что пункт распознан верно.' },
+                },
+                required: ['kind', 'title', 'date', 'confidence'],
+                propertyOrdering: ['kind', 'title', 'date', 'start_time', 'end_time', 'location', 'notes', 'confidence'],
+            },
+        },
+    },
+    required: ['items'],
+};
+
+/** Prompt for the extraction request; `now` anchors dates given without a year or as weekdays. */
+export function buildExtractionPrompt(now, hint = '') {
+    const today = now.toLocaleDateString(getLocale(), { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: getTimeZone() });
+    const prompt = t('prompt.extraction', { today });
+    return hint ? `${prompt}\n${t('prompt.extractionHint', { hint })}` : prompt;
+}
+
+/**
+ * Parses the model's JSON answer into clean items; entries without a title or
+ * a valid date are dropped, malformed times are cleared.
+ * @returns {ExtractedItem[]}
+ */
+export function parseExtractedItems(text) {
+    const items = JSON.parse(text).items;
+    if (!Array.isArray(items)) return [];
+    return items
+        .map(item => ({
+            kind: item.kind === 'task' ? 'task' : 'event',
+            title: String(item.title || '').trim(),
+            date: /^\d{4}-\d{2}-\d{2}$/.test(item.date) ? item.date : '',
+            start_time: normalizeTime(item.start_time),
+            end_time: normalizeTime(item.end_time),
+            location: String(item.location || '').trim(),
+            notes: String(item.notes || '').trim(),
+            confidence: Math.min(1, Math.max(0, Number(item.confidence) || 0)),
+        }))
+        .filter(item => item.title && item.date);
+}
+
+// "9:05" becomes "09:05"; anything that isn't a time becomes ''.
+function normalizeTime(value) {
+    const match = /^(\d{1,2}):(\d{2})/.exec(String(value || '').trim());
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return '';
+    return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
@@ -0,0 +1,189 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { getGapi, getIdentity } from './api-clients.js';
+
+// --- Google Sign-In ---
+// Access tokens from Google Identity Services (GIS) and `googleApi`, through
+// which every Google API request goes. GIS access tokens live about an hour.
+// The token is kept for the tab's lifetime (sessionStorage) and renewed
+// silently shortly before it expires; a flag in localStorage lets the next
+// visit sign in again without a click. What signing in or out changes on the
+// page is left to the app, see setAuthHandlers.
+
+// Access tokens are renewed this long before they expire.
+export const TOKEN_REFRESH_MARGIN_MS = 5 * 60000;
+
+/**
+ * @typedef {object} AuthHandlers
+ * @property {() => boolean} isSignedIn Whether the page shows a signed-in account.
+ * @property {() => boolean} isOffline
+ * @property {() => void} onSignIn A token arrived while signed out.
+ * @property {(message: string | undefined) => void} onSignInFailed GIS refused a sign-in the user started.
+ * @property {(error: any) => void} onSessionExpired The token of a signed-in account could not be renewed.
+ */
+/** @type {AuthHandlers} */
+let handlers = {
+    isSignedIn: () => false,
+    isOffline: () => false,
+    onSignIn: () => {},
+    onSignInFailed: () => {},
+    onSessionExpired: () => {},
+};
+let tokenClient = null;
+let pendingTokenRequest = null;
+let tokenRefreshTimer = null;
+let tokenExpiresAt = null;
+
+/** A token request that GIS refused or could not finish. */
+export class TokenError extends Error {
+    name = 'TokenError';
+}
+
+/** Replaces some or all of the handlers; call before the first token is requested. */
+export function setAuthHandlers(overrides) {
+    handlers = { ...handlers, ...overrides };
+}
+
+export function initTokenClient(clientId, scope) {
+    tokenClient = getIdentity().oauth2.initTokenClient({
+        client_id: clientId,
+        scope,
+        callback: handleTokenResponse,
+        error_callback: handleTokenError,
+    });
+}
+
+function handleTokenResponse(response) {
+    const request = pendingTokenRequest;
+    pendingTokenRequest = null;
+    if (response.error) {
+        console.error('Google token error:', response);
+        request?.reject(new TokenError(response.error_description || response.error));
+        // A failed silent request is handled by whoever asked for it.
+        if (!handlers.isSignedIn() && !request?.silent) handlers.onSignInFailed(response.error_description);
+        return;
+    }
+    storeToken(response);
+    request?.resolve();
+    if (!handlers.isSignedIn()) handlers.onSignIn();
+}
+
+// Called by GIS when its popup could not open or was closed before finishing.
+function handleTokenError(error) {
+    console.warn('Google token request failed:', error);
+    const request = pendingTokenRequest;
+    pendingTokenRequest = null;
+    request?.reject(new TokenError(error.type || 'token_request_failed'));
+}
+
+/**
+ * Asks GIS for a token; resolves once it has been stored. With an empty
+ * `prompt` GIS only answers if the user has already granted access.
+ */
+export function requestAccessToken({ prompt }) {
+    if (!pendingTokenRequest) {
+        let resolve, reject;
+        const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+        pendingTokenRequest = { promise, resolve, reject, silent: prompt === '' };
+        tokenClient.requestAccessToken({ prompt, login_hint: localStorage.getItem('googleAccountHint') || undefined });
+    }
+    return pendingTokenRequest.promise;
+}
+
+export function refreshAccessToken() {
+    return requestAccessToken({ prompt: '' });
+}
+
+function storeToken({ access_token, expires_in }) {
+    const expiresAt = Date.now() + Number(expires_in || 3600) * 1000;
+    getGapi().client.setToken({ access_token });
+    tokenExpiresAt = expiresAt;
+    sessionStorage.setItem('googleToken', JSON.stringify({ access_token, expiresAt }));
+    localStorage.setItem('googleSignedIn', 'true');
+    clearTimeout(tokenRefreshTimer);
+    tokenRefreshTimer = setTimeout(() => {
+        // Offline the refresh can't succeed; withTokenRefresh renews the token once the connection is back.
+        if (handlers.isOffline()) return;
+        refreshAccessToken().catch(expireSession);
+    }, Math.max(0, expiresAt - Date.now() - TOKEN_REFRESH_MARGIN_MS));
+}
+
+/** Reuses this tab's token after a reload; false if there is none that stays valid for a while. */
+export function restoreSavedToken() {
+    const saved = JSON.parse(sessionStorage.getItem('googleToken') || 'null');
+    if (!saved || saved.expiresAt - Date.now() <= TOKEN_REFRESH_MARGIN_MS) return false;
+    storeToken({ access_token: saved.access_token, expires_in: (saved.expiresAt - Date.now()) / 1000 });
+    return true;
+}
+
+export function forgetToken() {
+    clearTimeout(tokenRefreshTimer);
+    tokenExpiresAt = null;
+    sessionStorage.removeItem('googleToken');
+    localStorage.removeItem('googleSignedIn');
+    localStorage.removeItem('googleAccountHint');
+}
+
+export function expireSession(error) {
+    console.error('Token refresh failed:', error);
+    if (handlers.isSignedIn()) handlers.onSessionExpired(error);
+}
+
+export function isAuthError(error) {
+    return error?.status === 401 || error?.result?.error?.code === 401;
+}
+
+// The reasons of a 403 that concern the token rather than the project: a
+// disabled API or a used-up quota is also a 403, but signing in again won't fix it.
+const SIGN_IN_FORBIDDEN_REASONS = ['authError', 'insufficientPermissions', 'ACCESS_TOKEN_SCOPE_INSUFFICIENT'];
+
+// Errors that mean the account itself is unusable: a rejected or missing token, or access taken away.
+export function isSignInError(error) {
+    if (isAuthError(error) || error instanceof TokenError) return true;
+    const details = error?.result?.error;
+    if (error?.status !== 403 && details?.code !== 403) return false;
+    const reasons = [...(details?.errors || []), ...(details?.details || [])].map(({ reason }) => reason);
+    return reasons.some(reason => SIGN_IN_FORBIDDEN_REASONS.includes(reason));
+}
+
+/**
+ * Runs a Google API request, renewing the token first if it is about to
+ * expire, and once more after a refresh if the request fails with 401.
+ */
+async function withTokenRefresh(call) {
+    if (handlers.isSignedIn() && tokenExpiresAt && Date.now() > tokenExpiresAt - TOKEN_REFRESH_MARGIN_MS) {
+        await refreshAccessToken().catch(expireSession);
+    }
+    try {
+        return await call();
+    } catch (error) {
+        if (!isAuthError(error)) throw error;
+        try {
+            await refreshAccessToken();
+        } catch (refreshError) {
+            expireSession(refreshError);
+            throw error;
+        }
+        return await call();
+    }
+}
+
+/**
+ * Stand-in for `gapi.client` that routes every call through withTokenRefresh:
+ * `googleApi.calendar.events.list(params)` behaves like the gapi call. The
+ * method is looked up on each attempt, so the retry builds a fresh request.
+ */
+function createGoogleApiProxy(path = []) {
+    return new Proxy(() => {}, {
+        get: (_, key) => createGoogleApiProxy([...path, key]),
+        apply: (_, __, args) => withTokenRefresh(() => {
+            const owner = path.slice(0, -1).reduce((object, key) => object[key], getGapi().client);
+            return owner[path[path.length - 1]](...args);
+        }),
+    });
+}
+export const googleApi = createGoogleApiProxy();
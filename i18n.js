@@ -0,0 +1,102 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import ru from './locales/ru.js';
+import en from './locales/en.js';
+
+// --- Localization ---
+// Interface strings come from the message catalogs in locales/. The language is
+// read once per page load (changing it reloads the app); week start, time zone
+// and speech language are read on every use, so they apply right away.
+
+const CATALOGS = { ru, en };
+export const LANGUAGES = [
+    { code: 'ru', label: 'Русский', locale: 'ru-RU' },
+    { code: 'en', label: 'English', locale: 'en-US' },
+];
+
+// Without a saved choice, the browser's language if there is a catalog for it.
+const language = (() => {
+    const saved = localStorage.getItem('language');
+    if (saved && CATALOGS[saved]) return saved;
+    const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+    return CATALOGS[browser] ? browser : 'ru';
+})();
+const pluralRules = new Intl.PluralRules(getLocale());
+
+export function getLanguage() {
+    return language;
+}
+
+/** BCP 47 locale for Intl formatting, e.g. "ru-RU". */
+export function getLocale() {
+    return LANGUAGES.find(item => item.code === language).locale;
+}
+
+/** Locale for speech recognition and synthesis; follows the interface unless set separately. */
+export function getSpeechLocale() {
+    return localStorage.getItem('speechLanguage') || getLocale();
+}
+
+/** IANA time zone for new events and the assistant's sense of "now". */
+export function getTimeZone() {
+    return localStorage.getItem('timeZone') || Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/** First day of the week: 0 for Sunday, 1 for Monday. */
+export function getWeekStart() {
+    const saved = localStorage.getItem('weekStart');
+    if (saved === '0' || saved === '1') return Number(saved);
+    return language === 'en' ? 0 : 1;
+}
+
+/**
+ * The message for `key` in the current language, with `{name}` placeholders
+ * filled from `params`. A message may have plural forms ({ one, few, many,
+ * other }), picked by `params.count`. Missing messages fall back to Russian.
+ */
+export function t(key, params = {}) {
+    const message = CATALOGS[language][key] ?? CATALOGS.ru[key];
+    if (message === undefined) {
+        console.warn(`Missing message: ${key}`);
+        return key;
+    }
+    const text = typeof message === 'string' ? message : (message[pluralRules.select(params.count)] ?? message.other);
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+}
+
+/**
+ * Translates static markup: `data-i18n` sets the text, `data-i18n-html` the
+ * markup (catalog messages are part of the app, not user input), and
+ * `data-i18n-placeholder`, `-aria-label` and `-title` the attributes.
+ */
+export function applyTranslations(root = document) {
+    document.documentElement.lang = language;
+    root.querySelectorAll('[data-i18n]').forEach(element => { element.textContent = t(element.dataset.i18n); });
+    root.querySelectorAll('[data-i18n-html]').forEach(element => { element.innerHTML = t(element.dataset.i18nHtml); });
+    ['placeholder', 'aria-label', 'title'].forEach(attribute => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+}
+
+/** Weekday names starting from the configured first day, e.g. ["Пн", ..., "Вс"]. */
+export function getWeekdayLabels(format = 'short') {
+    const formatter = new Intl.DateTimeFormat(getLocale(), { weekday: format });
+    // 2023-01-01 was a Sunday.
+    return Array.from({ length: 7 }, (_, i) => formatter.format(new Date(2023, 0, 1 + ((getWeekStart() + i) % 7))));
+}
+
+/** "2025-06-02T14:05:00+03:00": the moment as wall-clock time in `timeZone`, with its offset. */
+export function toZonedIsoString(date, timeZone = getTimeZone()) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit', timeZoneName: 'longOffset',
+    }).formatToParts(date).map(part => [part.type, part.value]));
+    const offset = parts.timeZoneName === 'GMT' ? '+00:00' : parts.timeZoneName.slice(3);
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}${offset}`;
+}
@@ -0,0 +1,419 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { t, getTimeZone } from './i18n.js';
+
+// --- iCalendar Files ---
+// Reading and writing RFC 5545 (.ics) files. Imported VEVENTs become Google
+// Calendar event resources; exported events are written back as VEVENTs.
+// Times in a named zone keep that zone when it is an IANA name ("Europe/Moscow")
+// or has a known IANA equivalent (Outlook writes "Russian Standard Time"); other
+// names are resolved through the file's VTIMEZONE definitions to a fixed UTC offset.
+
+const PRODID = '-//Assistant Secretary//RU';
+const MAX_LINE_OCTETS = 75;
+
+// Windows zone names as Outlook and Exchange write them, after the CLDR mapping.
+const WINDOWS_ZONES = {
+    'Kaliningrad Standard Time': 'Europe/Kaliningrad',
+    'Russian Standard Time': 'Europe/Moscow',
+    'Volgograd Standard Time': 'Europe/Volgograd',
+    'Astrakhan Standard Time': 'Europe/Astrakhan',
+    'Saratov Standard Time': 'Europe/Saratov',
+    'Russia Time Zone 3': 'Europe/Samara',
+    'Ekaterinburg Standard Time': 'Asia/Yekaterinburg',
+    'Omsk Standard Time': 'Asia/Omsk',
+    'N. Central Asia Standard Time': 'Asia/Novosibirsk',
+    'North Asia Standard Time': 'Asia/Krasnoyarsk',
+    'North Asia East Standard Time': 'Asia/Irkutsk',
+    'Yakutsk Standard Time': 'Asia/Yakutsk',
+    'Vladivostok Standard Time': 'Asia/Vladivostok',
+    'Magadan Standard Time': 'Asia/Magadan',
+    'Russia Time Zone 11': 'Asia/Kamchatka',
+    'Belarus Standard Time': 'Europe/Minsk',
+    'FLE Standard Time': 'Europe/Kiev',
+    'GTB Standard Time': 'Europe/Bucharest',
+    'E. Europe Standard Time': 'Europe/Chisinau',
+    'Turkey Standard Time': 'Europe/Istanbul',
+    'GMT Standard Time': 'Europe/London',
+    'W. Europe Standard Time': 'Europe/Berlin',
+    'Romance Standard Time': 'Europe/Paris',
+    'Central Europe Standard Time': 'Europe/Budapest',
+    'Central European Standard Time': 'Europe/Warsaw',
+    'Georgian Standard Time': 'Asia/Tbilisi',
+    'Caucasus Standard Time': 'Asia/Yerevan',
+    'Azerbaijan Standard Time': 'Asia/Baku',
+    'Central Asia Standard Time': 'Asia/Almaty',
+    'West Asia Standard Time': 'Asia/Tashkent',
+    'Israel Standard Time': 'Asia/Jerusalem',
+    'Arabian Standard Time': 'Asia/Dubai',
+    'India Standard Time': 'Asia/Kolkata',
+    'China Standard Time': 'Asia/Shanghai',
+    'Singapore Standard Time': 'Asia/Singapore',
+    'Tokyo Standard Time': 'Asia/Tokyo',
+    'Korea Standard Time': 'Asia/Seoul',
+    'AUS Eastern Standard Time': 'Australia/Sydney',
+    'New Zealand Standard Time': 'Pacific/Auckland',
+    'UTC': 'Etc/UTC',
+    'Eastern Standard Time': 'America/New_York',
+    'Central Standard Time': 'America/Chicago',
+    'Mountain Standard Time': 'America/Denver',
+    'US Mountain Standard Time': 'America/Phoenix',
+    'Pacific Standard Time': 'America/Los_Angeles',
+    'Alaskan Standard Time': 'America/Anchorage',
+    'Hawaiian Standard Time': 'Pacific/Honolulu',
+    'E. South America Standard Time': 'America/Sao_Paulo',
+    'South Africa Standard Time': 'Africa/Johannesburg',
+};
+
+/**
+ * @typedef {object} IcsImport
+ * @property {object[]} events Event resources ready for `events.import`, each with an `iCalUID`.
+ * @property {number} skipped VEVENTs left out: cancelled ones and changes to single occurrences.
+ */
+
+/**
+ * Parses the VEVENTs of an iCalendar file or pasted invite.
+ * @returns {IcsImport}
+ */
+export function parseIcs(text) {
+    const root = parseComponents(text);
+    const calendars = root.children.filter(component => component.name === 'VCALENDAR');
+    if (calendars.length === 0) throw new Error(t('ics.noCalendar'));
+    const timezones = new Map();
+    calendars.flatMap(calendar => calendar.children)
+        .filter(component => component.name === 'VTIMEZONE')
+        .forEach(component => timezones.set(getProperty(component, 'TZID')?.value, component));
+
+    const events = [];
+    let skipped = 0;
+    calendars.forEach((calendar) => {
+        const cancelled = getProperty(calendar, 'METHOD')?.value.toUpperCase() === 'CANCEL';
+        calendar.children.filter(component => component.name === 'VEVENT').forEach((component) => {
+            // Changed occurrences need their series to exist first; only whole events are imported.
+            if (cancelled || getProperty(component, 'RECURRENCE-ID') || getProperty(component, 'STATUS')?.value.toUpperCase() === 'CANCELLED') {
+                skipped++;
+                return;
+            }
+            const event = toEventResource(component, timezones);
+            if (event) events.push(event); else skipped++;
+        });
+    });
+    return { events, skipped };
+}
+
+/**
+ * Writes Google Calendar events as an iCalendar file.
+ * @param {object[]} events Event resources as returned by the Calendar API.
+ * @param {{ name?: string }} [options] `name` becomes the calendar's display name.
+ */
+export function serializeIcs(events, { name } = {}) {
+    const stamp = formatUtc(new Date());
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+    if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    events.forEach((event) => {
+        // Occurrences of a series share the series' iCalUID; alone in a file each needs its own.
+        const uid = event.recurringEventId || !event.iCalUID ? `${event.id}@google.com` : event.iCalUID;
+        lines.push('BEGIN:VEVENT', `UID:${uid}`, `DTSTAMP:${stamp}`);
+        lines.push(formatTimeProperty('DTSTART', event.start, event.recurrence));
+        if (event.end) lines.push(formatTimeProperty('DTEND', event.end, event.recurrence));
+        if (event.summary) lines.push(`SUMMARY:${escapeText(event.summary)}`);
+        if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+        (event.recurrence || []).forEach(line => lines.push(line));
+        (event.attendees || []).forEach(attendee => lines.push(`ATTENDEE${attendee.displayName ? `;CN="${attendee.displayName.replace(/"/g, '')}"` : ''}:mailto:${attendee.email}`));
+        if (event.status === 'tentative') lines.push('STATUS:TENTATIVE');
+        lines.push('END:VEVENT');
+    });
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+// --- Parsing ---
+
+// Builds the BEGIN/END tree; every content line becomes { name, params, value }.
+function parseComponents(text) {
+    const root = { name: 'ROOT', properties: [], children: [] };
+    const stack = [root];
+    // Long lines are folded: a line starting with a space or tab continues the previous one.
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    lines.forEach((line) => {
+        if (!line.trim()) return;
+        const property = parseContentLine(line);
+        if (!property) return;
+        const current = stack[stack.length - 1];
+        if (property.name === 'BEGIN') {
+            const component = { name: property.value.toUpperCase(), properties: [], children: [] };
+            current.children.push(component);
+            stack.push(component);
+        } else if (property.name === 'END') {
+            if (stack.length > 1) stack.pop();
+        } else {
+            current.properties.push(property);
+        }
+    });
+    return root;
+}
+
+// NAME;PARAM=value;PARAM="quoted:value":VALUE — the first colon outside quotes ends the parameters.
+function parseContentLine(line) {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        else if (line[i] === ':' && !inQuotes) { colon = i; break; }
+    }
+    if (colon < 0) return null;
+    const [name, ...paramParts] = line.slice(0, colon).split(';');
+    const params = Object.fromEntries(paramParts.map((part) => {
+        const [key, ...rest] = part.split('=');
+        return [key.toUpperCase(), rest.join('=').replace(/^"|"$/g, '')];
+    }));
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+function getProperty(component, name) {
+    return component.properties.find(property => property.name === name);
+}
+
+function toEventResource(component, timezones) {
+    const dtstart = getProperty(component, 'DTSTART');
+    if (!dtstart) return null;
+    const start = toEventTime(dtstart, timezones);
+    if (!start) return null;
+    const dtend = getProperty(component, 'DTEND');
+    const duration = getProperty(component, 'DURATION');
+    const end = (dtend && toEventTime(dtend, timezones))
+        || (duration ? addDuration(start, duration.value) : addDuration(start, start.date ? 'P1D' : 'PT0S'));
+
+    const text = name => unescapeText(getProperty(component, name)?.value || '');
+    const recurrence = component.properties
+        .filter(property => ['RRULE', 'EXRULE', 'EXDATE', 'RDATE'].includes(property.name))
+        .map(property => toRecurrenceLine(property, timezones));
+    const attendees = component.properties
+        .filter(property => property.name === 'ATTENDEE' && /^mailto:/i.test(property.value))
+        .map(property => ({ email: property.value.replace(/^mailto:/i, ''), ...(property.params.CN ? { displayName: property.params.CN } : {}) }));
+
+    const event = {
+        iCalUID: getProperty(component, 'UID')?.value || `${crypto.randomUUID()}@assistant-secretary`,
+        summary: text('SUMMARY'),
+        start,
+        end,
+    };
+    if (text('DESCRIPTION')) event.description = text('DESCRIPTION');
+    if (text('LOCATION')) event.location = text('LOCATION');
+    if (attendees.length > 0) event.attendees = attendees;
+    if (recurrence.length > 0) {
+        event.recurrence = recurrence;
+        // The Calendar API requires a time zone on recurring events: a zone
+        // known only by its offset keeps that offset rather than taking the user's.
+        if (start.dateTime && !start.timeZone) {
+            const timeZone = fixedOffsetZone(start.dateTime) || getTimeZone();
+            event.start = { ...start, timeZone };
+            event.end = { ...end, timeZone };
+        }
+    }
+    return event;
+}
+
+/** DTSTART/DTEND value as a Calendar API time: { date } or { dateTime[, timeZone] }. */
+function toEventTime(property, timezones) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(property.value.trim());
+    if (!match) return null;
+    const [, year, month, day, hour, minute, second, utc] = match;
+    const date = `${year}-${month}-${day}`;
+    if (!hour) return { date };
+    const local = `${date}T${hour}:${minute}:${second}`;
+    if (utc) return { dateTime: `${local}Z` };
+    const tzid = property.params.TZID;
+    // Without a zone the time is "floating": it means the same wall clock everywhere.
+    if (!tzid) return { dateTime: local, timeZone: getTimeZone() };
+    const vtimezone = timezones.get(tzid);
+    const timeZone = toIanaZone(tzid, vtimezone);
+    if (timeZone) return { dateTime: local, timeZone };
+    const offset = vtimezone ? zoneOffsetMinutes(vtimezone, local) : null;
+    if (offset === null) return { dateTime: local, timeZone: getTimeZone() };
+    return { dateTime: `${local}${formatOffset(offset)}` };
+}
+
+function toRecurrenceLine(property, timezones) {
+    const tzid = property.params.TZID;
+    const timeZone = tzid && toIanaZone(tzid, timezones.get(tzid));
+    if (property.name === 'RRULE' || property.name === 'EXRULE' || !tzid || timeZone) {
+        const params = Object.entries({ ...property.params, ...(timeZone ? { TZID: timeZone } : {}) }).map(([key, value]) => `;${key}=${value}`).join('');
+        return `${property.name}${params}:${property.value}`;
+    }
+    // Dates in a zone the Calendar API wouldn't know are rewritten in UTC.
+    const values = property.value.split(',').map((value) => {
+        const time = toEventTime({ value, params: { TZID: tzid } }, timezones);
+        return time?.dateTime ? formatUtc(new Date(time.dateTime)) : value;
+    });
+    return `${property.name}:${values.join(',')}`;
+}
+
+/**
+ * The IANA name of a file's zone: the TZID itself, its Windows equivalent, an
+ * IANA name it ends with ("/citadel.org/20190914_1/Europe/Berlin") or the
+ * X-LIC-LOCATION of its VTIMEZONE. Null when none is known.
+ */
+function toIanaZone(tzid, vtimezone) {
+    const candidates = [
+        tzid,
+        WINDOWS_ZONES[tzid],
+        /[A-Za-z]+\/[A-Za-z_+-]+(?:\/[A-Za-z_+-]+)?$/.exec(tzid)?.[0],
+        vtimezone && getProperty(vtimezone, 'X-LIC-LOCATION')?.value,
+    ];
+    return candidates.find(name => name && isIanaZone(name)) || null;
+}
+
+// The Etc/GMT zone of a whole-hour offset in a dateTime such as "…T10:00:00+04:00"; its sign is inverted.
+function fixedOffsetZone(dateTime) {
+    const match = /([+-])(\d{2}):00$/.exec(dateTime);
+    if (!match) return null;
+    const hours = Number(match[2]);
+    return hours === 0 ? 'Etc/UTC' : `Etc/GMT${match[1] === '+' ? '-' : '+'}${hours}`;
+}
+
+function isIanaZone(name) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: name });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * UTC offset in minutes of a VTIMEZONE at a local wall-clock time: the
+ * STANDARD or DAYLIGHT observance with the latest onset before that time wins.
+ * Only yearly RRULEs with BYMONTH/BYDAY are followed, which covers real files.
+ */
+function zoneOffsetMinutes(vtimezone, local) {
+    const time = wallClockMs(local);
+    const year = Number(local.slice(0, 4));
+    let best = null;
+    vtimezone.children.filter(component => component.name === 'STANDARD' || component.name === 'DAYLIGHT').forEach((observance) => {
+        const offset = parseOffset(getProperty(observance, 'TZOFFSETTO')?.value);
+        const dtstart = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})/.exec(getProperty(observance, 'DTSTART')?.value || '');
+        if (offset === null || !dtstart) return;
+        const rule = getProperty(observance, 'RRULE')?.value;
+        const onsets = rule
+            ? [year - 1, year].map(onsetYear => yearlyOnset(rule, onsetYear, dtstart)).filter(onset => onset !== null)
+            : [Date.UTC(Number(dtstart[1]), Number(dtstart[2]) - 1, Number(dtstart[3]), Number(dtstart[4]), Number(dtstart[5]))];
+        onsets.filter(onset => onset <= time).forEach((onset) => {
+            if (!best || onset > best.onset) best = { onset, offset };
+        });
+    });
+    return best ? best.offset : null;
+}
+
+// Onset of a rule like FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU in the given year, as wall-clock milliseconds.
+function yearlyOnset(rule, year, dtstart) {
+    const parts = Object.fromEntries(rule.split(';').map(part => part.split('=')));
+    const month = Number(parts.BYMONTH || dtstart[2]) - 1;
+    const hour = Number(dtstart[4]);
+    const minute = Number(dtstart[5]);
+    if (parts.UNTIL && year > Number(parts.UNTIL.slice(0, 4))) return null;
+    const byDay = /^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(parts.BYDAY || '');
+    if (!byDay) return Date.UTC(year, month, Number(parts.BYMONTHDAY || dtstart[3]), hour, minute);
+    const weekday = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'].indexOf(byDay[2]);
+    const nth = Number(byDay[1] || 1);
+    if (nth > 0) {
+        const first = new Date(Date.UTC(year, month, 1)).getUTCDay();
+        return Date.UTC(year, month, 1 + ((weekday - first + 7) % 7) + (nth - 1) * 7, hour, minute);
+    }
+    const lastDay = new Date(Date.UTC(year, month + 1, 0));
+    const day = lastDay.getUTCDate() - ((lastDay.getUTCDay() - weekday + 7) % 7) + (nth + 1) * 7;
+    return Date.UTC(year, month, day, hour, minute);
+}
+
+function wallClockMs(local) {
+    const [date, time] = local.split('T');
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute, second] = time.split(':').map(Number);
+    return Date.UTC(year, month - 1, day, hour, minute, second);
+}
+
+function parseOffset(value) {
+    const match = /^([+-])(\d{2})(\d{2})/.exec(value || '');
+    if (!match) return null;
+    return (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3]));
+}
+
+function formatOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const absolute = Math.abs(minutes);
+    return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+}
+
+// Adds an RFC 5545 duration ("PT1H30M", "P1D", "P2W") to a Calendar API time, keeping its form.
+function addDuration(time, duration) {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(duration.trim());
+    const [, sign, weeks, days, hours, minutes, seconds] = match || [];
+    const total = (sign === '-' ? -1 : 1) * (((Number(weeks || 0) * 7 + Number(days || 0)) * 24 + Number(hours || 0)) * 3600
+        + Number(minutes || 0) * 60 + Number(seconds || 0)) * 1000;
+    if (time.date) {
+        const end = new Date(wallClockMs(`${time.date}T00:00:00`) + total);
+        return { date: end.toISOString().slice(0, 10) };
+    }
+    // The wall-clock part is shifted and the zone or offset suffix kept as it was.
+    const local = time.dateTime.slice(0, 19);
+    const suffix = time.dateTime.slice(19);
+    const end = new Date(wallClockMs(local) + total).toISOString().slice(0, 19);
+    return { ...time, dateTime: `${end}${suffix}` };
+}
+
+function unescapeText(value) {
+    return value.replace(/\\([nN,;\\])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// --- Writing ---
+
+function escapeText(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function formatUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Recurring events keep their zone so the series follows its daylight-saving changes; the rest is written in UTC.
+function formatTimeProperty(name, time, recurrence) {
+    if (time.date) return `${name};VALUE=DATE:${time.date.replace(/-/g, '')}`;
+    if (recurrence?.length && time.timeZone && isIanaZone(time.timeZone)) {
+        return `${name};TZID=${time.timeZone}:${formatWallClock(new Date(time.dateTime), time.timeZone)}`;
+    }
+    return `${name}:${formatUtc(new Date(time.dateTime))}`;
+}
+
+function formatWallClock(date, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }).formatToParts(date).map(part => [part.type, part.value]));
+    return `${parts.year}${parts.month}${parts.day}T${parts.hour}${parts.minute}${parts.second}`;
+}
+
+// Lines longer than 75 octets are folded; continuation lines start with a space.
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    if (encoder.encode(line).length <= MAX_LINE_OCTETS) return line;
+    const folded = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const charSize = encoder.encode(char).length;
+        const limit = folded.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (size + charSize > limit) {
+            folded.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += charSize;
+    }
+    folded.push(current);
+    return folded.join('\r\n ');
+}
@@ -4,23 +4,95 @@
  * SPDX-License-Identifier: Apache-2.0
  */
 
-import { GoogleGenAI, Type } from '@google/genai';
-import { marked } from 'marked';
+import { getGapi, getIdentity, createGemini } from './api-clients.js';
+import { setAuthHandlers, initTokenClient, requestAccessToken, refreshAccessToken, restoreSavedToken, forgetToken, expireSession, isSignInError, googleApi } from './google-auth.js';
+import { getFunctionDeclarations, executeTool } from './tool-registry.js';
+import { registerAssistantTools } from './assistant-tools.js';
+import { runAgentLoop } from './agent-loop.js';
+import { findFreeSlots, findOverlappingEvents, findTravelGaps, isBusyEvent, startOfZonedDay } from './scheduling.js';
+import { describeRecurrence, isValidRecurrenceLine, truncateRecurrence, continueRecurrence } from './recurrence.js';
+import { SafeHtml, html, trustedHtml, renderMarkdown, sanitizeHtml, safeUrl, imageDataUrl, safeColor } from './safe-html.js';
+import { createSession, saveSession, getSession, listSessions, deleteSession, deleteAllSessions, searchSessions, sessionToMarkdown, sessionToJson } from './chat-store.js';
+import {
+    getCachedEvent, updateCachedEvents, getCachedTasks, saveCachedTasks, getCachedValue, saveCachedValue, getOutboxEntry, countOutbox, clearOfflineData,
+} from './offline-store.js';
+import { isOffline, syncCalendars, listCachedEvents, queueOfflineChange, flushOutbox as flushQueuedChanges, resolveOutboxConflict, writableEventFields } from './offline-sync.js';
+import { LIVE_API_PATH, liveApiUrl, connectWebSocket, startLiveSession } from './live-session.js';
+import { startMicrophone, createAudioPlayer } from './live-audio.js';
+import { CONFIDENCE_THRESHOLD, EXTRACTION_SCHEMA, buildExtractionPrompt, parseExtractedItems } from './event-extraction.js';
+import { parseIcs, serializeIcs } from './ics.js';
+import { normalizeName, nameMatches, mergeCandidates } from './contacts.js';
+import { MIN_PASSPHRASE_LENGTH, hasEncryptedCredentials, loadPlainCredentials, unlockCredentials, saveCredentials } from './credentials.js';
+import { isSpeechSupported, listVoices, onVoicesChanged, speak, stopSpeaking, markdownToSpeech, markupToSpeech } from './speech.js';
+import { KNOWN_MODELS, KNOWN_LIVE_MODELS, MODEL_USES, MAX_TEMPERATURE, loadModelSettings, saveModelSettings, normalizeModelSettings, isValidModelName, generationConfig } from './model-settings.js';
+import { LANGUAGES, t, applyTranslations, getLanguage, getLocale, getSpeechLocale, getTimeZone, getWeekStart, getWeekdayLabels, toZonedIsoString } from './i18n.js';
 
 // --- Configuration ---
-const SCOPES = "https://www.googleapis.com/auth/calendar https://www.googleapis.com/auth/tasks https://www.googleapis.com/auth/userinfo.profile https://www.googleapis.com/auth/userinfo.email https://www.googleapis.com/auth/contacts.readonly";
+const SCOPES = "https://www.googleapis.com/auth/calendar https://www.googleapis.com/auth/tasks https://www.googleapis.com/auth/userinfo.profile https://www.googleapis.com/auth/userinfo.email https://www.googleapis.com/auth/contacts.readonly https://www.googleapis.com/auth/contacts.other.readonly";
+// Week view geometry: pixel height of one hour and drag/resize granularity.
+const HOUR_HEIGHT_PX = 48;
+const SNAP_MINUTES = 15;
+// How many days the agenda view loads at a time.
+const AGENDA_PAGE_DAYS = 30;
+// Model behind the real-time voice conversation (Gemini Live API).
+// Files bigger than this can't be sent inline with a request.
+const MAX_ATTACHMENT_BYTES = 15 * 1024 * 1024;
+// How long a downloaded file's object URL is kept before it is released.
+const DOWNLOAD_URL_LIFETIME_MS = 60000;
+// Most events an .ics export takes from each calendar (one page of the Calendar API).
+const ICS_EXPORT_MAX_RESULTS = 2500;
+// Morning briefing: less time than this between events at different places is flagged.
+const TRAVEL_GAP_MINUTES = 30;
+// Reminder notifications: how often they are checked, how often and how far ahead events are loaded.
+const NOTIFICATION_CHECK_MS = 60000;
+const NOTIFICATION_REFRESH_MS = 15 * 60000;
+const NOTIFICATION_WINDOW_HOURS = 24;
+// Scheduling conflicts: how many free slots to offer instead, searched from the requested day over this many days.
+const CONFLICT_SLOT_COUNT = 3;
+const CONFLICT_SEARCH_DAYS = 2;
+// Attendee lookup: how many people to offer for an ambiguous name, how far back past meetings are searched.
+const CONTACT_CANDIDATE_LIMIT = 5;
+const PAST_ATTENDEE_DAYS = 365;
+// How long the "undo" button stays available after a destructive action.
+const UNDO_WINDOW_MS = 30000;
+// Chat sessions: title taken from the first message, and how long to batch changes before saving.
+const SESSION_TITLE_LENGTH = 60;
+const SESSION_SAVE_DELAY_MS = 300;
+// Offline copy: how long to batch redraws before syncing.
+const EVENT_SYNC_DELAY_MS = 5000;
+// What a change to one occurrence of a recurring event applies to.
+const RECURRENCE_SCOPES = [
+    { value: 'this', label: t('recurrenceScope.this') },
+    { value: 'following', label: t('recurrenceScope.following') },
+    { value: 'all', label: t('recurrenceScope.all') },
+];
 
 // --- State Management ---
 const appState = {
     ai: null,
+    credentials: { geminiApiKey: '', googleClientId: '' }, // read or unlocked at startup, see credentials.js
+    modelSettings: loadModelSettings(), // models per use and generation parameters, see model-settings.js
     gapiInited: false,
     gisInited: false,
-    tokenClient: null,
     isSignedIn: false,
     chatHistory: [],
+    currentSession: null, // ChatSession being shown, created with the first message
+    isProcessing: false,
+    abortController: null, // stops the request in progress
+    liveConversation: null, // voice conversation in progress, see startLiveConversation
+    voiceInput: false, // the text in the input came from the mic button
+    notificationTimer: null,
+    peopleSearchReady: false, // the People API search cache has been warmed up
     currentDisplayedDate: new Date(),
     currentView: 'chat',
-    attachedImages: [],
+    calendarMode: 'month',
+    agendaLoadedUntil: null,
+    attachments: [], // { data, type, name } images and PDFs for the next message
+    taskLists: [],
+    selectedTaskListId: '@default',
+    calendars: [],
+    drawerEvent: null, // { calendarId, event } shown in the event drawer
+    hiddenCalendarIds: JSON.parse(localStorage.getItem('hiddenCalendarIds') || '[]'),
 };
 
 // --- DOM Elements ---
@@ -30,17 +102,41 @@ const dom = {
     // Header
     authStatusContainer: document.getElementById('auth-status-container'),
     settingsButton: document.getElementById('settings-button'),
+    connectionStatus: document.getElementById('connection-status'),
+    historyButton: document.getElementById('history-button'),
     // Chat
     messageList: document.getElementById('message-list'),
     chatTextInput: document.getElementById('chat-text-input'),
     micButtonChat: document.getElementById('mic-button-chat'),
     sendButtonChat: document.getElementById('send-button-chat'),
+    stopButtonChat: document.getElementById('stop-button-chat'),
+    liveButtonChat: document.getElementById('live-button-chat'),
+    liveStatus: document.getElementById('live-status'),
+    liveStatusText: document.getElementById('live-status-text'),
+    liveStopButton: document.getElementById('live-stop-button'),
     cameraButtonChat: document.getElementById('camera-button-chat'),
+    captureButtonChat: document.getElementById('capture-button-chat'),
     imageUploadInputChat: document.getElementById('image-upload-input-chat'),
+    attachmentTray: document.getElementById('attachment-tray'),
+    attachmentList: document.getElementById('attachment-list'),
+    extractEventsButton: document.getElementById('extract-events-button'),
+    icsExportDetails: document.getElementById('ics-export-details'),
+    icsExportFrom: document.getElementById('ics-export-from'),
+    icsExportTo: document.getElementById('ics-export-to'),
+    icsExportButton: document.getElementById('ics-export-button'),
+    icsImportButton: document.getElementById('ics-import-button'),
+    icsImportInput: document.getElementById('ics-import-input'),
+    cameraModal: document.getElementById('camera-modal'),
+    cameraPreview: document.getElementById('camera-preview'),
+    cameraShutterButton: document.getElementById('camera-shutter-button'),
+    closeCameraButton: document.getElementById('close-camera-button'),
     loadingIndicator: document.getElementById('loading-indicator'),
     welcomeScreen: document.getElementById('welcome-screen'),
     welcomeSubheading: document.getElementById('welcome-subheading'),
     suggestionChipsContainer: document.getElementById('suggestion-chips-container'),
+    briefingCard: document.getElementById('briefing-card'),
+    briefingContent: document.getElementById('briefing-content'),
+    refreshBriefingButton: document.getElementById('refresh-briefing-button'),
     // Calendar
     calendarLoginPrompt: document.getElementById('calendar-login-prompt'),
     calendarViewContainer: document.getElementById('calendar-view-container'),
@@ -48,10 +144,29 @@ const dom = {
     nextMonthButton: document.getElementById('next-month-button'),
     todayButton: document.getElementById('today-button'),
     currentMonthYear: document.getElementById('current-month-year'),
+    calendarModeSwitcher: document.getElementById('calendar-mode-switcher'),
+    monthGrid: document.getElementById('month-grid'),
+    weekView: document.getElementById('week-view'),
+    agendaView: document.getElementById('agenda-view'),
+    dailyEventsContainer: document.getElementById('daily-events-container'),
     calendarGridWeekdays: document.getElementById('calendar-grid-weekdays'),
     calendarGridDays: document.getElementById('calendar-grid-days'),
     dailyEventsHeader: document.getElementById('daily-events-header'),
     dailyEventsList: document.getElementById('daily-events-list'),
+    calendarList: document.getElementById('calendar-list'),
+    taskListSelect: document.getElementById('task-list-select'),
+    tasksList: document.getElementById('tasks-list'),
+    // Sessions Drawer
+    sessionsDrawer: document.getElementById('sessions-drawer'),
+    closeSessionsDrawerButton: document.getElementById('close-sessions-drawer-button'),
+    newChatButton: document.getElementById('new-chat-button'),
+    sessionsSearchInput: document.getElementById('sessions-search-input'),
+    sessionsList: document.getElementById('sessions-list'),
+    // Event Drawer
+    eventDrawer: document.getElementById('event-drawer'),
+    eventDrawerTitle: document.getElementById('event-drawer-title'),
+    eventDrawerBody: document.getElementById('event-drawer-body'),
+    closeEventDrawerButton: document.getElementById('close-event-drawer-button'),
     // Settings Modal
     settingsModal: document.getElementById('settings-modal'),
     closeSettingsButton: document.getElementById('close-settings-button'),
@@ -59,7 +174,43 @@ const dom = {
     resetAppButton: document.getElementById('reset-app-button'),
     settingsGeminiApiKey: document.getElementById('settings-gemini-api-key'),
     settingsGoogleClientId: document.getElementById('settings-google-client-id'),
+    settingsGeminiMode: document.getElementById('settings-gemini-mode'),
+    settingsGeminiProxyUrl: document.getElementById('settings-gemini-proxy-url'),
+    geminiKeyField: document.getElementById('gemini-key-field'),
+    geminiProxyField: document.getElementById('gemini-proxy-field'),
+    settingsEncryptCredentials: document.getElementById('settings-encrypt-credentials'),
+    settingsCredentialPassphrase: document.getElementById('settings-credential-passphrase'),
+    credentialPassphraseField: document.getElementById('credential-passphrase-field'),
+    // Unlock Modal
+    unlockModal: document.getElementById('unlock-modal'),
+    conflictModal: document.getElementById('conflict-modal'),
+    conflictModalContent: document.getElementById('conflict-modal-content'),
+    unlockForm: document.getElementById('unlock-form'),
+    unlockPassphrase: document.getElementById('unlock-passphrase'),
+    unlockStatus: document.getElementById('unlock-status'),
+    unlockButton: document.getElementById('unlock-button'),
+    unlockResetButton: document.getElementById('unlock-reset-button'),
     authContainerSettings: document.getElementById('auth-container-settings'),
+    settingsSpeechMode: document.getElementById('settings-speech-mode'),
+    settingsSpeechVoice: document.getElementById('settings-speech-voice'),
+    settingsSpeechRate: document.getElementById('settings-speech-rate'),
+    settingsSpeechRateValue: document.getElementById('settings-speech-rate-value'),
+    testSpeechButton: document.getElementById('test-speech-button'),
+    settingsBriefingEnabled: document.getElementById('settings-briefing-enabled'),
+    settingsNotificationsEnabled: document.getElementById('settings-notifications-enabled'),
+    settingsNotificationLead: document.getElementById('settings-notification-lead'),
+    settingsTaskNotificationTime: document.getElementById('settings-task-notification-time'),
+    settingsModelInputs: document.querySelectorAll('[data-model-use]'),
+    settingsModelList: document.getElementById('gemini-model-list'),
+    settingsLiveModel: document.getElementById('settings-model-live'),
+    settingsLiveModelList: document.getElementById('gemini-live-model-list'),
+    settingsTemperature: document.getElementById('settings-temperature'),
+    settingsThinkingBudget: document.getElementById('settings-thinking-budget'),
+    settingsCustomInstructions: document.getElementById('settings-custom-instructions'),
+    settingsLanguage: document.getElementById('settings-language'),
+    settingsSpeechLanguage: document.getElementById('settings-speech-language'),
+    settingsWeekStart: document.getElementById('settings-week-start'),
+    settingsTimeZone: document.getElementById('settings-time-zone'),
     // Instructions Modal
     instructionsModal: document.getElementById('instructions-modal'),
     showApiClientIdInstructions: document.getElementById('show-client-id-instructions'),
@@ -79,7 +230,7 @@ let isRecognizing = false;
 if (SpeechRecognition) {
     recognition = new SpeechRecognition();
     recognition.continuous = false;
-    recognition.lang = 'ru-RU';
+    recognition.lang = getSpeechLocale();
     recognition.interimResults = false;
     recognition.maxAlternatives = 1;
 }
@@ -96,25 +247,43 @@ const gisReady = new Promise(resolve => {
 
 // --- Initialization ---
 async function initializeApp() {
+    setAuthHandlers({
+        isSignedIn: () => appState.isSignedIn,
+        isOffline,
+        onSignIn: () => updateUiForAuthState(true),
+        onSignInFailed: (message) => {
+            appendMessage('error', t('auth.error', { message: message || t('auth.errorTryAgain') }));
+            updateUiForAuthState(false);
+        },
+        onSessionExpired: () => {
+            handleSignOutClick();
+            appendMessage('error', t('auth.sessionExpired'));
+        },
+    });
+    applyTranslations();
     setupEventListeners();
+    renderLocaleSettings();
+    renderSpeechSettings();
+    renderNotificationSettings();
+    registerServiceWorker();
+    updateConnectionStatus();
 
-    const geminiApiKey = localStorage.getItem('geminiApiKey');
-    const googleClientId = localStorage.getItem('googleClientId');
+    appState.credentials = loadPlainCredentials() || await promptUnlock();
+    renderCredentialSettings();
+    renderModelSettings();
 
-    if (geminiApiKey) dom.settingsGeminiApiKey.value = geminiApiKey;
-    if (googleClientId) dom.settingsGoogleClientId.value = googleClientId;
-
-    if (!geminiApiKey || !googleClientId) {
+    if (!hasGeminiAccess() || !appState.credentials.googleClientId) {
         setMainUiEnabled(false);
         showModal(dom.settingsModal);
     } else {
         try {
-            appState.ai = new GoogleGenAI({ apiKey: geminiApiKey });
+            appState.ai = createGeminiClient();
             setMainUiEnabled(true);
-            await initializeGoogleServices();
+            // Offline the Google scripts can't start; handleConnectionRestored does it later.
+            if (!isOffline()) await initializeGoogleServices();
         } catch (error) {
             console.error("Failed to initialize Gemini AI:", error);
-            appendMessage('error', "Не удалось инициализировать Gemini. Проверьте ваш API ключ.");
+            appendMessage('error', t('error.geminiInit'));
             setMainUiEnabled(false);
             showModal(dom.settingsModal);
         }
@@ -122,12 +291,13 @@ async function initializeApp() {
     
     // Initial UI state before we know if signed in
     updateUiForAuthState(false); 
+    restoreSignIn();
 }
 
 async function initializeGoogleServices() {
     if (appState.gapiInited && appState.gisInited) return;
 
-    const googleClientId = localStorage.getItem('googleClientId');
+    const googleClientId = appState.credentials.googleClientId;
     if (!googleClientId) {
         console.warn("Google Client ID не найден. Пожалуйста, укажите его в настройках, чтобы включить интеграцию с Google.");
         return;
@@ -135,8 +305,8 @@ async function initializeGoogleServices() {
 
     try {
         await gapiReady;
-        await new Promise((resolve, reject) => gapi.load('client', { callback: resolve, onerror: reject }));
-        await gapi.client.init({
+        await new Promise((resolve, reject) => getGapi().load('client', { callback: resolve, onerror: reject }));
+        await getGapi().client.init({
             discoveryDocs: [
                 "https://www.googleapis.com/discovery/v1/apis/calendar/v3/rest",
                 "https://www.googleapis.com/discovery/v1/apis/tasks/v1/rest",
@@ -146,22 +316,191 @@ async function initializeGoogleServices() {
         appState.gapiInited = true;
 
         await gisReady;
-        appState.tokenClient = google.accounts.oauth2.initTokenClient({
-            client_id: googleClientId,
-            scope: SCOPES,
-            callback: handleTokenResponse,
-        });
+        initTokenClient(googleClientId, SCOPES);
         appState.gisInited = true;
     } catch (error) {
         console.error("Google API initialization error:", error);
-        appendMessage('error', "Не удалось инициализировать сервисы Google. Проверьте ваш Client ID и настройки в Google Cloud Console.");
+        appendMessage('error', t('error.googleInit'));
+    }
+}
+
+// --- Credentials ---
+// Gemini is reached either with the user's own key or through the team's proxy
+// (server/gemini-proxy.js), which adds the key on the server.
+function getGeminiMode() {
+    return localStorage.getItem('geminiMode') === 'proxy' ? 'proxy' : 'key';
+}
+
+function hasGeminiAccess() {
+    return getGeminiMode() === 'proxy' ? !!localStorage.getItem('geminiProxyUrl') : !!appState.credentials.geminiApiKey;
+}
+
+// A relative address such as "/gemini" points at the server the app is loaded from.
+function getGeminiProxyUrl(proxyUrl = localStorage.getItem('geminiProxyUrl')) {
+    return new URL(proxyUrl, window.location.href).href.replace(/\/+$/, '');
+}
+
+// The proxy address may be relative to the app ("/gemini") or a full http(s) URL.
+function isValidProxyUrl(proxyUrl) {
+    try {
+        return ['http:', 'https:'].includes(new URL(proxyUrl, window.location.href).protocol);
+    } catch {
+        return false;
+    }
+}
+
+// Defaults to the saved connection; the settings pass the one being saved, to test it first.
+function createGeminiClient({ mode = getGeminiMode(), apiKey = appState.credentials.geminiApiKey, proxyUrl = localStorage.getItem('geminiProxyUrl') } = {}) {
+    if (mode === 'key') return createGemini({ apiKey });
+    // The SDK insists on a key; the proxy drops this placeholder and uses its own.
+    return createGemini({ apiKey: 'proxy', httpOptions: { baseUrl: getGeminiProxyUrl(proxyUrl) } });
+}
+
+function geminiLiveUrl() {
+    if (getGeminiMode() === 'key') return liveApiUrl(appState.credentials.geminiApiKey);
+    return `${getGeminiProxyUrl().replace(/^http/, 'ws')}${LIVE_API_PATH}`;
+}
+
+/** Shows the unlock dialog until the passphrase opens the stored credentials. */
+function promptUnlock() {
+    showModal(dom.unlockModal);
+    dom.unlockPassphrase.focus();
+    return new Promise(resolve => {
+        dom.unlockForm.onsubmit = async (e) => {
+            e.preventDefault();
+            dom.unlockButton.disabled = true;
+            dom.unlockStatus.textContent = '';
+            try {
+                const credentials = await unlockCredentials(dom.unlockPassphrase.value);
+                dom.unlockForm.onsubmit = null;
+                dom.unlockPassphrase.value = '';
+                closeModal(dom.unlockModal);
+                resolve(credentials);
+            } catch (error) {
+                dom.unlockStatus.textContent = error.message;
+                dom.unlockPassphrase.select();
+            } finally {
+                dom.unlockButton.disabled = false;
+            }
+        };
+    });
+}
+
+function renderCredentialSettings() {
+    dom.settingsGoogleClientId.value = appState.credentials.googleClientId;
+    dom.settingsGeminiApiKey.value = appState.credentials.geminiApiKey;
+    dom.settingsGeminiMode.value = getGeminiMode();
+    dom.settingsGeminiProxyUrl.value = localStorage.getItem('geminiProxyUrl') || '';
+    dom.settingsEncryptCredentials.checked = hasEncryptedCredentials();
+    updateCredentialFields();
+}
+
+function updateCredentialFields() {
+    dom.geminiKeyField.hidden = dom.settingsGeminiMode.value !== 'key';
+    dom.geminiProxyField.hidden = dom.settingsGeminiMode.value !== 'proxy';
+    dom.credentialPassphraseField.hidden = !dom.settingsEncryptCredentials.checked;
+}
+
+async function saveCredentialSettings() {
+    const mode = dom.settingsGeminiMode.value;
+    const proxyUrl = dom.settingsGeminiProxyUrl.value.trim();
+    const credentials = {
+        // The key of a browser that switched to the proxy is not kept around.
+        geminiApiKey: mode === 'key' ? dom.settingsGeminiApiKey.value.trim() : '',
+        googleClientId: dom.settingsGoogleClientId.value.trim(),
+    };
+    const passphrase = dom.settingsEncryptCredentials.checked ? dom.settingsCredentialPassphrase.value : '';
+    if (mode === 'key' && !credentials.geminiApiKey) { alert(t('settings.alert.apiKeyRequired')); return; }
+    if (mode === 'proxy' && !proxyUrl) { alert(t('settings.alert.proxyUrlRequired')); return; }
+    if (mode === 'proxy' && !isValidProxyUrl(proxyUrl)) { alert(t('settings.alert.invalidProxyUrl', { url: proxyUrl })); return; }
+    if (!credentials.googleClientId) { alert(t('settings.alert.clientIdRequired')); return; }
+    if (dom.settingsEncryptCredentials.checked && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        alert(t('settings.alert.passphraseTooShort', { count: MIN_PASSPHRASE_LENGTH }));
+        return;
+    }
+    const invalidModel = [...dom.settingsModelInputs, dom.settingsLiveModel].map(input => input.value.trim()).find(name => name && !isValidModelName(name));
+    if (invalidModel) { alert(t('settings.alert.invalidModel', { model: invalidModel })); return; }
+    const modelSettings = readModelSettings();
+
+    dom.saveSettingsButton.disabled = true;
+    dom.saveSettingsButton.textContent = t('settings.testing');
+    let failure;
+    try {
+        failure = await testModelSettings(createGeminiClient({ mode, apiKey: credentials.geminiApiKey, proxyUrl }), modelSettings);
+    } catch (error) {
+        // Creating the client can fail as well, before any model is asked.
+        failure = { model: modelSettings.models.chat, error };
+    } finally {
+        dom.saveSettingsButton.textContent = t('settings.save');
     }
+    if (failure) {
+        alert(t('settings.alert.testFailed', { model: failure.model, message: failure.error.message }));
+        dom.saveSettingsButton.disabled = false;
+        return;
+    }
+    try {
+        await saveCredentials(credentials, passphrase);
+    } catch (error) {
+        console.error('Save Credentials Error:', error);
+        alert(t('settings.alert.saveCredentialsFailed', { message: error.message }));
+        dom.saveSettingsButton.disabled = false;
+        return;
+    }
+    localStorage.setItem('geminiMode', mode);
+    if (mode === 'proxy') localStorage.setItem('geminiProxyUrl', proxyUrl);
+    else localStorage.removeItem('geminiProxyUrl');
+    saveModelSettings(modelSettings);
+
+    alert(t('settings.alert.savedReloading'));
+    window.location.reload();
+}
+
+// --- Model Settings ---
+function renderModelSettings() {
+    const settings = appState.modelSettings;
+    dom.settingsModelList.innerHTML = html`${KNOWN_MODELS.map(model => html`<option value="${model}"></option>`)}`;
+    dom.settingsModelInputs.forEach(input => { input.value = settings.models[input.dataset.modelUse]; });
+    dom.settingsLiveModelList.innerHTML = html`${KNOWN_LIVE_MODELS.map(model => html`<option value="${model}"></option>`)}`;
+    dom.settingsLiveModel.value = settings.liveModel;
+    dom.settingsTemperature.max = String(MAX_TEMPERATURE);
+    dom.settingsTemperature.value = settings.temperature === null ? '' : String(settings.temperature);
+    dom.settingsThinkingBudget.value = settings.thinkingBudget === null ? '' : String(settings.thinkingBudget);
+    dom.settingsCustomInstructions.value = settings.customInstructions;
+}
+
+function readModelSettings() {
+    return normalizeModelSettings({
+        models: Object.fromEntries([...dom.settingsModelInputs].map(input => [input.dataset.modelUse, input.value])),
+        liveModel: dom.settingsLiveModel.value,
+        temperature: dom.settingsTemperature.value,
+        thinkingBudget: dom.settingsThinkingBudget.value,
+        customInstructions: dom.settingsCustomInstructions.value,
+    });
+}
+
+/**
+ * Sends a tiny request to every chosen model with the chosen parameters, so a
+ * wrong key, proxy address or model name shows up before anything is saved.
+ * @returns {Promise<{ model: string, error: Error } | null>} The first failure, if any.
+ */
+async function testModelSettings(ai, settings) {
+    const models = [...new Set(MODEL_USES.map(use => settings.models[use]))];
+    const results = await Promise.all(models.map(model => ai.models.generateContent({
+        model, contents: 'ping', config: generationConfig(settings),
+    }).then(() => null, error => ({ model, error }))));
+    return results.find(Boolean) || null;
 }
 
 // --- App Reset ---
-function resetApp() {
-    const isConfirmed = confirm("Вы уверены, что хотите сбросить все настройки? Ключи API и история чата будут удалены. Страница будет перезагружена.");
+async function resetApp() {
+    const isConfirmed = confirm(t('settings.confirmReset'));
     if (isConfirmed) {
+        try {
+            await deleteAllSessions();
+            await clearOfflineData();
+        } catch (err) {
+            console.error("Error deleting local data:", err);
+        }
         localStorage.clear();
         sessionStorage.clear();
         window.location.reload();
@@ -170,42 +509,74 @@ function resetApp() {
 
 // --- Authentication & UI Updates ---
 function handleAuthClick() {
-    if (!localStorage.getItem('googleClientId')) {
-        alert("Пожалуйста, укажите ваш Google Client ID в настройках.");
+    if (!appState.credentials.googleClientId) {
+        alert(t('auth.alert.clientIdMissing'));
         showModal(dom.settingsModal);
         return;
     }
-    if (!appState.gisInited || !appState.tokenClient) {
-        alert("Клиент авторизации Google еще не инициализирован. Пожалуйста, подождите или проверьте настройки Client ID.");
+    if (!appState.gisInited) {
+        alert(t('auth.alert.clientNotReady'));
         initializeGoogleServices(); 
         return;
     }
-    appState.tokenClient.requestAccessToken({ prompt: 'consent' });
+    requestAccessToken({ prompt: 'consent' }).catch(() => {});
 }
 
 function handleSignOutClick() {
-    const token = gapi.client.getToken();
+    forgetToken();
+    // After an offline start the Google client may never have been loaded.
+    const token = appState.gapiInited ? getGapi().client.getToken() : null;
     if (token !== null) {
-        google.accounts.oauth2.revoke(token.access_token, () => {
-            gapi.client.setToken(null);
+        getIdentity().oauth2.revoke(token.access_token, () => {
+            getGapi().client.setToken(null);
             updateUiForAuthState(false);
         });
     } else {
         updateUiForAuthState(false);
     }
-    appState.chatHistory = [];
-    dom.messageList.innerHTML = '';
+    startNewSession();
+    stopNotificationScheduler();
+    localStorage.removeItem('dailyBriefing');
+    localStorage.removeItem('attendeeChoices');
+    appState.peopleSearchReady = false;
+    dom.briefingCard.hidden = true;
+    appState.taskLists = [];
+    appState.selectedTaskListId = '@default';
+    appState.calendars = [];
+}
+
+// Signing out on purpose also removes the account's offline copy from this device.
+async function handleSignOutButtonClick() {
+    const pending = await countOutbox().catch(() => 0);
+    if (pending > 0 && !confirm(t('auth.confirmSignOutWithOutbox', { count: pending }))) return;
+    handleSignOutClick();
+    try {
+        await clearOfflineData();
+    } catch (err) {
+        console.error("Error deleting offline data:", err);
+    }
+    updateConnectionStatus();
 }
 
-async function handleTokenResponse(response) {
-    if (response.error) {
-        console.error('Google token error:', response);
-        appendMessage('error', `Ошибка авторизации: ${response.error_description || 'Попробуйте еще раз.'}`);
-        await updateUiForAuthState(false);
+/** Signs back in after a reload: reuses this tab's token or silently asks for a new one. */
+async function restoreSignIn() {
+    if (isOffline()) {
+        // Show the offline copy; a token is obtained once the connection is back.
+        if (localStorage.getItem('googleSignedIn')) await updateUiForAuthState(true);
         return;
     }
-    gapi.client.setToken(response);
-    await updateUiForAuthState(true);
+    if (!appState.gisInited) return;
+    if (restoreSavedToken()) {
+        await updateUiForAuthState(true);
+    } else if (localStorage.getItem('googleSignedIn')) {
+        // GIS only answers silently if the user has already granted access.
+        await refreshAccessToken().catch((error) => {
+            console.warn('Silent sign-in failed:', error);
+            forgetToken();
+            // Signed in from the offline copy, but the account can't be reached any more.
+            if (appState.isSignedIn) expireSession(error);
+        });
+    }
 }
 
 async function updateUiForAuthState(isSignedIn) {
@@ -215,21 +586,26 @@ async function updateUiForAuthState(isSignedIn) {
 
     if (isSignedIn) {
         try {
-            const profile = await gapi.client.request({ path: 'https://www.googleapis.com/oauth2/v1/userinfo?alt=json' });
-            const user = profile.result;
+            const user = isOffline()
+                ? await getCachedValue('profile')
+                : (await googleApi.request({ path: 'https://www.googleapis.com/oauth2/v1/userinfo?alt=json' })).result;
+            if (!user) throw new Error('No offline copy of the profile');
+            localStorage.setItem('googleAccountHint', user.email);
+            if (!isOffline()) await rememberOfflineAccount(user);
 
             // Header Dropdown
-            dom.authStatusContainer.innerHTML = `
-                <img src="${user.picture}" alt="Аватар пользователя" class="user-avatar" id="user-avatar-button">
+            const picture = safeUrl(user.picture);
+            dom.authStatusContainer.innerHTML = html`
+                <img src="${picture}" alt="${t('auth.avatarAlt')}" class="user-avatar" id="user-avatar-button">
                 <ul class="dropdown-menu" id="user-dropdown">
                   <li class="dropdown-header">
-                     <img src="${user.picture}" alt="Аватар пользователя">
+                     <img src="${picture}" alt="${t('auth.avatarAlt')}">
                      <div class="user-info"><strong>${user.name}</strong><span>${user.email}</span></div>
                   </li>
-                  <li><button class="dropdown-item" id="sign-out-dropdown"><span class="material-symbols-outlined">logout</span>Выйти</button></li>
+                  <li><button class="dropdown-item" id="sign-out-dropdown"><span class="material-symbols-outlined">logout</span>${t('auth.signOut')}</button></li>
                 </ul>`;
             document.getElementById('user-avatar-button').onclick = () => document.getElementById('user-dropdown')?.classList.toggle('show');
-            document.getElementById('sign-out-dropdown').onclick = handleSignOutClick;
+            document.getElementById('sign-out-dropdown').onclick = handleSignOutButtonClick;
             window.addEventListener('click', (e) => {
                 if (!dom.authStatusContainer.contains(e.target)) {
                     document.getElementById('user-dropdown')?.classList.remove('show');
@@ -237,30 +613,45 @@ async function updateUiForAuthState(isSignedIn) {
             });
 
             // Settings Modal
-            dom.authContainerSettings.innerHTML = `
+            dom.authContainerSettings.innerHTML = html`
                 <div class="settings-user-info">
-                    <img src="${user.picture}" alt="Аватар пользователя"><div class="settings-user-info-text"><strong>${user.name}</strong><small>${user.email}</small></div>
+                    <img src="${picture}" alt="${t('auth.avatarAlt')}"><div class="settings-user-info-text"><strong>${user.name}</strong><small>${user.email}</small></div>
                 </div>
-                <button id="sign-out-settings" class="action-button">Выйти</button>`;
-            document.getElementById('sign-out-settings').onclick = handleSignOutClick;
+                <button id="sign-out-settings" class="action-button">${t('auth.signOut')}</button>`;
+            document.getElementById('sign-out-settings').onclick = handleSignOutButtonClick;
 
             // Main UI
             dom.welcomeScreen.style.display = 'flex';
-            dom.welcomeSubheading.textContent = `Здравствуйте, ${user.name.split(' ')[0]}! Чем могу помочь?`;
+            dom.welcomeSubheading.textContent = t('welcome.greeting', { name: user.name.split(' ')[0] });
             generateDynamicSuggestions();
             dom.calendarLoginPrompt.style.display = 'none';
             dom.calendarViewContainer.style.display = 'grid';
+            await loadCalendarList();
             renderCalendar(appState.currentDisplayedDate);
             renderDailyEvents(appState.currentDisplayedDate);
+            renderTasksPanel();
+            showDailyBriefing();
+            startNotificationScheduler();
+            updateConnectionStatus();
+            // Changes made offline in an earlier visit go out as soon as possible.
+            if (!isOffline()) flushOutbox();
 
         } catch (error) {
-            console.error("Failed to fetch user profile, token might be expired.", error);
-            handleSignOutClick(); // Force sign out on error
+            console.error("Failed to set up the signed-in view:", error);
+            // Offline this only means there is no local copy yet; keep the sign-in for later.
+            if (isOffline()) { await updateUiForAuthState(false); return; }
+            // A failed request or a server error doesn't end the session; only an auth failure does.
+            if (isSignInError(error)) {
+                if (appState.isSignedIn) handleSignOutClick();
+                return;
+            }
+            appendMessage('error', t('auth.loadFailed', { message: (error.result?.error?.message) || error.message }));
+            renderAuthLoadFailed();
         }
     } else {
-        const signInButtonHtml = `<button id="auth-button" class="action-button primary"><span class="material-symbols-outlined">login</span> Войти через Google</button>`;
+        const signInButtonHtml = `<button id="auth-button" class="action-button primary"><span class="material-symbols-outlined">login</span> ${t('auth.signIn')}</button>`;
         dom.authStatusContainer.innerHTML = signInButtonHtml;
-        dom.authContainerSettings.innerHTML = `<p>Войдите для доступа к календарю и задачам.</p>${signInButtonHtml.replace('id="auth-button"', 'id="auth-button-settings"')}`;
+        dom.authContainerSettings.innerHTML = `<p>${t('auth.signInPrompt')}</p>${signInButtonHtml.replace('id="auth-button"', 'id="auth-button-settings"')}`;
         document.getElementById('auth-button').onclick = handleAuthClick;
         document.getElementById('auth-button-settings').onclick = handleAuthClick;
 
@@ -270,6 +661,19 @@ async function updateUiForAuthState(isSignedIn) {
     }
 }
 
+// Still signed in, but the account couldn't be loaded: offer to try again or to sign out.
+function renderAuthLoadFailed() {
+    const controls = suffix => html`
+        <button id="auth-retry-${suffix}" class="action-button"><span class="material-symbols-outlined">refresh</span> ${t('auth.retry')}</button>
+        <button id="sign-out-${suffix}" class="action-button"><span class="material-symbols-outlined">logout</span> ${t('auth.signOut')}</button>`;
+    dom.authStatusContainer.innerHTML = controls('header');
+    dom.authContainerSettings.innerHTML = html`<p>${t('auth.loadFailedPrompt')}</p><div>${controls('settings')}</div>`;
+    ['header', 'settings'].forEach((suffix) => {
+        document.getElementById(`auth-retry-${suffix}`).onclick = () => updateUiForAuthState(true);
+        document.getElementById(`sign-out-${suffix}`).onclick = handleSignOutButtonClick;
+    });
+}
+
 // --- UI Interaction ---
 function setMainUiEnabled(enabled) {
     dom.chatInputContainer.classList.toggle('disabled', !enabled);
@@ -295,20 +699,19 @@ function closeModal(modalElement) {
 
 // --- Calendar ---
 function renderCalendar(date) {
+    if (appState.calendarMode === 'week') { renderWeekView(date); return; }
+    if (appState.calendarMode === 'agenda') { renderAgendaView(date); return; }
     const year = date.getFullYear();
     const month = date.getMonth();
-    dom.currentMonthYear.textContent = date.toLocaleString('ru-RU', { month: 'long', year: 'numeric' });
+    dom.currentMonthYear.textContent = date.toLocaleString(getLocale(), { month: 'long', year: 'numeric' });
     dom.calendarGridDays.innerHTML = '';
     
-    if (dom.calendarGridWeekdays.innerHTML === '') {
-        ['Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб', 'Вс'].forEach(day => {
-            dom.calendarGridWeekdays.innerHTML += `<div class="weekday-header">${day}</div>`;
-        });
-    }
+    // Redrawn every time, since the first day of the week can change in the settings.
+    dom.calendarGridWeekdays.innerHTML = html`${getWeekdayLabels().map(day => html`<div class="weekday-header">${day}</div>`)}`;
 
     const firstDayOfMonth = new Date(year, month, 1).getDay();
     const daysInMonth = new Date(year, month + 1, 0).getDate();
-    const dayOffset = (firstDayOfMonth === 0) ? 6 : firstDayOfMonth - 1;
+    const dayOffset = (firstDayOfMonth - getWeekStart() + 7) % 7;
 
     for (let i = 0; i < dayOffset; i++) {
         dom.calendarGridDays.innerHTML += `<div class="day-cell other-month"></div>`;
@@ -338,34 +741,70 @@ function renderCalendar(date) {
         dom.calendarGridDays.appendChild(cell);
     }
     loadCalendarEvents(year, month);
+    loadTaskDots(year, month);
+    // Changes are usually followed by a redraw, so this keeps the offline copy current.
+    requestEventSync();
 }
 
 async function loadCalendarEvents(year, month) {
     if (!appState.isSignedIn) return;
     const timeMin = new Date(year, month, 1).toISOString();
-    const timeMax = new Date(year, month + 1, 0).toISOString();
+    const timeMax = new Date(year, month + 1, 1).toISOString();
     try {
-        const response = await gapi.client.calendar.events.list({
-            'calendarId': 'primary', 'timeMin': timeMin, 'timeMax': timeMax, 'showDeleted': false, 'singleEvents': true
+        const events = await listEventsFromCalendars(getVisibleCalendars(), {
+            'timeMin': timeMin, 'timeMax': timeMax, 'showDeleted': false, 'singleEvents': true
         });
         dom.calendarGridDays.querySelectorAll('.event-dot').forEach(dot => dot.remove());
-        response.result.items.forEach((event) => {
+        dom.calendarGridDays.querySelectorAll('.has-conflict').forEach(cell => cell.classList.remove('has-conflict'));
+        const eventsByDay = new Map();
+        events.forEach((event) => {
             const startDate = new Date(event.start.dateTime || event.start.date);
             if (startDate.getMonth() !== month) return;
             const dayOfMonth = startDate.getDate();
             const cell = dom.calendarGridDays.querySelector(`[data-day="${dayOfMonth}"]`);
-            if (cell && !cell.querySelector('.event-dot')) {
-                cell.innerHTML += `<div class="event-dot"></div>`;
+            if (!cell) return;
+            eventsByDay.set(cell, [...(eventsByDay.get(cell) || []), event]);
+            // One dot per calendar, at most three per day.
+            const dots = getDayDots(cell);
+            const color = getCalendarColor(event.calendarId);
+            const eventDots = [...dots.querySelectorAll('.event-dot')];
+            if (eventDots.length < 3 && !eventDots.some(dot => dot.dataset.calendarId === event.calendarId)) {
+                const dot = document.createElement('div');
+                dot.className = 'event-dot';
+                dot.dataset.calendarId = event.calendarId;
+                dot.style.backgroundColor = color;
+                dots.prepend(dot);
             }
         });
+        // Count badge and a tooltip with times, since dots alone say little.
+        eventsByDay.forEach((dayEvents, cell) => {
+            if (dayEvents.length > 1) cell.dataset.count = String(dayEvents.length);
+            const conflicts = findOverlappingEvents(dayEvents);
+            cell.classList.toggle('has-conflict', conflicts.length > 0);
+            cell.title = dayEvents.map(event => {
+                const time = event.start.dateTime ? new Date(event.start.dateTime).toLocaleTimeString(getLocale(), { hour: '2-digit', minute: '2-digit' }) : t('event.allDay');
+                return `${time} ${event.summary || t('event.untitled')}`;
+            }).concat(conflicts.map(([first, second]) => t('calendar.overlap', { first: first.summary || t('event.untitled'), second: second.summary || t('event.untitled') }))).join('\n');
+        });
     } catch (err) { console.error("Error loading calendar events:", err); }
 }
 
+// Container for the event and task markers under a day number.
+function getDayDots(cell) {
+    let dots = cell.querySelector('.day-dots');
+    if (!dots) {
+        dots = document.createElement('div');
+        dots.className = 'day-dots';
+        cell.appendChild(dots);
+    }
+    return dots;
+}
+
 async function renderDailyEvents(date) {
     appState.currentDisplayedDate = date;
-    dom.dailyEventsHeader.textContent = date.toLocaleDateString('ru-RU', { weekday: 'long', day: 'numeric', month: 'long' });
+    dom.dailyEventsHeader.textContent = date.toLocaleDateString(getLocale(), { weekday: 'long', day: 'numeric', month: 'long' });
     dom.dailyEventsHeader.dataset.date = date.toISOString();
-    dom.dailyEventsList.innerHTML = '<li>Загрузка...</li>';
+    dom.dailyEventsList.innerHTML = html`<li>${t('common.loading')}</li>`;
 
     if (!appState.isSignedIn) {
         dom.dailyEventsList.innerHTML = ''; return;
@@ -375,397 +814,3411 @@ async function renderDailyEvents(date) {
     const timeMax = new Date(date.setHours(23, 59, 59, 999)).toISOString();
 
     try {
-        const response = await gapi.client.calendar.events.list({
-            'calendarId': 'primary', 'timeMin': timeMin, 'timeMax': timeMax, 'showDeleted': false, 'singleEvents': true, 'orderBy': 'startTime'
+        const events = await listEventsFromCalendars(getVisibleCalendars(), {
+            'timeMin': timeMin, 'timeMax': timeMax, 'showDeleted': false, 'singleEvents': true, 'orderBy': 'startTime'
         });
         dom.dailyEventsList.innerHTML = '';
-        if (response.result.items.length === 0) {
-            dom.dailyEventsList.innerHTML = '<li>Нет событий на этот день.</li>';
+        if (events.length === 0) {
+            dom.dailyEventsList.innerHTML = html`<li>${t('calendar.noEventsForDay')}</li>`;
         } else {
-            response.result.items.forEach((event) => dom.dailyEventsList.appendChild(createEventElement(event)));
+            events.forEach((event) => dom.dailyEventsList.appendChild(createEventElement(event)));
+            annotateRecurringEvents();
         }
     } catch (err) {
         console.error("Error fetching daily events:", err);
-        dom.dailyEventsList.innerHTML = '<li>Не удалось загрузить события.</li>';
+        dom.dailyEventsList.innerHTML = html`<li>${t('calendar.loadEventsFailed')}</li>`;
     }
 }
 
 function createEventElement(event) {
     const li = document.createElement('li');
     li.className = 'event-item';
-    const startTime = (event.start.dateTime) ? new Date(event.start.dateTime).toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit' }) : 'Весь день';
-    li.innerHTML = `
-        <div class="event-color-indicator"></div>
+    const startTime = (event.start.dateTime) ? new Date(event.start.dateTime).toLocaleTimeString(getLocale(), { hour: '2-digit', minute: '2-digit' }) : t('event.allDay');
+    li.innerHTML = html`
+        <div class="event-color-indicator" style="background-color: ${getCalendarColor(event.calendarId)}"></div>
         <div class="event-details">
-            <h4 class="event-item-title">${event.summary || '(Без названия)'}</h4>
+            <h4 class="event-item-title">${event.summary || t('event.untitled')}</h4>
             <div class="event-item-time"><span class="material-symbols-outlined">schedule</span><span>${startTime}</span></div>
-            ${event.location ? `<div class="event-item-location"><span class="material-symbols-outlined">location_on</span><span>${event.location}</span></div>` : ''}
+            ${event.location ? html`<div class="event-item-location"><span class="material-symbols-outlined">location_on</span><span>${event.location}</span></div>` : ''}
+            ${(event.recurringEventId || event.recurrence) ? html`<div class="event-item-recurrence"><span class="material-symbols-outlined">repeat</span><span>${describeRecurrence(event.recurrence) || t('event.recurring')}</span></div>` : ''}
         </div>`;
+    li.dataset.eventId = event.id;
+    li.dataset.calendarId = event.calendarId;
+    if (event.recurringEventId) li.dataset.recurringEventId = event.recurringEventId;
     return li;
 }
 
-// --- Chat & Gemini ---
-async function generateDynamicSuggestions() {
-    if (!appState.ai) return;
-    try {
-        const prompt = `Создай 3 коротких, разнообразных примера-запроса для ассистента-календаря на русском языке. Ответ дай в виде JSON-массива строк. Включи запросы на поиск и создание. Пример: ["Какие у меня планы на завтра?", "Создай встречу с Анной в пятницу в 10 утра", "Найди все встречи по проекту 'Альфа'"]`;
-        const response = await appState.ai.models.generateContent({
-            model: "gemini-2.5-flash", contents: prompt, config: { responseMimeType: "application/json" }
-        });
-        const suggestions = JSON.parse(response.text.trim());
-        dom.suggestionChipsContainer.innerHTML = '';
-        suggestions.forEach((text) => {
-            const button = document.createElement('button');
-            button.className = 'suggestion-chip';
-            button.textContent = text;
-            dom.suggestionChipsContainer.appendChild(button);
-        });
-    } catch (error) {
-        console.error("Failed to generate suggestions:", error);
-        dom.suggestionChipsContainer.innerHTML = `
-            <button class="suggestion-chip">Создать встречу на завтра в 10 утра</button>
-            <button class="suggestion-chip">Какие у меня планы на пятницу?</button>
-            <button class="suggestion-chip">Напомни мне позвонить в сервис в 15:00</button>`;
+// Instances don't carry the rule itself, so it is read from the series once and cached.
+const recurrenceDescriptions = new Map();
+
+async function annotateRecurringEvents() {
+    // The offline copy only has single occurrences, not the series.
+    if (isOffline()) return;
+    const items = dom.dailyEventsList.querySelectorAll('[data-recurring-event-id]');
+    for (const item of items) {
+        const key = `${item.dataset.calendarId}/${item.dataset.recurringEventId}`;
+        try {
+            if (!recurrenceDescriptions.has(key)) {
+                const response = await googleApi.calendar.events.get({ calendarId: item.dataset.calendarId, eventId: item.dataset.recurringEventId });
+                recurrenceDescriptions.set(key, describeRecurrence(response.result.recurrence));
+            }
+            const label = recurrenceDescriptions.get(key);
+            if (label) item.querySelector('.event-item-recurrence span:last-child').textContent = label;
+        } catch (err) { console.error("Error loading recurrence:", err); }
     }
 }
 
-async function sendMessage(text, images = []) {
-    if (!text.trim() && images.length === 0) return;
-    if (!appState.ai) {
-        appendMessage('error', 'Ассистент не настроен. Пожалуйста, введите API ключ в настройках.');
-        showModal(dom.settingsModal); return;
-    }
-    if (!appState.isSignedIn) {
-        appendMessage('error', 'Пожалуйста, войдите в аккаунт Google, чтобы использовать эту функцию.'); return;
-    }
+// --- Week & Agenda Views ---
+function setCalendarMode(mode) {
+    appState.calendarMode = mode;
+    dom.calendarModeSwitcher.querySelectorAll('.mode-button').forEach(button => button.classList.toggle('active', button.dataset.mode === mode));
+    dom.calendarViewContainer.dataset.mode = mode;
+    dom.monthGrid.style.display = mode === 'month' ? '' : 'none';
+    dom.dailyEventsContainer.style.display = mode === 'month' ? '' : 'none';
+    dom.weekView.style.display = mode === 'week' ? '' : 'none';
+    dom.agendaView.style.display = mode === 'agenda' ? '' : 'none';
+    renderCalendar(appState.currentDisplayedDate);
+}
 
-    showLoading(true);
-    dom.welcomeScreen.style.opacity = '0';
-    setTimeout(() => { if (dom.welcomeScreen) dom.welcomeScreen.style.display = 'none'; }, 300);
+function shiftCalendarPeriod(direction) {
+    const date = new Date(appState.currentDisplayedDate);
+    if (appState.calendarMode === 'week') date.setDate(date.getDate() + 7 * direction);
+    else if (appState.calendarMode === 'agenda') date.setDate(date.getDate() + AGENDA_PAGE_DAYS * direction);
+    else date.setMonth(date.getMonth() + direction, 1);
+    appState.currentDisplayedDate = date;
+    renderCalendar(date);
+}
 
-    const userMessageContent = [];
-    if (images.length > 0) {
-        userMessageContent.push(...images.map(img => ({ inlineData: { mimeType: img.type, data: img.data } })));
-        const imagePrompt = text.trim() || 'Опиши это изображение и извлеки любую информацию, полезную для календаря или задач.';
-        userMessageContent.push({ text: imagePrompt });
-    } else {
-        userMessageContent.push({ text: text.trim() });
-    }
+function startOfWeek(date) {
+    const offset = (date.getDay() - getWeekStart() + 7) % 7;
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() - offset);
+}
 
-    appendMessage('user', text.trim(), images);
-    appState.chatHistory.push({ role: 'user', parts: userMessageContent });
-    dom.chatTextInput.value = '';
-    appState.attachedImages = [];
-    dom.chatTextInput.dispatchEvent(new Event('input', { bubbles: true }));
+async function renderWeekView(date) {
+    const weekStart = startOfWeek(date);
+    const days = Array.from({ length: 7 }, (_, i) => new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + i));
+    const weekEnd = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + 7);
+    const todayKey = toDateKey(new Date());
+    dom.currentMonthYear.textContent = `${days[0].toLocaleDateString(getLocale(), { day: 'numeric', month: 'short' })} – ${days[6].toLocaleDateString(getLocale(), { day: 'numeric', month: 'short', year: 'numeric' })}`;
 
-    const systemInstruction = `Ты — высокоинтеллектуальный ассистент по управлению Google Workspace. Твоя задача — точно и эффективно вызывать функции API в ответ на запросы пользователя.
-- **ПРАВИЛА:**
-- **ВСЕГДА ИСПОЛЬЗУЙ ФУНКЦИИ:** Если запрос можно выполнить с помощью функции, ты ОБЯЗАН вызвать ее. Не отвечай текстом, если можешь действовать.
-- **МНОГОШАГОВЫЕ ДЕЙСТВИЯ:** Если для выполнения запроса (например, "добавить Ивана на встречу") нужно сначала найти контакт, а потом обновить событие, вызывай функции последовательно.
-- **УТОЧНЕНИЕ:** Если не хватает критически важных данных (названия, времени), задай ОДИН короткий уточняющий вопрос.
-- **КОНТЕКСТ ВРЕМЕНИ:** Текущая дата: ${new Date().toISOString()}.
-- **ВИДЕОВСТРЕЧИ:** Для "звонок", "созвон", "meet", "онлайн" всегда устанавливай \`add_meet_link: true\`.
-- **ОБНОВЛЕНИЕ:** Для обновления события используй event_id и передавай только изменяемые поля.`;
-
-    const tools = [{ functionDeclarations: [
-        { name: 'create_calendar_event', description: 'Создает событие в Google Календаре.',
-            parameters: { type: Type.OBJECT, properties: {
-                summary: { type: Type.STRING, description: 'Название события.' },
-                description: { type: Type.STRING, description: 'Описание события.' },
-                start_time: { type: Type.STRING, description: 'Время начала в формате ISO 8601.' },
-                end_time: { type: Type.STRING, description: 'Время окончания в формате ISO 8601.' },
-                location: { type: Type.STRING, description: 'Место проведения.' },
-                attendees: { type: Type.ARRAY, items: { type: Type.STRING }, description: 'Массив email-адресов участников.' },
-                add_meet_link: { type: Type.BOOLEAN, description: 'Добавить ссылку Google Meet.' }
-            }, required: ['summary', 'start_time', 'end_time'] }
-        },
-        { name: 'find_events', description: 'Ищет события в календаре по дате или ключевому слову.',
-            parameters: { type: Type.OBJECT, properties: {
-                time_min: { type: Type.STRING, description: 'Начало периода поиска в ISO 8601.' },
-                time_max: { type: Type.STRING, description: 'Конец периода поиска в ISO 8601.' },
-                query: { type: Type.STRING, description: 'Ключевые слова для поиска в названии или описании.' }
-            }, required: [] }
-        },
-        { name: 'update_calendar_event', description: 'Обновляет существующее событие в календаре.',
-            parameters: { type: Type.OBJECT, properties: {
-                event_id: { type: Type.STRING, description: 'ID события для обновления.' },
-                summary: { type: Type.STRING, description: 'Новое название события.' },
-                start_time: { type: Type.STRING, description: 'Новое время начала в ISO 8601.' },
-                end_time: { type: Type.STRING, description: 'Новое время окончания в ISO 8601.' },
-                location: { type: Type.STRING, description: 'Новое место проведения.' },
-                attendees_to_add: { type: Type.ARRAY, items: { type: Type.STRING }, description: 'Массив email-адресов для добавления.' },
-            }, required: ['event_id'] }
-        },
-        { name: 'delete_calendar_event', description: 'Удаляет событие из календаря.',
-            parameters: { type: Type.OBJECT, properties: {
-                event_id: { type: Type.STRING, description: 'ID события для удаления.' }
-            }, required: ['event_id'] }
-        },
-        { name: 'create_task', description: 'Создает задачу в Google Задачах.',
-            parameters: { type: Type.OBJECT, properties: {
-                title: { type: Type.STRING, description: 'Название задачи.' },
-                notes: { type: Type.STRING, description: 'Описание задачи.' },
-                due: { type: Type.STRING, description: 'Срок выполнения в формате ISO 8601 (только дата).' }
-            }, required: ['title'] }
-        },
-        { name: 'find_contacts', description: 'Ищет контакты по имени для добавления в события.',
-             parameters: { type: Type.OBJECT, properties: {
-                name_query: { type: Type.STRING, description: 'Имя или часть имени для поиска.' }
-            }, required: ['name_query'] }
-        }
-    ] }];
+    const hourLabels = Array.from({ length: 24 }, (_, hour) => html`<div class="week-hour-label">${String(hour).padStart(2, '0')}:00</div>`);
+    dom.weekView.style.setProperty('--hour-height', `${HOUR_HEIGHT_PX}px`);
+    dom.weekView.innerHTML = html`
+        <div class="week-header">
+            <div class="time-gutter"></div>
+            ${days.map(day => html`<div class="week-day-header${toDateKey(day) === todayKey ? ' today' : ''}"><span>${day.toLocaleDateString(getLocale(), { weekday: 'short' })}</span><strong>${day.getDate()}</strong></div>`)}
+        </div>
+        <div class="week-all-day">
+            <div class="time-gutter"></div>
+            ${days.map(day => html`<div class="week-all-day-cell" data-date="${toDateKey(day)}"></div>`)}
+        </div>
+        <div class="week-body">
+            <div class="time-gutter">${hourLabels}</div>
+            ${days.map(day => html`<div class="week-column" data-date="${toDateKey(day)}"></div>`)}
+        </div>`;
+    // Open on the working part of the day rather than at midnight.
+    dom.weekView.querySelector('.week-body').scrollTop = 8 * HOUR_HEIGHT_PX;
 
+    if (!appState.isSignedIn) return;
     try {
-        const response = await appState.ai.models.generateContent({
-            model: 'gemini-2.5-flash',
-            contents: [...appState.chatHistory],
-            systemInstruction: { parts: [{ text: systemInstruction }] },
-            tools: tools,
+        const events = await listEventsFromCalendars(getVisibleCalendars(), {
+            'timeMin': weekStart.toISOString(), 'timeMax': weekEnd.toISOString(), 'showDeleted': false, 'singleEvents': true, 'orderBy': 'startTime'
         });
-
-        const modelResponsePart = response.candidates[0].content.parts[0];
-        if (modelResponsePart.functionCall) {
-            appendMessage('system', `Выполняю команду...`);
-            appState.chatHistory.push(response.candidates[0].content);
-            const { name, args } = modelResponsePart.functionCall;
-            let result;
-            // TODO: Handle multiple function calls in one response if the API supports it
-            if (name === 'create_calendar_event') result = await createCalendarEvent(args);
-            else if (name === 'create_task') result = await createTask(args);
-            else if (name === 'find_events') result = await findEvents(args);
-            else if (name === 'update_calendar_event') result = await updateCalendarEvent(args);
-            else if (name === 'delete_calendar_event') result = await deleteCalendarEvent(args);
-            else if (name === 'find_contacts') result = await findContacts(args);
-            // TODO: Send result back to model for summary
-        } else {
-            const text = response.text;
-            appendMessage('model', text);
-            appState.chatHistory.push({ role: 'model', parts: [{ text }] });
-        }
-    } catch (error) {
-        console.error('Gemini API Error:', error);
-        appendMessage('error', 'Произошла ошибка при обращении к Gemini. Проверьте ваш API ключ и попробуйте снова.');
-    } finally {
-        showLoading(false);
-    }
+        placeWeekEvents(events, days);
+    } catch (err) { console.error("Error loading week events:", err); }
 }
 
-// --- API Function Implementations ---
+function placeWeekEvents(events, days) {
+    days.forEach((day) => {
+        const dayKey = toDateKey(day);
+        const dayStart = day.getTime();
+        const dayEnd = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1).getTime();
+        const allDayCell = dom.weekView.querySelector(`.week-all-day-cell[data-date="${dayKey}"]`);
+        const column = dom.weekView.querySelector(`.week-column[data-date="${dayKey}"]`);
+        if (!allDayCell || !column) return;
 
-async function createCalendarEvent(args) {
-    try {
-        const event = {
-            'summary': args.summary, 'location': args.location, 'description': args.description,
-            'start': { 'dateTime': args.start_time, 'timeZone': Intl.DateTimeFormat().resolvedOptions().timeZone },
-            'end': { 'dateTime': args.end_time, 'timeZone': Intl.DateTimeFormat().resolvedOptions().timeZone },
-        };
-        if (args.attendees && args.attendees.length > 0) {
-            event.attendees = args.attendees.map(email => ({ email }));
+        const segments = [];
+        events.forEach((event) => {
+            if (!event.start.dateTime) {
+                // All-day end dates are exclusive.
+                if (event.start.date <= dayKey && dayKey < event.end.date) {
+                    const chip = document.createElement('div');
+                    chip.className = 'week-all-day-event';
+                    chip.dataset.eventId = event.id;
+                    chip.dataset.calendarId = event.calendarId;
+                    chip.style.backgroundColor = getCalendarColor(event.calendarId);
+                    chip.textContent = event.summary || t('event.untitled');
+                    allDayCell.appendChild(chip);
+                }
+                return;
+            }
+            const start = Date.parse(event.start.dateTime);
+            const end = Date.parse(event.end.dateTime);
+            if (start < dayEnd && end > dayStart) {
+                segments.push({ event, start: Math.max(start, dayStart), end: Math.min(end, dayEnd) });
+            }
+        });
+        assignLanes(segments);
+        segments.forEach(segment => column.appendChild(createWeekEventBlock(segment, dayStart)));
+    });
+}
+
+// Side-by-side layout for overlapping events: each gets a lane within its
+// group of mutually overlapping events.
+function assignLanes(segments) {
+    segments.sort((a, b) => a.start - b.start || b.end - a.end);
+    let group = [];
+    let lanes = [];
+    let groupEnd = 0;
+    const closeGroup = () => {
+        const laneCount = lanes.length;
+        group.forEach(segment => { segment.laneCount = laneCount; });
+    };
+    segments.forEach((segment) => {
+        if (group.length > 0 && segment.start >= groupEnd) {
+            closeGroup();
+            group = [];
+            lanes = [];
         }
-        if (args.add_meet_link) {
-            event.conferenceData = { createRequest: { requestId: `meet-${Date.now()}` } };
+        let lane = lanes.findIndex(end => end <= segment.start);
+        if (lane === -1) {
+            lane = lanes.length;
+            lanes.push(segment.end);
+        } else {
+            lanes[lane] = segment.end;
         }
-        const request = gapi.client.calendar.events.insert({ 'calendarId': 'primary', 'resource': event, 'conferenceDataVersion': 1 });
-        const response = await request;
-        const createdEvent = response.result;
-        const startTime = new Date(createdEvent.start.dateTime).toLocaleString('ru-RU', { dateStyle: 'short', timeStyle: 'short' });
-        const cardHtml = `<div class="card event-card" data-event-id="${createdEvent.id}">
-            <div class="card-icon"><span class="material-symbols-outlined">event</span></div>
-            <div class="card-content"><h4>Событие создано</h4><p><strong>${createdEvent.summary}</strong> в ${startTime}</p></div>
-            <div class="card-actions">
-              <button class="icon-button card-action-button" data-action="edit" aria-label="Изменить"><span class="material-symbols-outlined">edit</span></button>
-              <button class="icon-button card-action-button" data-action="delete" aria-label="Удалить"><span class="material-symbols-outlined">delete</span></button>
-              <a href="${createdEvent.htmlLink}" target="_blank" class="icon-button" aria-label="Открыть в Календаре"><span class="material-symbols-outlined">open_in_new</span></a>
-            </div>
-          </div>`;
-        appendMessage('system', "Готово!", cardHtml);
-        renderCalendar(new Date(createdEvent.start.dateTime));
-        renderDailyEvents(new Date(createdEvent.start.dateTime));
-    } catch (error) {
-        console.error('Google Calendar API Error:', error);
-        appendMessage('error', `Не удалось создать событие: ${(error.result?.error?.message) || error.message}`);
-    }
+        segment.lane = lane;
+        group.push(segment);
+        groupEnd = Math.max(groupEnd, segment.end);
+    });
+    if (group.length > 0) closeGroup();
 }
 
-async function createTask(args) {
-    try {
-        const task = { 'title': args.title, 'notes': args.notes, 'due': args.due };
-        const request = gapi.client.tasks.tasks.insert({ 'tasklist': '@default', 'resource': task });
-        const response = await request;
-        const createdTask = response.result;
-        const dueDate = createdTask.due ? new Date(createdTask.due).toLocaleDateString('ru-RU') : 'Без срока';
-        const cardHtml = `<div class="card task-card" data-task-id="${createdTask.id}">
-            <div class="card-icon"><span class="material-symbols-outlined">task_alt</span></div>
-            <div class="card-content"><h4>Задача создана</h4><p><strong>${createdTask.title}</strong>, срок: ${dueDate}</p></div>
-            <a href="https://mail.google.com/tasks/canvas" target="_blank" class="icon-button" aria-label="Открыть в Задачах"><span class="material-symbols-outlined">open_in_new</span></a></div>`;
-        appendMessage('system', "Готово!", cardHtml);
-    } catch (error) {
-        console.error('Google Tasks API Error:', error);
-        appendMessage('error', `Не удалось создать задачу: ${(error.result?.error?.message) || error.message}`);
-    }
+function createWeekEventBlock({ event, start, end, lane, laneCount }, dayStart) {
+    const block = document.createElement('div');
+    block.className = 'week-event';
+    const formatTime = (time) => new Date(time).toLocaleTimeString(getLocale(), { hour: '2-digit', minute: '2-digit' });
+    block.style.top = `${(start - dayStart) / 3600000 * HOUR_HEIGHT_PX}px`;
+    block.style.height = `${Math.max(SNAP_MINUTES / 60, (end - start) / 3600000) * HOUR_HEIGHT_PX}px`;
+    block.style.left = `${lane / laneCount * 100}%`;
+    block.style.width = `${100 / laneCount}%`;
+    block.style.backgroundColor = getCalendarColor(event.calendarId);
+    block.dataset.eventId = event.id;
+    block.dataset.calendarId = event.calendarId;
+    block.dataset.start = event.start.dateTime;
+    block.dataset.end = event.end.dateTime;
+    block.innerHTML = html`
+        <span class="week-event-title">${event.summary || t('event.untitled')}</span>
+        <span class="week-event-time">${formatTime(start)}–${formatTime(end)}</span>
+        <div class="week-event-resize" aria-hidden="true"></div>`;
+    return block;
 }
 
-async function findEvents(args) {
-    try {
-        const response = await gapi.client.calendar.events.list({
-            'calendarId': 'primary',
-            'timeMin': args.time_min || (new Date()).toISOString(),
-            'timeMax': args.time_max,
-            'q': args.query,
-            'showDeleted': false,
-            'singleEvents': true,
-            'maxResults': 10,
-            'orderBy': 'startTime'
-        });
-        const events = response.result.items;
-        if (events.length === 0) {
-            appendMessage('model', 'По вашему запросу ничего не найдено.');
-        } else {
-            let resultText = 'Вот что я нашел:\n';
-            events.forEach(event => {
-                const start = new Date(event.start.dateTime || event.start.date).toLocaleString('ru-RU');
-                resultText += `- **${event.summary}** в ${start}\n`;
+/**
+ * Drag a week-view block to move the event (vertically in time, horizontally
+ * across days) or drag its bottom edge to change the end time. The change is
+ * saved through updateCalendarEvent, like any other edit.
+ */
+function setupWeekDragAndDrop() {
+    dom.weekView.addEventListener('pointerdown', (e) => {
+        const block = e.target.closest('.week-event');
+        if (!block || e.button !== 0) return;
+        e.preventDefault();
+
+        const column = block.parentElement;
+        const columns = [...dom.weekView.querySelectorAll('.week-column')];
+        const columnIndex = columns.indexOf(column);
+        const mode = e.target.closest('.week-event-resize') ? 'resize' : 'move';
+        const drag = { startX: e.clientX, startY: e.clientY, top: block.offsetTop, height: block.offsetHeight, minutes: 0, days: 0 };
+        block.setPointerCapture(e.pointerId);
+        block.classList.add('dragging');
+
+        const onMove = (ev) => {
+            drag.minutes = Math.round((ev.clientY - drag.startY) / HOUR_HEIGHT_PX * 60 / SNAP_MINUTES) * SNAP_MINUTES;
+            const snappedPx = drag.minutes / 60 * HOUR_HEIGHT_PX;
+            if (mode === 'resize') {
+                block.style.height = `${Math.max(SNAP_MINUTES / 60 * HOUR_HEIGHT_PX, drag.height + snappedPx)}px`;
+                return;
+            }
+            const days = Math.round((ev.clientX - drag.startX) / column.offsetWidth);
+            // Keep the event within the displayed week.
+            drag.days = Math.min(Math.max(days, -columnIndex), columns.length - 1 - columnIndex);
+            block.style.top = `${drag.top + snappedPx}px`;
+            block.style.transform = `translateX(${drag.days * column.offsetWidth}px)`;
+        };
+        const onEnd = async () => {
+            block.removeEventListener('pointermove', onMove);
+            block.removeEventListener('pointerup', onEnd);
+            block.removeEventListener('pointercancel', onEnd);
+            block.classList.remove('dragging');
+            // A press without movement is a click: show the event's details.
+            if (drag.minutes === 0 && drag.days === 0) {
+                openEventDrawer(block.dataset.eventId, block.dataset.calendarId);
+                return;
+            }
+
+            const shiftMs = (drag.days * 1440 + drag.minutes) * 60000;
+            const start = new Date(block.dataset.start);
+            const end = new Date(block.dataset.end);
+            const newStart = mode === 'move' ? new Date(start.getTime() + shiftMs) : start;
+            const newEnd = new Date(Math.max(end.getTime() + shiftMs, newStart.getTime() + SNAP_MINUTES * 60000));
+            block.classList.add('saving');
+            const title = block.querySelector('.week-event-title').textContent;
+            const times = await confirmManualEventTime(block.dataset.calendarId, block.dataset.eventId, title, newStart, newEnd);
+            if (!times) {
+                renderCalendar(appState.currentDisplayedDate);
+                return;
+            }
+            const result = await updateCalendarEvent({
+                event_id: block.dataset.eventId,
+                calendar_id: block.dataset.calendarId,
+                start_time: times.start.toISOString(),
+                end_time: times.end.toISOString(),
             });
-            appendMessage('model', resultText);
-        }
-    } catch (error) {
-        console.error('Find Events Error:', error);
-        appendMessage('error', `Ошибка при поиске событий: ${error.message}`);
-    }
+            // On success the update path already re-rendered the calendar.
+            if (result.error) renderCalendar(appState.currentDisplayedDate);
+        };
+        block.addEventListener('pointermove', onMove);
+        block.addEventListener('pointerup', onEnd);
+        block.addEventListener('pointercancel', onEnd);
+    });
 }
 
-async function updateCalendarEvent(args) {
+async function renderAgendaView(date, append = false) {
+    const from = append ? appState.agendaLoadedUntil : new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const to = new Date(from.getFullYear(), from.getMonth(), from.getDate() + AGENDA_PAGE_DAYS);
+    if (!append) {
+        dom.currentMonthYear.textContent = t('agenda.from', { date: from.toLocaleDateString(getLocale(), { day: 'numeric', month: 'long' }) });
+        dom.agendaView.innerHTML = '<ul class="agenda-list"></ul>';
+    }
+    appState.agendaLoadedUntil = to;
+    if (!appState.isSignedIn) return;
+
+    const list = dom.agendaView.querySelector('.agenda-list');
+    dom.agendaView.querySelector('.agenda-more')?.remove();
     try {
-        // First, get the existing event to patch it correctly
-        const existingEventResponse = await gapi.client.calendar.events.get({
-            calendarId: 'primary',
-            eventId: args.event_id,
+        const events = await listEventsFromCalendars(getVisibleCalendars(), {
+            'timeMin': from.toISOString(), 'timeMax': to.toISOString(), 'showDeleted': false, 'singleEvents': true, 'orderBy': 'startTime'
         });
-        const eventToUpdate = existingEventResponse.result;
-
-        // Apply updates
-        if (args.summary) eventToUpdate.summary = args.summary;
-        if (args.start_time) eventToUpdate.start.dateTime = args.start_time;
-        if (args.end_time) eventToUpdate.end.dateTime = args.end_time;
-        if (args.location) eventToUpdate.location = args.location;
-        if (args.attendees_to_add) {
-            eventToUpdate.attendees = (eventToUpdate.attendees || []).concat(args.attendees_to_add.map(email => ({ email })));
-        }
-        
-        const response = await gapi.client.calendar.events.update({
-            'calendarId': 'primary',
-            'eventId': args.event_id,
-            'resource': eventToUpdate
+        let lastDayKey = list.dataset.lastDay || '';
+        events.forEach((event) => {
+            const start = event.start.dateTime ? new Date(event.start.dateTime) : new Date(`${event.start.date}T00:00:00`);
+            const dayKey = toDateKey(start);
+            if (dayKey !== lastDayKey) {
+                const header = document.createElement('li');
+                header.className = 'agenda-day-header';
+                header.textContent = start.toLocaleDateString(getLocale(), { weekday: 'long', day: 'numeric', month: 'long' });
+                list.appendChild(header);
+                lastDayKey = dayKey;
+            }
+            list.appendChild(createEventElement(event));
         });
-        appendMessage('system', `Событие "${response.result.summary}" успешно обновлено.`);
-        renderCalendar(new Date(response.result.start.dateTime));
-        renderDailyEvents(new Date(response.result.start.dateTime));
-    } catch (error) {
-        console.error('Update Event Error:', error);
-        appendMessage('error', `Не удалось обновить событие: ${error.message}`);
+        list.dataset.lastDay = lastDayKey;
+        if (!list.children.length) list.innerHTML = html`<li>${t('agenda.empty', { count: AGENDA_PAGE_DAYS })}</li>`;
+        dom.agendaView.insertAdjacentHTML('beforeend', String(html`<button class="action-button agenda-more">${t('agenda.more', { count: AGENDA_PAGE_DAYS })}</button>`));
+    } catch (err) {
+        console.error("Error loading agenda:", err);
+        list.insertAdjacentHTML('beforeend', String(html`<li>${t('calendar.loadEventsFailed')}</li>`));
     }
 }
 
+// --- Event Details Drawer ---
+const RSVP_STATUSES = {
+    accepted: { icon: 'check_circle', label: t('rsvp.accepted') },
+    declined: { icon: 'cancel', label: t('rsvp.declined') },
+    tentative: { icon: 'help', label: t('rsvp.tentative') },
+    needsAction: { icon: 'schedule', label: t('rsvp.needsAction') },
+};
+const REMINDER_METHODS = { popup: t('reminder.method.popup'), email: t('reminder.method.email') };
+// Calendar API limits for reminder overrides.
+const MAX_REMINDERS = 5;
+const MAX_REMINDER_MINUTES = 40320;
 
-async function deleteCalendarEvent(args) {
+async function openEventDrawer(eventId, calendarId = 'primary', { edit = false } = {}) {
+    appState.drawerEvent = null;
+    dom.eventDrawerTitle.textContent = t('drawer.title');
+    dom.eventDrawerBody.innerHTML = '<div class="drawer-loading"><div class="spinner"></div></div>';
+    showModal(dom.eventDrawer);
     try {
-        await gapi.client.calendar.events.delete({
-            'calendarId': 'primary',
-            'eventId': args.event_id
-        });
-        appendMessage('system', 'Событие успешно удалено.');
-        const cardToRemove = dom.messageList.querySelector(`[data-event-id="${args.event_id}"]`);
-        if(cardToRemove) cardToRemove.style.opacity = '0.5';
-        renderCalendar(appState.currentDisplayedDate);
-        renderDailyEvents(appState.currentDisplayedDate);
-    } catch (error) {
-        console.error('Delete Event Error:', error);
-        appendMessage('error', `Не удалось удалить событие: ${error.message}`);
+        const event = isOffline()
+            ? await getCachedEvent(calendarId, eventId)
+            : (await googleApi.calendar.events.get({ calendarId, eventId })).result;
+        if (!event) throw new Error('Event is not in the offline copy');
+        appState.drawerEvent = { calendarId, event };
+        if (edit) renderEventDrawerForm(); else renderEventDrawer();
+    } catch (err) {
+        console.error("Error loading event details:", err);
+        dom.eventDrawerBody.innerHTML = html`<p class="drawer-status error">${t('drawer.loadFailed')}</p>`;
     }
 }
 
+function closeEventDrawer() {
+    appState.drawerEvent = null;
+    closeModal(dom.eventDrawer);
+}
 
-async function findContacts(args) {
-    try {
-        const response = await gapi.client.people.people.searchContacts({
-            query: args.name_query,
-            readMask: 'names,emailAddresses',
-            pageSize: 5
-        });
-        const contacts = response.result.results;
-        if (!contacts || contacts.length === 0) {
-            appendMessage('model', `Контакт с именем "${args.name_query}" не найден.`);
-            return;
-        }
-        // For simplicity, let's just show the found contacts for now
-        // A real implementation would send this back to the model to ask the user which one to use
-        let resultText = `Я нашел несколько контактов. Кого вы имели в виду?\n`;
-        contacts.forEach(result => {
-             const person = result.person;
-             const name = person.names?.[0]?.displayName || 'Без имени';
-             const email = person.emailAddresses?.[0]?.value || 'Нет email';
-             resultText += `- ${name} (${email})\n`;
-        });
-        appendMessage('model', resultText);
-    } catch (error) {
-        console.error('Find Contacts Error:', error);
-        appendMessage('error', `Ошибка при поиске контактов: ${error.message}`);
-    }
+function renderEventDrawer() {
+    const { calendarId, event } = appState.drawerEvent;
+    const calendar = appState.calendars.find(c => c.id === calendarId || (calendarId === 'primary' && c.primary));
+    const meetLink = safeUrl(event.hangoutLink || event.conferenceData?.entryPoints?.find(point => point.entryPointType === 'video')?.uri);
+    const attendees = event.attendees || [];
+    const attachments = event.attachments || [];
+
+    dom.eventDrawerTitle.textContent = event.summary || t('event.untitled');
+    dom.eventDrawerBody.innerHTML = html`
+        <div class="drawer-section">
+            <div class="drawer-row"><span class="material-symbols-outlined">schedule</span><span>${formatEventRange(event)}</span></div>
+            ${(event.recurringEventId || event.recurrence) ? html`<div class="drawer-row"><span class="material-symbols-outlined">repeat</span><span class="drawer-recurrence">${describeRecurrence(event.recurrence) || t('event.recurring')}</span></div>` : ''}
+            <div class="drawer-row"><span class="calendar-swatch" style="background-color: ${getCalendarColor(calendarId)}"></span><span>${calendar ? getCalendarName(calendar) : calendarId}</span></div>
+            ${event.location ? html`<div class="drawer-row"><span class="material-symbols-outlined">location_on</span><span>${event.location}</span></div>` : ''}
+            ${meetLink ? html`<div class="drawer-row"><span class="material-symbols-outlined">videocam</span><a href="${meetLink}" target="_blank" rel="noopener noreferrer">${t('drawer.joinMeet')}</a></div>` : ''}
+        </div>
+        ${event.description ? html`<div class="drawer-section"><h4>${t('drawer.description')}</h4><div class="drawer-description">${sanitizeHtml(event.description)}</div></div>` : ''}
+        ${attendees.length ? html`
+        <div class="drawer-section">
+            <h4>${t('drawer.attendeesCount', { count: attendees.length })}</h4>
+            <ul class="drawer-attendees">
+                ${attendees.map(attendee => {
+                    const status = RSVP_STATUSES[attendee.responseStatus] || RSVP_STATUSES.needsAction;
+                    return html`<li class="rsvp-${RSVP_STATUSES[attendee.responseStatus] ? attendee.responseStatus : 'needsAction'}">
+                        <span class="material-symbols-outlined" title="${status.label}">${status.icon}</span>
+                        <span class="drawer-attendee-name">${attendee.displayName || attendee.email}${attendee.organizer ? html` <small>${t('drawer.organizer')}</small>` : ''}${attendee.optional ? html` <small>${t('drawer.optional')}</small>` : ''}</span>
+                        <span class="drawer-attendee-status">${status.label}</span>
+                    </li>`;
+                })}
+            </ul>
+        </div>` : ''}
+        <div class="drawer-section">
+            <h4>${t('drawer.reminders')}</h4>
+            <ul class="drawer-reminders">${describeReminders(event.reminders).map(text => html`<li>${text}</li>`)}</ul>
+        </div>
+        ${attachments.length ? html`
+        <div class="drawer-section">
+            <h4>${t('drawer.attachments')}</h4>
+            <ul class="drawer-attachments">
+                ${attachments.map(file => html`<li><a href="${safeUrl(file.fileUrl)}" target="_blank" rel="noopener noreferrer">${safeUrl(file.iconLink) ? html`<img src="${safeUrl(file.iconLink)}" alt="">` : html`<span class="material-symbols-outlined">attach_file</span>`}<span>${file.title || file.fileUrl}</span></a></li>`)}
+            </ul>
+        </div>` : ''}
+        <div class="modal-actions">
+            ${safeUrl(event.htmlLink) ? html`<a href="${safeUrl(event.htmlLink)}" target="_blank" rel="noopener noreferrer" class="action-button">${t('drawer.openInGoogle')}</a>` : ''}
+            <button class="action-button danger" data-drawer-action="delete">${t('common.delete')}</button>
+            <button class="action-button primary" data-drawer-action="edit">${t('common.edit')}</button>
+        </div>`;
 }
 
+function renderEventDrawerForm() {
+    const { event } = appState.drawerEvent;
+    const allDay = !event.start.dateTime;
+    const reminders = event.reminders || { useDefault: true };
 
-function appendMessage(type, text, content = '') {
-    const wrapper = document.createElement('div');
-    wrapper.className = `message-wrapper ${type}-wrapper`;
-    let messageHtml = '';
-    if (type === 'user' && Array.isArray(content) && content.length > 0) {
-        messageHtml += `<div class="image-preview-container">`;
-        content.forEach(img => {
-            messageHtml += `<img src="data:${img.type};base64,${img.data}" alt="Прикрепленное изображение">`;
-        });
-        messageHtml += `</div>`;
-    }
-    if (text) {
-        const bubbleContent = type === 'model' ? marked.parse(text) : text;
-        messageHtml += `<div class="message-bubble ${type}-bubble">${bubbleContent}</div>`;
-    }
-    if (type !== 'user' && typeof content === 'string' && content.startsWith('<')) {
-        messageHtml += content;
+    dom.eventDrawerTitle.textContent = t('drawer.editTitle');
+    dom.eventDrawerBody.innerHTML = html`
+        <form class="drawer-form" novalidate>
+            <div class="form-field">
+                <label for="drawer-summary">${t('drawer.field.summary')}</label>
+                <input type="text" id="drawer-summary" name="summary">
+            </div>
+            <div class="drawer-form-row">
+                <div class="form-field">
+                    <label for="drawer-start">${t('drawer.field.start')}</label>
+                    <input type="${allDay ? 'date' : 'datetime-local'}" id="drawer-start" name="start" required>
+                </div>
+                <div class="form-field">
+                    <label for="drawer-end">${allDay ? t('drawer.field.lastDay') : t('drawer.field.end')}</label>
+                    <input type="${allDay ? 'date' : 'datetime-local'}" id="drawer-end" name="end" required>
+                </div>
+            </div>
+            ${event.recurringEventId ? html`<p class="settings-note">${t('drawer.singleOccurrenceNote')}</p>` : ''}
+            <div class="form-field">
+                <label for="drawer-location">${t('drawer.field.location')}</label>
+                <input type="text" id="drawer-location" name="location">
+            </div>
+            <div class="form-field">
+                <label for="drawer-description">${t('drawer.description')}</label>
+                <textarea id="drawer-description" name="description" rows="4"></textarea>
+            </div>
+            <div class="form-field">
+                <label for="drawer-attendee-input">${t('drawer.attendees')}</label>
+                <ul class="drawer-attendees editable"></ul>
+                <div class="drawer-inline-input">
+                    <input type="email" id="drawer-attendee-input" name="newAttendee" placeholder="email@example.com">
+                    <button type="button" class="action-button" data-drawer-action="add-attendee">${t('common.add')}</button>
+                </div>
+            </div>
+            <div class="form-field">
+                <label>${t('drawer.reminders')}</label>
+                <label class="drawer-checkbox"><input type="checkbox" name="useDefaultReminders"> ${t('drawer.defaultReminders')}</label>
+                <ul class="drawer-reminders editable"></ul>
+                <button type="button" class="action-button" data-drawer-action="add-reminder">${t('drawer.addReminder')}</button>
+            </div>
+            <p class="drawer-status" role="alert"></p>
+            <div class="modal-actions">
+                <button type="button" class="action-button" data-drawer-action="cancel-edit">${t('common.cancel')}</button>
+                <button type="submit" class="action-button primary">${t('common.save')}</button>
+            </div>
+        </form>`;
+
+    const form = dom.eventDrawerBody.querySelector('form');
+    form.elements.summary.value = event.summary || '';
+    form.elements.location.value = event.location || '';
+    form.elements.description.value = event.description || '';
+    if (allDay) {
+        // The API's end date is exclusive; the form shows the last day itself.
+        const lastDay = new Date(`${event.end.date}T00:00:00`);
+        lastDay.setDate(lastDay.getDate() - 1);
+        form.elements.start.value = event.start.date;
+        form.elements.end.value = toDateKey(lastDay);
+    } else {
+        form.elements.start.value = toDateTimeInputValue(new Date(event.start.dateTime));
+        form.elements.end.value = toDateTimeInputValue(new Date(event.end.dateTime));
     }
-    wrapper.innerHTML = messageHtml;
-    dom.messageList.appendChild(wrapper);
-    dom.messageList.scrollTop = dom.messageList.scrollHeight;
+    (event.attendees || []).forEach(attendee => appendAttendeeRow(form, attendee.email, attendee.displayName));
+    form.elements.useDefaultReminders.checked = !!reminders.useDefault;
+    (reminders.useDefault ? [] : reminders.overrides || []).forEach(reminder => appendReminderRow(form, reminder));
+    updateReminderControls(form);
 }
 
-function showLoading(isLoading) {
-    dom.loadingIndicator.style.display = isLoading ? 'flex' : 'none';
-    dom.chatTextInput.disabled = isLoading;
-    dom.micButtonChat.disabled = isLoading;
-    dom.cameraButtonChat.disabled = isLoading;
-    dom.sendButtonChat.disabled = isLoading;
+function appendAttendeeRow(form, email, displayName) {
+    const li = document.createElement('li');
+    li.dataset.email = email;
+    li.innerHTML = html`
+        <span class="drawer-attendee-name">${displayName ? `${displayName} <${email}>` : email}</span>
+        <button type="button" class="icon-button" data-drawer-action="remove-attendee" aria-label="${t('drawer.removeAttendee')}"><span class="material-symbols-outlined">close</span></button>`;
+    form.querySelector('.drawer-attendees').appendChild(li);
 }
 
-// --- Event Listeners ---
+function addAttendeeFromInput(form) {
+    const input = form.elements.newAttendee;
+    const email = input.value.trim();
+    const status = form.querySelector('.drawer-status');
+    if (!email) return;
+    if (!input.checkValidity()) {
+        status.textContent = t('drawer.invalidEmail');
+        return;
+    }
+    const known = [...form.querySelectorAll('.drawer-attendees li')].some(li => li.dataset.email.toLowerCase() === email.toLowerCase());
+    if (!known) appendAttendeeRow(form, email);
+    status.textContent = '';
+    input.value = '';
+    input.focus();
+}
+
+function appendReminderRow(form, { method = 'popup', minutes = 10 } = {}) {
+    const li = document.createElement('li');
+    li.innerHTML = html`
+        <span>${t('reminder.row.before')}</span>
+        <input type="number" name="reminderMinutes" min="0" max="${MAX_REMINDER_MINUTES}" step="1" aria-label="${t('reminder.row.minutesLabel')}">
+        <span>${t('reminder.row.minutes')}</span>
+        <select name="reminderMethod" aria-label="${t('reminder.row.methodLabel')}">
+            ${Object.entries(REMINDER_METHODS).map(([value, label]) => html`<option value="${value}">${label}</option>`)}
+        </select>
+        <button type="button" class="icon-button" data-drawer-action="remove-reminder" aria-label="${t('reminder.row.remove')}"><span class="material-symbols-outlined">close</span></button>`;
+    li.querySelector('input').value = String(minutes);
+    li.querySelector('select').value = method;
+    form.querySelector('.drawer-reminders').appendChild(li);
+}
+
+// Custom reminders only apply when the calendar defaults are switched off.
+function updateReminderControls(form) {
+    const useDefault = form.elements.useDefaultReminders.checked;
+    const rows = form.querySelectorAll('.drawer-reminders li');
+    form.querySelector('.drawer-reminders').style.display = useDefault ? 'none' : '';
+    form.querySelector('[data-drawer-action="add-reminder"]').disabled = useDefault || rows.length >= MAX_REMINDERS;
+}
+
+async function saveEventFromDrawer(form) {
+    const { calendarId, event } = appState.drawerEvent;
+    const status = form.querySelector('.drawer-status');
+    const allDay = !event.start.dateTime;
+    const { start: startInput, end: endInput } = form.elements;
+    if (!startInput.value || !endInput.value) {
+        status.textContent = t('drawer.timesRequired');
+        return;
+    }
+
+    let start, end;
+    if (allDay) {
+        const endDate = new Date(`${endInput.value}T00:00:00`);
+        endDate.setDate(endDate.getDate() + 1);
+        start = { date: startInput.value };
+        end = { date: toDateKey(endDate) };
+    } else {
+        const timeZone = event.start.timeZone || getTimeZone();
+        start = { dateTime: new Date(startInput.value).toISOString(), timeZone };
+        end = { dateTime: new Date(endInput.value).toISOString(), timeZone: event.end.timeZone || timeZone };
+    }
+    if ((end.dateTime || end.date) <= (start.dateTime || start.date)) {
+        status.textContent = t('drawer.endBeforeStart');
+        return;
+    }
+
+    const reminderRows = [...form.querySelectorAll('.drawer-reminders li')];
+    const overrides = reminderRows.map(li => ({ method: li.querySelector('select').value, minutes: Number(li.querySelector('input').value) }));
+    if (overrides.some(({ minutes }) => !Number.isInteger(minutes) || minutes < 0 || minutes > MAX_REMINDER_MINUTES)) {
+        status.textContent = t('drawer.invalidReminder', { max: MAX_REMINDER_MINUTES });
+        return;
+    }
+
+    // Existing attendees keep their RSVP status and other fields.
+    const previous = event.attendees || [];
+    const attendees = [...form.querySelectorAll('.drawer-attendees li')].map(li =>
+        previous.find(attendee => attendee.email === li.dataset.email) || { email: li.dataset.email });
+    const attendeesChanged = attendees.length !== previous.length || attendees.some(attendee => !previous.includes(attendee));
+
+    const changes = {
+        summary: form.elements.summary.value.trim(),
+        location: form.elements.location.value.trim(),
+        description: form.elements.description.value,
+        start,
+        end,
+        attendees,
+        reminders: form.elements.useDefaultReminders.checked ? { useDefault: true } : { useDefault: false, overrides },
+    };
+    // Invitations and cancellations only go out when the guest list changed.
+    const sendUpdates = attendeesChanged ? 'all' : 'none';
+
+    const submitButton = form.querySelector('[type="submit"]');
+    submitButton.disabled = true;
+    status.textContent = '';
+    // Only a new time can create an overlap, and all-day events never conflict.
+    const moved = !allDay && (Date.parse(start.dateTime) !== Date.parse(event.start.dateTime) || Date.parse(end.dateTime) !== Date.parse(event.end.dateTime));
+    if (moved) {
+        const times = await confirmManualEventTime(calendarId, event.id, changes.summary, new Date(start.dateTime), new Date(end.dateTime));
+        if (!times) {
+            submitButton.disabled = false;
+            return;
+        }
+        // The user may have picked a free slot instead.
+        changes.start = { ...start, dateTime: times.start.toISOString() };
+        changes.end = { ...end, dateTime: times.end.toISOString() };
+    }
+    try {
+        const saved = isOffline()
+            ? await saveEventOffline(calendarId, { ...event, ...changes }, sendUpdates)
+            : (await googleApi.calendar.events.patch({ calendarId, eventId: event.id, sendUpdates, resource: changes })).result;
+        // The drawer may have been closed while the request was running.
+        if (appState.drawerEvent?.event.id === event.id) {
+            appState.drawerEvent = { calendarId, event: saved };
+            renderEventDrawer();
+        }
+        renderCalendar(appState.currentDisplayedDate);
+        renderDailyEvents(appState.currentDisplayedDate);
+    } catch (error) {
+        console.error('Save Event Error:', error);
+        status.textContent = t('drawer.saveFailed', { message: (error.result?.error?.message) || error.message });
+        submitButton.disabled = false;
+    }
+}
+
+async function deleteEventFromDrawer() {
+    const { calendarId, event } = appState.drawerEvent;
+    const question = event.recurringEventId
+        ? t('drawer.confirmDeleteOccurrence')
+        : t('drawer.confirmDelete');
+    if (!confirm(question)) return;
+    const result = await deleteCalendarEvent({ event_id: event.id, calendar_id: calendarId });
+    if (!result.error) closeEventDrawer();
+}
+
+function setupEventDrawer() {
+    dom.closeEventDrawerButton.onclick = closeEventDrawer;
+    // Clicking the dimmed backdrop closes the drawer too.
+    dom.eventDrawer.addEventListener('click', (e) => {
+        if (e.target === dom.eventDrawer) { closeEventDrawer(); return; }
+        const button = e.target.closest('[data-drawer-action]');
+        if (!button || !appState.drawerEvent) return;
+        const form = button.closest('form');
+        switch (button.dataset.drawerAction) {
+            case 'edit': renderEventDrawerForm(); break;
+            case 'cancel-edit': renderEventDrawer(); break;
+            case 'delete': deleteEventFromDrawer(); break;
+            case 'add-attendee': addAttendeeFromInput(form); break;
+            case 'remove-attendee': button.closest('li').remove(); break;
+            case 'add-reminder': appendReminderRow(form); updateReminderControls(form); break;
+            case 'remove-reminder': button.closest('li').remove(); updateReminderControls(form); break;
+        }
+    });
+    dom.eventDrawer.addEventListener('change', (e) => {
+        if (e.target.name === 'useDefaultReminders') updateReminderControls(e.target.form);
+    });
+    dom.eventDrawer.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeEventDrawer();
+        // Enter in the attendee field adds the guest instead of submitting the form.
+        if (e.key === 'Enter' && e.target.name === 'newAttendee') {
+            e.preventDefault();
+            addAttendeeFromInput(e.target.form);
+        }
+    });
+    dom.eventDrawer.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveEventFromDrawer(e.target);
+    });
+}
+
+function formatEventRange(event) {
+    if (!event.start.dateTime) {
+        const lastDay = new Date(`${event.end.date}T00:00:00`);
+        lastDay.setDate(lastDay.getDate() - 1);
+        const from = formatEventTime(event.start.date);
+        const to = lastDay.toLocaleDateString(getLocale());
+        return from === to ? t('event.allDayOn', { date: from }) : t('event.allDayRange', { from, to });
+    }
+    const start = new Date(event.start.dateTime);
+    const end = new Date(event.end.dateTime);
+    const endText = toDateKey(start) === toDateKey(end)
+        ? end.toLocaleTimeString(getLocale(), { hour: '2-digit', minute: '2-digit' })
+        : formatEventTime(event.end.dateTime);
+    return `${formatEventTime(event.start.dateTime)} – ${endText}`;
+}
+
+function describeReminders(reminders) {
+    if (!reminders || reminders.useDefault) return [t('reminder.calendarDefault')];
+    const overrides = [...(reminders.overrides || [])].sort((a, b) => a.minutes - b.minutes);
+    if (overrides.length === 0) return [t('reminder.none')];
+    return overrides.map(({ method, minutes }) => `${formatReminderOffset(minutes)}, ${REMINDER_METHODS[method] || method}`);
+}
+
+function formatReminderOffset(minutes) {
+    if (minutes === 0) return t('reminder.atStart');
+    if (minutes % 1440 === 0) return t('reminder.daysBefore', { count: minutes / 1440 });
+    if (minutes % 60 === 0) return t('reminder.hoursBefore', { count: minutes / 60 });
+    return t('reminder.minutesBefore', { count: minutes });
+}
+
+// Value for <input type="datetime-local">, which expects local time without a zone.
+function toDateTimeInputValue(date) {
+    return `${toDateKey(date)}T${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+// --- Calendar List ---
+async function loadCalendarList() {
+    try {
+        if (isOffline()) {
+            appState.calendars = await getCachedValue('calendars') || [];
+        } else {
+            const response = await googleApi.calendar.calendarList.list({ 'minAccessRole': 'reader' });
+            // Primary calendar first, then the rest alphabetically.
+            appState.calendars = (response.result.items || []).sort((a, b) =>
+                (b.primary ? 1 : 0) - (a.primary ? 1 : 0) || (a.summaryOverride || a.summary).localeCompare(b.summaryOverride || b.summary));
+            saveCachedValue('calendars', appState.calendars).catch(err => console.error("Error caching calendar list:", err));
+        }
+    } catch (err) {
+        console.error("Error loading calendar list:", err);
+        appState.calendars = [];
+    }
+    renderCalendarList();
+}
+
+function renderCalendarList() {
+    dom.calendarList.innerHTML = '';
+    appState.calendars.forEach((calendar) => {
+        const li = document.createElement('li');
+        li.className = 'calendar-list-item';
+        li.innerHTML = html`
+            <label>
+                <input type="checkbox" data-calendar-id="${calendar.id}" ${appState.hiddenCalendarIds.includes(calendar.id) ? '' : 'checked'}>
+                <span class="calendar-swatch" style="background-color: ${safeColor(calendar.backgroundColor)}"></span>
+                <span class="calendar-name">${getCalendarName(calendar)}</span>
+            </label>`;
+        dom.calendarList.appendChild(li);
+    });
+}
+
+function setCalendarVisibility(calendarId, visible) {
+    appState.hiddenCalendarIds = appState.hiddenCalendarIds.filter(id => id !== calendarId);
+    if (!visible) appState.hiddenCalendarIds.push(calendarId);
+    localStorage.setItem('hiddenCalendarIds', JSON.stringify(appState.hiddenCalendarIds));
+    renderCalendar(appState.currentDisplayedDate);
+    renderDailyEvents(appState.currentDisplayedDate);
+}
+
+function getVisibleCalendars() {
+    // Until the list is loaded, fall back to the primary calendar alone.
+    if (appState.calendars.length === 0) return [{ id: 'primary' }];
+    return appState.calendars.filter(calendar => !appState.hiddenCalendarIds.includes(calendar.id));
+}
+
+function getCalendarName(calendar) {
+    return calendar.summaryOverride || calendar.summary || calendar.id;
+}
+
+function getCalendarColor(calendarId) {
+    const calendar = appState.calendars.find(c => c.id === calendarId || (calendarId === 'primary' && c.primary));
+    return safeColor(calendar?.backgroundColor);
+}
+
+/**
+ * Resolves a calendar ID or a (case-insensitive) calendar name, as given by
+ * the model, to a calendar ID. Returns null when nothing matches.
+ */
+function resolveCalendarId(idOrName) {
+    if (!idOrName || idOrName === 'primary') return 'primary';
+    const needle = idOrName.trim().toLowerCase();
+    const calendar = appState.calendars.find(c => c.id.toLowerCase() === needle)
+        || appState.calendars.find(c => getCalendarName(c).toLowerCase() === needle)
+        || appState.calendars.find(c => getCalendarName(c).toLowerCase().includes(needle));
+    return calendar ? calendar.id : null;
+}
+
+function unknownCalendarError(idOrName) {
+    const available = appState.calendars.map(c => `${getCalendarName(c)} (${c.id})`).join(', ');
+    return { error: `Календарь "${idOrName}" не найден. Доступные календари: ${available || 'нет данных'}.` };
+}
+
+// Lists events from several calendars at once, tagging each with the calendar it came from.
+// Without a connection the offline copy answers instead.
+async function listEventsFromCalendars(calendars, params) {
+    let events;
+    if (isOffline()) {
+        events = await listCachedEvents(calendars, params);
+    } else {
+        const responses = await Promise.all(calendars.map(calendar =>
+            googleApi.calendar.events.list({ ...params, 'calendarId': calendar.id })));
+        events = responses.flatMap((response, i) => (response.result.items || []).map(event => ({ ...event, calendarId: calendars[i].id })));
+    }
+    return events.sort((a, b) => new Date(a.start.dateTime || a.start.date) - new Date(b.start.dateTime || b.start.date));
+}
+
+// --- Tasks ---
+async function loadTaskDots(year, month) {
+    if (!appState.isSignedIn) return;
+    try {
+        let tasks;
+        if (isOffline()) {
+            // Before the task lists are loaded the default list is the first one.
+            const tasklistId = appState.selectedTaskListId === '@default' ? (await getCachedValue('taskLists'))?.[0]?.id : appState.selectedTaskListId;
+            tasks = tasklistId ? await getCachedTasks(tasklistId) : [];
+        } else {
+            const response = await googleApi.tasks.tasks.list({
+                'tasklist': appState.selectedTaskListId,
+                'dueMin': new Date(Date.UTC(year, month, 1)).toISOString(),
+                'dueMax': new Date(Date.UTC(year, month + 1, 1)).toISOString(),
+                'showCompleted': false, 'maxResults': 100
+            });
+            tasks = response.result.items || [];
+        }
+        dom.calendarGridDays.querySelectorAll('.task-dot').forEach(dot => dot.remove());
+        tasks.forEach((task) => {
+            if (!task.due) return;
+            // Tasks only store a due date, sent as midnight UTC; read the date part as-is.
+            const [dueYear, dueMonth, dueDay] = task.due.slice(0, 10).split('-').map(Number);
+            if (dueYear !== year || dueMonth - 1 !== month) return;
+            const cell = dom.calendarGridDays.querySelector(`[data-day="${dueDay}"]`);
+            if (cell && !cell.querySelector('.task-dot')) {
+                getDayDots(cell).insertAdjacentHTML('beforeend', `<div class="task-dot"></div>`);
+            }
+        });
+    } catch (err) { console.error("Error loading tasks:", err); }
+}
+
+async function renderTasksPanel() {
+    if (!appState.isSignedIn) return;
+    try {
+        if (appState.taskLists.length === 0) {
+            if (isOffline()) {
+                appState.taskLists = await getCachedValue('taskLists') || [];
+            } else {
+                const response = await googleApi.tasks.tasklists.list({ 'maxResults': 100 });
+                appState.taskLists = response.result.items || [];
+                saveCachedValue('taskLists', appState.taskLists).catch(err => console.error("Error caching task lists:", err));
+            }
+            if (appState.taskLists.length > 0 && appState.selectedTaskListId === '@default') {
+                appState.selectedTaskListId = appState.taskLists[0].id;
+            }
+            dom.taskListSelect.innerHTML = '';
+            appState.taskLists.forEach((list) => {
+                const option = document.createElement('option');
+                option.value = list.id;
+                option.textContent = list.title;
+                dom.taskListSelect.appendChild(option);
+            });
+        }
+        dom.taskListSelect.value = appState.selectedTaskListId;
+
+        dom.tasksList.innerHTML = html`<li>${t('common.loading')}</li>`;
+        const tasklistId = appState.selectedTaskListId;
+        let items;
+        if (isOffline()) {
+            items = await getCachedTasks(tasklistId);
+        } else {
+            const response = await googleApi.tasks.tasks.list({
+                'tasklist': tasklistId, 'showCompleted': false, 'maxResults': 100
+            });
+            items = response.result.items || [];
+            saveCachedTasks(tasklistId, items).catch(err => console.error("Error caching tasks:", err));
+        }
+        const tasks = [...items].sort((a, b) => (a.due || '9999').localeCompare(b.due || '9999'));
+        dom.tasksList.innerHTML = '';
+        if (tasks.length === 0) {
+            dom.tasksList.innerHTML = html`<li>${t('tasks.empty')}</li>`;
+        } else {
+            tasks.forEach((task) => dom.tasksList.appendChild(createTaskElement(task)));
+        }
+    } catch (err) {
+        console.error("Error fetching tasks:", err);
+        dom.tasksList.innerHTML = html`<li>${t('tasks.loadFailed')}</li>`;
+    }
+}
+
+function createTaskElement(task) {
+    const li = document.createElement('li');
+    li.className = 'task-item';
+    li.dataset.taskId = task.id;
+    const dueDate = task.due ? formatTaskDue(task.due) : '';
+    const isOverdue = task.due && task.due.slice(0, 10) < toDateKey(new Date());
+    li.innerHTML = html`
+        <input type="checkbox" class="task-checkbox" aria-label="${t('tasks.markDone')}">
+        <div class="task-details">
+            <span class="task-item-title">${task.title || t('event.untitled')}</span>
+            ${dueDate ? html`<span class="task-item-due${isOverdue ? ' overdue' : ''}">${dueDate}</span>` : ''}
+        </div>
+        <button class="icon-button task-delete-button" aria-label="${t('tasks.delete')}"><span class="material-symbols-outlined">delete</span></button>`;
+    return li;
+}
+
+// Refreshes every place that shows tasks after a change.
+function refreshTasks() {
+    renderTasksPanel();
+    loadTaskDots(appState.currentDisplayedDate.getFullYear(), appState.currentDisplayedDate.getMonth());
+}
+
+function formatTaskDue(due) {
+    return new Date(`${due.slice(0, 10)}T00:00:00`).toLocaleDateString(getLocale(), { day: 'numeric', month: 'short' });
+}
+
+function toDateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// The Tasks API expects an RFC 3339 timestamp even though only the date is kept.
+function toTaskDue(value) {
+    if (!value) return value;
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00.000Z` : `${value.slice(0, 10)}T00:00:00.000Z`;
+}
+
+// --- Offline Mode ---
+// Without a connection the calendar and tasks are read from the copy in
+// offline-store.js, and changes go to an outbox that offline-sync.js replays,
+// with an etag check against edits made elsewhere, once the connection is back.
+const OUTBOX_CHANGE_LABELS = { create: t('offline.change.create'), update: t('offline.change.update'), delete: t('offline.change.delete') };
+const OFFLINE_QUEUED_NOTE = t('offline.queuedNote');
+
+let eventSyncTimer = null;
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('sw.js').catch(err => console.warn('Service worker registration failed:', err));
+}
+
+// The Google scripts don't load when the app starts offline; add them again once it's back.
+function reloadGoogleScripts() {
+    const scripts = [
+        { loaded: window.gapiLoaded, src: 'https://apis.google.com/js/api.js', onload: () => window.onGapiLoad() },
+        { loaded: window.gisLoaded, src: 'https://accounts.google.com/gsi/client', onload: () => window.onGisLoad() },
+    ];
+    scripts.filter(({ loaded }) => !loaded).forEach(({ src, onload }) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.async = true;
+        script.onload = onload;
+        document.head.appendChild(script);
+    });
+}
+
+async function handleConnectionRestored() {
+    updateConnectionStatus();
+    if (!appState.ai || !appState.credentials.googleClientId) return;
+    reloadGoogleScripts();
+    await initializeGoogleServices();
+    if (!appState.gisInited) return;
+    // Signed in from the offline copy: get a token before anything is sent.
+    if (!getGapi().client.getToken()) await restoreSignIn();
+    if (appState.isSignedIn && getGapi().client.getToken()) await flushOutbox();
+}
+
+async function updateConnectionStatus() {
+    const offline = isOffline();
+    const pending = await countOutbox().catch(() => 0);
+    dom.connectionStatus.hidden = !offline && pending === 0;
+    dom.connectionStatus.classList.toggle('offline', offline);
+    dom.connectionStatus.innerHTML = html`
+        <span class="material-symbols-outlined">${offline ? 'cloud_off' : 'cloud_upload'}</span>
+        <span>${offline ? t('offline.status.offline') : t('offline.status.pending')}</span>
+        ${pending > 0 ? html`<span class="connection-pending">${pending}</span>` : ''}`;
+    dom.connectionStatus.title = pending > 0
+        ? t('offline.status.pendingTitle', { count: pending })
+        : t('offline.status.offlineTitle');
+}
+
+// The offline copy belongs to one account; signing in with another starts it afresh.
+async function rememberOfflineAccount(user) {
+    try {
+        const previous = await getCachedValue('profile');
+        if (previous && previous.email !== user.email) await clearOfflineData();
+        await saveCachedValue('profile', { name: user.name, email: user.email, picture: user.picture });
+    } catch (err) { console.error("Error saving offline profile:", err); }
+}
+
+function requestEventSync() {
+    clearTimeout(eventSyncTimer);
+    eventSyncTimer = setTimeout(syncEventCache, EVENT_SYNC_DELAY_MS);
+}
+
+/** Brings the offline copy of every calendar up to date. */
+function syncEventCache() {
+    if (!appState.isSignedIn || !appState.gapiInited || isOffline()) return Promise.resolve();
+    const calendars = appState.calendars.length > 0 ? appState.calendars : [{ id: 'primary' }];
+    return syncCalendars(calendars.map(calendar => calendar.id));
+}
+
+async function createEventOffline(calendarId, resource, { refresh = true } = {}) {
+    const event = { ...resource, id: `local-${crypto.randomUUID()}`, status: 'confirmed', calendarId };
+    await updateCachedEvents([event]);
+    await queueOfflineChange({
+        kind: 'event', type: 'create', calendarId, itemId: event.id, resource,
+        title: event.summary || t('event.untitled'), createdAt: new Date().toISOString(),
+    });
+    if (refresh) {
+        renderCalendar(new Date(event.start.dateTime || event.start.date));
+        renderDailyEvents(new Date(event.start.dateTime || event.start.date));
+    }
+    return { status: 'queued', event: summarizeEvent(event, calendarId) };
+}
+
+/** Stores an edited event in the offline copy and queues the update. */
+async function saveEventOffline(calendarId, event, sendUpdates) {
+    await updateCachedEvents([{ ...event, calendarId }]);
+    const { calendarId: _, ...resource } = event;
+    await queueOfflineChange({
+        kind: 'event', type: 'update', calendarId, itemId: event.id, etag: event.etag, resource, sendUpdates,
+        title: event.summary || t('event.untitled'), createdAt: new Date().toISOString(),
+    });
+    return event;
+}
+
+async function getCachedEventForChange(calendarId, args) {
+    const event = await getCachedEvent(calendarId, args.event_id);
+    if (!event) throw new Error(t('offline.eventNotCached'));
+    if (event.recurringEventId && args.scope && args.scope !== 'this') {
+        throw new Error(t('offline.seriesNotSupported'));
+    }
+    return event;
+}
+
+async function updateEventOffline(calendarId, args) {
+    const event = applyEventChanges(structuredClone(await getCachedEventForChange(calendarId, args)), args);
+    await saveEventOffline(calendarId, event);
+    appendMessage('system', `${t('offline.eventUpdated', { title: event.summary })} ${OFFLINE_QUEUED_NOTE}`);
+    renderCalendar(new Date(event.start.dateTime || event.start.date));
+    renderDailyEvents(new Date(event.start.dateTime || event.start.date));
+    return { status: 'queued', scope: 'this', event: summarizeEvent(event, calendarId) };
+}
+
+async function deleteEventOffline(calendarId, args) {
+    const event = await getCachedEventForChange(calendarId, args);
+    await updateCachedEvents([], [event]);
+    await queueOfflineChange({
+        kind: 'event', type: 'delete', calendarId, itemId: event.id, etag: event.etag,
+        title: event.summary || t('event.untitled'), createdAt: new Date().toISOString(),
+    });
+    appendMessage('system', `${t('offline.eventDeleted')} ${OFFLINE_QUEUED_NOTE}`);
+    renderCalendar(appState.currentDisplayedDate);
+    renderDailyEvents(appState.currentDisplayedDate);
+    return { status: 'queued', scope: 'this', event_id: event.id };
+}
+
+// Completing or deleting a task offline; both take it off the list of open tasks.
+async function changeTaskOffline(type, args, changes) {
+    const tasklistId = args.tasklist_id || '@default';
+    const tasks = await getCachedTasks(tasklistId);
+    const task = tasks.find(item => item.id === args.task_id);
+    if (!task) throw new Error(t('offline.taskNotCached'));
+    await saveCachedTasks(tasklistId, tasks.filter(item => item !== task));
+    await queueOfflineChange({
+        kind: 'task', type, tasklistId, itemId: task.id, etag: task.etag, resource: changes,
+        title: task.title || t('event.untitled'), createdAt: new Date().toISOString(),
+    });
+    appendMessage('system', `${t(type === 'delete' ? 'offline.taskDeleted' : 'offline.taskCompleted', { title: task.title })} ${OFFLINE_QUEUED_NOTE}`);
+    refreshTasks();
+    return { status: 'queued', task_id: task.id };
+}
+
+/** Sends the changes made offline and reports how it went. */
+function flushOutbox() {
+    return flushQueuedChanges({
+        onConflict: entry => appendMessage('system', '', renderOutboxConflictCard(entry)),
+        onRejected: (entry, error) => {
+            appendMessage('error', t('offline.sendFailed', { title: entry.title, message: (error.result?.error?.message) || error.message }));
+        },
+        onFinished: ({ sent, replayed }) => {
+            if (sent > 0) appendMessage('system', t('offline.sent', { count: sent }));
+            if (replayed > 0) {
+                renderCalendar(appState.currentDisplayedDate);
+                renderDailyEvents(appState.currentDisplayedDate);
+                refreshTasks();
+            }
+        },
+    }).finally(updateConnectionStatus);
+}
+
+/** @param {import('./offline-store.js').OutboxEntry} entry */
+function renderOutboxConflictCard(entry) {
+    const change = OUTBOX_CHANGE_LABELS[entry.type];
+    const what = `${entry.kind === 'task' ? 'task' : 'event'}${entry.conflict === 'deleted' ? 'Deleted' : 'Changed'}`;
+    return html`<div class="confirm-block" data-outbox-id="${entry.id}" data-item-id="${entry.itemId}">
+            <div class="card confirm-card danger">
+              <div class="card-icon"><span class="material-symbols-outlined">sync_problem</span></div>
+              <div class="card-content"><h4>${t('offline.conflict.title')}</h4>
+                <p>${t(`offline.conflict.${what}`, { title: entry.title, change })}</p>
+              </div>
+            </div>
+            <div class="confirm-actions">
+              <button class="action-button" data-conflict-choice="theirs">${t('offline.conflict.discardMine', { change })}</button>
+              <button class="action-button primary" data-conflict-choice="mine">${t('offline.conflict.applyMine')}</button>
+            </div>
+          </div>`;
+}
+
+async function chooseOutboxConflictVersion(button) {
+    const block = button.closest('[data-outbox-id]');
+    const actions = block.querySelector('.confirm-actions');
+    const keepMine = button.dataset.conflictChoice === 'mine';
+    actions.querySelectorAll('button').forEach((b) => { b.disabled = true; });
+    const entry = await getOutboxEntry(Number(block.dataset.outboxId)).catch(() => undefined);
+    // A card restored from chat history may refer to a conflict that is long settled.
+    if (!entry?.conflict || entry.itemId !== block.dataset.itemId) {
+        actions.innerHTML = html`<span class="confirm-status">${t('offline.conflict.alreadyResolved')}</span>`;
+        return;
+    }
+    try {
+        await resolveOutboxConflict(entry, keepMine);
+        actions.innerHTML = html`<span class="confirm-status">${keepMine ? t('offline.conflict.mineApplied') : t('offline.conflict.theirsKept')}</span>`;
+        updateConnectionStatus();
+        renderCalendar(appState.currentDisplayedDate);
+        renderDailyEvents(appState.currentDisplayedDate);
+        if (entry.kind === 'task') refreshTasks();
+    } catch (error) {
+        console.error('Conflict Resolution Error:', error);
+        actions.querySelectorAll('button').forEach((b) => { b.disabled = false; });
+        appendMessage('error', t('offline.conflict.applyFailed', { message: (error.result?.error?.message) || error.message }));
+    }
+}
+
+// --- Chat Sessions ---
+let sessionSaveTimer = null;
+
+function ensureCurrentSession(firstMessage) {
+    if (appState.currentSession) return;
+    const title = firstMessage.trim().replace(/\s+/g, ' ').slice(0, SESSION_TITLE_LENGTH) || t('chat.imageTitle');
+    appState.currentSession = createSession(title);
+    // The session and the agent loop share one history array.
+    appState.currentSession.history = appState.chatHistory;
+}
+
+function recordMessage(type, text, content) {
+    const session = appState.currentSession;
+    if (!session) return;
+    // Cards are stored as markup strings; IndexedDB can't keep the SafeHtml wrapper.
+    const stored = Array.isArray(content) ? content : String(content || '');
+    session.messages.push({ type, text, content: stored, createdAt: new Date().toISOString() });
+    clearTimeout(sessionSaveTimer);
+    sessionSaveTimer = setTimeout(persistCurrentSession, SESSION_SAVE_DELAY_MS);
+}
+
+async function persistCurrentSession() {
+    clearTimeout(sessionSaveTimer);
+    sessionSaveTimer = null;
+    const session = appState.currentSession;
+    if (!session) return;
+    session.updatedAt = new Date().toISOString();
+    try {
+        await saveSession(session);
+    } catch (err) {
+        console.error("Error saving chat session:", err);
+    }
+    if (dom.sessionsDrawer.classList.contains('visible')) renderSessionsList();
+}
+
+function startNewSession() {
+    // A voice conversation belongs to the session it was started in.
+    stopLiveConversation();
+    // Flush a pending save before the session is let go.
+    if (sessionSaveTimer) persistCurrentSession();
+    appState.currentSession = null;
+    appState.chatHistory = [];
+    dom.messageList.innerHTML = '';
+}
+
+async function resumeSession(sessionId) {
+    if (appState.isProcessing) { alert(t('chat.alert.busy')); return; }
+    if (appState.currentSession?.id !== sessionId) {
+        let session;
+        try {
+            session = await getSession(sessionId);
+        } catch (err) {
+            console.error("Error loading chat session:", err);
+        }
+        if (!session) { appendMessage('error', t('sessions.openFailed')); return; }
+        startNewSession();
+        appState.currentSession = session;
+        appState.chatHistory = session.history;
+        dom.welcomeScreen.style.display = 'none';
+        // Stored cards are markup this app rendered earlier.
+        session.messages.forEach(message => appendMessage(message.type, message.text,
+            Array.isArray(message.content) ? message.content : trustedHtml(message.content), { persist: false }));
+    }
+    closeModal(dom.sessionsDrawer);
+}
+
+function openNewChat() {
+    if (appState.isProcessing) { alert(t('chat.alert.busy')); return; }
+    startNewSession();
+    if (appState.isSignedIn) {
+        dom.welcomeScreen.style.display = 'flex';
+        dom.welcomeScreen.style.opacity = '1';
+    }
+    closeModal(dom.sessionsDrawer);
+    dom.chatTextInput.focus();
+}
+
+async function openSessionsDrawer() {
+    dom.sessionsSearchInput.value = '';
+    showModal(dom.sessionsDrawer);
+    await renderSessionsList();
+}
+
+let sessionsListRenderId = 0;
+
+async function renderSessionsList() {
+    const renderId = ++sessionsListRenderId;
+    let sessions;
+    try {
+        sessions = await listSessions();
+    } catch (err) {
+        console.error("Error loading chat sessions:", err);
+        dom.sessionsList.innerHTML = html`<li class="sessions-empty">${t('sessions.loadFailed')}</li>`;
+        return;
+    }
+    // A newer render (e.g. from the next keystroke) has taken over.
+    if (renderId !== sessionsListRenderId) return;
+
+    const query = dom.sessionsSearchInput.value;
+    const results = searchSessions(sessions, query);
+    dom.sessionsList.innerHTML = '';
+    if (results.length === 0) {
+        dom.sessionsList.innerHTML = html`<li class="sessions-empty">${query.trim() ? t('sessions.noResults') : t('sessions.empty')}</li>`;
+        return;
+    }
+    results.forEach(({ session, snippet }) => {
+        const li = document.createElement('li');
+        li.className = 'session-item';
+        li.classList.toggle('active', session.id === appState.currentSession?.id);
+        li.dataset.sessionId = session.id;
+        const updated = new Date(session.updatedAt).toLocaleString(getLocale(), { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+        li.innerHTML = html`
+            <button class="session-open" data-session-action="open">
+                <span class="session-title">${session.title}</span>
+                <span class="session-meta">${updated} · ${t('sessions.messageCount', { count: session.messages.length })}</span>
+                ${snippet ? html`<span class="session-snippet">${snippet}</span>` : ''}
+            </button>
+            <div class="session-actions">
+                <button class="icon-button" data-session-action="export-md" aria-label="${t('sessions.exportMarkdown')}" title="${t('sessions.exportMarkdown')}"><span class="material-symbols-outlined">description</span></button>
+                <button class="icon-button" data-session-action="export-json" aria-label="${t('sessions.exportJson')}" title="${t('sessions.exportJson')}"><span class="material-symbols-outlined">data_object</span></button>
+                <button class="icon-button" data-session-action="delete" aria-label="${t('sessions.delete')}" title="${t('sessions.delete')}"><span class="material-symbols-outlined">delete</span></button>
+            </div>`;
+        dom.sessionsList.appendChild(li);
+    });
+}
+
+async function exportSession(sessionId, format) {
+    try {
+        // The open session may have changes that are not saved yet.
+        const session = appState.currentSession?.id === sessionId ? appState.currentSession : await getSession(sessionId);
+        if (!session) return;
+        const baseName = session.title.replace(/[\\/:*?"<>|]+/g, '').slice(0, 40).trim() || 'chat';
+        const fileName = `${baseName} ${session.createdAt.slice(0, 10)}.${format === 'json' ? 'json' : 'md'}`;
+        if (format === 'json') downloadFile(fileName, sessionToJson(session), 'application/json');
+        else downloadFile(fileName, sessionToMarkdown(session), 'text/markdown');
+    } catch (err) {
+        console.error("Error exporting chat session:", err);
+        alert(t('sessions.exportFailed'));
+    }
+}
+
+async function removeSession(sessionId) {
+    if (!confirm(t('sessions.confirmDelete'))) return;
+    if (appState.currentSession?.id === sessionId) {
+        if (appState.isProcessing) { alert(t('chat.alert.busy')); return; }
+        clearTimeout(sessionSaveTimer);
+        sessionSaveTimer = null;
+        appState.currentSession = null;
+        openNewChat();
+    }
+    try {
+        await deleteSession(sessionId);
+    } catch (err) {
+        console.error("Error deleting chat session:", err);
+    }
+    renderSessionsList();
+}
+
+function downloadFile(fileName, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoking right after the click cancels the download in some browsers.
+    setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME_MS);
+}
+
+function setupSessionsDrawer() {
+    dom.historyButton.onclick = openSessionsDrawer;
+    dom.closeSessionsDrawerButton.onclick = () => closeModal(dom.sessionsDrawer);
+    dom.newChatButton.onclick = openNewChat;
+    dom.sessionsSearchInput.oninput = () => renderSessionsList();
+    dom.sessionsDrawer.addEventListener('keydown', (e) => { if (e.key === 'Escape') closeModal(dom.sessionsDrawer); });
+    dom.sessionsDrawer.addEventListener('click', (e) => {
+        if (e.target === dom.sessionsDrawer) { closeModal(dom.sessionsDrawer); return; }
+        const button = e.target.closest('[data-session-action]');
+        const sessionId = button?.closest('.session-item')?.dataset.sessionId;
+        if (!sessionId) return;
+        switch (button.dataset.sessionAction) {
+            case 'open': resumeSession(sessionId); break;
+            case 'export-md': exportSession(sessionId, 'markdown'); break;
+            case 'export-json': exportSession(sessionId, 'json'); break;
+            case 'delete': removeSession(sessionId); break;
+        }
+    });
+}
+
+// --- Chat & Gemini ---
+async function generateDynamicSuggestions() {
+    if (!appState.ai) return;
+    try {
+        const prompt = t('prompt.suggestions');
+        const response = await appState.ai.models.generateContent({
+            model: appState.modelSettings.models.suggestions,
+            contents: prompt,
+            config: { ...generationConfig(appState.modelSettings), responseMimeType: "application/json" },
+        });
+        const suggestions = JSON.parse(response.text.trim());
+        dom.suggestionChipsContainer.innerHTML = '';
+        suggestions.forEach((text) => {
+            const button = document.createElement('button');
+            button.className = 'suggestion-chip';
+            button.textContent = text;
+            dom.suggestionChipsContainer.appendChild(button);
+        });
+    } catch (error) {
+        console.error("Failed to generate suggestions:", error);
+        dom.suggestionChipsContainer.innerHTML = html`${['welcome.suggestion1', 'welcome.suggestion2', 'welcome.suggestion3']
+            .map(key => html`<button class="suggestion-chip">${t(key)}</button>`)}`;
+    }
+}
+
+// Tells the user why the assistant can't be used right now, if it can't.
+function checkAssistantAvailable() {
+    if (!appState.ai) {
+        appendMessage('error', t('chat.error.notConfigured'));
+        showModal(dom.settingsModal); return false;
+    }
+    if (!appState.isSignedIn) {
+        appendMessage('error', t('chat.error.signInRequired')); return false;
+    }
+    if (isOffline()) {
+        appendMessage('error', t('chat.error.offline')); return false;
+    }
+    return true;
+}
+
+function buildSystemInstruction() {
+    const instruction = t('prompt.system', { now: toZonedIsoString(new Date()), timeZone: getTimeZone() });
+    const custom = appState.modelSettings.customInstructions;
+    return custom ? `${instruction}\n${t('prompt.customInstructions')}\n${custom}` : instruction;
+}
+
+async function sendMessage(text, attachments = []) {
+    if (!text.trim() && attachments.length === 0) return;
+    if (!checkAssistantAvailable()) return;
+    // During a voice conversation typed messages go to the same live session.
+    if (appState.liveConversation?.session && attachments.length === 0) {
+        sendLiveText(text.trim());
+        return;
+    }
+
+    showLoading(true);
+    dom.welcomeScreen.style.opacity = '0';
+    setTimeout(() => { if (dom.welcomeScreen) dom.welcomeScreen.style.display = 'none'; }, 300);
+
+    const userMessageContent = [];
+    if (attachments.length > 0) {
+        userMessageContent.push(...attachments.map(file => ({ inlineData: { mimeType: file.type, data: file.data } })));
+        const attachmentPrompt = text.trim() || t('prompt.describeAttachments');
+        userMessageContent.push({ text: attachmentPrompt });
+    } else {
+        userMessageContent.push({ text: text.trim() });
+    }
+
+    ensureCurrentSession(text || attachments[0].name || '');
+    appendMessage('user', text.trim(), attachments);
+    appState.chatHistory.push({ role: 'user', parts: userMessageContent });
+    const speakReplies = shouldSpeakReplies(appState.voiceInput);
+    clearChatInput();
+    stopSpeaking();
+
+    appState.abortController = new AbortController();
+    try {
+        await runAssistantTurn(buildSystemInstruction(), appState.abortController.signal, { speakReplies });
+    } catch (error) {
+        console.error('Gemini API Error:', error);
+        appendMessage('error', t('chat.error.gemini'));
+    } finally {
+        appState.abortController = null;
+        showLoading(false);
+        persistCurrentSession();
+    }
+}
+
+/**
+ * Runs the agent loop (agent-loop.js) on the current conversation. Text is
+ * streamed into a chat bubble as it arrives; `signal` stops the loop. With
+ * `speakReplies` the replies and action confirmations are also read aloud.
+ */
+function runAssistantTurn(systemInstruction, signal, { speakReplies = false } = {}) {
+    let bubble = null;
+    let text = '';
+    let renderScheduled = false;
+    const render = () => {
+        renderScheduled = false;
+        if (!bubble) return; // the turn ended before the frame
+        const atBottom = dom.messageList.scrollHeight - dom.messageList.scrollTop - dom.messageList.clientHeight < 40;
+        bubble.innerHTML = renderMarkdown(text);
+        if (atBottom) dom.messageList.scrollTop = dom.messageList.scrollHeight;
+    };
+    return runAgentLoop({
+        ai: appState.ai,
+        model: appState.modelSettings.models.chat,
+        config: generationConfig(appState.modelSettings),
+        history: appState.chatHistory,
+        systemInstruction,
+        signal,
+    }, {
+        confirm: (previewCard, choices) => requestConfirmation(previewCard, choices, signal),
+        onText: (streamed) => {
+            text = streamed;
+            if (!bubble) {
+                // The bubble itself now shows progress.
+                dom.loadingIndicator.style.display = 'none';
+                bubble = appendStreamingBubble();
+            }
+            if (!renderScheduled) {
+                renderScheduled = true;
+                requestAnimationFrame(render);
+            }
+        },
+        onTurnEnd: (turnText, aborted) => {
+            if (bubble) {
+                text = turnText;
+                render();
+                bubble.classList.remove('streaming');
+                recordMessage('model', turnText, '');
+                bubble = null;
+            }
+            if (!aborted) dom.loadingIndicator.style.display = 'flex';
+        },
+        onMessage: (type, messageText, card) => {
+            appendMessage(type, messageText, card);
+            if (speakReplies && card) speakText(markupToSpeech(card));
+        },
+        onReply: (reply) => {
+            if (speakReplies) speakText(markdownToSpeech(reply));
+        },
+        onUndo: offerUndo,
+    });
+}
+
+function appendStreamingBubble() {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'message-wrapper model-wrapper';
+    wrapper.innerHTML = '<div class="message-bubble model-bubble streaming"></div>';
+    dom.messageList.appendChild(wrapper);
+    dom.messageList.scrollTop = dom.messageList.scrollHeight;
+    return wrapper.firstElementChild;
+}
+
+// --- Attachments ---
+// Images and PDFs wait in the tray above the input until the next message is
+// sent or "Найти события" is pressed. Photos can also be taken with the camera.
+let cameraStream = null;
+
+async function attachFiles(files) {
+    for (const file of files) {
+        // Calendar files are imported rather than sent to the model.
+        if (isIcsFile(file)) {
+            file.text().then(text => showIcsImport(text, file.name));
+            continue;
+        }
+        if (!file.type.startsWith('image/') && file.type !== 'application/pdf') {
+            appendMessage('error', t('attachments.unsupported', { name: file.name }));
+            continue;
+        }
+        if (file.size > MAX_ATTACHMENT_BYTES) {
+            appendMessage('error', t('attachments.tooLarge', { name: file.name, size: MAX_ATTACHMENT_BYTES / 1024 / 1024 }));
+            continue;
+        }
+        try {
+            appState.attachments.push({ data: await readFileAsBase64(file), type: file.type, name: file.name });
+        } catch (error) {
+            console.error('File Read Error:', error);
+            appendMessage('error', t('attachments.readFailed', { name: file.name }));
+        }
+    }
+    renderAttachmentTray();
+}
+
+function readFileAsBase64(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(String(reader.result).split(',')[1]);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+function renderAttachmentTray() {
+    dom.attachmentTray.hidden = appState.attachments.length === 0;
+    dom.attachmentList.innerHTML = html`${appState.attachments.map((file, index) => html`<span class="attachment-chip">
+            ${renderAttachmentPreview(file)}
+            <button class="icon-button" data-remove-attachment="${index}" aria-label="${t('attachments.remove', { name: file.name })}"><span class="material-symbols-outlined">close</span></button>
+          </span>`)}`;
+    // The send button also depends on whether anything is attached.
+    dom.chatTextInput.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+function renderAttachmentPreview(file) {
+    if (file.type.startsWith('image/')) return html`<img src="${imageDataUrl(file.type, file.data)}" alt="${file.name || t('attachments.imageAlt')}">`;
+    return html`<span class="attachment-file"><span class="material-symbols-outlined">picture_as_pdf</span>${file.name || 'PDF'}</span>`;
+}
+
+function clearChatInput() {
+    dom.chatTextInput.value = '';
+    appState.attachments = [];
+    renderAttachmentTray();
+}
+
+async function openCamera() {
+    try {
+        cameraStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: { ideal: 'environment' } }, audio: false });
+    } catch (error) {
+        console.error('Camera Error:', error);
+        appendMessage('error', error.name === 'NotAllowedError'
+            ? t('camera.permissionDenied')
+            : t('camera.failed'));
+        return;
+    }
+    dom.cameraPreview.srcObject = cameraStream;
+    showModal(dom.cameraModal);
+}
+
+function capturePhoto() {
+    const video = dom.cameraPreview;
+    if (!video.videoWidth) return;
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0);
+    const time = new Date().toLocaleTimeString(getLocale(), { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    appState.attachments.push({ data: canvas.toDataURL('image/jpeg', 0.9).split(',')[1], type: 'image/jpeg', name: `${t('camera.photoName', { time })}.jpg` });
+    renderAttachmentTray();
+    closeCamera();
+}
+
+function closeCamera() {
+    cameraStream?.getTracks().forEach(track => track.stop());
+    cameraStream = null;
+    dom.cameraPreview.srcObject = null;
+    closeModal(dom.cameraModal);
+}
+
+// --- Event Extraction ---
+// "Найти события" sends the attachments with a structured-output request
+// instead of the agent loop. The result is an editable table; nothing is
+// created until the user picks the rows and confirms.
+async function extractEventsFromAttachments(text, attachments) {
+    if (attachments.length === 0 || !checkAssistantAvailable()) return;
+    const hint = text.trim();
+    showLoading(true);
+    dom.welcomeScreen.style.display = 'none';
+    ensureCurrentSession(hint || t('extraction.sessionTitle'));
+    appendMessage('user', hint || t('extraction.request'), attachments);
+    const files = attachments.map(file => ({ inlineData: { mimeType: file.type, data: file.data } }));
+    const prompt = buildExtractionPrompt(new Date(), hint);
+    clearChatInput();
+
+    appState.abortController = new AbortController();
+    try {
+        const response = await appState.ai.models.generateContent({
+            model: appState.modelSettings.models.extraction,
+            contents: [{ role: 'user', parts: [...files, { text: prompt }] }],
+            config: {
+                ...generationConfig(appState.modelSettings),
+                responseMimeType: 'application/json',
+                responseSchema: EXTRACTION_SCHEMA,
+                abortSignal: appState.abortController.signal,
+            },
+        });
+        const items = parseExtractedItems(response.text);
+        // The chat history gets a short account, so the conversation can refer to it.
+        appState.chatHistory.push({ role: 'user', parts: [...files, { text: hint || `${t('extraction.request')}.` }] });
+        if (items.length === 0) {
+            const reply = t('extraction.nothingFound');
+            appendMessage('model', reply);
+            appState.chatHistory.push({ role: 'model', parts: [{ text: reply }] });
+            return;
+        }
+        appState.chatHistory.push({ role: 'model', parts: [{ text: t('extraction.foundSummary', { items: items.map(item => `${item.title} (${item.date} ${item.start_time})`).join('; ') }) }] });
+        const wrapper = appendMessage('system', '', renderExtractionReview(items), { persist: false });
+        bindExtractionReview(wrapper, items);
+    } catch (error) {
+        if (appState.abortController.signal.aborted) {
+            appendMessage('system', t('chat.stopped'));
+            return;
+        }
+        console.error('Extraction Error:', error);
+        appendMessage('error', t('extraction.failed'));
+    } finally {
+        appState.abortController = null;
+        showLoading(false);
+        persistCurrentSession();
+    }
+}
+
+/** @param {import('./event-extraction.js').ExtractedItem[]} items */
+function renderExtractionReview(items) {
+    const rows = items.map((item, index) => {
+        const confident = item.confidence >= CONFIDENCE_THRESHOLD;
+        return html`<tr class="${confident ? '' : 'low-confidence'}" data-index="${index}">
+            <td><input type="checkbox" data-field="selected" ${confident ? 'checked' : ''} aria-label="${t('extraction.column.create')}"></td>
+            <td><select data-field="kind" aria-label="${t('extraction.column.kind')}">
+              <option value="event" ${item.kind === 'event' ? 'selected' : ''}>${t('extraction.kind.event')}</option>
+              <option value="task" ${item.kind === 'task' ? 'selected' : ''}>${t('extraction.kind.task')}</option>
+            </select></td>
+            <td><input type="text" data-field="title" value="${item.title}" aria-label="${t('extraction.column.title')}"></td>
+            <td><input type="date" data-field="date" value="${item.date}" aria-label="${t('extraction.column.date')}"></td>
+            <td><input type="time" data-field="start_time" value="${item.start_time}" aria-label="${t('extraction.column.start')}"></td>
+            <td><input type="time" data-field="end_time" value="${item.end_time}" aria-label="${t('extraction.column.end')}"></td>
+            <td><input type="text" data-field="location" value="${item.location}" aria-label="${t('extraction.column.location')}"></td>
+            <td><span class="confidence-badge" title="${t('extraction.confidenceTitle')}">${Math.round(item.confidence * 100)}%</span></td>
+          </tr>`;
+    });
+    return html`<div class="card extraction-card">
+            <div class="card-content">
+              <h4>${t('extraction.foundCount', { count: items.length })}</h4>
+              <p>${t('extraction.reviewHint')}</p>
+              <div class="extraction-table-wrapper"><table class="extraction-table">
+                <thead><tr>
+                  <th><input type="checkbox" data-select-all aria-label="${t('extraction.selectAll')}"></th>
+                  <th>${t('extraction.column.kind')}</th><th>${t('extraction.column.title')}</th><th>${t('extraction.column.date')}</th><th>${t('extraction.column.start')}</th><th>${t('extraction.column.end')}</th><th>${t('extraction.column.location')}</th><th>${t('extraction.column.confidence')}</th>
+                </tr></thead>
+                <tbody>${rows}</tbody>
+              </table></div>
+              <label class="card-calendar-select">${t('extraction.calendar')} <select data-field="calendar">${renderWritableCalendarOptions()}</select></label>
+              <div class="confirm-actions">
+                <button class="action-button" data-extraction="cancel">${t('common.cancel')}</button>
+                <button class="action-button primary" data-extraction="create">${t('extraction.createSelected')}</button>
+              </div>
+            </div>
+          </div>`;
+}
+
+function bindExtractionReview(wrapper, items) {
+    const selectAll = wrapper.querySelector('[data-select-all]');
+    const checkboxes = [...wrapper.querySelectorAll('[data-field="selected"]')];
+    const updateSelection = () => {
+        const count = checkboxes.filter(box => box.checked).length;
+        selectAll.checked = count === checkboxes.length;
+        selectAll.indeterminate = count > 0 && count < checkboxes.length;
+        wrapper.querySelector('[data-extraction="create"]').textContent = count > 0 ? t('extraction.createSelectedCount', { count }) : t('extraction.createSelected');
+    };
+    selectAll.onchange = () => {
+        checkboxes.forEach(box => { box.checked = selectAll.checked; });
+        updateSelection();
+    };
+    checkboxes.forEach(box => { box.onchange = updateSelection; });
+    updateSelection();
+
+    wrapper.querySelector('[data-extraction="cancel"]').onclick = () => finishReviewCard(wrapper, t('extraction.reviewTitle'), html`<span class="confirm-status">${t('common.cancelled')}</span>`);
+    wrapper.querySelector('[data-extraction="create"]').onclick = () => createExtractedItems(wrapper, items);
+}
+
+// Reads the edited rows back; `notes` are not editable in the table and come from the original item.
+function readExtractionRows(wrapper, items) {
+    return [...wrapper.querySelectorAll('tbody tr')]
+        .filter(row => row.querySelector('[data-field="selected"]').checked)
+        .map((row) => {
+            const field = name => row.querySelector(`[data-field="${name}"]`).value.trim();
+            return {
+                ...items[Number(row.dataset.index)],
+                kind: field('kind'), title: field('title'), date: field('date'),
+                start_time: field('start_time'), end_time: field('end_time'), location: field('location'),
+            };
+        });
+}
+
+async function createExtractedItems(wrapper, items) {
+    const selected = readExtractionRows(wrapper, items);
+    const status = wrapper.querySelector('.confirm-actions');
+    if (selected.length === 0) return;
+    const incomplete = selected.find(item => !item.title || !item.date);
+    if (incomplete) {
+        alert(t('extraction.alert.incomplete'));
+        return;
+    }
+    const calendarId = wrapper.querySelector('[data-field="calendar"]').value;
+    wrapper.querySelectorAll('input, select, button').forEach(control => { control.disabled = true; });
+
+    const created = [];
+    for (const [index, item] of selected.entries()) {
+        status.innerHTML = html`<span class="confirm-status">${t('extraction.progress', { index: index + 1, total: selected.length })}</span>`;
+        const result = item.kind === 'task'
+            ? await createTask({ title: item.title, notes: item.notes || undefined, due: item.date }, { refresh: false })
+            : await createCalendarEvent({ ...extractedEventTimes(item), summary: item.title, location: item.location || undefined, description: item.notes || undefined, calendar_id: calendarId }, { refresh: false });
+        if (!result.error) created.push(item);
+    }
+
+    const firstEvent = created.find(item => item.kind === 'event');
+    if (firstEvent) {
+        renderCalendar(new Date(`${firstEvent.date}T00:00:00`));
+        renderDailyEvents(new Date(`${firstEvent.date}T00:00:00`));
+    }
+    if (created.some(item => item.kind === 'task')) refreshTasks();
+    const list = created.map(item => html`<li>${item.kind === 'task' ? t('extraction.kind.task') : t('extraction.kind.event')}: <strong>${item.title}</strong>, ${formatEventTime(item.date)}${item.start_time ? ` ${item.start_time}` : ''}</li>`);
+    finishReviewCard(wrapper, t('extraction.reviewTitle'), html`<span class="confirm-status">${t('extraction.createdCount', { count: created.length, total: selected.length })}</span>`, list);
+}
+
+// An event without a start time becomes an all-day event; without an end it lasts an hour.
+function extractedEventTimes(item) {
+    if (!item.start_time) {
+        const nextDay = new Date(`${item.date}T00:00:00`);
+        nextDay.setDate(nextDay.getDate() + 1);
+        return { start_time: item.date, end_time: toDateKey(nextDay) };
+    }
+    const start = new Date(`${item.date}T${item.start_time}:00`);
+    let end = item.end_time ? new Date(`${item.date}T${item.end_time}:00`) : null;
+    if (!end || end <= start) end = new Date(start.getTime() + 60 * 60000);
+    return { start_time: `${toDateTimeInputValue(start)}:00`, end_time: `${toDateTimeInputValue(end)}:00` };
+}
+
+// Options for the calendars the user can add events to, the primary one preselected.
+function renderWritableCalendarOptions() {
+    const calendars = appState.calendars.filter(calendar => ['owner', 'writer'].includes(calendar.accessRole));
+    if (calendars.length === 0) return html`<option value="primary">${t('calendar.primary')}</option>`;
+    return calendars.map(calendar => html`<option value="${calendar.id}" ${calendar.primary ? 'selected' : ''}>${getCalendarName(calendar)}</option>`);
+}
+
+// Replaces an editable review card with its outcome; only that outcome is kept in the session.
+function finishReviewCard(wrapper, title, statusHtml, resultList = []) {
+    const content = wrapper.querySelector('.card-content');
+    content.innerHTML = html`<h4>${title}</h4>
+            ${resultList.length > 0 ? html`<ul class="review-result">${resultList}</ul>` : ''}
+            <div class="confirm-actions">${statusHtml}</div>`;
+    recordMessage('system', '', wrapper.innerHTML);
+}
+
+// --- Calendar Files ---
+// .ics files dropped, attached or pasted into the chat are imported after a
+// review card. Events keep their iCalendar UID, so importing the same file
+// twice skips what is already in the calendar. Any date range or search can
+// be downloaded as .ics.
+function isIcsFile(file) {
+    return file.type === 'text/calendar' || /\.ics$/i.test(file.name);
+}
+
+function showIcsImport(text, sourceName) {
+    if (!appState.isSignedIn) { appendMessage('error', t('ics.signInRequired')); return; }
+    let parsed;
+    try {
+        parsed = parseIcs(text);
+    } catch (error) {
+        console.error('ICS Parse Error:', error);
+        appendMessage('error', t('ics.parseFailed', { name: sourceName, message: error.message }));
+        return;
+    }
+    if (parsed.events.length === 0) { appendMessage('error', t('ics.noEvents', { name: sourceName })); return; }
+    switchView('chat');
+    dom.welcomeScreen.style.display = 'none';
+    ensureCurrentSession(t('ics.sessionTitle', { name: sourceName }));
+    const wrapper = appendMessage('system', '', renderIcsImportCard(parsed, sourceName), { persist: false });
+    bindIcsImport(wrapper, parsed.events);
+}
+
+/** @param {import('./ics.js').IcsImport} parsed */
+function renderIcsImportCard({ events, skipped }, sourceName) {
+    const items = events.map((event, index) => html`<li><label>
+            <input type="checkbox" data-index="${index}" checked>
+            <span><strong>${event.summary || t('event.untitled')}</strong> — ${formatEventTime(event.start.dateTime || event.start.date)}${event.recurrence ? html`, ${describeRecurrence(event.recurrence)}` : ''}</span>
+          </label></li>`);
+    return html`<div class="card ics-card">
+            <div class="card-icon"><span class="material-symbols-outlined">upload_file</span></div>
+            <div class="card-content">
+              <h4>${t('ics.importFrom', { name: sourceName })}</h4>
+              <p>${t('ics.eventCount', { count: events.length })}${skipped > 0 ? ` ${t('ics.skipped', { count: skipped })}` : ''}</p>
+              <ul class="ics-event-list">${items}</ul>
+              <label class="card-calendar-select">${t('ics.calendar')} <select data-field="calendar">${renderWritableCalendarOptions()}</select></label>
+              <div class="confirm-actions">
+                <button class="action-button" data-ics="cancel">${t('common.cancel')}</button>
+                <button class="action-button primary" data-ics="import">${t('ics.import')}</button>
+              </div>
+            </div>
+          </div>`;
+}
+
+function bindIcsImport(wrapper, events) {
+    wrapper.querySelector('[data-ics="cancel"]').onclick = () => finishReviewCard(wrapper, t('ics.importTitle'), html`<span class="confirm-status">${t('common.cancelled')}</span>`);
+    wrapper.querySelector('[data-ics="import"]').onclick = () => importIcsEvents(wrapper, events);
+}
+
+async function importIcsEvents(wrapper, events) {
+    if (isOffline()) { appendMessage('error', t('ics.offline')); return; }
+    const selected = [...wrapper.querySelectorAll('[data-index]')].filter(box => box.checked).map(box => events[Number(box.dataset.index)]);
+    if (selected.length === 0) return;
+    const calendarId = wrapper.querySelector('[data-field="calendar"]').value;
+    const status = wrapper.querySelector('.confirm-actions');
+    wrapper.querySelectorAll('input, select, button').forEach(control => { control.disabled = true; });
+
+    const imported = [];
+    let duplicates = 0;
+    let lastError = null;
+    for (const [index, event] of selected.entries()) {
+        status.innerHTML = html`<span class="confirm-status">${t('ics.progress', { index: index + 1, total: selected.length })}</span>`;
+        try {
+            const existing = await googleApi.calendar.events.list({ calendarId, iCalUID: event.iCalUID, showDeleted: false, maxResults: 1 });
+            if ((existing.result.items || []).length > 0) { duplicates++; continue; }
+            const response = await googleApi.calendar.events.import({ calendarId, resource: event });
+            imported.push(response.result);
+        } catch (error) {
+            console.error('ICS Import Error:', error);
+            lastError = error;
+        }
+    }
+
+    if (imported.length > 0) {
+        const start = new Date(imported[0].start.dateTime || imported[0].start.date);
+        renderCalendar(start);
+        renderDailyEvents(start);
+    }
+    const failed = selected.length - imported.length - duplicates;
+    if (lastError) appendMessage('error', `${t('ics.importFailed', { count: failed })} ${(lastError.result?.error?.message) || lastError.message}`);
+    const list = imported.map(event => html`<li><strong>${event.summary || t('event.untitled')}</strong>, ${formatEventTime(event.start.dateTime || event.start.date)}</li>`);
+    finishReviewCard(wrapper, t('ics.importTitle'), html`<span class="confirm-status">${t('ics.imported', { count: imported.length })}${duplicates > 0 ? t('ics.duplicates', { count: duplicates }) : ''}${failed > 0 ? t('ics.failed', { count: failed }) : ''}</span>`, list);
+}
+
+/**
+ * Downloads the events of a period as an .ics file. Without `calendar_id` it
+ * covers every visible calendar; `query` narrows it like find_events does.
+ * @returns {Promise<{ count: number, fileName: string }>}
+ */
+async function downloadEventsIcs({ time_min, time_max, query, calendar_id }) {
+    let calendars = getVisibleCalendars();
+    if (calendar_id) {
+        const calendarId = resolveCalendarId(calendar_id);
+        if (!calendarId) throw new Error(unknownCalendarError(calendar_id).error);
+        calendars = [{ id: calendarId }];
+    }
+    const events = await listEventsFromCalendars(calendars, {
+        'timeMin': time_min,
+        'timeMax': time_max,
+        'q': query,
+        'showDeleted': false,
+        'singleEvents': true,
+        'maxResults': ICS_EXPORT_MAX_RESULTS,
+        'orderBy': 'startTime',
+    });
+    const calendar = calendars.length === 1 && appState.calendars.find(item => item.id === calendars[0].id);
+    const fileName = `events-${time_min.slice(0, 10)}-${time_max.slice(0, 10)}.ics`;
+    downloadFile(fileName, serializeIcs(events, { name: calendar ? getCalendarName(calendar) : undefined }), 'text/calendar');
+    return { count: events.length, fileName };
+}
+
+async function exportEventsIcs(args) {
+    try {
+        const { count, fileName } = await downloadEventsIcs(args);
+        return { status: 'downloaded', count, file_name: fileName };
+    } catch (error) {
+        console.error('ICS Export Error:', error);
+        const message = (error.result?.error?.message) || error.message;
+        appendMessage('error', t('ics.exportFailed', { message }));
+        return { error: message };
+    }
+}
+
+// The export form in the calendar panel; the end date is inclusive.
+async function exportDateRangeIcs() {
+    const from = dom.icsExportFrom.value;
+    const to = dom.icsExportTo.value;
+    if (!from || !to || to < from) { alert(t('ics.alert.rangeRequired')); return; }
+    const end = new Date(`${to}T00:00:00`);
+    end.setDate(end.getDate() + 1);
+    dom.icsExportButton.disabled = true;
+    try {
+        const { count } = await downloadEventsIcs({ time_min: new Date(`${from}T00:00:00`).toISOString(), time_max: end.toISOString() });
+        if (count === 0) alert(t('ics.alert.emptyRange'));
+    } catch (error) {
+        console.error('ICS Export Error:', error);
+        alert(t('ics.exportFailed', { message: (error.result?.error?.message) || error.message }));
+    } finally {
+        dom.icsExportButton.disabled = false;
+    }
+}
+
+// Defaults the export form to the month shown in the calendar.
+function resetIcsExportRange() {
+    const date = appState.currentDisplayedDate;
+    dom.icsExportFrom.value = toDateKey(new Date(date.getFullYear(), date.getMonth(), 1));
+    dom.icsExportTo.value = toDateKey(new Date(date.getFullYear(), date.getMonth() + 1, 0));
+}
+
+// --- Spoken Replies ---
+// Settings live in localStorage: 'speechMode' is 'off', 'voice' (default:
+// only answers to requests dictated with the mic button) or 'always'.
+function shouldSpeakReplies(fromVoice) {
+    const mode = localStorage.getItem('speechMode') || 'voice';
+    return isSpeechSupported() && (mode === 'always' || (mode === 'voice' && fromVoice));
+}
+
+function speakText(text) {
+    speak(text, {
+        voiceURI: localStorage.getItem('speechVoice') || '',
+        rate: Number(localStorage.getItem('speechRate')) || 1,
+        lang: getSpeechLocale(),
+    });
+}
+
+// Unsubscribes the voice list of the settings, so rendering them again doesn't add a second listener.
+let stopWatchingVoices = () => {};
+
+function renderSpeechSettings() {
+    if (!isSpeechSupported()) {
+        dom.settingsSpeechMode.value = 'off';
+        [dom.settingsSpeechMode, dom.settingsSpeechVoice, dom.settingsSpeechRate, dom.testSpeechButton].forEach(control => { control.disabled = true; });
+        return;
+    }
+    dom.settingsSpeechMode.value = localStorage.getItem('speechMode') || 'voice';
+    dom.settingsSpeechRate.value = localStorage.getItem('speechRate') || '1';
+    dom.settingsSpeechRateValue.textContent = `${Number(dom.settingsSpeechRate.value).toFixed(1)}×`;
+    fillSpeechVoices();
+    // Voices are often loaded only after the first call to getVoices().
+    stopWatchingVoices();
+    stopWatchingVoices = onVoicesChanged(fillSpeechVoices);
+}
+
+function fillSpeechVoices() {
+    const selected = localStorage.getItem('speechVoice') || '';
+    dom.settingsSpeechVoice.innerHTML = html`<option value="">${t('settings.speech.defaultVoice')}</option>
+        ${listVoices(getSpeechLocale()).map(voice => html`<option value="${voice.voiceURI}">${voice.name} (${voice.lang})</option>`)}`;
+    dom.settingsSpeechVoice.value = selected;
+}
+
+// --- Language and Region ---
+// 'language' picks the message catalog and needs a reload; 'speechLanguage',
+// 'weekStart' and 'timeZone' are read on every use. An empty value in any of
+// the selects means "follow the interface language or the device".
+function renderLocaleSettings() {
+    dom.settingsLanguage.innerHTML = html`${LANGUAGES.map(item => html`<option value="${item.code}">${item.label}</option>`)}`;
+    dom.settingsLanguage.value = getLanguage();
+    dom.settingsSpeechLanguage.innerHTML = html`<option value="">${t('settings.locale.speechAsInterface')}</option>
+        ${LANGUAGES.map(item => html`<option value="${item.locale}">${item.label}</option>`)}`;
+    dom.settingsSpeechLanguage.value = localStorage.getItem('speechLanguage') || '';
+    // 2023-01-01 was a Sunday.
+    const dayName = day => new Date(2023, 0, 1 + day).toLocaleDateString(getLocale(), { weekday: 'long' });
+    dom.settingsWeekStart.innerHTML = html`<option value="">${t('settings.locale.auto')}</option>
+        <option value="1">${dayName(1)}</option>
+        <option value="0">${dayName(0)}</option>`;
+    dom.settingsWeekStart.value = localStorage.getItem('weekStart') || '';
+    const deviceZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    dom.settingsTimeZone.innerHTML = html`<option value="">${t('settings.locale.deviceTimeZone', { timeZone: deviceZone })}</option>
+        ${zones.map(zone => html`<option value="${zone}">${zone.replace(/_/g, ' ')}</option>`)}`;
+    dom.settingsTimeZone.value = localStorage.getItem('timeZone') || '';
+}
+
+function saveLocaleSetting(name, value) {
+    if (value) localStorage.setItem(name, value);
+    else localStorage.removeItem(name);
+}
+
+// --- Daily Briefing ---
+// The welcome screen opens with a short summary of the day written by Gemini:
+// today's events, overdue tasks, overlapping events and tight transfers between
+// places. It is generated on the first open of the day and kept in
+// localStorage ('dailyBriefing') until the next day or a manual refresh.
+async function showDailyBriefing({ refresh = false } = {}) {
+    if (!appState.ai || !appState.isSignedIn || localStorage.getItem('briefingEnabled') === 'false') {
+        dom.briefingCard.hidden = true;
+        return;
+    }
+    const today = toDateKey(new Date());
+    const cached = JSON.parse(localStorage.getItem('dailyBriefing') || 'null');
+    if (cached?.date === today && cached.language === getLanguage() && !refresh) {
+        dom.briefingCard.hidden = false;
+        dom.briefingContent.innerHTML = renderMarkdown(cached.text);
+        return;
+    }
+    if (isOffline()) { dom.briefingCard.hidden = true; return; }
+
+    dom.briefingCard.hidden = false;
+    dom.briefingContent.innerHTML = html`<p class="briefing-loading">${t('briefing.loading')}</p>`;
+    dom.refreshBriefingButton.disabled = true;
+    try {
+        const data = await collectBriefingData();
+        let text;
+        try {
+            const response = await appState.ai.models.generateContent({
+                model: appState.modelSettings.models.briefing,
+                contents: t('prompt.briefing', { data: JSON.stringify(data) }),
+                config: generationConfig(appState.modelSettings),
+            });
+            text = response.text.trim();
+        } catch (error) {
+            console.error('Briefing Error:', error);
+            text = describeBriefingData(data);
+        }
+        localStorage.setItem('dailyBriefing', JSON.stringify({ date: today, language: getLanguage(), text }));
+        dom.briefingContent.innerHTML = renderMarkdown(text);
+    } catch (error) {
+        console.error('Briefing Data Error:', error);
+        dom.briefingCard.hidden = true;
+    } finally {
+        dom.refreshBriefingButton.disabled = false;
+    }
+}
+
+async function collectBriefingData() {
+    const dayStart = new Date();
+    dayStart.setHours(0, 0, 0, 0);
+    const dayEnd = new Date(dayStart);
+    dayEnd.setDate(dayEnd.getDate() + 1);
+    const [events, tasks] = await Promise.all([
+        listEventsFromCalendars(getVisibleCalendars(), {
+            'timeMin': dayStart.toISOString(),
+            'timeMax': dayEnd.toISOString(),
+            'showDeleted': false,
+            'singleEvents': true,
+            'orderBy': 'startTime',
+        }),
+        listDueTasks(dayEnd),
+    ]);
+    const today = toDateKey(dayStart);
+    const describeTime = event => (event.start.dateTime ? `${event.start.dateTime}–${event.end.dateTime}` : t('briefing.allDay'));
+    return {
+        date: dayStart.toLocaleDateString(getLocale(), { weekday: 'long', day: 'numeric', month: 'long' }),
+        now: toZonedIsoString(new Date()),
+        events: events.map(event => ({ summary: event.summary || t('event.untitled'), time: describeTime(event), location: event.location || undefined })),
+        conflicts: findOverlappingEvents(events).map(([first, second]) => t('briefing.conflict', { first: `${first.summary} (${describeTime(first)})`, second: `${second.summary} (${describeTime(second)})` })),
+        travel_gaps: findTravelGaps(events, TRAVEL_GAP_MINUTES).map(({ from, to, gapMinutes }) => t('briefing.travelGap', { minutes: gapMinutes, from: from.summary, fromPlace: from.location, to: to.summary, toPlace: to.location })),
+        overdue_tasks: tasks.filter(task => task.due.slice(0, 10) < today).map(task => t('briefing.overdueTask', { title: task.title, due: task.due.slice(0, 10) })),
+        tasks_due_today: tasks.filter(task => task.due.slice(0, 10) === today).map(task => task.title),
+    };
+}
+
+// Open tasks of every list that are due before `until`, overdue ones included.
+async function listDueTasks(until) {
+    const listsResponse = await googleApi.tasks.tasklists.list({ 'maxResults': 100 });
+    const responses = await Promise.all((listsResponse.result.items || []).map(list =>
+        googleApi.tasks.tasks.list({ 'tasklist': list.id, 'dueMax': until.toISOString(), 'showCompleted': false, 'maxResults': 100 })));
+    return responses.flatMap(response => response.result.items || []).filter(task => task.due);
+}
+
+// Used when Gemini can't be reached: the same facts, without the prose.
+function describeBriefingData(data) {
+    const lines = [data.events.length > 0 ? t('briefing.fallback.eventCount', { count: data.events.length }) : t('briefing.fallback.noEvents')];
+    data.events.forEach(event => lines.push(`- ${event.summary}, ${event.time.includes('T') ? formatEventTime(event.time.split('–')[0]) : event.time}`));
+    data.conflicts.forEach(conflict => lines.push(`- ⚠️ ${t('briefing.fallback.conflict', { conflict })}`));
+    data.travel_gaps.forEach(gap => lines.push(`- ⚠️ ${t('briefing.fallback.travelGap', { gap })}`));
+    if (data.overdue_tasks.length > 0) lines.push(`- ${t('briefing.fallback.overdueTasks', { tasks: data.overdue_tasks.join(', ') })}`);
+    if (data.tasks_due_today.length > 0) lines.push(`- ${t('briefing.fallback.tasksDueToday', { tasks: data.tasks_due_today.join(', ') })}`);
+    return lines.join('\n');
+}
+
+// --- Reminder Notifications ---
+// While the app is open, browser notifications announce upcoming events and
+// the tasks due today. Events are announced by their own popup reminders (or
+// their calendar's defaults), or at one fixed lead time chosen in the settings.
+// Settings in localStorage: 'notificationsEnabled', 'notificationLead'
+// ('reminders' or minutes) and 'taskNotificationTime' ("HH:MM").
+let upcomingEvents = [];
+let upcomingEventsLoadedAt = 0;
+
+function notificationsAllowed() {
+    return 'Notification' in window && Notification.permission === 'granted' && localStorage.getItem('notificationsEnabled') === 'true';
+}
+
+function startNotificationScheduler() {
+    stopNotificationScheduler();
+    if (!notificationsAllowed() || !appState.isSignedIn) return;
+    checkNotifications();
+    appState.notificationTimer = setInterval(checkNotifications, NOTIFICATION_CHECK_MS);
+}
+
+function stopNotificationScheduler() {
+    clearInterval(appState.notificationTimer);
+    appState.notificationTimer = null;
+    upcomingEvents = [];
+    upcomingEventsLoadedAt = 0;
+}
+
+async function checkNotifications() {
+    const now = Date.now();
+    const notified = loadNotifiedKeys(now);
+    try {
+        if (now - upcomingEventsLoadedAt > NOTIFICATION_REFRESH_MS) {
+            upcomingEvents = await listEventsFromCalendars(getVisibleCalendars(), {
+                'timeMin': new Date(now).toISOString(),
+                'timeMax': new Date(now + NOTIFICATION_WINDOW_HOURS * 3600000).toISOString(),
+                'showDeleted': false,
+                'singleEvents': true,
+                'orderBy': 'startTime',
+            });
+            upcomingEventsLoadedAt = now;
+        }
+        upcomingEvents.forEach((event) => {
+            if (!event.start.dateTime) return;
+            const start = new Date(event.start.dateTime).getTime();
+            if (now >= start) return;
+            // Several reminders may be due at once, e.g. after the app was closed; one notification covers them.
+            const dueKeys = getReminderLeadMinutes(event)
+                .filter(minutes => now >= start - minutes * 60000)
+                .map(minutes => `${event.calendarId}/${event.id}/${minutes}`);
+            if (dueKeys.length === 0 || dueKeys.every(key => notified[key])) return;
+            dueKeys.forEach((key) => { notified[key] = start; });
+            showEventNotification(event);
+        });
+        await checkTaskNotification(notified, now);
+    } catch (error) {
+        console.error('Notification Check Error:', error);
+    }
+    localStorage.setItem('notifiedReminders', JSON.stringify(notified));
+}
+
+function getReminderLeadMinutes(event) {
+    const lead = localStorage.getItem('notificationLead') || 'reminders';
+    if (lead !== 'reminders') return [Number(lead)];
+    const calendar = appState.calendars.find(item => item.id === event.calendarId || (event.calendarId === 'primary' && item.primary));
+    const reminders = event.reminders?.useDefault === false ? (event.reminders.overrides || []) : (calendar?.defaultReminders || []);
+    return reminders.filter(reminder => reminder.method === 'popup').map(reminder => reminder.minutes);
+}
+
+function showEventNotification(event) {
+    const time = new Date(event.start.dateTime).toLocaleTimeString(getLocale(), { hour: '2-digit', minute: '2-digit' });
+    const notification = new Notification(event.summary || t('event.untitled'), {
+        body: `${t('notifications.eventAt', { time })}${event.location ? ` · ${event.location}` : ''}`,
+        tag: `event-${event.id}`,
+    });
+    notification.onclick = () => {
+        window.focus();
+        openEventDrawer(event.id, event.calendarId || 'primary');
+        notification.close();
+    };
+}
+
+// Once a day, at the configured time, lists the tasks due today and the overdue ones.
+async function checkTaskNotification(notified, now) {
+    const [hour, minute] = (localStorage.getItem('taskNotificationTime') || '09:00').split(':').map(Number);
+    const notifyAt = new Date(now);
+    notifyAt.setHours(hour, minute, 0, 0);
+    const key = `tasks/${toDateKey(notifyAt)}`;
+    if (now < notifyAt.getTime() || notified[key] || isOffline()) return;
+    notified[key] = now;
+    const dayEnd = new Date(notifyAt);
+    dayEnd.setHours(24, 0, 0, 0);
+    const tasks = await listDueTasks(dayEnd);
+    if (tasks.length === 0) return;
+    const notification = new Notification(t('notifications.tasksDueToday', { count: tasks.length }), {
+        body: tasks.slice(0, 5).map(task => `• ${task.title}`).join('\n'),
+        tag: key,
+    });
+    notification.onclick = () => {
+        window.focus();
+        switchView('calendar');
+        notification.close();
+    };
+}
+
+// Keys of reminders already shown, mapped to the time they belong to; old ones are dropped.
+function loadNotifiedKeys(now) {
+    const notified = JSON.parse(localStorage.getItem('notifiedReminders') || '{}');
+    return Object.fromEntries(Object.entries(notified).filter(([, time]) => time > now - 2 * 86400000));
+}
+
+function renderNotificationSettings() {
+    dom.settingsBriefingEnabled.checked = localStorage.getItem('briefingEnabled') !== 'false';
+    dom.settingsNotificationLead.value = localStorage.getItem('notificationLead') || 'reminders';
+    dom.settingsTaskNotificationTime.value = localStorage.getItem('taskNotificationTime') || '09:00';
+    if (!('Notification' in window)) {
+        [dom.settingsNotificationsEnabled, dom.settingsNotificationLead, dom.settingsTaskNotificationTime].forEach(control => { control.disabled = true; });
+        return;
+    }
+    dom.settingsNotificationsEnabled.checked = notificationsAllowed();
+}
+
+async function toggleNotifications() {
+    const enabled = dom.settingsNotificationsEnabled.checked;
+    if (enabled && await Notification.requestPermission() !== 'granted') {
+        dom.settingsNotificationsEnabled.checked = false;
+        alert(t('notifications.permissionDenied'));
+        return;
+    }
+    localStorage.setItem('notificationsEnabled', String(enabled));
+    startNotificationScheduler();
+}
+
+// --- Voice Conversation ---
+// Hands-free mode on the Gemini Live API: microphone audio is streamed to the
+// model, which answers aloud and can call the same tools as the chat. Both
+// sides are transcribed into the chat. Talking over a reply interrupts it.
+const LIVE_STATUS_LABELS = {
+    connecting: t('live.status.connecting'),
+    listening: t('live.status.listening'),
+    speaking: t('live.status.speaking'),
+    working: t('chat.running'),
+};
+const LIVE_INSTRUCTION = `\n${t('prompt.live')}`;
+
+async function startLiveConversation() {
+    if (appState.liveConversation || !checkAssistantAvailable()) return;
+    const conversation = {
+        session: null,
+        microphone: null,
+        // Created right away, while the click still counts as a user gesture for audio playback.
+        player: createAudioPlayer(),
+        abortController: new AbortController(),
+        turn: { userText: '', modelText: '', userBubble: null, modelBubble: null },
+    };
+    appState.liveConversation = conversation;
+    stopSpeaking();
+    ensureCurrentSession(t('live.sessionTitle'));
+    dom.welcomeScreen.style.display = 'none';
+    setLiveStatus('connecting');
+    try {
+        const transport = await connectWebSocket(geminiLiveUrl());
+        conversation.session = await startLiveSession(transport, {
+            model: appState.modelSettings.liveModel,
+            systemInstruction: buildSystemInstruction() + LIVE_INSTRUCTION,
+            functionDeclarations: getFunctionDeclarations(),
+            languageCode: getSpeechLocale(),
+            handlers: {
+                onAudio: (data) => {
+                    conversation.player.play(data);
+                    setLiveStatus('speaking');
+                },
+                onInputTranscript: text => appendLiveTranscript(conversation, 'user', text),
+                onOutputTranscript: text => appendLiveTranscript(conversation, 'model', text),
+                onInterrupted: () => {
+                    conversation.player.stop();
+                    finishLiveTurn(conversation);
+                },
+                onTurnComplete: () => {
+                    finishLiveTurn(conversation);
+                    setLiveStatus('listening');
+                },
+                onToolCall: functionCalls => handleLiveToolCalls(conversation, functionCalls),
+                onClose: (reason) => {
+                    if (appState.liveConversation !== conversation) return;
+                    console.warn('Live session closed:', reason);
+                    stopLiveConversation();
+                    appendMessage('system', t('live.ended'));
+                },
+            },
+        });
+        // Ended while connecting.
+        if (appState.liveConversation !== conversation) { conversation.session.close(); return; }
+        conversation.microphone = await startMicrophone(data => conversation.session?.sendAudio(data));
+        if (appState.liveConversation !== conversation) { conversation.microphone.stop(); return; }
+        setLiveStatus('listening');
+    } catch (error) {
+        console.error('Live API Error:', error);
+        if (appState.liveConversation !== conversation) return;
+        stopLiveConversation();
+        appendMessage('error', error.name === 'NotAllowedError'
+            ? t('live.micDenied')
+            : t('live.failed'));
+    }
+}
+
+function stopLiveConversation() {
+    const conversation = appState.liveConversation;
+    if (!conversation) return;
+    appState.liveConversation = null;
+    // Declines a confirmation that is still waiting for an answer.
+    conversation.abortController.abort();
+    conversation.microphone?.stop();
+    conversation.player.close();
+    conversation.session?.close();
+    finishLiveTurn(conversation);
+    setLiveStatus(null);
+    persistCurrentSession();
+}
+
+function setLiveStatus(state) {
+    dom.liveStatus.hidden = !state;
+    dom.liveStatus.dataset.state = state || '';
+    dom.liveStatusText.textContent = LIVE_STATUS_LABELS[state] || '';
+    dom.liveButtonChat.classList.toggle('active', Boolean(state));
+}
+
+function sendLiveText(text) {
+    const conversation = appState.liveConversation;
+    finishLiveTurn(conversation);
+    appendMessage('user', text);
+    appState.chatHistory.push({ role: 'user', parts: [{ text }] });
+    conversation.session.sendText(text);
+    dom.chatTextInput.value = '';
+    dom.chatTextInput.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+// Transcripts arrive in pieces; each side of the turn gets one growing bubble.
+function appendLiveTranscript(conversation, role, text) {
+    const { turn } = conversation;
+    if (role === 'user') {
+        turn.userText += text;
+        if (!turn.userBubble) {
+            const wrapper = appendMessage('user', turn.userText.trim() || '…', [], { persist: false });
+            // The user's words can be transcribed after the reply has started.
+            const modelWrapper = turn.modelBubble?.closest('.message-wrapper');
+            if (modelWrapper) dom.messageList.insertBefore(wrapper, modelWrapper);
+            turn.userBubble = wrapper.querySelector('.message-bubble');
+        }
+        turn.userBubble.textContent = turn.userText.trim();
+    } else {
+        turn.modelText += text;
+        if (!turn.modelBubble) turn.modelBubble = appendStreamingBubble();
+        turn.modelBubble.textContent = turn.modelText.trim();
+    }
+    dom.messageList.scrollTop = dom.messageList.scrollHeight;
+}
+
+// Stores the transcripts of the turn in the chat history and the session.
+function finishLiveTurn(conversation) {
+    const { turn } = conversation;
+    const userText = turn.userText.trim();
+    const modelText = turn.modelText.trim();
+    if (userText) {
+        recordMessage('user', userText, []);
+        appState.chatHistory.push({ role: 'user', parts: [{ text: userText }] });
+    }
+    if (turn.modelBubble) {
+        turn.modelBubble.classList.remove('streaming');
+        recordMessage('model', modelText, '');
+    }
+    if (modelText) appState.chatHistory.push({ role: 'model', parts: [{ text: modelText }] });
+    conversation.turn = { userText: '', modelText: '', userBubble: null, modelBubble: null };
+}
+
+// Runs the tools the model asked for, exactly as in a typed conversation.
+async function handleLiveToolCalls(conversation, functionCalls) {
+    setLiveStatus('working');
+    const { signal } = conversation.abortController;
+    const confirm = (previewCard, choices) => requestConfirmation(previewCard, choices, signal);
+    const functionResponses = [];
+    for (const { id, name, args } of functionCalls) {
+        const { response, card, undo } = await executeTool(name, args || {}, { confirm });
+        if (card) appendMessage('system', t('chat.cardDone'), card);
+        if (undo) offerUndo(undo);
+        functionResponses.push({ id, name, response });
+    }
+    // A confirmation click brings the spinner back; the conversation has its own status bar.
+    if (!appState.isProcessing) dom.loadingIndicator.style.display = 'none';
+    if (appState.liveConversation !== conversation) return;
+    conversation.session.sendToolResponses(functionResponses);
+    setLiveStatus('listening');
+}
+
+// --- API Function Implementations ---
+
+/**
+ * Creates an event from tool arguments. Dates without a time ("YYYY-MM-DD")
+ * make an all-day event. `refresh: false` skips redrawing the calendar, for
+ * callers that create several events and redraw once.
+ */
+async function createCalendarEvent(args, { refresh = true } = {}) {
+    args = applyConflictChoice(args);
+    const calendarId = resolveCalendarId(args.calendar_id);
+    if (!calendarId) return unknownCalendarError(args.calendar_id);
+    const attendees = await resolveAttendeeEmails(args.attendees);
+    if (attendees.error) return attendees;
+    const toEventTime = value => (/^\d{4}-\d{2}-\d{2}$/.test(value)
+        ? { 'date': value }
+        : { 'dateTime': value, 'timeZone': getTimeZone() });
+    try {
+        const event = {
+            'summary': args.summary, 'location': args.location, 'description': args.description,
+            'start': toEventTime(args.start_time),
+            'end': toEventTime(args.end_time),
+        };
+        if (attendees.emails.length > 0) {
+            event.attendees = attendees.emails.map(email => ({ email }));
+        }
+        if (args.add_meet_link) {
+            event.conferenceData = { createRequest: { requestId: `meet-${Date.now()}` } };
+        }
+        if (args.recurrence && args.recurrence.length > 0) {
+            const invalid = args.recurrence.filter(line => !isValidRecurrenceLine(line));
+            if (invalid.length > 0) return { error: `Некорректные правила повторения: ${invalid.join(', ')}. Используй строки RRULE из RFC 5545.` };
+            event.recurrence = args.recurrence;
+        }
+        if (isOffline()) return await createEventOffline(calendarId, event, { refresh });
+        const request = googleApi.calendar.events.insert({ 'calendarId': calendarId, 'resource': event, 'conferenceDataVersion': 1 });
+        const response = await request;
+        const createdEvent = response.result;
+        if (refresh) {
+            renderCalendar(new Date(createdEvent.start.dateTime || createdEvent.start.date));
+            renderDailyEvents(new Date(createdEvent.start.dateTime || createdEvent.start.date));
+        }
+        return { status: 'created', event: summarizeEvent(createdEvent, calendarId) };
+    } catch (error) {
+        console.error('Google Calendar API Error:', error);
+        const message = (error.result?.error?.message) || error.message;
+        appendMessage('error', t('error.createEvent', { message }));
+        return { error: message };
+    }
+}
+
+async function createTask(args, { refresh = true } = {}) {
+    try {
+        const task = { 'title': args.title, 'notes': args.notes, 'due': toTaskDue(args.due) };
+        const request = googleApi.tasks.tasks.insert({ 'tasklist': args.tasklist_id || '@default', 'resource': task });
+        const response = await request;
+        const createdTask = response.result;
+        if (refresh) refreshTasks();
+        return { status: 'created', task: summarizeTask(createdTask) };
+    } catch (error) {
+        console.error('Google Tasks API Error:', error);
+        const message = (error.result?.error?.message) || error.message;
+        appendMessage('error', t('error.createTask', { message }));
+        return { error: message };
+    }
+}
+
+async function listTaskLists() {
+    try {
+        const response = await googleApi.tasks.tasklists.list({ 'maxResults': 100 });
+        return { task_lists: (response.result.items || []).map(list => ({ id: list.id, title: list.title })) };
+    } catch (error) {
+        console.error('List Task Lists Error:', error);
+        const message = (error.result?.error?.message) || error.message;
+        appendMessage('error', t('error.listTaskLists', { message }));
+        return { error: message };
+    }
+}
+
+async function listTasks(args) {
+    try {
+        const showCompleted = args.show_completed ?? false;
+        const response = await googleApi.tasks.tasks.list({
+            'tasklist': args.tasklist_id || '@default',
+            'dueMin': args.due_min ? toTaskDue(args.due_min) : undefined,
+            // dueMax is exclusive, so the whole last day must be covered.
+            'dueMax': args.due_max ? new Date(Date.parse(toTaskDue(args.due_max)) + 86400000).toISOString() : undefined,
+            'showCompleted': showCompleted,
+            'showHidden': showCompleted,
+            'maxResults': 100
+        });
+        return { tasks: (response.result.items || []).map(summarizeTask) };
+    } catch (error) {
+        console.error('List Tasks Error:', error);
+        const message = (error.result?.error?.message) || error.message;
+        appendMessage('error', t('error.listTasks', { message }));
+        return { error: message };
+    }
+}
+
+async function completeTask(args) {
+    try {
+        if (isOffline()) return await changeTaskOffline('update', args, { status: 'completed' });
+        const response = await googleApi.tasks.tasks.patch({
+            'tasklist': args.tasklist_id || '@default',
+            'task': args.task_id,
+            'resource': { 'status': 'completed' }
+        });
+        appendMessage('system', t('offline.taskCompleted', { title: response.result.title }));
+        refreshTasks();
+        return { status: 'completed', task: summarizeTask(response.result) };
+    } catch (error) {
+        console.error('Complete Task Error:', error);
+        const message = (error.result?.error?.message) || error.message;
+        appendMessage('error', t('error.completeTask', { message }));
+        return { error: message };
+    }
+}
+
+async function updateTask(args) {
+    try {
+        const changes = {};
+        if (args.title) changes.title = args.title;
+        if (args.notes) changes.notes = args.notes;
+        if (args.due) changes.due = toTaskDue(args.due);
+        if (args.completed !== undefined) changes.status = args.completed ? 'completed' : 'needsAction';
+        // Reopening a task requires clearing its completion timestamp.
+        if (args.completed === false) changes.completed = null;
+        const response = await googleApi.tasks.tasks.patch({
+            'tasklist': args.tasklist_id || '@default',
+            'task': args.task_id,
+            'resource': changes
+        });
+        appendMessage('system', t('tasks.updated', { title: response.result.title }));
+        refreshTasks();
+        return { status: 'updated', task: summarizeTask(response.result) };
+    } catch (error) {
+        console.error('Update Task Error:', error);
+        const message = (error.result?.error?.message) || error.message;
+        appendMessage('error', t('error.updateTask', { message }));
+        return { error: message };
+    }
+}
+
+async function moveTask(args) {
+    try {
+        const response = await googleApi.tasks.tasks.move({
+            'tasklist': args.tasklist_id || '@default',
+            'task': args.task_id,
+            'destinationTasklist': args.destination_tasklist_id,
+            'parent': args.parent_task_id,
+            'previous': args.previous_task_id
+        });
+        appendMessage('system', t('tasks.moved', { title: response.result.title }));
+        refreshTasks();
+        return { status: 'moved', task: summarizeTask(response.result) };
+    } catch (error) {
+        console.error('Move Task Error:', error);
+        const message = (error.result?.error?.message) || error.message;
+        appendMessage('error', t('error.moveTask', { message }));
+        return { error: message };
+    }
+}
+
+async function deleteTask(args) {
+    try {
+        if (isOffline()) return await changeTaskOffline('delete', args);
+        await googleApi.tasks.tasks.delete({
+            'tasklist': args.tasklist_id || '@default',
+            'task': args.task_id
+        });
+        appendMessage('system', t('tasks.deleted'));
+        refreshTasks();
+        return { status: 'deleted', task_id: args.task_id };
+    } catch (error) {
+        console.error('Delete Task Error:', error);
+        const message = (error.result?.error?.message) || error.message;
+        appendMessage('error', t('error.deleteTask', { message }));
+        return { error: message };
+    }
+}
+
+async function findEvents(args) {
+    // Without an explicit calendar, search every calendar the user has visible.
+    let calendars = getVisibleCalendars();
+    if (args.calendar_id) {
+        const calendarId = resolveCalendarId(args.calendar_id);
+        if (!calendarId) return unknownCalendarError(args.calendar_id);
+        calendars = [{ id: calendarId }];
+    }
+    try {
+        const events = await listEventsFromCalendars(calendars, {
+            'timeMin': args.time_min || (new Date()).toISOString(),
+            'timeMax': args.time_max,
+            'q': args.query,
+            'showDeleted': false,
+            'singleEvents': true,
+            'maxResults': 10,
+            'orderBy': 'startTime'
+        });
+        // The model presents the results itself, so only the data is returned.
+        return { events: events.slice(0, 20).map(event => summarizeEvent(event)) };
+    } catch (error) {
+        console.error('Find Events Error:', error);
+        const message = (error.result?.error?.message) || error.message;
+        appendMessage('error', t('error.findEvents', { message }));
+        return { error: message };
+    }
+}
+
+async function updateCalendarEvent(args) {
+    args = applyConflictChoice(args);
+    const calendarId = resolveCalendarId(args.calendar_id);
+    if (!calendarId) return unknownCalendarError(args.calendar_id);
+    if (args.attendees_to_add) {
+        const attendees = await resolveAttendeeEmails(args.attendees_to_add);
+        if (attendees.error) return attendees;
+        args = { ...args, attendees_to_add: attendees.emails };
+    }
+    try {
+        if (isOffline()) return await updateEventOffline(calendarId, args);
+        // First, get the existing event to patch it correctly
+        const existingEventResponse = await googleApi.calendar.events.get({
+            calendarId: calendarId,
+            eventId: args.event_id,
+        });
+        const eventToUpdate = existingEventResponse.result;
+        let scope = eventToUpdate.recurringEventId ? (args.scope || 'this') : 'this';
+
+        let response;
+        if (scope === 'this') {
+            response = await googleApi.calendar.events.update({
+                'calendarId': calendarId,
+                'eventId': args.event_id,
+                'resource': applyEventChanges(eventToUpdate, args)
+            });
+        } else {
+            const master = (await googleApi.calendar.events.get({ calendarId, eventId: eventToUpdate.recurringEventId })).result;
+            const occurrencesBefore = scope === 'following' ? await countEarlierOccurrences(calendarId, master, eventToUpdate) : 0;
+            // Splitting at the first occurrence is the same as changing the whole series.
+            if (occurrencesBefore === 0) scope = 'all';
+            if (scope === 'all') {
+                response = await googleApi.calendar.events.update({
+                    'calendarId': calendarId,
+                    'eventId': master.id,
+                    'resource': applyEventChanges(master, shiftedSeriesChanges(args, eventToUpdate, master))
+                });
+            } else {
+                response = await splitRecurringSeries(calendarId, master, eventToUpdate, occurrencesBefore, args);
+            }
+        }
+        appendMessage('system', t('offline.eventUpdated', { title: response.result.summary }));
+        renderCalendar(new Date(response.result.start.dateTime || response.result.start.date));
+        renderDailyEvents(new Date(response.result.start.dateTime || response.result.start.date));
+        return { status: 'updated', scope, event: summarizeEvent(response.result, calendarId) };
+    } catch (error) {
+        console.error('Update Event Error:', error);
+        const message = (error.result?.error?.message) || error.message;
+        appendMessage('error', t('error.updateEvent', { message }));
+        return { error: message };
+    }
+}
+
+function applyEventChanges(event, args) {
+    const timeZone = event.start.timeZone || getTimeZone();
+    if (args.summary) event.summary = args.summary;
+    // Replacing the whole object drops an all-day `date`, which can't coexist with `dateTime`.
+    if (args.start_time) event.start = { dateTime: args.start_time, timeZone };
+    if (args.end_time) event.end = { dateTime: args.end_time, timeZone: event.end.timeZone || timeZone };
+    if (args.location) event.location = args.location;
+    if (args.attendees_to_add) {
+        event.attendees = (event.attendees || []).concat(args.attendees_to_add.map(email => ({ email })));
+    }
+    return event;
+}
+
+// Moving one occurrence "for the whole series" moves the series' own start
+// and end by the same offset.
+function shiftedSeriesChanges(args, instance, master) {
+    const { start_time, end_time, ...changes } = args;
+    if (!instance.start.dateTime || !master.start.dateTime) return changes;
+    if (start_time) changes.start_time = new Date(Date.parse(master.start.dateTime) + Date.parse(start_time) - Date.parse(instance.start.dateTime)).toISOString();
+    if (end_time) changes.end_time = new Date(Date.parse(master.end.dateTime) + Date.parse(end_time) - Date.parse(instance.end.dateTime)).toISOString();
+    return changes;
+}
+
+async function countEarlierOccurrences(calendarId, master, instance) {
+    const response = await googleApi.calendar.events.instances({
+        calendarId,
+        eventId: master.id,
+        timeMax: getOriginalStart(instance).toISOString(),
+        maxResults: 2500,
+    });
+    return (response.result.items || []).length;
+}
+
+function getOriginalStart(instance) {
+    const start = instance.originalStartTime || instance.start;
+    return new Date(start.dateTime || `${start.date}T00:00:00`);
+}
+
+/**
+ * "This and following": ends the original series before the instance and
+ * starts a new series from it with the requested changes.
+ */
+async function splitRecurringSeries(calendarId, master, instance, occurrencesBefore, args) {
+    const allDay = !instance.start.dateTime;
+    await googleApi.calendar.events.update({
+        calendarId,
+        eventId: master.id,
+        resource: { ...master, recurrence: truncateRecurrence(master.recurrence, getOriginalStart(instance), allDay) },
+    });
+    const { id, etag, iCalUID, htmlLink, created, updated, recurringEventId, originalStartTime, sequence, hangoutLink, conferenceData, ...fields } = instance;
+    const newSeries = applyEventChanges({
+        ...fields,
+        start: { ...instance.start, timeZone: master.start.timeZone },
+        end: { ...instance.end, timeZone: master.end.timeZone },
+        recurrence: continueRecurrence(master.recurrence, occurrencesBefore),
+    }, args);
+    return await googleApi.calendar.events.insert({ calendarId, resource: newSeries });
+}
+
+
+async function deleteCalendarEvent(args) {
+    const calendarId = resolveCalendarId(args.calendar_id);
+    if (!calendarId) return unknownCalendarError(args.calendar_id);
+    try {
+        if (isOffline()) return await deleteEventOffline(calendarId, args);
+        let scope = args.scope || 'this';
+        let eventId = args.event_id;
+        if (scope !== 'this') {
+            const instance = (await googleApi.calendar.events.get({ calendarId, eventId: args.event_id })).result;
+            if (!instance.recurringEventId) {
+                scope = 'this';
+            } else {
+                const master = (await googleApi.calendar.events.get({ calendarId, eventId: instance.recurringEventId })).result;
+                eventId = master.id;
+                if (scope === 'following' && await countEarlierOccurrences(calendarId, master, instance) > 0) {
+                    await googleApi.calendar.events.update({
+                        calendarId,
+                        eventId: master.id,
+                        resource: { ...master, recurrence: truncateRecurrence(master.recurrence, getOriginalStart(instance), !instance.start.dateTime) },
+                    });
+                    eventId = null;
+                } else {
+                    scope = 'all';
+                }
+            }
+        }
+        if (eventId) {
+            await googleApi.calendar.events.delete({
+                'calendarId': calendarId,
+                'eventId': eventId
+            });
+        }
+        appendMessage('system', scope === 'this' ? t('offline.eventDeleted') : t('event.seriesDeleted'));
+        const cardToRemove = dom.messageList.querySelector(`[data-event-id="${args.event_id}"]`);
+        if(cardToRemove) cardToRemove.style.opacity = '0.5';
+        renderCalendar(appState.currentDisplayedDate);
+        renderDailyEvents(appState.currentDisplayedDate);
+        return { status: 'deleted', scope, event_id: args.event_id };
+    } catch (error) {
+        console.error('Delete Event Error:', error);
+        const message = (error.result?.error?.message) || error.message;
+        appendMessage('error', t('error.deleteEvent', { message }));
+        return { error: message };
+    }
+}
+
+
+/**
+ * Looks a person up by name in contacts, other contacts and past meetings.
+ * A name the user has already picked someone for resolves to that person
+ * straight away, unless `ignore_remembered` is set.
+ */
+async function findContacts(args) {
+    const query = args.name_query.trim();
+    const remembered = args.ignore_remembered ? null : getRememberedAttendee(query);
+    if (remembered) return { query, status: 'resolved', contact: remembered, remembered: true };
+    try {
+        const candidates = (await searchPeople(query)).slice(0, CONTACT_CANDIDATE_LIMIT);
+        const status = candidates.length === 0 ? 'not_found' : (candidates.length === 1 ? 'resolved' : 'ambiguous');
+        return { query, status, contact: status === 'resolved' ? candidates[0] : undefined, candidates };
+    } catch (error) {
+        console.error('Find Contacts Error:', error);
+        const message = (error.result?.error?.message) || error.message;
+        appendMessage('error', t('error.findContacts', { message }));
+        return { error: message };
+    }
+}
+
+// Sources are searched side by side and may fail on their own, e.g. "other
+// contacts" with a token granted before that scope was requested.
+async function searchPeople(query) {
+    const readMask = 'names,emailAddresses';
+    if (!appState.peopleSearchReady) {
+        // Searches are served from a cache that an empty query brings up to date.
+        await Promise.allSettled([
+            googleApi.people.people.searchContacts({ query: '', readMask }),
+            googleApi.people.otherContacts.search({ query: '', readMask }),
+        ]);
+        appState.peopleSearchReady = true;
+    }
+    const now = new Date();
+    const results = await Promise.allSettled([
+        googleApi.people.people.searchContacts({ query, readMask, pageSize: 10 }),
+        googleApi.people.otherContacts.search({ query, readMask, pageSize: 10 }),
+        googleApi.calendar.events.list({
+            calendarId: 'primary', q: query, singleEvents: true, maxResults: 100,
+            timeMin: new Date(now.getTime() - PAST_ATTENDEE_DAYS * 86400000).toISOString(), timeMax: now.toISOString(),
+        }),
+    ]);
+    const failures = results.filter(result => result.status === 'rejected').map(result => result.reason);
+    if (failures.length === results.length) throw failures[0];
+    failures.forEach(error => console.warn('People Search Error:', error));
+
+    const [contacts, otherContacts, pastEvents] = results.map(result => (result.status === 'fulfilled' ? result.value.result : {}));
+    const fromPeople = (response, source) => (response.results || []).flatMap(({ person }) =>
+        (person.emailAddresses || []).map(address => ({ name: person.names?.[0]?.displayName, email: address.value, source })));
+    // The event search also matches titles and descriptions, so attendees are checked by name again.
+    const attendees = (pastEvents.items || []).flatMap(event => (event.attendees || [])
+        .filter(attendee => !attendee.self && !attendee.resource && nameMatches(query, attendee.displayName, attendee.email))
+        .map(attendee => ({ name: attendee.displayName, email: attendee.email, source: 'attendee' })));
+    return mergeCandidates([...fromPeople(contacts, 'contact'), ...fromPeople(otherContacts, 'other'), ...attendees]);
+}
+
+// Choices from the contact card, keyed by the name as the user said it.
+function getRememberedAttendee(name) {
+    const choices = JSON.parse(localStorage.getItem('attendeeChoices') || '{}');
+    return choices[normalizeName(name)] || null;
+}
+
+function rememberAttendee(name, contact) {
+    const choices = JSON.parse(localStorage.getItem('attendeeChoices') || '{}');
+    choices[normalizeName(name)] = contact;
+    localStorage.setItem('attendeeChoices', JSON.stringify(choices));
+}
+
+async function findFreeSlotsForMeeting(args) {
+    const resolved = await resolveAttendeeEmails(args.attendees);
+    if (resolved.error) return resolved;
+    const attendees = resolved.emails;
+    const timeMin = new Date(args.time_min);
+    const timeMax = new Date(args.time_max);
+    if (timeMax <= timeMin) return { error: 'time_max должен быть позже time_min.' };
+
+    try {
+        const response = await googleApi.calendar.freebusy.query({ resource: {
+            timeMin: timeMin.toISOString(),
+            timeMax: timeMax.toISOString(),
+            timeZone: getTimeZone(),
+            items: [{ id: 'primary' }, ...attendees.map(email => ({ id: email }))],
+        } });
+        const calendars = response.result.calendars || {};
+        // Calendars of people outside the organization are often not shared.
+        const unavailable = Object.entries(calendars).filter(([, info]) => info.errors?.length).map(([id]) => id);
+        const busy = Object.values(calendars).flatMap(info => info.busy || []);
+        const slots = findFreeSlots({
+            busy, timeMin, timeMax,
+            timeZone: getTimeZone(),
+            durationMinutes: args.duration_minutes,
+            workdayStart: args.workday_start,
+            workdayEnd: args.workday_end,
+            includeWeekends: args.include_weekends,
+            maxResults: args.max_results,
+        });
+        return {
+            slots: slots.map(slot => ({ start: slot.start.toISOString(), end: slot.end.toISOString() })),
+            attendees,
+            unavailable_calendars: unavailable,
+        };
+    } catch (error) {
+        console.error('Free/Busy Error:', error);
+        const message = (error.result?.error?.message) || error.message;
+        appendMessage('error', t('error.freeBusy', { message }));
+        return { error: message };
+    }
+}
+
+/** Turns an email or a person's name into an email, asking the model to let the user pick when the name is ambiguous. */
+async function resolveAttendeeEmail(nameOrEmail) {
+    if (nameOrEmail.includes('@')) return { email: nameOrEmail.trim() };
+    const result = await findContacts({ name_query: nameOrEmail });
+    if (result.error) return result;
+    if (result.status === 'resolved') return { email: result.contact.email };
+    if (result.status === 'not_found') return { error: `Не найден контакт с email для "${nameOrEmail}". Уточни у пользователя адрес.` };
+    return { error: `Имени "${nameOrEmail}" соответствуют несколько людей. Вызови find_contacts с этим именем, чтобы пользователь выбрал из списка.`, candidates: result.candidates };
+}
+
+async function resolveAttendeeEmails(namesOrEmails = []) {
+    const emails = [];
+    for (const attendee of namesOrEmails) {
+        const resolved = await resolveAttendeeEmail(attendee);
+        if (resolved.error) return resolved;
+        emails.push(resolved.email);
+    }
+    return { emails };
+}
+
+async function listCalendars() {
+    await loadCalendarList();
+    return {
+        calendars: appState.calendars.map(calendar => ({
+            id: calendar.id,
+            name: getCalendarName(calendar),
+            primary: !!calendar.primary,
+            writable: ['owner', 'writer'].includes(calendar.accessRole),
+            visible: !appState.hiddenCalendarIds.includes(calendar.id),
+        })),
+    };
+}
+
+// Compact event representation returned to the model as a function result.
+function summarizeEvent(event, calendarId = event.calendarId) {
+    return {
+        id: event.id,
+        calendar_id: calendarId || 'primary',
+        summary: event.summary || '',
+        start: event.start?.dateTime || event.start?.date,
+        end: event.end?.dateTime || event.end?.date,
+        location: event.location || null,
+        attendees: (event.attendees || []).map(a => a.email),
+        recurrence: event.recurrence || null,
+        recurring_event_id: event.recurringEventId || null,
+        link: event.htmlLink,
+    };
+}
+
+
+// Compact task representation returned to the model as a function result.
+function summarizeTask(task) {
+    return {
+        id: task.id,
+        title: task.title || '',
+        notes: task.notes || null,
+        due: task.due ? task.due.slice(0, 10) : null,
+        status: task.status,
+        parent: task.parent || null,
+    };
+}
+
+// --- Tool Registrations ---
+// The declarations the model sees are in assistant-tools.js.
+registerAssistantTools({
+    create_calendar_event: { handler: createCalendarEvent, renderCard: renderCreatedEventCard, preview: previewEventConflicts },
+    find_events: { handler: findEvents },
+    export_events_ics: { handler: exportEventsIcs, renderCard: renderIcsExportCard },
+    find_free_slots: { handler: findFreeSlotsForMeeting, renderCard: renderFreeSlotsCard },
+    list_calendars: { handler: listCalendars },
+    update_calendar_event: { handler: updateCalendarEvent, preview: previewEventUpdate, undo: undoEventChange },
+    delete_calendar_event: { handler: deleteCalendarEvent, preview: previewEventDeletion, undo: undoEventChange },
+    create_task: { handler: createTask, renderCard: renderCreatedTaskCard },
+    list_task_lists: { handler: listTaskLists },
+    list_tasks: { handler: listTasks },
+    complete_task: { handler: completeTask },
+    update_task: { handler: updateTask, preview: previewTaskUpdate, undo: restoreTaskSnapshot },
+    move_task: { handler: moveTask },
+    delete_task: { handler: deleteTask, preview: previewTaskDeletion, undo: recreateDeletedTask },
+    find_contacts: { handler: findContacts, renderCard: renderContactChoiceCard },
+});
+
+function renderCreatedEventCard({ event }) {
+    const startTime = formatEventTime(event.start);
+    return html`<div class="card event-card" data-event-id="${event.id}" data-calendar-id="${event.calendar_id}">
+            <div class="card-icon"><span class="material-symbols-outlined">event</span></div>
+            <div class="card-content"><h4>${t('card.eventCreated')}</h4><p><strong>${event.summary}</strong> ${t('card.at', { time: startTime })}</p>${event.recurrence ? html`<p>${t('card.repeats', { rule: describeRecurrence(event.recurrence) })}</p>` : ''}</div>
+            <div class="card-actions">
+              <button class="icon-button card-action-button" data-action="edit" aria-label="${t('common.edit')}"><span class="material-symbols-outlined">edit</span></button>
+              <button class="icon-button card-action-button" data-action="delete" aria-label="${t('common.delete')}"><span class="material-symbols-outlined">delete</span></button>
+              <a href="${safeUrl(event.link)}" target="_blank" rel="noopener noreferrer" class="icon-button" aria-label="${t('card.openInCalendar')}"><span class="material-symbols-outlined">open_in_new</span></a>
+            </div>
+          </div>`;
+}
+
+// The download button fetches the events again, so it still works in a resumed session.
+function renderIcsExportCard({ count, file_name }, args) {
+    return html`<div class="card ics-card" data-time-min="${args.time_min}" data-time-max="${args.time_max}" data-query="${encodeURIComponent(args.query || '')}" data-calendar-id="${encodeURIComponent(args.calendar_id || '')}">
+            <div class="card-icon"><span class="material-symbols-outlined">download</span></div>
+            <div class="card-content"><h4>${t('card.eventsExported')}</h4><p>${file_name}, ${t('card.exportedCount', { count })}</p></div>
+            <button class="icon-button card-action-button" data-action="download-ics" aria-label="${t('card.downloadAgain')}"><span class="material-symbols-outlined">download</span></button>
+          </div>`;
+}
+
+function renderFreeSlotsCard({ slots, attendees }, args) {
+    if (slots.length === 0) return null;
+    const options = slots.map(slot => {
+        const start = new Date(slot.start);
+        const day = start.toLocaleDateString(getLocale(), { weekday: 'short', day: 'numeric', month: 'short' });
+        const from = start.toLocaleTimeString(getLocale(), { hour: '2-digit', minute: '2-digit' });
+        const to = new Date(slot.end).toLocaleTimeString(getLocale(), { hour: '2-digit', minute: '2-digit' });
+        return html`<button class="slot-option" data-start="${slot.start}" data-end="${slot.end}">${day} · ${from}–${to}</button>`;
+    });
+    // Values are URI-encoded so titles with quotes survive the attribute round-trip.
+    return html`<div class="card slot-card" data-summary="${encodeURIComponent(args.summary || t('card.defaultMeetingTitle'))}" data-attendees="${encodeURIComponent(attendees.join(','))}" data-meet="${args.add_meet_link ? 'true' : ''}" data-calendar-id="${encodeURIComponent(args.calendar_id || '')}">
+            <div class="card-icon"><span class="material-symbols-outlined">event_available</span></div>
+            <div class="card-content"><h4>${t('card.freeSlots')}</h4><p>${t('card.freeSlotsHint', { title: args.summary || t('card.defaultMeetingTitle') })}</p>
+              <div class="slot-options">${options}</div>
+            </div>
+          </div>`;
+}
+
+async function bookSelectedSlot(slotButton) {
+    const card = slotButton.closest('.slot-card');
+    card.querySelectorAll('.slot-option').forEach(option => { option.disabled = true; });
+    slotButton.classList.add('selected');
+    const attendees = decodeURIComponent(card.dataset.attendees);
+    const result = await createCalendarEvent({
+        summary: decodeURIComponent(card.dataset.summary),
+        start_time: slotButton.dataset.start,
+        end_time: slotButton.dataset.end,
+        attendees: attendees ? attendees.split(',') : [],
+        add_meet_link: card.dataset.meet === 'true',
+        calendar_id: decodeURIComponent(card.dataset.calendarId) || undefined,
+    });
+    if (result.error) {
+        card.querySelectorAll('.slot-option').forEach(option => { option.disabled = false; });
+        slotButton.classList.remove('selected');
+        return;
+    }
+    appendMessage('system', t('chat.cardDone'), renderCreatedEventCard(result));
+}
+
+const CANDIDATE_SOURCE_LABELS = { contact: t('contacts.source.contact'), other: t('contacts.source.other'), attendee: t('contacts.source.attendee') };
+
+function renderContactChoiceCard({ query, status, candidates }) {
+    if (status !== 'ambiguous') return null;
+    const options = candidates.map(candidate => html`<button class="contact-option" data-email="${candidate.email}" data-name="${encodeURIComponent(candidate.name)}" title="${candidate.sources.map(source => CANDIDATE_SOURCE_LABELS[source]).join(', ')}">
+                <span class="contact-option-name">${candidate.name || candidate.email}</span>${candidate.name ? html`<span class="contact-option-email">${candidate.email}</span>` : ''}
+              </button>`);
+    return html`<div class="card contact-card" data-query="${encodeURIComponent(query)}">
+            <div class="card-icon"><span class="material-symbols-outlined">person_search</span></div>
+            <div class="card-content"><h4>${t('contacts.whoDidYouMean', { query })}</h4><p>${t('contacts.choiceRemembered')}</p>
+              <div class="contact-options">${options}</div>
+            </div>
+          </div>`;
+}
+
+// The pick goes back to the assistant as a message, so the request that needed the person carries on.
+function pickContact(optionButton) {
+    if (appState.isProcessing) return;
+    const card = optionButton.closest('.contact-card');
+    const query = decodeURIComponent(card.dataset.query);
+    const contact = { name: decodeURIComponent(optionButton.dataset.name), email: optionButton.dataset.email };
+    card.querySelectorAll('.contact-option').forEach(option => { option.disabled = true; });
+    optionButton.classList.add('selected');
+    rememberAttendee(query, contact);
+    sendMessage(t('contacts.picked', { query, contact: contact.name ? `${contact.name} <${contact.email}>` : contact.email }));
+}
+
+function renderCreatedTaskCard({ task }) {
+    const dueDate = task.due ? formatTaskDue(task.due) : t('card.noDueDate');
+    return html`<div class="card task-card" data-task-id="${task.id}">
+            <div class="card-icon"><span class="material-symbols-outlined">task_alt</span></div>
+            <div class="card-content"><h4>${t('card.taskCreated')}</h4><p><strong>${task.title}</strong>, ${t('card.due', { date: dueDate })}</p></div>
+            <a href="https://mail.google.com/tasks/canvas" target="_blank" rel="noopener noreferrer" class="icon-button" aria-label="${t('card.openInTasks')}"><span class="material-symbols-outlined">open_in_new</span></a></div>`;
+}
+
+// --- Scheduling Conflicts ---
+/**
+ * Busy events on the target calendar that overlap start..end, plus free slots
+ * of the same length nearby to offer instead. `excludeEventId` is the event
+ * being moved. The check is advisory: when it fails, nothing is reported.
+ */
+async function checkEventConflicts(calendarId, start, end, excludeEventId) {
+    const timeZone = getTimeZone();
+    // Free slots are looked for from the requested day on, in the user's time zone.
+    const day = startOfZonedDay(start, timeZone);
+    const searchEnd = startOfZonedDay(start, timeZone, CONFLICT_SEARCH_DAYS);
+    try {
+        // Events are fetched from a day earlier, so that one running into the requested time from the evening before counts.
+        const events = (await listEventsFromCalendars([{ id: calendarId }], {
+            'timeMin': startOfZonedDay(start, timeZone, -1).toISOString(), 'timeMax': searchEnd.toISOString(), 'showDeleted': false, 'singleEvents': true
+        })).filter(event => isBusyEvent(event) && event.id !== excludeEventId);
+        const conflicts = events.filter(event => new Date(event.start.dateTime) < end && new Date(event.end.dateTime) > start);
+        if (conflicts.length === 0) return { conflicts, slots: [] };
+        // The usual working day, widened to take in the requested time, in the user's time zone.
+        const [startDate, startTime] = toZonedIsoString(start).slice(0, 16).split('T');
+        const [endDate, endTime] = toZonedIsoString(end).slice(0, 16).split('T');
+        const weekday = new Date(`${startDate}T00:00:00Z`).getUTCDay();
+        const slots = findFreeSlots({
+            busy: events.map(event => ({ start: event.start.dateTime, end: event.end.dateTime })),
+            timeMin: day,
+            timeMax: searchEnd,
+            timeZone,
+            durationMinutes: Math.round((end.getTime() - start.getTime()) / 60000),
+            workdayStart: startTime < '09:00' ? startTime : '09:00',
+            workdayEnd: startDate === endDate && endTime > '18:00' ? endTime : '18:00',
+            includeWeekends: weekday === 0 || weekday === 6,
+            maxResults: CONFLICT_SLOT_COUNT,
+            near: start,
+        });
+        return { conflicts, slots };
+    } catch (error) {
+        console.error('Conflict Check Error:', error);
+        return { conflicts: [], slots: [] };
+    }
+}
+
+/**
+ * Changes made by hand (dragging in the week view, the event drawer) show the
+ * assistant's conflict card before landing on other events, in a dialog: save
+ * anyway, take a free slot nearby or cancel. Resolves with the times to save,
+ * or null when the user cancelled.
+ */
+async function confirmManualEventTime(calendarId, eventId, title, start, end) {
+    const { conflicts, slots } = await checkEventConflicts(calendarId, start, end, eventId);
+    if (conflicts.length === 0) return { start, end };
+    const args = { start_time: start.toISOString(), end_time: end.toISOString() };
+    const choice = await chooseInConflictModal(renderConflictCard(title || t('event.untitled'), args, conflicts), conflictChoices(slots, t('conflicts.moveAnyway')));
+    if (!choice) return null;
+    const { start_time, end_time } = applyConflictChoice({ ...args, conflict_choice: choice });
+    return { start: new Date(start_time), end: new Date(end_time) };
+}
+
+// Resolves like requestConfirmation; closing the dialog cancels.
+function chooseInConflictModal(card, choices) {
+    dom.conflictModalContent.innerHTML = html`${card}<div class="confirm-actions">
+            <button class="action-button" data-confirm="no">${t('common.cancel')}</button>
+            ${renderChoiceButtons(choices)}
+          </div>`;
+    showModal(dom.conflictModal);
+    return new Promise(resolve => {
+        const settle = (value) => {
+            dom.conflictModal.onclick = null;
+            dom.conflictModal.onkeydown = null;
+            closeModal(dom.conflictModal);
+            resolve(value !== 'no' && value);
+        };
+        dom.conflictModal.onclick = (e) => {
+            if (e.target === dom.conflictModal) settle('no');
+            const button = e.target.closest('[data-confirm]');
+            if (button) settle(button.dataset.confirm);
+        };
+        dom.conflictModal.onkeydown = (e) => { if (e.key === 'Escape') settle('no'); };
+        dom.conflictModalContent.querySelector('.action-button.primary')?.focus();
+    });
+}
+
+// Asks before creating a timed event on top of existing ones; all-day events never conflict.
+async function previewEventConflicts(args) {
+    const calendarId = resolveCalendarId(args.calendar_id);
+    // An unknown calendar is reported by the handler itself.
+    if (!calendarId || /^\d{4}-\d{2}-\d{2}$/.test(args.start_time)) return null;
+    const start = new Date(args.start_time);
+    const end = new Date(args.end_time);
+    if (!(end > start)) return null;
+    const { conflicts, slots } = await checkEventConflicts(calendarId, start, end);
+    if (conflicts.length === 0) return null;
+    return { card: renderConflictCard(args.summary, args, conflicts), snapshot: null, choices: conflictChoices(slots, t('conflicts.createAnyway')) };
+}
+
+function renderConflictCard(title, { start_time, end_time }, conflicts) {
+    return html`<div class="card event-card confirm-card warning">
+            <div class="card-icon"><span class="material-symbols-outlined">event_busy</span></div>
+            <div class="card-content"><h4>${t('conflicts.title', { title })}</h4>
+              <p>${formatEventRange({ start: { dateTime: start_time }, end: { dateTime: end_time } })}</p>
+              ${renderConflictList(conflicts)}
+            </div>
+          </div>`;
+}
+
+function renderConflictList(conflicts) {
+    const items = conflicts.map(event => html`<li><strong>${event.summary || t('event.untitled')}</strong>, ${formatEventRange(event)}</li>`);
+    return html`<div class="conflict-list"><p>${t('conflicts.alreadyPlanned')}</p><ul>${items}</ul></div>`;
+}
+
+// Free slots are passed to the handler as "start/end", see applyConflictChoice.
+function conflictChoices(slots, proceedLabel) {
+    const options = slots.map(slot => {
+        const start = slot.start.toISOString();
+        const end = slot.end.toISOString();
+        return { value: `${start}/${end}`, label: formatEventRange({ start: { dateTime: start }, end: { dateTime: end } }) };
+    });
+    return { arg: 'conflict_choice', options: [{ value: 'proceed', label: proceedLabel }, ...options], preferred: options[0]?.value || 'proceed' };
+}
+
+function applyConflictChoice({ conflict_choice: choice, ...args }) {
+    if (!choice || choice === 'proceed') return args;
+    const [start_time, end_time] = choice.split('/');
+    return { ...args, start_time, end_time };
+}
+
+// --- Destructive Action Safeguards ---
+async function previewEventUpdate(args) {
+    const calendarId = resolveCalendarId(args.calendar_id);
+    if (!calendarId) return unknownCalendarError(args.calendar_id);
+    try {
+        const response = await googleApi.calendar.events.get({ calendarId, eventId: args.event_id });
+        const before = response.result;
+        const after = {
+            summary: args.summary || before.summary,
+            start: args.start_time || before.start.dateTime || before.start.date,
+            end: args.end_time || before.end.dateTime || before.end.date,
+            location: args.location || before.location,
+            attendees: (before.attendees || []).map(a => a.email).concat(args.attendees_to_add || []),
+        };
+        const rows = [
+            [t('diff.title'), before.summary, after.summary],
+            [t('diff.start'), formatEventTime(before.start.dateTime || before.start.date), formatEventTime(after.start)],
+            [t('diff.end'), formatEventTime(before.end.dateTime || before.end.date), formatEventTime(after.end)],
+            [t('diff.location'), before.location, after.location],
+            [t('diff.attendees'), (before.attendees || []).map(a => a.email).join(', '), after.attendees.join(', ')],
+        ];
+        const master = await getRecurringMaster(calendarId, before);
+        const moved = (args.start_time || args.end_time) && !/^\d{4}-\d{2}-\d{2}$/.test(after.start);
+        const { conflicts, slots } = moved
+            ? await checkEventConflicts(calendarId, new Date(after.start), new Date(after.end), before.id)
+            : { conflicts: [], slots: [] };
+        const card = html`<div class="card event-card confirm-card">
+            <div class="card-icon"><span class="material-symbols-outlined">edit_calendar</span></div>
+            <div class="card-content"><h4>${t('confirm.updateEvent', { title: before.summary || t('event.untitled') })}</h4>
+              ${renderDiffTable(rows)}
+              ${master ? renderRecurrenceNote(master) : ''}
+              ${conflicts.length > 0 ? renderConflictList(conflicts) : ''}
+            </div>
+          </div>`;
+        // The series scope has to be asked first; the conflict list is then only a warning.
+        const choices = master ? recurrenceScopeChoices(args)
+            : conflicts.length > 0 ? conflictChoices(slots, t('conflicts.moveAnyway')) : undefined;
+        return { card, snapshot: { calendarId, event: before, master }, choices };
+    } catch (error) {
+        console.error('Preview Update Error:', error);
+        return { error: (error.result?.error?.message) || error.message };
+    }
+}
+
+async function previewEventDeletion(args) {
+    const calendarId = resolveCalendarId(args.calendar_id);
+    if (!calendarId) return unknownCalendarError(args.calendar_id);
+    try {
+        const response = await googleApi.calendar.events.get({ calendarId, eventId: args.event_id });
+        const event = response.result;
+        const master = await getRecurringMaster(calendarId, event);
+        const card = html`<div class="card event-card confirm-card danger">
+            <div class="card-icon"><span class="material-symbols-outlined">delete</span></div>
+            <div class="card-content"><h4>${t('confirm.deleteEvent')}</h4>
+              <p><strong>${event.summary || t('event.untitled')}</strong>, ${formatEventTime(event.start.dateTime || event.start.date)}${event.location ? `, ${event.location}` : ''}</p>
+              ${master ? renderRecurrenceNote(master) : ''}
+            </div>
+          </div>`;
+        return { card, snapshot: { calendarId, event, master }, choices: master ? recurrenceScopeChoices(args) : undefined };
+    } catch (error) {
+        console.error('Preview Delete Error:', error);
+        return { error: (error.result?.error?.message) || error.message };
+    }
+}
+
+async function getRecurringMaster(calendarId, event) {
+    if (!event.recurringEventId) return null;
+    const response = await googleApi.calendar.events.get({ calendarId, eventId: event.recurringEventId });
+    return response.result;
+}
+
+function renderRecurrenceNote(master) {
+    return html`<p class="recurrence-note"><span class="material-symbols-outlined">repeat</span>${t('card.repeats', { rule: describeRecurrence(master.recurrence) || t('confirm.seriesSchedule') })}</p>`;
+}
+
+function recurrenceScopeChoices(args) {
+    return { arg: 'scope', options: RECURRENCE_SCOPES, preferred: args.scope || 'this' };
+}
+
+// Writes the captured event back. A deleted event keeps its ID with status
+// "cancelled", so updating it to "confirmed" brings it back. Series-wide
+// changes restore the series, and a split-off series is removed again.
+async function undoEventChange({ calendarId, event, master }, response) {
+    const seriesWide = master && (response.scope === 'all' || response.scope === 'following');
+    const target = seriesWide ? master : event;
+    if (seriesWide && response.scope === 'following' && response.status === 'updated') {
+        await googleApi.calendar.events.delete({ calendarId, eventId: response.event.id });
+    }
+    const restored = await googleApi.calendar.events.update({
+        calendarId,
+        eventId: target.id,
+        resource: { ...writableEventFields(target), status: 'confirmed' },
+    });
+    const start = new Date(restored.result.start.dateTime || restored.result.start.date);
+    renderCalendar(start);
+    renderDailyEvents(start);
+}
+
+async function previewTaskUpdate(args) {
+    const tasklistId = args.tasklist_id || '@default';
+    try {
+        const response = await googleApi.tasks.tasks.get({ tasklist: tasklistId, task: args.task_id });
+        const before = response.result;
+        const statusLabel = (status) => status === 'completed' ? t('diff.status.completed') : t('diff.status.needsAction');
+        const rows = [
+            [t('diff.title'), before.title, args.title || before.title],
+            [t('diff.notes'), before.notes, args.notes || before.notes],
+            [t('diff.due'), before.due && formatTaskDue(before.due), args.due ? formatTaskDue(args.due) : (before.due && formatTaskDue(before.due))],
+            [t('diff.status'), statusLabel(before.status), args.completed === undefined ? statusLabel(before.status) : statusLabel(args.completed ? 'completed' : 'needsAction')],
+        ];
+        const card = html`<div class="card task-card confirm-card">
+            <div class="card-icon"><span class="material-symbols-outlined">edit_note</span></div>
+            <div class="card-content"><h4>${t('confirm.updateTask', { title: before.title || t('event.untitled') })}</h4>
+              ${renderDiffTable(rows)}
+            </div>
+          </div>`;
+        return { card, snapshot: { tasklistId, task: before } };
+    } catch (error) {
+        console.error('Preview Task Update Error:', error);
+        return { error: (error.result?.error?.message) || error.message };
+    }
+}
+
+async function previewTaskDeletion(args) {
+    const tasklistId = args.tasklist_id || '@default';
+    try {
+        const response = await googleApi.tasks.tasks.get({ tasklist: tasklistId, task: args.task_id });
+        const task = response.result;
+        const card = html`<div class="card task-card confirm-card danger">
+            <div class="card-icon"><span class="material-symbols-outlined">delete</span></div>
+            <div class="card-content"><h4>${t('confirm.deleteTask')}</h4>
+              <p><strong>${task.title || t('event.untitled')}</strong>${task.due ? `, ${t('card.due', { date: formatTaskDue(task.due) })}` : ''}</p>
+            </div>
+          </div>`;
+        return { card, snapshot: { tasklistId, task } };
+    } catch (error) {
+        console.error('Preview Task Delete Error:', error);
+        return { error: (error.result?.error?.message) || error.message };
+    }
+}
+
+async function restoreTaskSnapshot({ tasklistId, task }) {
+    await googleApi.tasks.tasks.update({ tasklist: tasklistId, task: task.id, resource: task });
+    refreshTasks();
+}
+
+// Deleted tasks can't be brought back by ID, so a copy is created instead.
+async function recreateDeletedTask({ tasklistId, task }) {
+    await googleApi.tasks.tasks.insert({
+        tasklist: tasklistId,
+        parent: task.parent,
+        resource: { title: task.title, notes: task.notes, due: task.due, status: task.status },
+    });
+    refreshTasks();
+}
+
+/** Renders label/before/after rows, keeping only the ones that actually change. */
+function renderDiffTable(rows) {
+    const changed = rows.filter(([, oldValue, newValue]) => (oldValue || '') !== (newValue || ''));
+    if (changed.length === 0) return html`<p>${t('diff.noChanges')}</p>`;
+    const diffRows = changed.map(([label, oldValue, newValue]) => html`
+                <tr><th>${label}</th><td class="diff-before">${oldValue || '—'}</td><td class="diff-after">${newValue || '—'}</td></tr>`);
+    return html`<table class="diff-table">${diffRows}</table>`;
+}
+
+function formatEventTime(value) {
+    if (!value) return '';
+    // All-day events carry a plain date without a time part.
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return new Date(`${value}T00:00:00`).toLocaleDateString(getLocale());
+    return new Date(value).toLocaleString(getLocale(), { dateStyle: 'short', timeStyle: 'short' });
+}
+
+/**
+ * Shows the preview card with approve/decline buttons and resolves with the
+ * user's choice: true/false, or the picked value when `choices` are given.
+ */
+function requestConfirmation(previewCard, choices, signal) {
+    const approveButtons = choices
+        ? renderChoiceButtons(choices)
+        : html`<button class="action-button primary" data-confirm="yes">${t('confirm.approve')}</button>`;
+    const actionsHtml = html`<div class="confirm-actions">
+            <button class="action-button" data-confirm="no">${t('common.cancel')}</button>
+            ${approveButtons}
+          </div>`;
+    // Only the outcome is kept in the history; the buttons only work right now.
+    const wrapper = appendMessage('system', '', html`<div class="confirm-block">${previewCard}${actionsHtml}</div>`, { persist: false });
+    // Input stays disabled while the agent loop waits, only the spinner is hidden.
+    dom.loadingIndicator.style.display = 'none';
+    return new Promise(resolve => {
+        const settle = (status, decision) => {
+            signal?.removeEventListener('abort', onAbort);
+            wrapper.querySelector('.confirm-actions').innerHTML = html`<span class="confirm-status">${status}</span>`;
+            recordMessage('system', '', wrapper.innerHTML);
+            resolve(decision);
+        };
+        // Stopping the response declines a pending action.
+        const onAbort = () => settle(t('common.cancelled'), false);
+        signal?.addEventListener('abort', onAbort);
+        wrapper.querySelectorAll('[data-confirm]').forEach(button => {
+            button.onclick = () => {
+                const value = button.dataset.confirm;
+                const approved = value !== 'no';
+                dom.loadingIndicator.style.display = 'flex';
+                settle(!approved ? t('common.cancelled') : (choices ? t('confirm.approvedChoice', { choice: button.textContent }) : t('confirm.approved')), approved && (choices ? value : true));
+            };
+        });
+    });
+}
+
+function renderChoiceButtons(choices) {
+    return choices.options.map(option => html`<button class="action-button${option.value === choices.preferred ? ' primary' : ''}" data-confirm="${option.value}">${option.label}</button>`);
+}
+
+function offerUndo(undo) {
+    const wrapper = appendMessage('system', '', html`<div class="undo-bar">
+            <span>${t('undo.done')}</span>
+            <button class="action-button" data-action="undo"><span class="material-symbols-outlined">undo</span>${t('undo.button')}</button>
+          </div>`, { persist: false });
+    const bar = wrapper.querySelector('.undo-bar');
+    const timer = setTimeout(() => bar.remove(), UNDO_WINDOW_MS);
+    bar.querySelector('[data-action="undo"]').onclick = async (e) => {
+        clearTimeout(timer);
+        e.currentTarget.disabled = true;
+        try {
+            await undo();
+            bar.innerHTML = html`<span>${t('undo.undone')}</span>`;
+        } catch (error) {
+            console.error('Undo Error:', error);
+            bar.remove();
+            appendMessage('error', t('undo.failed', { message: (error.result?.error?.message) || error.message }));
+        }
+    };
+}
+
+/**
+ * Adds a message to the chat. `content` is either the attached files of a
+ * user message or card markup (SafeHtml). Unless `persist` is false, the
+ * message is also recorded in the current session so it shows up again when
+ * the session is resumed.
+ */
+function appendMessage(type, text, content = '', { persist = true } = {}) {
+    const wrapper = document.createElement('div');
+    wrapper.className = `message-wrapper ${type}-wrapper`;
+    const attachments = (type === 'user' && Array.isArray(content)) ? content : [];
+    const card = (type !== 'user' && content instanceof SafeHtml) ? content : '';
+    wrapper.innerHTML = html`
+        ${attachments.length > 0 ? html`<div class="image-preview-container">${attachments.map(renderAttachmentPreview)}</div>` : ''}
+        ${text ? html`<div class="message-bubble ${type}-bubble">${type === 'model' ? renderMarkdown(text) : text}</div>` : ''}
+        ${card}`;
+    dom.messageList.appendChild(wrapper);
+    dom.messageList.scrollTop = dom.messageList.scrollHeight;
+    if (persist) recordMessage(type, text, content);
+    return wrapper;
+}
+
+function showLoading(isLoading) {
+    appState.isProcessing = isLoading;
+    dom.stopButtonChat.style.display = isLoading ? 'flex' : 'none';
+    dom.loadingIndicator.style.display = isLoading ? 'flex' : 'none';
+    dom.chatTextInput.disabled = isLoading;
+    dom.micButtonChat.disabled = isLoading;
+    dom.liveButtonChat.disabled = isLoading;
+    dom.cameraButtonChat.disabled = isLoading;
+    dom.captureButtonChat.disabled = isLoading;
+    dom.extractEventsButton.disabled = isLoading;
+    dom.sendButtonChat.disabled = isLoading;
+}
+
+// --- Event Listeners ---
 function setupEventListeners() {
     dom.chatTextInput.addEventListener('keydown', (e) => {
         if (e.key === 'Enter' && !e.shiftKey) {
             e.preventDefault();
-            sendMessage(dom.chatTextInput.value, appState.attachedImages);
+            sendMessage(dom.chatTextInput.value, appState.attachments);
         }
     });
     dom.chatTextInput.addEventListener('input', () => {
-        dom.sendButtonChat.style.display = dom.chatTextInput.value.trim().length > 0 ? 'flex' : 'none';
+        if (!dom.chatTextInput.value) appState.voiceInput = false;
+        dom.sendButtonChat.style.display = dom.chatTextInput.value.trim().length > 0 || appState.attachments.length > 0 ? 'flex' : 'none';
         dom.chatTextInput.style.height = 'auto';
         dom.chatTextInput.style.height = `${dom.chatTextInput.scrollHeight}px`;
     });
-    dom.sendButtonChat.onclick = () => sendMessage(dom.chatTextInput.value, appState.attachedImages);
+    dom.sendButtonChat.onclick = () => sendMessage(dom.chatTextInput.value, appState.attachments);
+    dom.stopButtonChat.onclick = () => {
+        appState.abortController?.abort();
+        stopSpeaking();
+    };
+    dom.liveButtonChat.onclick = () => {
+        if (appState.liveConversation) stopLiveConversation(); else startLiveConversation();
+    };
+    dom.liveStopButton.onclick = stopLiveConversation;
 
     if (recognition) {
         dom.micButtonChat.onclick = () => {
             if (isRecognizing) { recognition.stop(); } 
             else { recognition.start(); isRecognizing = true; dom.micButtonChat.classList.add('active'); }
         };
-        recognition.onresult = (event) => { dom.chatTextInput.value = event.results[0][0].transcript; dom.chatTextInput.dispatchEvent(new Event('input')); };
+        recognition.onresult = (event) => {
+            dom.chatTextInput.value = event.results[0][0].transcript;
+            appState.voiceInput = true;
+            dom.chatTextInput.dispatchEvent(new Event('input'));
+        };
         recognition.onend = () => { isRecognizing = false; dom.micButtonChat.classList.remove('active'); };
     } else { 
         dom.micButtonChat.disabled = true; 
@@ -774,41 +4227,95 @@ function setupEventListeners() {
     dom.cameraButtonChat.onclick = () => dom.imageUploadInputChat.click();
     dom.imageUploadInputChat.onchange = (event) => {
         const target = event.target;
-        const file = target.files?.[0];
-        if (!file) return;
-        const reader = new FileReader();
-        reader.onloadend = () => {
-            if (typeof reader.result === 'string') {
-                const base64Data = reader.result.split(',')[1];
-                appState.attachedImages.push({ data: base64Data, type: file.type });
-                appendMessage('system', `Прикреплено изображение: ${file.name}. Введите запрос или нажмите "Отправить".`);
-            }
-        };
-        reader.readAsDataURL(file);
+        attachFiles([...target.files]);
+        target.value = '';
+    };
+    dom.attachmentList.onclick = (e) => {
+        const button = e.target.closest('[data-remove-attachment]');
+        if (!button) return;
+        appState.attachments.splice(Number(button.dataset.removeAttachment), 1);
+        renderAttachmentTray();
+    };
+    dom.extractEventsButton.onclick = () => extractEventsFromAttachments(dom.chatTextInput.value, appState.attachments);
+    dom.chatTextInput.addEventListener('paste', (e) => {
+        // A pasted invite is imported instead of landing in the input.
+        const text = e.clipboardData?.getData('text/plain') || '';
+        if (!/BEGIN:VCALENDAR/i.test(text)) return;
+        e.preventDefault();
+        showIcsImport(text, t('ics.pastedInvite'));
+    });
+    const chatInputContainer = dom.chatTextInput.closest('.chat-input-container');
+    chatInputContainer.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer?.types.includes('Files')) return;
+        e.preventDefault();
+        chatInputContainer.classList.add('drag-over');
+    });
+    chatInputContainer.addEventListener('dragleave', () => chatInputContainer.classList.remove('drag-over'));
+    chatInputContainer.addEventListener('drop', (e) => {
+        chatInputContainer.classList.remove('drag-over');
+        if (!e.dataTransfer?.files.length) return;
+        e.preventDefault();
+        attachFiles([...e.dataTransfer.files]);
+    });
+    dom.icsExportDetails.addEventListener('toggle', () => { if (dom.icsExportDetails.open) resetIcsExportRange(); });
+    dom.icsExportButton.onclick = exportDateRangeIcs;
+    dom.icsImportButton.onclick = () => dom.icsImportInput.click();
+    dom.icsImportInput.onchange = (event) => {
+        const target = event.target;
+        attachFiles([...target.files]);
         target.value = '';
     };
+    if (navigator.mediaDevices?.getUserMedia) dom.captureButtonChat.onclick = openCamera;
+    else dom.captureButtonChat.style.display = 'none';
+    dom.cameraShutterButton.onclick = capturePhoto;
+    dom.closeCameraButton.onclick = closeCamera;
 
     dom.settingsButton.onclick = () => showModal(dom.settingsModal);
     dom.closeSettingsButton.onclick = () => {
-        if (localStorage.getItem('geminiApiKey') && localStorage.getItem('googleClientId')) {
+        if (hasGeminiAccess() && appState.credentials.googleClientId) {
             closeModal(dom.settingsModal);
         } else {
-            alert("Пожалуйста, введите Gemini API Key и Google Client ID для продолжения.");
+            alert(t('settings.alert.credentialsRequired'));
         }
     };
     dom.resetAppButton.onclick = resetApp;
-    dom.saveSettingsButton.onclick = () => {
-        const geminiApiKey = dom.settingsGeminiApiKey.value.trim();
-        const googleClientId = dom.settingsGoogleClientId.value.trim();
-        if (!geminiApiKey) { alert('Пожалуйста, введите ваш Gemini API Key.'); return; }
-        if (!googleClientId) { alert('Пожалуйста, введите ваш Google Client ID.'); return; }
-        
-        localStorage.setItem('geminiApiKey', geminiApiKey);
-        localStorage.setItem('googleClientId', googleClientId);
-
-        alert("Настройки сохранены. Приложение будет перезагружено.");
-        window.location.reload();
+    // Speech and notification settings take effect right away, without the reload "Сохранить" does.
+    dom.settingsSpeechMode.onchange = () => localStorage.setItem('speechMode', dom.settingsSpeechMode.value);
+    dom.settingsSpeechVoice.onchange = () => localStorage.setItem('speechVoice', dom.settingsSpeechVoice.value);
+    dom.settingsSpeechRate.oninput = () => {
+        localStorage.setItem('speechRate', dom.settingsSpeechRate.value);
+        dom.settingsSpeechRateValue.textContent = `${Number(dom.settingsSpeechRate.value).toFixed(1)}×`;
+    };
+    dom.settingsBriefingEnabled.onchange = () => {
+        localStorage.setItem('briefingEnabled', String(dom.settingsBriefingEnabled.checked));
+        showDailyBriefing();
+    };
+    dom.settingsNotificationsEnabled.onchange = toggleNotifications;
+    dom.settingsNotificationLead.onchange = () => localStorage.setItem('notificationLead', dom.settingsNotificationLead.value);
+    dom.settingsTaskNotificationTime.onchange = () => localStorage.setItem('taskNotificationTime', dom.settingsTaskNotificationTime.value || '09:00');
+    dom.refreshBriefingButton.onclick = () => showDailyBriefing({ refresh: true });
+    dom.settingsLanguage.onchange = () => {
+        localStorage.setItem('language', dom.settingsLanguage.value);
+        location.reload();
     };
+    dom.settingsSpeechLanguage.onchange = () => {
+        saveLocaleSetting('speechLanguage', dom.settingsSpeechLanguage.value);
+        if (recognition) recognition.lang = getSpeechLocale();
+        fillSpeechVoices();
+    };
+    dom.settingsWeekStart.onchange = () => {
+        saveLocaleSetting('weekStart', dom.settingsWeekStart.value);
+        if (appState.isSignedIn) renderCalendar(appState.currentDisplayedDate);
+    };
+    dom.settingsTimeZone.onchange = () => saveLocaleSetting('timeZone', dom.settingsTimeZone.value);
+    dom.testSpeechButton.onclick = () => {
+        stopSpeaking();
+        speakText(t('settings.speech.testPhrase'));
+    };
+    dom.settingsGeminiMode.onchange = updateCredentialFields;
+    dom.settingsEncryptCredentials.onchange = updateCredentialFields;
+    dom.saveSettingsButton.onclick = saveCredentialSettings;
+    dom.unlockResetButton.onclick = resetApp;
     
     // Instructions Modal Listeners
     dom.showApiClientIdInstructions.onclick = (e) => {
@@ -826,30 +4333,92 @@ function setupEventListeners() {
     dom.closeInstructionsButton.onclick = () => closeModal(dom.instructionsModal);
 
 
-    dom.prevMonthButton.onclick = () => { appState.currentDisplayedDate.setMonth(appState.currentDisplayedDate.getMonth() - 1, 1); renderCalendar(appState.currentDisplayedDate); };
-    dom.nextMonthButton.onclick = () => { appState.currentDisplayedDate.setMonth(appState.currentDisplayedDate.getMonth() + 1, 1); renderCalendar(appState.currentDisplayedDate); };
+    dom.prevMonthButton.onclick = () => shiftCalendarPeriod(-1);
+    dom.nextMonthButton.onclick = () => shiftCalendarPeriod(1);
+    dom.calendarModeSwitcher.onclick = (e) => { const button = e.target.closest('.mode-button'); if (button) setCalendarMode(button.dataset.mode); };
+    dom.agendaView.onclick = (e) => {
+        if (e.target.closest('.agenda-more')) { renderAgendaView(appState.currentDisplayedDate, true); return; }
+        const item = e.target.closest('.event-item');
+        if (item) openEventDrawer(item.dataset.eventId, item.dataset.calendarId);
+    };
+    dom.dailyEventsList.onclick = (e) => {
+        const item = e.target.closest('.event-item');
+        if (item) openEventDrawer(item.dataset.eventId, item.dataset.calendarId);
+    };
+    dom.weekView.addEventListener('click', (e) => {
+        const chip = e.target.closest('.week-all-day-event');
+        if (chip) openEventDrawer(chip.dataset.eventId, chip.dataset.calendarId);
+    });
+    setupWeekDragAndDrop();
+    setupEventDrawer();
+    setupSessionsDrawer();
     dom.todayButton.onclick = () => { const today = new Date(); appState.currentDisplayedDate = today; renderCalendar(today); renderDailyEvents(today); };
     dom.suggestionChipsContainer.onclick = (e) => { const target = e.target; if (target.classList.contains('suggestion-chip')) sendMessage(target.textContent || ''); };
+    dom.calendarList.onchange = (e) => {
+        const checkbox = e.target.closest('[data-calendar-id]');
+        if (checkbox) setCalendarVisibility(checkbox.dataset.calendarId, checkbox.checked);
+    };
+    dom.taskListSelect.onchange = () => { appState.selectedTaskListId = dom.taskListSelect.value; refreshTasks(); };
+    dom.tasksList.addEventListener('click', (e) => {
+        const item = e.target.closest('.task-item');
+        if (!item) return;
+        const taskId = item.dataset.taskId;
+        const args = { task_id: taskId, tasklist_id: appState.selectedTaskListId };
+        if (e.target.classList.contains('task-checkbox')) {
+            e.target.disabled = true;
+            completeTask(args);
+        } else if (e.target.closest('.task-delete-button')) {
+            if (confirm(t('tasks.confirmDelete'))) deleteTask(args);
+        }
+    });
+    window.addEventListener('online', handleConnectionRestored);
+    window.addEventListener('offline', updateConnectionStatus);
     dom.mobileTabBar.onclick = (e) => { const btn = e.target.closest('.tab-button'); if (btn) switchView(btn.dataset.view); };
     
     // Listener for interactive card actions
     dom.messageList.addEventListener('click', (e) => {
+        const conflictButton = e.target.closest('[data-conflict-choice]');
+        if (conflictButton && !conflictButton.disabled) {
+            chooseOutboxConflictVersion(conflictButton);
+            return;
+        }
+
+        const slotButton = e.target.closest('.slot-option');
+        if (slotButton && !slotButton.disabled) {
+            bookSelectedSlot(slotButton);
+            return;
+        }
+
+        const contactButton = e.target.closest('.contact-option');
+        if (contactButton && !contactButton.disabled) {
+            pickContact(contactButton);
+            return;
+        }
+
         const button = e.target.closest('.card-action-button');
         if (!button) return;
         
         const action = button.dataset.action;
         const card = button.closest('.card');
         const eventId = card?.dataset.eventId;
+        const calendarId = card?.dataset.calendarId;
 
-        if (action === 'delete' && eventId) {
-            if (confirm('Вы уверены, что хотите удалить это событие?')) {
-                deleteCalendarEvent({ event_id: eventId });
+        if (action === 'download-ics') {
+            downloadEventsIcs({
+                time_min: card.dataset.timeMin,
+                time_max: card.dataset.timeMax,
+                query: decodeURIComponent(card.dataset.query) || undefined,
+                calendar_id: decodeURIComponent(card.dataset.calendarId) || undefined,
+            }).catch((error) => {
+                console.error('ICS Export Error:', error);
+                appendMessage('error', t('ics.exportFailed', { message: (error.result?.error?.message) || error.message }));
+            });
+        } else if (action === 'delete' && eventId) {
+            if (confirm(t('drawer.confirmDelete'))) {
+                deleteCalendarEvent({ event_id: eventId, calendar_id: calendarId });
             }
         } else if (action === 'edit' && eventId) {
-            const new_text = prompt("Что вы хотите изменить в этом событии? (Например: 'перенеси на завтра в 15:00', 'измени название на ...')");
-            if (new_text) {
-                sendMessage(`Обнови событие с ID ${eventId}: ${new_text}`);
-            }
+            openEventDrawer(eventId, calendarId || 'primary', { edit: true });
         }
     });
 
@@ -857,4 +4426,6 @@ function setupEventListeners() {
 }
 
 // --- App Entry Point ---
+// Tests install fake API clients (see api-clients.js) and start the app themselves.
+export { initializeApp };
 document.addEventListener('DOMContentLoaded', initializeApp);
@@ -0,0 +1,154 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { INPUT_SAMPLE_RATE, OUTPUT_SAMPLE_RATE } from './live-session.js';
+
+// --- Live Audio ---
+// Microphone capture and reply playback for the voice conversation. The Live
+// API takes and returns raw 16-bit little-endian PCM, base64-encoded.
+
+// Microphone audio is sent in chunks of about 100 ms.
+const CHUNK_SECONDS = 0.1;
+// Copies each block of microphone samples to the main thread.
+const CAPTURE_PROCESSOR = `
+class PcmCapture extends AudioWorkletProcessor {
+    process(inputs) {
+        const channel = inputs[0][0];
+        if (channel) this.port.postMessage(channel.slice(0));
+        return true;
+    }
+}
+registerProcessor('pcm-capture', PcmCapture);`;
+
+/**
+ * Starts capturing the microphone and calls `onChunk` with base64 PCM at
+ * INPUT_SAMPLE_RATE. Echo cancellation keeps the spoken reply out of the
+ * input, so the user can talk over it.
+ * @returns {Promise<{ stop: () => void }>}
+ */
+export async function startMicrophone(onChunk) {
+    const stream = await navigator.mediaDevices.getUserMedia({
+        audio: { channelCount: 1, echoCancellation: true, noiseSuppression: true, autoGainControl: true },
+    });
+    const context = new AudioContext();
+    const stopStream = () => stream.getTracks().forEach(track => track.stop());
+    try {
+        const moduleUrl = URL.createObjectURL(new Blob([CAPTURE_PROCESSOR], { type: 'text/javascript' }));
+        await context.audioWorklet.addModule(moduleUrl);
+        URL.revokeObjectURL(moduleUrl);
+        await context.resume();
+    } catch (error) {
+        stopStream();
+        context.close();
+        throw error;
+    }
+
+    const source = context.createMediaStreamSource(stream);
+    // Without outputs the node is a sink and is processed without reaching the speakers.
+    const capture = new AudioWorkletNode(context, 'pcm-capture', { numberOfOutputs: 0 });
+    const samplesPerChunk = Math.round(context.sampleRate * CHUNK_SECONDS);
+    let blocks = [];
+    let buffered = 0;
+    capture.port.onmessage = ({ data }) => {
+        blocks.push(data);
+        buffered += data.length;
+        if (buffered < samplesPerChunk) return;
+        const samples = new Float32Array(buffered);
+        blocks.reduce((offset, block) => { samples.set(block, offset); return offset + block.length; }, 0);
+        blocks = [];
+        buffered = 0;
+        onChunk(encodePcm16(downsample(samples, context.sampleRate, INPUT_SAMPLE_RATE)));
+    };
+    source.connect(capture);
+
+    return {
+        stop() {
+            capture.port.onmessage = null;
+            source.disconnect();
+            stopStream();
+            context.close();
+        },
+    };
+}
+
+/**
+ * Plays reply chunks back to back as they arrive.
+ * @returns {{ play: (base64Pcm: string) => void, stop: () => void, close: () => void }}
+ */
+export function createAudioPlayer() {
+    const context = new AudioContext();
+    const sources = new Set();
+    let nextStartTime = 0;
+
+    // Cuts off everything queued, e.g. when the user starts talking over the reply.
+    const stop = () => {
+        sources.forEach(source => source.stop());
+        sources.clear();
+        nextStartTime = 0;
+    };
+
+    return {
+        play(base64Pcm) {
+            const bytes = base64ToBytes(base64Pcm);
+            const pcm = new Int16Array(bytes.buffer, 0, bytes.length >> 1);
+            const buffer = context.createBuffer(1, pcm.length, OUTPUT_SAMPLE_RATE);
+            const channel = buffer.getChannelData(0);
+            pcm.forEach((sample, i) => { channel[i] = sample / 0x8000; });
+
+            const source = context.createBufferSource();
+            source.buffer = buffer;
+            source.connect(context.destination);
+            source.onended = () => sources.delete(source);
+            nextStartTime = Math.max(nextStartTime, context.currentTime);
+            source.start(nextStartTime);
+            nextStartTime += buffer.duration;
+            sources.add(source);
+        },
+        stop,
+        close() {
+            stop();
+            context.close();
+        },
+    };
+}
+
+// Averages the samples that fall into each output sample.
+function downsample(samples, fromRate, toRate) {
+    if (fromRate === toRate) return samples;
+    const ratio = fromRate / toRate;
+    const result = new Float32Array(Math.floor(samples.length / ratio));
+    for (let i = 0; i < result.length; i++) {
+        const start = Math.floor(i * ratio);
+        const end = Math.min(samples.length, Math.floor((i + 1) * ratio));
+        let sum = 0;
+        for (let j = start; j < end; j++) sum += samples[j];
+        result[i] = sum / Math.max(1, end - start);
+    }
+    return result;
+}
+
+function encodePcm16(samples) {
+    const pcm = new Int16Array(samples.length);
+    samples.forEach((sample, i) => {
+        const clamped = Math.max(-1, Math.min(1, sample));
+        pcm[i] = clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff;
+    });
+    return bytesToBase64(new Uint8Array(pcm.buffer));
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    // In slices, so the argument list of fromCharCode stays small.
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
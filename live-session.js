@@ -0,0 +1,135 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// --- Gemini Live Session ---
+// Real-time voice conversation over the Gemini Live API (BidiGenerateContent).
+// This module only speaks the protocol. The connection is a transport with
+// `send`/`close` and `onmessage`/`onclose` callbacks, so the WebSocket to
+// Google can be swapped for a local mock server or an in-memory fake.
+
+export const LIVE_API_PATH = '/ws/google.ai.generativelanguage.v1beta.GenerativeService.BidiGenerateContent';
+export const LIVE_API_URL = `wss://generativelanguage.googleapis.com${LIVE_API_PATH}`;
+export const INPUT_SAMPLE_RATE = 16000;
+export const OUTPUT_SAMPLE_RATE = 24000;
+
+/**
+ * @typedef {object} LiveTransport
+ * @property {(message: object) => void} send Sends one client message.
+ * @property {() => void} close
+ * @property {((message: object) => void) | null} onmessage Set by the session; receives parsed server messages.
+ * @property {((reason: string) => void) | null} onclose Set by the session.
+ */
+/**
+ * @typedef {object} LiveHandlers
+ * @property {(base64Pcm: string) => void} [onAudio] A chunk of the spoken reply, 16-bit PCM at OUTPUT_SAMPLE_RATE.
+ * @property {(text: string) => void} [onInputTranscript] Next piece of what the user said.
+ * @property {(text: string) => void} [onOutputTranscript] Next piece of the spoken reply as text.
+ * @property {() => void} [onInterrupted] The user spoke over the reply; drop the audio still queued.
+ * @property {() => void} [onTurnComplete]
+ * @property {(functionCalls: { id: string, name: string, args?: object }[]) => void} [onToolCall]
+ * @property {(reason: string) => void} [onClose]
+ */
+/**
+ * @typedef {object} LiveSession
+ * @property {(base64Pcm: string) => void} sendAudio Microphone audio, 16-bit PCM at INPUT_SAMPLE_RATE.
+ * @property {(text: string) => void} sendText A typed message as a complete user turn.
+ * @property {(functionResponses: { id: string, name: string, response: object }[]) => void} sendToolResponses
+ * @property {() => void} close
+ */
+
+export function liveApiUrl(apiKey, baseUrl = LIVE_API_URL) {
+    return `${baseUrl}?key=${encodeURIComponent(apiKey)}`;
+}
+
+/**
+ * Opens a WebSocket and resolves with a transport once it is connected.
+ * @returns {Promise<LiveTransport>}
+ */
+export function connectWebSocket(url) {
+    return new Promise((resolve, reject) => {
+        const socket = new WebSocket(url);
+        let opened = false;
+        /** @type {LiveTransport} */
+        const transport = {
+            send: message => socket.send(JSON.stringify(message)),
+            close: () => socket.close(),
+            onmessage: null,
+            onclose: null,
+        };
+        socket.onopen = () => { opened = true; resolve(transport); };
+        socket.onmessage = async (event) => {
+            // The server sends JSON, in binary frames as often as in text ones.
+            const text = typeof event.data === 'string' ? event.data : await event.data.text();
+            transport.onmessage?.(JSON.parse(text));
+        };
+        socket.onclose = (event) => {
+            const reason = event.reason || `WebSocket closed (${event.code})`;
+            if (opened) transport.onclose?.(reason); else reject(new Error(reason));
+        };
+    });
+}
+
+/**
+ * Sends the session setup over `transport` and resolves once the server has
+ * accepted it. Replies are spoken (audio) and transcribed in both directions.
+ * @param {LiveTransport} transport
+ * @param {object} options
+ * @param {string} options.model
+ * @param {string} options.systemInstruction
+ * @param {object[]} options.functionDeclarations
+ * @param {string} options.languageCode BCP 47 code of the language spoken, e.g. "ru-RU".
+ * @param {LiveHandlers} options.handlers
+ * @returns {Promise<LiveSession>}
+ */
+export function startLiveSession(transport, { model, systemInstruction, functionDeclarations, languageCode, handlers }) {
+    return new Promise((resolve, reject) => {
+        let ready = false;
+        /** @type {LiveSession} */
+        const session = {
+            sendAudio: data => transport.send({ realtimeInput: { audio: { data, mimeType: `audio/pcm;rate=${INPUT_SAMPLE_RATE}` } } }),
+            sendText: text => transport.send({ clientContent: { turns: [{ role: 'user', parts: [{ text }] }], turnComplete: true } }),
+            sendToolResponses: functionResponses => transport.send({ toolResponse: { functionResponses } }),
+            close: () => transport.close(),
+        };
+        transport.onmessage = (message) => {
+            if (message.setupComplete) {
+                ready = true;
+                resolve(session);
+                return;
+            }
+            dispatchServerMessage(message, handlers);
+        };
+        transport.onclose = (reason) => {
+            if (ready) handlers.onClose?.(reason);
+            else reject(new Error(reason));
+        };
+        transport.send({
+            setup: {
+                model: model.startsWith('models/') ? model : `models/${model}`,
+                generationConfig: { responseModalities: ['AUDIO'], speechConfig: { languageCode } },
+                systemInstruction: { parts: [{ text: systemInstruction }] },
+                tools: [{ functionDeclarations }],
+                inputAudioTranscription: {},
+                outputAudioTranscription: {},
+            },
+        });
+    });
+}
+
+/** @param {LiveHandlers} handlers */
+function dispatchServerMessage(message, handlers) {
+    const content = message.serverContent;
+    if (content) {
+        if (content.interrupted) handlers.onInterrupted?.();
+        if (content.inputTranscription?.text) handlers.onInputTranscript?.(content.inputTranscription.text);
+        (content.modelTurn?.parts || []).forEach((part) => {
+            if (part.inlineData?.data) handlers.onAudio?.(part.inlineData.data);
+        });
+        if (content.outputTranscription?.text) handlers.onOutputTranscript?.(content.outputTranscription.text);
+        if (content.turnComplete) handlers.onTurnComplete?.();
+    }
+    if (message.toolCall) handlers.onToolCall?.(message.toolCall.functionCalls || []);
+}
@@ -0,0 +1,550 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// English messages. Keys missing here fall back to the Russian catalog.
+
+export default {
+    // --- Common ---
+    'common.loading': 'Loading...',
+    'common.delete': 'Delete',
+    'common.edit': 'Edit',
+    'common.add': 'Add',
+    'common.cancel': 'Cancel',
+    'common.save': 'Save',
+    'common.cancelled': 'Cancelled',
+    'common.close': 'Close',
+
+    // --- Page ---
+    'app.title': 'Gemini Assistant',
+    'page.history': 'Chat history',
+    'page.settings': 'Settings',
+    'page.welcomeTitle': 'Your personal assistant',
+    'page.briefingTitle': "Today's briefing",
+    'page.refreshBriefing': 'Refresh briefing',
+    'page.loading': 'Loading',
+    'page.working': 'Working...',
+    'page.extractEvents': 'Find events',
+    'page.endLive': 'End',
+    'page.attach': 'Attach images or PDFs',
+    'page.capture': 'Take a photo',
+    'page.inputPlaceholder': 'Ask me anything...',
+    'page.inputLabel': 'Chat text input',
+    'page.mic': 'Voice input',
+    'page.live': 'Voice conversation',
+    'page.stop': 'Stop the reply',
+    'page.send': 'Send message',
+
+    // --- Settings ---
+    'settings.alert.apiKeyRequired': 'Please enter your Gemini API key.',
+    'settings.alert.proxyUrlRequired': 'Please enter the proxy server address.',
+    'settings.alert.invalidProxyUrl': '“{url}” is not a valid proxy address. Enter a path such as /gemini or an address starting with https://.',
+    'settings.alert.clientIdRequired': 'Please enter your Google Client ID.',
+    'settings.alert.passphraseTooShort': { one: 'The passphrase must be at least {count} character long.', other: 'The passphrase must be at least {count} characters long.' },
+    'settings.alert.saveCredentialsFailed': "Couldn't save the keys: {message}",
+    'settings.alert.savedReloading': 'Settings saved. The app will reload.',
+    'settings.confirmReset': 'Reset all settings? Your API keys and chat history will be deleted and the page will reload.',
+    'settings.speech.defaultVoice': 'Default',
+    'settings.alert.credentialsRequired': 'Please enter a Gemini API key and a Google Client ID to continue.',
+    'settings.speech.testPhrase': 'Hello! This is how my replies will sound.',
+    'settings.locale.speechAsInterface': 'Same as the interface',
+    'settings.locale.auto': 'From the interface language',
+    'settings.locale.deviceTimeZone': 'Device time zone ({timeZone})',
+    'settings.close': 'Close settings',
+    'settings.title': 'Settings',
+    'settings.googleSection': 'Google integration',
+    'settings.keysSection': 'API keys',
+    'settings.clientIdPlaceholder': 'Paste your Google Client ID',
+    'settings.clientIdHelp': 'How do I get a Client ID?',
+    'settings.geminiMode': 'Gemini connection',
+    'settings.geminiMode.key': 'My own API key in the browser',
+    'settings.geminiMode.proxy': "Through the team's proxy server",
+    'settings.apiKeyPlaceholder': 'Paste your Gemini API key',
+    'settings.apiKeyHelp': 'How do I get an API key?',
+    'settings.proxyUrl': 'Proxy server address',
+    'settings.proxyUrlPlaceholder': '/gemini or https://assistant.example.com/gemini',
+    'settings.encrypt': 'Encrypt the keys with a passphrase',
+    'settings.passphrase': 'Passphrase',
+    'settings.passphrasePlaceholder': 'At least 8 characters',
+    'settings.keysNote': "Your API keys are stored locally in your browser and are not sent anywhere. Encrypted keys have to be unlocked with the passphrase each time the app is opened; a forgotten passphrase can't be recovered, only the settings reset.",
+    'settings.notificationsSection': 'Briefing and notifications',
+    'settings.briefingEnabled': 'Show a morning briefing of the day',
+    'settings.notificationsEnabled': 'Notify me about events and tasks',
+    'settings.notificationLead': 'When to remind me of an event',
+    'settings.notificationLead.reminders': "By the event's reminders",
+    'settings.notificationLead.5': '5 minutes before',
+    'settings.notificationLead.10': '10 minutes before',
+    'settings.notificationLead.15': '15 minutes before',
+    'settings.notificationLead.30': '30 minutes before',
+    'settings.notificationLead.60': 'An hour before',
+    'settings.taskNotificationTime': "Time of the reminder about the day's tasks",
+    'settings.notificationsNote': 'Notifications arrive while the app is open in a browser tab.',
+    'settings.speechSection': 'Spoken replies',
+    'settings.speechMode': 'Read replies aloud',
+    'settings.speechMode.off': 'Never',
+    'settings.speechMode.voice': 'When the request was dictated',
+    'settings.speechMode.always': 'Always',
+    'settings.speechVoice': 'Voice',
+    'settings.speechRate': 'Speech rate:',
+    'settings.testSpeech': 'Listen',
+    'settings.reset': 'Reset and start over',
+    'settings.save': 'Save',
+    'settings.localeSection': 'Language and region',
+    'settings.language': 'Interface language',
+    'settings.speechLanguage': 'Language for voice input and speech',
+    'settings.weekStart': 'First day of the week',
+    'settings.timeZone': 'Time zone for new events',
+    'unlock.title': 'The keys are encrypted',
+    'unlock.passphrase': 'Passphrase',
+    'unlock.reset': 'Reset settings',
+    'unlock.submit': 'Unlock',
+    'unlock.wrongPassphrase': 'Wrong passphrase.',
+    'settings.alert.invalidModel': 'Invalid model name: {model}.',
+    'settings.alert.testFailed': `The test request to {model} failed: {message}
+
+Check the key, the proxy server address and the model name. The settings were not saved.`,
+    'settings.testing': 'Checking...',
+    'settings.modelsSection': 'Models and generation',
+    'settings.model.chat': 'Chat model',
+    'settings.model.extraction': 'Model for finding events in photos and PDFs',
+    'settings.model.suggestions': 'Model for the welcome screen suggestions',
+    'settings.model.briefing': 'Model for the morning briefing',
+    'settings.model.live': 'Model for voice conversations',
+    'settings.temperature': 'Temperature (0 is more precise, 2 more varied)',
+    'settings.modelDefault': 'Model default',
+    'settings.thinkingBudget': 'Thinking before answering',
+    'settings.thinkingBudget.off': 'No thinking (faster)',
+    'settings.thinkingBudget.short': 'Brief',
+    'settings.thinkingBudget.long': 'Thorough (slower)',
+    'settings.customInstructions': 'Your instructions for the assistant',
+    'settings.customInstructionsPlaceholder': 'For example: meetings last 30 minutes by default; working hours are 9 to 6; client meetings are at the Main Street office.',
+    'settings.modelsNote': 'Models and parameters take effect after saving: the app first sends a test request to each chosen model except the voice one.',
+
+    // --- Sign-in ---
+    'auth.alert.clientIdMissing': 'Please enter your Google Client ID in the settings.',
+    'auth.alert.clientNotReady': "Google sign-in isn't ready yet. Please wait or check the Client ID in the settings.",
+    'auth.confirmSignOutWithOutbox': { one: "{count} change made offline hasn't been sent yet and will be lost. Sign out anyway?", other: "{count} changes made offline haven't been sent yet and will be lost. Sign out anyway?" },
+    'auth.error': 'Sign-in error: {message}',
+    'auth.errorTryAgain': 'Please try again.',
+    'auth.sessionExpired': 'Your Google session has expired. Please sign in again.',
+    'auth.loadFailed': "Couldn't load your Google data: {message}.",
+    'auth.loadFailedPrompt': "Couldn't load your account.",
+    'auth.retry': 'Try again',
+    'auth.avatarAlt': 'User avatar',
+    'auth.signOut': 'Sign out',
+    'auth.signIn': 'Sign in with Google',
+    'auth.signInPrompt': 'Sign in to access your calendar and tasks.',
+
+    // --- Welcome screen ---
+    'welcome.greeting': 'Hello, {name}! How can I help?',
+    'welcome.suggestion1': 'Schedule a meeting tomorrow at 10 am',
+    'welcome.suggestion2': "What's on my schedule for Friday?",
+    'welcome.suggestion3': 'Remind me to call the repair shop at 3 pm',
+
+    // --- Chat ---
+    'chat.imageTitle': 'Image',
+    'chat.alert.busy': 'Please wait for the current request to finish.',
+    'chat.error.notConfigured': "The assistant isn't set up. Please enter an API key in the settings.",
+    'chat.error.signInRequired': 'Please sign in to your Google account to use this feature.',
+    'chat.error.offline': "No internet connection. The assistant isn't available right now, but you can still view and change your calendar and tasks: the changes will be sent once you're back online.",
+    'chat.error.gemini': 'Something went wrong while contacting Gemini. Check your API key and try again.',
+    'chat.error.tooManySteps': "Couldn't finish the request in a reasonable number of steps. Try rephrasing it.",
+    'chat.stopped': 'Response stopped.',
+    'chat.done': 'Done.',
+    'chat.cardDone': 'Done!',
+    'chat.running': 'Working on it...',
+
+    // --- Assistant tools ---
+    'tools.error.unknownFunction': 'Unknown function: {name}',
+    'tools.error.invalidArguments': "The arguments don't match the function's schema.",
+    'tools.error.failed': 'The function failed: {message}',
+    'tools.cancelled': 'The user declined this action.',
+    'tools.validation.object': '{path}: expected an object',
+    'tools.validation.required': '{path}: required',
+    'tools.validation.unknownField': '{path}: unknown field',
+    'tools.validation.array': '{path}: expected an array',
+    'tools.validation.string': '{path}: expected a string',
+    'tools.validation.enum': '{path}: allowed values are {values}',
+    'tools.validation.dateTime': '{path}: expected an ISO 8601 date',
+    'tools.validation.boolean': '{path}: expected a boolean',
+    'tools.validation.integer': '{path}: expected an integer',
+    'tools.validation.number': '{path}: expected a number',
+
+    // --- Chat history ---
+    'sessions.openFailed': "Couldn't open the saved chat.",
+    'sessions.loadFailed': "Couldn't load the history.",
+    'sessions.noResults': 'Nothing found.',
+    'sessions.empty': 'No saved chats yet.',
+    'sessions.messageCount': { one: '{count} message', other: '{count} messages' },
+    'sessions.exportMarkdown': 'Export to Markdown',
+    'sessions.exportJson': 'Export to JSON',
+    'sessions.delete': 'Delete chat',
+    'sessions.exportFailed': "Couldn't export the chat.",
+    'sessions.confirmDelete': 'Delete this chat from the history?',
+    'sessions.newChat': 'New chat',
+    'sessions.search': 'Search history',
+    'sessions.role.user': 'You',
+    'sessions.role.model': 'Assistant',
+    'sessions.role.system': 'System',
+    'sessions.role.error': 'Error',
+
+    // --- Prompts ---
+    'prompt.system': `You are a highly capable assistant for managing Google Workspace. Your job is to call API functions accurately and efficiently in response to the user's requests.
+- **RULES:**
+- **ALWAYS USE FUNCTIONS:** If a request can be fulfilled with a function, you MUST call it. Don't answer with text when you can act.
+- **MULTI-STEP ACTIONS:** If a request (e.g. "add Ivan to the meeting") needs a contact to be found first and the event updated afterwards, call the functions one after another.
+- **ATTENDEES:** Attendees can be given by email or by name. If find_contacts returns status "ambiguous", the user has already been shown a card to choose from: don't list the candidates, briefly ask the user to choose and wait for the answer. Once the user has chosen, continue the original request with the chosen email.
+- **CLARIFYING:** If critical data (title, time) is missing, ask ONE short clarifying question.
+- **TIME CONTEXT:** It is now {now}, the user's time zone is {timeZone}. Give event times with this offset.
+- **VIDEO MEETINGS:** For "call", "meet", "video", "online" always set \`add_meet_link: true\`.
+- **FINDING TIME:** If the user asks to find time or a slot for a meeting, call find_free_slots instead of making up a time. The options are shown to the user as a card — don't create the event until the user has picked one.
+- **UPDATING:** To update an event, use event_id and pass only the fields that change.
+- **RECURRENCE:** For recurring events ("every Monday", "on weekdays", "once a month") pass recurrence as an array of RRULE strings (RFC 5545), e.g. ["RRULE:FREQ=WEEKLY;BYDAY=MO"]. When changing or deleting a recurring event, pass scope if the user said explicitly which events of the series it applies to.
+- **CALENDARS:** If the user names a calendar (e.g. "in the Team calendar"), pass its name or ID in calendar_id. The list of calendars is available through list_calendars. To change or delete an event, pass the calendar_id from the find_events results.
+- **TASKS:** To complete, change, reschedule or delete a task, first find it with list_tasks and use its task_id. If the user names a task list, get its ID through list_task_lists.
+- **SUMMARY:** Once you have the function results, briefly tell the user what was done or found.
+- **LANGUAGE:** Reply in English.`,
+    'prompt.suggestions': 'Write 3 short, varied example requests for a calendar assistant, in English. Answer with a JSON array of strings. Include requests to find and to create things. Example: ["What are my plans for tomorrow?", "Set up a meeting with Anna on Friday at 10 am", "Find all meetings about the Alpha project"]',
+    'prompt.describeAttachments': 'Describe the attached files and pull out any information useful for the calendar or tasks.',
+    'prompt.extraction': `Find all events and tasks in the attached images and documents: schedule entries, conference programs, lessons, deadlines.
+Today is {today}. If no year is given, pick the nearest future date. For a schedule by weekday (a school timetable, for example), use the dates of the coming week, starting today.
+Every schedule entry is a separate event, even if there are dozens. Don't make up anything that isn't in the image; if text is hard to read, lower the confidence.`,
+    'prompt.extractionHint': "The user's note: {hint}",
+    'prompt.briefing': `Write a short morning briefing of the day for the user, in English: up to 120 words, Markdown, no headings, addressing the user directly.
+Start with the main points: how many meetings there are and when the first one is. Be sure to warn about overlapping events (conflicts), short transfers between different places (travel_gaps) and overdue tasks (overdue_tasks). If the day is free, say so.
+Data (times in ISO 8601): {data}`,
+    'prompt.live': '- **VOICE MODE:** Replies are spoken aloud. Keep them short and conversational, without Markdown, lists or links. Say dates and times in words, as in speech.',
+    'prompt.customInstructions': "- **THE USER'S OWN INSTRUCTIONS:** Follow them unless they conflict with the rules above:",
+
+    // --- Attachments ---
+    'attachments.unsupported': "“{name}” isn't supported: attach images, PDFs or .ics files.",
+    'attachments.tooLarge': '“{name}” is too large: the limit is {size} MB.',
+    'attachments.readFailed': "Couldn't read “{name}”.",
+    'attachments.remove': 'Remove {name}',
+    'attachments.imageAlt': 'Attached image',
+    'camera.permissionDenied': 'No access to the camera. Allow it in the browser settings.',
+    'camera.failed': "Couldn't turn on the camera.",
+    'camera.photoName': 'Photo {time}',
+
+    // --- Camera ---
+    'camera.close': 'Close the camera',
+    'camera.title': 'Photo',
+    'camera.shutter': 'Take photo',
+
+    // --- Event extraction ---
+    'extraction.sessionTitle': 'Finding events',
+    'extraction.request': 'Find events and tasks in these files',
+    'extraction.nothingFound': "Didn't find any events or tasks in the files. Try a sharper photo.",
+    'extraction.foundSummary': 'Found and shown for review: {items}.',
+    'extraction.failed': "Couldn't recognize any events. Check the files and try again.",
+    'extraction.column.create': 'Create',
+    'extraction.column.kind': 'Type',
+    'extraction.column.title': 'Title',
+    'extraction.column.date': 'Date',
+    'extraction.column.start': 'Start',
+    'extraction.column.end': 'End',
+    'extraction.column.location': 'Location',
+    'extraction.column.confidence': 'Confidence',
+    'extraction.kind.event': 'Event',
+    'extraction.kind.task': 'Task',
+    'extraction.confidenceTitle': 'Recognition confidence',
+    'extraction.foundCount': 'Found: {count}',
+    'extraction.reviewHint': 'Check the details and tick what to create. Items recognized with low confidence are highlighted and left unticked.',
+    'extraction.selectAll': 'Select all',
+    'extraction.calendar': 'Calendar for events',
+    'extraction.createSelected': 'Create selected',
+    'extraction.createSelectedCount': 'Create selected ({count})',
+    'extraction.reviewTitle': 'Recognized events and tasks',
+    'extraction.alert.incomplete': 'Every selected item needs a title and a date.',
+    'extraction.progress': 'Creating {index} of {total}...',
+    'extraction.createdCount': 'Created {count} of {total}',
+
+    // --- Calendar panel ---
+    'page.calendarSignIn': 'Sign in with Google to see your calendar.',
+    'page.previous': 'Previous',
+    'page.today': 'Today',
+    'page.next': 'Next',
+    'page.calendarMode': 'Calendar view',
+    'page.mode.month': 'Month',
+    'page.mode.week': 'Week',
+    'page.mode.agenda': 'Agenda',
+    'page.myCalendars': 'My calendars',
+    'page.icsTitle': 'Import and export .ics',
+    'page.icsFrom': 'Start of range',
+    'page.icsTo': 'End of range',
+    'page.icsExport': 'Download .ics',
+    'page.icsImport': 'Import a file',
+    'page.tasks': 'Tasks',
+    'page.taskList': 'Task list',
+    'page.tab.chat': 'Chat',
+    'page.tab.calendar': 'Calendar',
+
+    // --- Calendar ---
+    'calendar.overlap': 'Overlap: {first} and {second}',
+    'calendar.noEventsForDay': 'No events on this day.',
+    'calendar.loadEventsFailed': "Couldn't load events.",
+    'agenda.from': 'From {date}',
+    'agenda.empty': { one: 'No events in the next {count} day.', other: 'No events in the next {count} days.' },
+    'agenda.more': { one: 'Show the next {count} day', other: 'Show the next {count} days' },
+    'calendar.primary': 'Primary calendar',
+
+    // --- Events ---
+    'event.untitled': '(No title)',
+    'event.allDay': 'All day',
+    'event.recurring': 'Recurring event',
+    'event.allDayOn': '{date}, all day',
+    'event.allDayRange': '{from} – {to}, all day',
+    'event.seriesDeleted': 'Events of the series deleted.',
+
+    // --- Recurring events ---
+    'recurrenceScope.this': 'This event only',
+    'recurrenceScope.following': 'This and following events',
+    'recurrenceScope.all': 'All events in the series',
+
+    // --- Recurrence ---
+    'recurrence.every.DAILY': 'every day',
+    'recurrence.every.WEEKLY': 'every week',
+    'recurrence.every.MONTHLY': 'every month',
+    'recurrence.every.YEARLY': 'every year',
+    'recurrence.everyN.DAILY': { one: 'every {count} day', other: 'every {count} days' },
+    'recurrence.everyN.WEEKLY': { one: 'every {count} week', other: 'every {count} weeks' },
+    'recurrence.everyN.MONTHLY': { one: 'every {count} month', other: 'every {count} months' },
+    'recurrence.everyN.YEARLY': { one: 'every {count} year', other: 'every {count} years' },
+    'recurrence.onDays': 'on {days}',
+    'recurrence.count': { one: 'once', other: '{count} times' },
+    'recurrence.until': 'until {date}',
+
+    // --- Event details ---
+    'rsvp.accepted': 'Going',
+    'rsvp.declined': 'Not going',
+    'rsvp.tentative': 'Maybe',
+    'rsvp.needsAction': 'No reply',
+    'reminder.method.popup': 'notification',
+    'reminder.method.email': 'email',
+    'drawer.title': 'Event',
+    'drawer.loadFailed': "Couldn't load the event.",
+    'drawer.joinMeet': 'Join Google Meet',
+    'drawer.description': 'Description',
+    'drawer.attendees': 'Guests',
+    'drawer.attendeesCount': 'Guests ({count})',
+    'drawer.organizer': 'organizer',
+    'drawer.optional': 'optional',
+    'drawer.reminders': 'Reminders',
+    'drawer.attachments': 'Attachments',
+    'drawer.openInGoogle': 'Open in Google',
+    'drawer.editTitle': 'Edit event',
+    'drawer.field.summary': 'Title',
+    'drawer.field.start': 'Start',
+    'drawer.field.end': 'End',
+    'drawer.field.lastDay': 'Last day',
+    'drawer.field.location': 'Location',
+    'drawer.singleOccurrenceNote': 'Changes apply to this occurrence only. To change the whole series, ask the assistant.',
+    'drawer.defaultReminders': "Calendar's default reminders",
+    'drawer.addReminder': 'Add reminder',
+    'drawer.removeAttendee': 'Remove guest',
+    'drawer.invalidEmail': 'Enter a valid email address.',
+    'drawer.timesRequired': 'Enter the start and end of the event.',
+    'drawer.endBeforeStart': 'The end must be after the start.',
+    'drawer.invalidReminder': 'A reminder must be a whole number of minutes from 0 to {max}.',
+    'drawer.saveFailed': "Couldn't save the event: {message}",
+    'drawer.confirmDeleteOccurrence': 'Delete this occurrence? The rest of the series will stay.',
+    'drawer.confirmDelete': 'Delete this event?',
+
+    // --- Reminders ---
+    'reminder.row.before': '',
+    'reminder.row.minutes': 'min before,',
+    'reminder.row.minutesLabel': 'Minutes before the start',
+    'reminder.row.methodLabel': 'Reminder method',
+    'reminder.row.remove': 'Remove reminder',
+    'reminder.calendarDefault': "Calendar's default",
+    'reminder.none': 'No reminders',
+    'reminder.atStart': 'At the start',
+    'reminder.daysBefore': { one: '{count} day before', other: '{count} days before' },
+    'reminder.hoursBefore': { one: '{count} hour before', other: '{count} hours before' },
+    'reminder.minutesBefore': '{count} min before',
+
+    // --- Tasks ---
+    'tasks.empty': 'No open tasks.',
+    'tasks.loadFailed': "Couldn't load tasks.",
+    'tasks.markDone': 'Mark as done',
+    'tasks.delete': 'Delete task',
+    'tasks.updated': 'Task "{title}" updated.',
+    'tasks.moved': 'Task "{title}" moved.',
+    'tasks.deleted': 'Task deleted.',
+    'tasks.confirmDelete': 'Are you sure you want to delete this task?',
+
+    // --- Offline mode ---
+    'offline.change.create': 'creation',
+    'offline.change.update': 'change',
+    'offline.change.delete': 'deletion',
+    'offline.queuedNote': "The change will be sent once you're back online.",
+    'offline.status.offline': 'Offline',
+    'offline.status.pending': 'Not sent',
+    'offline.status.pendingTitle': 'Changes waiting to be sent: {count}',
+    'offline.status.offlineTitle': 'No connection. Showing the saved copy of the calendar.',
+    'offline.eventNotCached': "The event isn't in the saved copy of the calendar.",
+    'offline.seriesNotSupported': 'Offline, only a single event of a series can be changed.',
+    'offline.taskNotCached': "The task isn't in the saved copy.",
+    'offline.eventUpdated': 'Event "{title}" updated.',
+    'offline.eventDeleted': 'Event deleted.',
+    'offline.taskDeleted': 'Task "{title}" deleted.',
+    'offline.taskCompleted': 'Task "{title}" completed.',
+    'offline.sendFailed': "Couldn't send the change to “{title}”: {message}",
+    'offline.sent': { one: '{count} change made offline has been sent.', other: '{count} changes made offline have been sent.' },
+    'offline.conflict.title': 'Conflicting changes',
+    'offline.conflict.eventChanged': "The event “{title}” was changed elsewhere while you were offline. Your {change} hasn't been sent yet.",
+    'offline.conflict.eventDeleted': "The event “{title}” was deleted elsewhere while you were offline. Your {change} hasn't been sent yet.",
+    'offline.conflict.taskChanged': "The task “{title}” was changed elsewhere while you were offline. Your {change} hasn't been sent yet.",
+    'offline.conflict.taskDeleted': "The task “{title}” was deleted elsewhere while you were offline. Your {change} hasn't been sent yet.",
+    'offline.conflict.discardMine': 'Discard my {change}',
+    'offline.conflict.applyMine': 'Apply anyway',
+    'offline.conflict.alreadyResolved': 'The conflict has already been resolved.',
+    'offline.conflict.mineApplied': 'Your change has been applied.',
+    'offline.conflict.theirsKept': 'Kept the version from the calendar.',
+    'offline.conflict.applyFailed': "Couldn't apply the change: {message}",
+
+    // --- Calendar files ---
+    'ics.signInRequired': 'Sign in to your Google account to import events.',
+    'ics.parseFailed': "Couldn't read “{name}”: {message}",
+    'ics.noEvents': '“{name}” has no events to import.',
+    'ics.sessionTitle': 'Import: {name}',
+    'ics.importFrom': 'Import from “{name}”',
+    'ics.eventCount': { one: '{count} event.', other: '{count} events.' },
+    'ics.skipped': 'Skipped: {count} (cancelled events and changes to single occurrences).',
+    'ics.calendar': 'Calendar',
+    'ics.import': 'Import',
+    'ics.importTitle': 'Import events',
+    'ics.offline': 'Events can only be imported while online.',
+    'ics.progress': 'Importing {index} of {total}...',
+    'ics.importFailed': { one: "Couldn't import {count} event.", other: "Couldn't import {count} events." },
+    'ics.imported': 'Imported: {count}',
+    'ics.duplicates': ', already in the calendar: {count}',
+    'ics.failed': ', failed: {count}',
+    'ics.exportFailed': "Couldn't export events: {message}",
+    'ics.alert.rangeRequired': 'Enter the start and end of the period.',
+    'ics.alert.emptyRange': 'There are no events in this period; the file is empty.',
+    'ics.pastedInvite': 'Pasted invite',
+    'ics.noCalendar': 'The text contains no calendar (BEGIN:VCALENDAR).',
+
+    // --- Daily briefing ---
+    'briefing.loading': "Preparing today's briefing...",
+    'briefing.allDay': 'all day',
+    'briefing.conflict': '{first} and {second}',
+    'briefing.travelGap': '{minutes} min between “{from}” ({fromPlace}) and “{to}” ({toPlace})',
+    'briefing.overdueTask': '{title} (due {due})',
+    'briefing.fallback.eventCount': { one: '{count} event today.', other: '{count} events today.' },
+    'briefing.fallback.noEvents': 'No events in the calendar today.',
+    'briefing.fallback.conflict': 'Overlapping: {conflict}',
+    'briefing.fallback.travelGap': 'Little time to get there: {gap}',
+    'briefing.fallback.overdueTasks': 'Overdue tasks: {tasks}',
+    'briefing.fallback.tasksDueToday': 'Tasks due today: {tasks}',
+
+    // --- Notifications ---
+    'notifications.eventAt': 'At {time}',
+    'notifications.tasksDueToday': 'Tasks due today: {count}',
+    'notifications.permissionDenied': "The browser didn't allow notifications. Allow them in the site settings and try again.",
+
+    // --- Voice conversation ---
+    'live.status.connecting': 'Connecting...',
+    'live.status.listening': 'Listening — go ahead',
+    'live.status.speaking': 'Answering... You can interrupt',
+    'live.sessionTitle': 'Voice conversation',
+    'live.ended': 'Voice conversation ended.',
+    'live.micDenied': 'No access to the microphone. Allow it in the browser settings.',
+    'live.failed': "Couldn't start the voice conversation. Check your connection and API key.",
+
+    // --- Undo ---
+    'undo.failed': "Couldn't undo: {message}",
+    'undo.done': 'Done.',
+    'undo.button': 'Undo',
+    'undo.undone': 'Undone.',
+
+    // --- Cards ---
+    'card.eventCreated': 'Event created',
+    'card.at': 'at {time}',
+    'card.repeats': 'Repeats: {rule}',
+    'card.openInCalendar': 'Open in Calendar',
+    'card.eventsExported': 'Events exported',
+    'card.exportedCount': { one: '{count} event', other: '{count} events' },
+    'card.downloadAgain': 'Download again',
+    'card.defaultMeetingTitle': 'Meeting',
+    'card.freeSlots': 'Free time',
+    'card.freeSlotsHint': 'Pick an option to create “{title}”.',
+    'card.noDueDate': 'No due date',
+    'card.taskCreated': 'Task created',
+    'card.due': 'due {date}',
+    'card.openInTasks': 'Open in Tasks',
+
+    // --- Contacts ---
+    'contacts.source.contact': 'contacts',
+    'contacts.source.other': 'email',
+    'contacts.source.attendee': 'meetings',
+    'contacts.whoDidYouMean': 'Who did you mean by “{query}”?',
+    'contacts.choiceRemembered': 'Your choice will be remembered for this name.',
+    'contacts.picked': '“{query}” is {contact}.',
+
+    // --- Scheduling conflicts ---
+    'conflicts.title': '“{title}” overlaps other events',
+    'conflicts.createAnyway': 'Create anyway',
+    'conflicts.moveAnyway': 'Move anyway',
+    'conflicts.alreadyPlanned': 'Already planned at this time:',
+    'conflicts.dialog': 'Scheduling conflict',
+
+    // --- Confirmations ---
+    'confirm.updateEvent': 'Change the event “{title}”?',
+    'confirm.deleteEvent': 'Delete the event?',
+    'confirm.seriesSchedule': 'on the series schedule',
+    'confirm.updateTask': 'Change the task “{title}”?',
+    'confirm.deleteTask': 'Delete the task?',
+    'confirm.approve': 'Confirm',
+    'confirm.approved': 'Confirmed',
+    'confirm.approvedChoice': 'Confirmed: {choice}',
+    'diff.title': 'Title',
+    'diff.start': 'Start',
+    'diff.end': 'End',
+    'diff.location': 'Location',
+    'diff.attendees': 'Guests',
+    'diff.notes': 'Notes',
+    'diff.due': 'Due',
+    'diff.status': 'Status',
+    'diff.status.completed': 'Completed',
+    'diff.status.needsAction': 'In progress',
+    'diff.noChanges': 'No changes found.',
+
+    // --- Errors ---
+    'error.geminiInit': "Couldn't initialize Gemini. Check your API key.",
+    'error.googleInit': "Couldn't initialize Google services. Check your Client ID and the Google Cloud Console settings.",
+    'error.createEvent': "Couldn't create the event: {message}",
+    'error.createTask': "Couldn't create the task: {message}",
+    'error.listTaskLists': "Couldn't get the task lists: {message}",
+    'error.listTasks': "Couldn't get the tasks: {message}",
+    'error.completeTask': "Couldn't complete the task: {message}",
+    'error.updateTask': "Couldn't update the task: {message}",
+    'error.moveTask': "Couldn't move the task: {message}",
+    'error.deleteTask': "Couldn't delete the task: {message}",
+    'error.updateEvent': "Couldn't update the event: {message}",
+    'error.deleteEvent': "Couldn't delete the event: {message}",
+    'error.freeBusy': "Couldn't check availability: {message}",
+    'error.findEvents': 'Error while searching events: {message}',
+    'error.findContacts': 'Error while searching contacts: {message}',
+
+    // --- Instructions ---
+    'instructions.close': 'Close the instructions',
+    'instructions.title': 'Getting API keys',
+    'instructions.clientIdSteps': `<li>Open the <a href="https://console.cloud.google.com/apis/credentials" target="_blank" rel="noopener noreferrer">Google Cloud Console</a> and select or create a project.</li>
+<li>Make sure the <strong>Google Calendar API</strong> and the <strong>Google Tasks API</strong> are enabled for the project. You can enable them in the <a href="https://console.cloud.google.com/apis/library" target="_blank" rel="noopener noreferrer">API Library</a>.</li>
+<li>Go to "Credentials", click "Create credentials" and choose "OAuth client ID".</li>
+<li>Choose "Web application" as the application type.</li>
+<li>Under <strong>"Authorized JavaScript origins"</strong> add the URL the app is hosted at. For GitHub Pages that is: <code>https://&lt;YOUR-USERNAME&gt;.github.io</code></li>
+<li>Under <strong>"Authorized redirect URIs"</strong> add the same URL with the path to your repository: <code>https://&lt;YOUR-USERNAME&gt;.github.io/&lt;REPOSITORY-NAME&gt;/</code></li>
+<li>Click "Create" and copy the "Client ID".</li>`,
+    'instructions.apiKeySteps': `<li>Open <a href="https://aistudio.google.com/app/apikey" target="_blank" rel="noopener noreferrer">Google AI Studio</a>.</li>
+<li>Sign in with your Google account.</li>
+<li>Click "Create API key".</li>
+<li>Select an existing project or create a new one.</li>
+<li>Copy the generated API key.</li>`,
+    'instructions.clientIdTitle': 'Google Client ID (for Calendar and Tasks)',
+    'instructions.apiKeyTitle': 'Gemini API key (for the assistant)',
+};
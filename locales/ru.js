@@ -0,0 +1,550 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// Russian messages: the reference catalog, which every other one falls back to.
+
+export default {
+    // --- Common ---
+    'common.loading': 'Загрузка...',
+    'common.delete': 'Удалить',
+    'common.edit': 'Изменить',
+    'common.add': 'Добавить',
+    'common.cancel': 'Отмена',
+    'common.save': 'Сохранить',
+    'common.cancelled': 'Отменено',
+    'common.close': 'Закрыть',
+
+    // --- Page ---
+    'app.title': 'Gemini Ассистент',
+    'page.history': 'История чатов',
+    'page.settings': 'Настройки',
+    'page.welcomeTitle': 'Ваш личный ассистент',
+    'page.briefingTitle': 'Сводка на сегодня',
+    'page.refreshBriefing': 'Обновить сводку',
+    'page.loading': 'Загрузка',
+    'page.working': 'Выполняю...',
+    'page.extractEvents': 'Найти события',
+    'page.endLive': 'Завершить',
+    'page.attach': 'Прикрепить изображения или PDF',
+    'page.capture': 'Сфотографировать',
+    'page.inputPlaceholder': 'Спросите что-нибудь...',
+    'page.inputLabel': 'Текстовый ввод для чата',
+    'page.mic': 'Голосовой ввод',
+    'page.live': 'Голосовой разговор',
+    'page.stop': 'Остановить ответ',
+    'page.send': 'Отправить сообщение',
+
+    // --- Settings ---
+    'settings.alert.apiKeyRequired': 'Пожалуйста, введите ваш Gemini API Key.',
+    'settings.alert.proxyUrlRequired': 'Пожалуйста, укажите адрес прокси-сервера.',
+    'settings.alert.invalidProxyUrl': 'Адрес прокси-сервера «{url}» не похож на ссылку. Укажите путь вроде /gemini или адрес, начинающийся с https://.',
+    'settings.alert.clientIdRequired': 'Пожалуйста, введите ваш Google Client ID.',
+    'settings.alert.passphraseTooShort': { one: 'Пароль для шифрования ключей должен быть не короче {count} символа.', few: 'Пароль для шифрования ключей должен быть не короче {count} символов.', many: 'Пароль для шифрования ключей должен быть не короче {count} символов.', other: 'Пароль для шифрования ключей должен быть не короче {count} символов.' },
+    'settings.alert.saveCredentialsFailed': 'Не удалось сохранить ключи: {message}',
+    'settings.alert.savedReloading': 'Настройки сохранены. Приложение будет перезагружено.',
+    'settings.confirmReset': 'Вы уверены, что хотите сбросить все настройки? Ключи API и история чата будут удалены. Страница будет перезагружена.',
+    'settings.speech.defaultVoice': 'По умолчанию',
+    'settings.alert.credentialsRequired': 'Пожалуйста, введите Gemini API Key и Google Client ID для продолжения.',
+    'settings.speech.testPhrase': 'Здравствуйте! Так будут звучать мои ответы.',
+    'settings.locale.speechAsInterface': 'Как язык интерфейса',
+    'settings.locale.auto': 'По языку интерфейса',
+    'settings.locale.deviceTimeZone': 'Как на устройстве ({timeZone})',
+    'settings.close': 'Закрыть настройки',
+    'settings.title': 'Настройки',
+    'settings.googleSection': 'Интеграция с Google',
+    'settings.keysSection': 'Ключи API',
+    'settings.clientIdPlaceholder': 'Вставьте ваш Google Client ID',
+    'settings.clientIdHelp': 'Как получить Client ID?',
+    'settings.geminiMode': 'Подключение к Gemini',
+    'settings.geminiMode.key': 'Свой API-ключ в браузере',
+    'settings.geminiMode.proxy': 'Через прокси-сервер команды',
+    'settings.apiKeyPlaceholder': 'Вставьте ваш Gemini API Key',
+    'settings.apiKeyHelp': 'Как получить API Key?',
+    'settings.proxyUrl': 'Адрес прокси-сервера',
+    'settings.proxyUrlPlaceholder': '/gemini или https://assistant.example.com/gemini',
+    'settings.encrypt': 'Зашифровать ключи паролем',
+    'settings.passphrase': 'Пароль',
+    'settings.passphrasePlaceholder': 'Не короче 8 символов',
+    'settings.keysNote': 'Ваши ключи API хранятся локально в вашем браузере и никуда не передаются. Зашифрованные ключи нужно разблокировать паролем при каждом открытии приложения; забытый пароль не восстановить, останется только сбросить настройки.',
+    'settings.notificationsSection': 'Сводка и уведомления',
+    'settings.briefingEnabled': 'Показывать утреннюю сводку дня',
+    'settings.notificationsEnabled': 'Уведомлять о событиях и задачах',
+    'settings.notificationLead': 'Когда напоминать о событии',
+    'settings.notificationLead.reminders': 'По напоминаниям события',
+    'settings.notificationLead.5': 'За 5 минут',
+    'settings.notificationLead.10': 'За 10 минут',
+    'settings.notificationLead.15': 'За 15 минут',
+    'settings.notificationLead.30': 'За 30 минут',
+    'settings.notificationLead.60': 'За час',
+    'settings.taskNotificationTime': 'Время напоминания о задачах на день',
+    'settings.notificationsNote': 'Уведомления приходят, пока приложение открыто во вкладке браузера.',
+    'settings.speechSection': 'Озвучивание ответов',
+    'settings.speechMode': 'Читать ответы вслух',
+    'settings.speechMode.off': 'Никогда',
+    'settings.speechMode.voice': 'Если запрос продиктован голосом',
+    'settings.speechMode.always': 'Всегда',
+    'settings.speechVoice': 'Голос',
+    'settings.speechRate': 'Скорость речи:',
+    'settings.testSpeech': 'Прослушать',
+    'settings.reset': 'Сбросить и начать заново',
+    'settings.save': 'Сохранить',
+    'settings.localeSection': 'Язык и регион',
+    'settings.language': 'Язык интерфейса',
+    'settings.speechLanguage': 'Язык голосового ввода и озвучивания',
+    'settings.weekStart': 'Первый день недели',
+    'settings.timeZone': 'Часовой пояс новых событий',
+    'unlock.title': 'Ключи зашифрованы',
+    'unlock.passphrase': 'Пароль',
+    'unlock.reset': 'Сбросить настройки',
+    'unlock.submit': 'Разблокировать',
+    'unlock.wrongPassphrase': 'Неверный пароль.',
+    'settings.alert.invalidModel': 'Некорректное название модели: {model}.',
+    'settings.alert.testFailed': `Проверочный запрос к модели {model} не прошел: {message}
+
+Проверьте ключ, адрес прокси-сервера и название модели. Настройки не сохранены.`,
+    'settings.testing': 'Проверяю...',
+    'settings.modelsSection': 'Модели и генерация',
+    'settings.model.chat': 'Модель для чата',
+    'settings.model.extraction': 'Модель для поиска событий на фото и в PDF',
+    'settings.model.suggestions': 'Модель для подсказок на главном экране',
+    'settings.model.briefing': 'Модель для утренней сводки',
+    'settings.model.live': 'Модель для голосового разговора',
+    'settings.temperature': 'Температура (0 — точнее, 2 — разнообразнее)',
+    'settings.modelDefault': 'По умолчанию модели',
+    'settings.thinkingBudget': 'Размышления перед ответом',
+    'settings.thinkingBudget.off': 'Без размышлений (быстрее)',
+    'settings.thinkingBudget.short': 'Коротко',
+    'settings.thinkingBudget.long': 'Подробно (медленнее)',
+    'settings.customInstructions': 'Ваши пожелания ассистенту',
+    'settings.customInstructionsPlaceholder': 'Например: встречи по умолчанию длятся 30 минут; рабочие часы с 9 до 18; встречи с клиентами — в офисе на Тверской.',
+    'settings.modelsNote': 'Модели и параметры применяются после сохранения: приложение сделает проверочный запрос к каждой выбранной модели, кроме модели голосового разговора.',
+
+    // --- Sign-in ---
+    'auth.alert.clientIdMissing': 'Пожалуйста, укажите ваш Google Client ID в настройках.',
+    'auth.alert.clientNotReady': 'Клиент авторизации Google еще не инициализирован. Пожалуйста, подождите или проверьте настройки Client ID.',
+    'auth.confirmSignOutWithOutbox': 'Изменения, сделанные без подключения ({count}), еще не отправлены и будут потеряны. Все равно выйти?',
+    'auth.error': 'Ошибка авторизации: {message}',
+    'auth.errorTryAgain': 'Попробуйте еще раз.',
+    'auth.sessionExpired': 'Сеанс Google истек. Пожалуйста, войдите снова.',
+    'auth.loadFailed': 'Не удалось загрузить данные Google: {message}.',
+    'auth.loadFailedPrompt': 'Не удалось загрузить данные аккаунта.',
+    'auth.retry': 'Повторить',
+    'auth.avatarAlt': 'Аватар пользователя',
+    'auth.signOut': 'Выйти',
+    'auth.signIn': 'Войти через Google',
+    'auth.signInPrompt': 'Войдите для доступа к календарю и задачам.',
+
+    // --- Welcome screen ---
+    'welcome.greeting': 'Здравствуйте, {name}! Чем могу помочь?',
+    'welcome.suggestion1': 'Создать встречу на завтра в 10 утра',
+    'welcome.suggestion2': 'Какие у меня планы на пятницу?',
+    'welcome.suggestion3': 'Напомни мне позвонить в сервис в 15:00',
+
+    // --- Chat ---
+    'chat.imageTitle': 'Изображение',
+    'chat.alert.busy': 'Дождитесь завершения текущего запроса.',
+    'chat.error.notConfigured': 'Ассистент не настроен. Пожалуйста, введите API ключ в настройках.',
+    'chat.error.signInRequired': 'Пожалуйста, войдите в аккаунт Google, чтобы использовать эту функцию.',
+    'chat.error.offline': 'Нет подключения к интернету. Ассистент сейчас недоступен, но календарь и задачи можно смотреть и менять: изменения отправятся, когда подключение появится.',
+    'chat.error.gemini': 'Произошла ошибка при обращении к Gemini. Проверьте ваш API ключ и попробуйте снова.',
+    'chat.error.tooManySteps': 'Не удалось завершить запрос за разумное число шагов. Попробуйте переформулировать его.',
+    'chat.stopped': 'Ответ остановлен.',
+    'chat.done': 'Готово.',
+    'chat.cardDone': 'Готово!',
+    'chat.running': 'Выполняю команду...',
+
+    // --- Assistant tools ---
+    'tools.error.unknownFunction': 'Неизвестная функция: {name}',
+    'tools.error.invalidArguments': 'Аргументы не соответствуют схеме функции.',
+    'tools.error.failed': 'Не удалось выполнить функцию: {message}',
+    'tools.cancelled': 'Пользователь отклонил это действие.',
+    'tools.validation.object': '{path}: ожидается объект',
+    'tools.validation.required': '{path}: обязательное поле',
+    'tools.validation.unknownField': '{path}: неизвестное поле',
+    'tools.validation.array': '{path}: ожидается массив',
+    'tools.validation.string': '{path}: ожидается строка',
+    'tools.validation.enum': '{path}: допустимые значения — {values}',
+    'tools.validation.dateTime': '{path}: ожидается дата в формате ISO 8601',
+    'tools.validation.boolean': '{path}: ожидается логическое значение',
+    'tools.validation.integer': '{path}: ожидается целое число',
+    'tools.validation.number': '{path}: ожидается число',
+
+    // --- Chat history ---
+    'sessions.openFailed': 'Не удалось открыть сохраненный чат.',
+    'sessions.loadFailed': 'Не удалось загрузить историю.',
+    'sessions.noResults': 'Ничего не найдено.',
+    'sessions.empty': 'Сохраненных чатов пока нет.',
+    'sessions.messageCount': { one: '{count} сообщение', few: '{count} сообщения', many: '{count} сообщений', other: '{count} сообщения' },
+    'sessions.exportMarkdown': 'Экспорт в Markdown',
+    'sessions.exportJson': 'Экспорт в JSON',
+    'sessions.delete': 'Удалить чат',
+    'sessions.exportFailed': 'Не удалось экспортировать чат.',
+    'sessions.confirmDelete': 'Удалить этот чат из истории?',
+    'sessions.newChat': 'Новый чат',
+    'sessions.search': 'Поиск по истории',
+    'sessions.role.user': 'Вы',
+    'sessions.role.model': 'Ассистент',
+    'sessions.role.system': 'Система',
+    'sessions.role.error': 'Ошибка',
+
+    // --- Prompts ---
+    'prompt.system': `Ты — высокоинтеллектуальный ассистент по управлению Google Workspace. Твоя задача — точно и эффективно вызывать функции API в ответ на запросы пользователя.
+- **ПРАВИЛА:**
+- **ВСЕГДА ИСПОЛЬЗУЙ ФУНКЦИИ:** Если запрос можно выполнить с помощью функции, ты ОБЯЗАН вызвать ее. Не отвечай текстом, если можешь действовать.
+- **МНОГОШАГОВЫЕ ДЕЙСТВИЯ:** Если для выполнения запроса (например, "добавить Ивана на встречу") нужно сначала найти контакт, а потом обновить событие, вызывай функции последовательно.
+- **УЧАСТНИКИ:** Участников можно передавать по email или по имени. Если find_contacts вернул status "ambiguous", пользователю уже показана карточка для выбора: не перечисляй кандидатов, а коротко попроси выбрать и дождись ответа. Когда пользователь выберет, продолжи исходный запрос с выбранным email.
+- **УТОЧНЕНИЕ:** Если не хватает критически важных данных (названия, времени), задай ОДИН короткий уточняющий вопрос.
+- **КОНТЕКСТ ВРЕМЕНИ:** Сейчас {now}, часовой пояс пользователя {timeZone}. Указывай время событий с этим смещением.
+- **ВИДЕОВСТРЕЧИ:** Для "звонок", "созвон", "meet", "онлайн" всегда устанавливай \`add_meet_link: true\`.
+- **ПОИСК ВРЕМЕНИ:** Если пользователь просит найти время или окно для встречи, вызови find_free_slots, а не придумывай время сам. Варианты будут показаны пользователю карточкой — не создавай событие, пока пользователь не выбрал вариант.
+- **ОБНОВЛЕНИЕ:** Для обновления события используй event_id и передавай только изменяемые поля.
+- **ПОВТОРЕНИЕ:** Для регулярных событий ("каждый понедельник", "по будням", "раз в месяц") передавай recurrence как массив строк RRULE (RFC 5545), например ["RRULE:FREQ=WEEKLY;BYDAY=MO"]. При изменении или удалении повторяющегося события передай scope, если пользователь явно сказал, к каким событиям серии это относится.
+- **КАЛЕНДАРИ:** Если пользователь называет календарь (например, "в календарь Команда"), передай его название или ID в calendar_id. Список календарей можно получить через list_calendars. Для изменения и удаления события передавай calendar_id из результатов find_events.
+- **ЗАДАЧИ:** Чтобы отметить, изменить, перенести или удалить задачу, сначала найди ее через list_tasks и используй ее task_id. Если пользователь называет список задач, узнай его ID через list_task_lists.
+- **ИТОГ:** Получив результаты функций, кратко сообщи пользователю, что сделано или что найдено.
+- **ЯЗЫК:** Отвечай на русском языке.`,
+    'prompt.suggestions': "Создай 3 коротких, разнообразных примера-запроса для ассистента-календаря на русском языке. Ответ дай в виде JSON-массива строк. Включи запросы на поиск и создание. Пример: [\"Какие у меня планы на завтра?\", \"Создай встречу с Анной в пятницу в 10 утра\", \"Найди все встречи по проекту 'Альфа'\"]",
+    'prompt.describeAttachments': 'Опиши приложенные файлы и извлеки любую информацию, полезную для календаря или задач.',
+    'prompt.extraction': `Найди на приложенных изображениях и документах все события и задачи: пункты расписания, программы конференции, уроки, дедлайны.
+Сегодня {today}. Если год не указан, выбирай ближайшую будущую дату. Для расписания по дням недели (например, школьного) используй даты ближайшей недели, начиная с сегодняшнего дня.
+Каждый пункт расписания — отдельное событие, даже если их десятки. Не выдумывай то, чего нет на изображении; если текст читается плохо, снижай confidence.`,
+    'prompt.extractionHint': 'Пожелание пользователя: {hint}',
+    'prompt.briefing': `Составь короткую утреннюю сводку дня для пользователя на русском языке: до 120 слов, Markdown, без заголовков, обращайся на «вы».
+Начни с главного: сколько встреч и когда первая. Обязательно предупреди о пересекающихся событиях (conflicts), о коротких переездах между разными местами (travel_gaps) и о просроченных задачах (overdue_tasks). Если день свободен, так и скажи.
+Данные (время — ISO 8601): {data}`,
+    'prompt.live': '- **ГОЛОСОВОЙ РЕЖИМ:** Ответы озвучиваются. Говори коротко и разговорно, без Markdown, списков и ссылок. Даты и время называй словами, как в речи.',
+    'prompt.customInstructions': '- **ПОЖЕЛАНИЯ ПОЛЬЗОВАТЕЛЯ:** Следуй им, если они не противоречат правилам выше:',
+
+    // --- Attachments ---
+    'attachments.unsupported': 'Файл «{name}» не поддерживается: прикрепляйте изображения, PDF или файлы .ics.',
+    'attachments.tooLarge': 'Файл «{name}» слишком большой: не больше {size} МБ.',
+    'attachments.readFailed': 'Не удалось прочитать файл «{name}».',
+    'attachments.remove': 'Убрать {name}',
+    'attachments.imageAlt': 'Прикрепленное изображение',
+    'camera.permissionDenied': 'Нет доступа к камере. Разрешите его в настройках браузера.',
+    'camera.failed': 'Не удалось включить камеру.',
+    'camera.photoName': 'Снимок {time}',
+
+    // --- Camera ---
+    'camera.close': 'Закрыть камеру',
+    'camera.title': 'Снимок',
+    'camera.shutter': 'Снять',
+
+    // --- Event extraction ---
+    'extraction.sessionTitle': 'Поиск событий',
+    'extraction.request': 'Найди события и задачи в этих файлах',
+    'extraction.nothingFound': 'Не нашел в файлах ни событий, ни задач. Попробуйте более четкое фото.',
+    'extraction.foundSummary': 'Нашел и показал для проверки: {items}.',
+    'extraction.failed': 'Не удалось распознать события. Проверьте файлы и попробуйте снова.',
+    'extraction.column.create': 'Создать',
+    'extraction.column.kind': 'Тип',
+    'extraction.column.title': 'Название',
+    'extraction.column.date': 'Дата',
+    'extraction.column.start': 'Начало',
+    'extraction.column.end': 'Конец',
+    'extraction.column.location': 'Место',
+    'extraction.column.confidence': 'Точность',
+    'extraction.kind.event': 'Событие',
+    'extraction.kind.task': 'Задача',
+    'extraction.confidenceTitle': 'Уверенность распознавания',
+    'extraction.foundCount': 'Найдено: {count}',
+    'extraction.reviewHint': 'Проверьте данные и отметьте, что создать. Пункты, распознанные неуверенно, выделены и не отмечены.',
+    'extraction.selectAll': 'Выбрать все',
+    'extraction.calendar': 'Календарь для событий',
+    'extraction.createSelected': 'Создать выбранные',
+    'extraction.createSelectedCount': 'Создать выбранные ({count})',
+    'extraction.reviewTitle': 'Распознанные события и задачи',
+    'extraction.alert.incomplete': 'У каждого выбранного пункта должны быть название и дата.',
+    'extraction.progress': 'Создаю {index} из {total}...',
+    'extraction.createdCount': 'Создано {count} из {total}',
+
+    // --- Calendar panel ---
+    'page.calendarSignIn': 'Войдите в аккаунт Google, чтобы увидеть ваш календарь.',
+    'page.previous': 'Назад',
+    'page.today': 'Сегодня',
+    'page.next': 'Вперед',
+    'page.calendarMode': 'Вид календаря',
+    'page.mode.month': 'Месяц',
+    'page.mode.week': 'Неделя',
+    'page.mode.agenda': 'Повестка',
+    'page.myCalendars': 'Мои календари',
+    'page.icsTitle': 'Импорт и экспорт .ics',
+    'page.icsFrom': 'Начало периода',
+    'page.icsTo': 'Конец периода',
+    'page.icsExport': 'Скачать .ics',
+    'page.icsImport': 'Импортировать файл',
+    'page.tasks': 'Задачи',
+    'page.taskList': 'Список задач',
+    'page.tab.chat': 'Чат',
+    'page.tab.calendar': 'Календарь',
+
+    // --- Calendar ---
+    'calendar.overlap': 'Пересекаются: {first} и {second}',
+    'calendar.noEventsForDay': 'Нет событий на этот день.',
+    'calendar.loadEventsFailed': 'Не удалось загрузить события.',
+    'agenda.from': 'С {date}',
+    'agenda.empty': { one: 'Нет событий в ближайший {count} день.', few: 'Нет событий в ближайшие {count} дня.', many: 'Нет событий в ближайшие {count} дней.', other: 'Нет событий в ближайшие {count} дня.' },
+    'agenda.more': { one: 'Показать следующий {count} день', few: 'Показать следующие {count} дня', many: 'Показать следующие {count} дней', other: 'Показать следующие {count} дня' },
+    'calendar.primary': 'Основной календарь',
+
+    // --- Events ---
+    'event.untitled': '(Без названия)',
+    'event.allDay': 'Весь день',
+    'event.recurring': 'Повторяющееся событие',
+    'event.allDayOn': '{date}, весь день',
+    'event.allDayRange': '{from} – {to}, весь день',
+    'event.seriesDeleted': 'События серии удалены.',
+
+    // --- Recurring events ---
+    'recurrenceScope.this': 'Только это событие',
+    'recurrenceScope.following': 'Это и последующие',
+    'recurrenceScope.all': 'Все события серии',
+
+    // --- Recurrence ---
+    'recurrence.every.DAILY': 'каждый день',
+    'recurrence.every.WEEKLY': 'каждую неделю',
+    'recurrence.every.MONTHLY': 'каждый месяц',
+    'recurrence.every.YEARLY': 'каждый год',
+    'recurrence.everyN.DAILY': { one: 'каждый {count} день', few: 'каждые {count} дня', many: 'каждые {count} дней', other: 'каждые {count} дня' },
+    'recurrence.everyN.WEEKLY': { one: 'каждую {count} неделю', few: 'каждые {count} недели', many: 'каждые {count} недель', other: 'каждые {count} недели' },
+    'recurrence.everyN.MONTHLY': { one: 'каждый {count} месяц', few: 'каждые {count} месяца', many: 'каждые {count} месяцев', other: 'каждые {count} месяца' },
+    'recurrence.everyN.YEARLY': { one: 'каждый {count} год', few: 'каждые {count} года', many: 'каждые {count} лет', other: 'каждые {count} года' },
+    'recurrence.onDays': 'по {days}',
+    'recurrence.count': { one: '{count} раз', few: '{count} раза', many: '{count} раз', other: '{count} раза' },
+    'recurrence.until': 'до {date}',
+
+    // --- Event details ---
+    'rsvp.accepted': 'Примет участие',
+    'rsvp.declined': 'Не придет',
+    'rsvp.tentative': 'Возможно',
+    'rsvp.needsAction': 'Нет ответа',
+    'reminder.method.popup': 'уведомление',
+    'reminder.method.email': 'письмо',
+    'drawer.title': 'Событие',
+    'drawer.loadFailed': 'Не удалось загрузить событие.',
+    'drawer.joinMeet': 'Присоединиться к Google Meet',
+    'drawer.description': 'Описание',
+    'drawer.attendees': 'Участники',
+    'drawer.attendeesCount': 'Участники ({count})',
+    'drawer.organizer': 'организатор',
+    'drawer.optional': 'необязательно',
+    'drawer.reminders': 'Напоминания',
+    'drawer.attachments': 'Вложения',
+    'drawer.openInGoogle': 'Открыть в Google',
+    'drawer.editTitle': 'Изменение события',
+    'drawer.field.summary': 'Название',
+    'drawer.field.start': 'Начало',
+    'drawer.field.end': 'Окончание',
+    'drawer.field.lastDay': 'Последний день',
+    'drawer.field.location': 'Место',
+    'drawer.singleOccurrenceNote': 'Изменения применятся только к этому повторению. Чтобы изменить всю серию, попросите ассистента.',
+    'drawer.defaultReminders': 'Напоминания календаря по умолчанию',
+    'drawer.addReminder': 'Добавить напоминание',
+    'drawer.removeAttendee': 'Удалить участника',
+    'drawer.invalidEmail': 'Введите корректный адрес электронной почты.',
+    'drawer.timesRequired': 'Укажите начало и окончание события.',
+    'drawer.endBeforeStart': 'Окончание должно быть позже начала.',
+    'drawer.invalidReminder': 'Напоминание задается целым числом минут от 0 до {max}.',
+    'drawer.saveFailed': 'Не удалось сохранить событие: {message}',
+    'drawer.confirmDeleteOccurrence': 'Удалить это повторение события? Остальные события серии останутся.',
+    'drawer.confirmDelete': 'Вы уверены, что хотите удалить это событие?',
+
+    // --- Reminders ---
+    'reminder.row.before': 'За',
+    'reminder.row.minutes': 'мин,',
+    'reminder.row.minutesLabel': 'Минут до начала',
+    'reminder.row.methodLabel': 'Способ напоминания',
+    'reminder.row.remove': 'Удалить напоминание',
+    'reminder.calendarDefault': 'По умолчанию для календаря',
+    'reminder.none': 'Без напоминаний',
+    'reminder.atStart': 'В момент начала',
+    'reminder.daysBefore': 'За {count} дн.',
+    'reminder.hoursBefore': 'За {count} ч',
+    'reminder.minutesBefore': 'За {count} мин',
+
+    // --- Tasks ---
+    'tasks.empty': 'Нет активных задач.',
+    'tasks.loadFailed': 'Не удалось загрузить задачи.',
+    'tasks.markDone': 'Отметить как выполненную',
+    'tasks.delete': 'Удалить задачу',
+    'tasks.updated': 'Задача "{title}" обновлена.',
+    'tasks.moved': 'Задача "{title}" перемещена.',
+    'tasks.deleted': 'Задача удалена.',
+    'tasks.confirmDelete': 'Вы уверены, что хотите удалить эту задачу?',
+
+    // --- Offline mode ---
+    'offline.change.create': 'создание',
+    'offline.change.update': 'изменение',
+    'offline.change.delete': 'удаление',
+    'offline.queuedNote': 'Изменение будет отправлено, когда появится подключение.',
+    'offline.status.offline': 'Офлайн',
+    'offline.status.pending': 'Не отправлено',
+    'offline.status.pendingTitle': 'Изменения, ожидающие отправки: {count}',
+    'offline.status.offlineTitle': 'Нет подключения. Показана сохраненная копия календаря.',
+    'offline.eventNotCached': 'Событие не найдено в сохраненной копии календаря.',
+    'offline.seriesNotSupported': 'Без подключения можно изменить только одно событие серии.',
+    'offline.taskNotCached': 'Задача не найдена в сохраненной копии.',
+    'offline.eventUpdated': 'Событие "{title}" обновлено.',
+    'offline.eventDeleted': 'Событие удалено.',
+    'offline.taskDeleted': 'Задача "{title}" удалена.',
+    'offline.taskCompleted': 'Задача "{title}" выполнена.',
+    'offline.sendFailed': 'Не удалось отправить изменение «{title}»: {message}',
+    'offline.sent': 'Изменения, сделанные без подключения, отправлены ({count}).',
+    'offline.conflict.title': 'Конфликт изменений',
+    'offline.conflict.eventChanged': 'Событие «{title}» изменили в другом месте, пока не было подключения. Ваше {change} еще не отправлено.',
+    'offline.conflict.eventDeleted': 'Событие «{title}» удалили в другом месте, пока не было подключения. Ваше {change} еще не отправлено.',
+    'offline.conflict.taskChanged': 'Задачу «{title}» изменили в другом месте, пока не было подключения. Ваше {change} еще не отправлено.',
+    'offline.conflict.taskDeleted': 'Задачу «{title}» удалили в другом месте, пока не было подключения. Ваше {change} еще не отправлено.',
+    'offline.conflict.discardMine': 'Отменить мое {change}',
+    'offline.conflict.applyMine': 'Все равно применить',
+    'offline.conflict.alreadyResolved': 'Конфликт уже разрешен.',
+    'offline.conflict.mineApplied': 'Ваше изменение применено.',
+    'offline.conflict.theirsKept': 'Оставлена версия из календаря.',
+    'offline.conflict.applyFailed': 'Не удалось применить изменение: {message}',
+
+    // --- Calendar files ---
+    'ics.signInRequired': 'Войдите в аккаунт Google, чтобы импортировать события.',
+    'ics.parseFailed': 'Не удалось прочитать «{name}»: {message}',
+    'ics.noEvents': 'В «{name}» нет событий для импорта.',
+    'ics.sessionTitle': 'Импорт: {name}',
+    'ics.importFrom': 'Импорт из «{name}»',
+    'ics.eventCount': 'Событий: {count}.',
+    'ics.skipped': 'Пропущено: {count} (отмененные и изменения отдельных повторений).',
+    'ics.calendar': 'Календарь',
+    'ics.import': 'Импортировать',
+    'ics.importTitle': 'Импорт событий',
+    'ics.offline': 'Импорт событий возможен только при подключении к интернету.',
+    'ics.progress': 'Импортирую {index} из {total}...',
+    'ics.importFailed': 'Не удалось импортировать событий: {count}.',
+    'ics.imported': 'Импортировано: {count}',
+    'ics.duplicates': ', уже были в календаре: {count}',
+    'ics.failed': ', с ошибкой: {count}',
+    'ics.exportFailed': 'Не удалось выгрузить события: {message}',
+    'ics.alert.rangeRequired': 'Укажите начало и конец периода.',
+    'ics.alert.emptyRange': 'За этот период нет событий; файл получился пустым.',
+    'ics.pastedInvite': 'Вставленное приглашение',
+    'ics.noCalendar': 'В тексте нет календаря (BEGIN:VCALENDAR).',
+
+    // --- Daily briefing ---
+    'briefing.loading': 'Готовлю сводку на сегодня...',
+    'briefing.allDay': 'весь день',
+    'briefing.conflict': '{first} и {second}',
+    'briefing.travelGap': '{minutes} мин. между «{from}» ({fromPlace}) и «{to}» ({toPlace})',
+    'briefing.overdueTask': '{title} (срок {due})',
+    'briefing.fallback.eventCount': 'Сегодня событий: {count}.',
+    'briefing.fallback.noEvents': 'Сегодня в календаре нет событий.',
+    'briefing.fallback.conflict': 'Пересекаются: {conflict}',
+    'briefing.fallback.travelGap': 'Мало времени на дорогу: {gap}',
+    'briefing.fallback.overdueTasks': 'Просроченные задачи: {tasks}',
+    'briefing.fallback.tasksDueToday': 'Задачи на сегодня: {tasks}',
+
+    // --- Notifications ---
+    'notifications.eventAt': 'В {time}',
+    'notifications.tasksDueToday': 'Задачи на сегодня: {count}',
+    'notifications.permissionDenied': 'Браузер не разрешил уведомления. Разрешите их в настройках сайта и попробуйте снова.',
+
+    // --- Voice conversation ---
+    'live.status.connecting': 'Подключение...',
+    'live.status.listening': 'Слушаю — говорите',
+    'live.status.speaking': 'Отвечаю... Можно перебить',
+    'live.sessionTitle': 'Голосовой разговор',
+    'live.ended': 'Голосовой разговор завершен.',
+    'live.micDenied': 'Нет доступа к микрофону. Разрешите его в настройках браузера.',
+    'live.failed': 'Не удалось начать голосовой разговор. Проверьте подключение и API ключ.',
+
+    // --- Undo ---
+    'undo.failed': 'Не удалось отменить действие: {message}',
+    'undo.done': 'Действие выполнено.',
+    'undo.button': 'Отменить',
+    'undo.undone': 'Действие отменено.',
+
+    // --- Cards ---
+    'card.eventCreated': 'Событие создано',
+    'card.at': 'в {time}',
+    'card.repeats': 'Повторяется: {rule}',
+    'card.openInCalendar': 'Открыть в Календаре',
+    'card.eventsExported': 'События выгружены',
+    'card.exportedCount': 'событий: {count}',
+    'card.downloadAgain': 'Скачать снова',
+    'card.defaultMeetingTitle': 'Встреча',
+    'card.freeSlots': 'Свободное время',
+    'card.freeSlotsHint': 'Выберите вариант, чтобы создать «{title}».',
+    'card.noDueDate': 'Без срока',
+    'card.taskCreated': 'Задача создана',
+    'card.due': 'срок: {date}',
+    'card.openInTasks': 'Открыть в Задачах',
+
+    // --- Contacts ---
+    'contacts.source.contact': 'контакты',
+    'contacts.source.other': 'переписка',
+    'contacts.source.attendee': 'встречи',
+    'contacts.whoDidYouMean': 'Кого вы имели в виду под «{query}»?',
+    'contacts.choiceRemembered': 'Выбор запомнится для этого имени.',
+    'contacts.picked': '«{query}» — это {contact}.',
+
+    // --- Scheduling conflicts ---
+    'conflicts.title': '«{title}» пересекается с другими событиями',
+    'conflicts.createAnyway': 'Создать все равно',
+    'conflicts.moveAnyway': 'Перенести все равно',
+    'conflicts.alreadyPlanned': 'В это время уже запланировано:',
+    'conflicts.dialog': 'Пересечение событий',
+
+    // --- Confirmations ---
+    'confirm.updateEvent': 'Изменить событие «{title}»?',
+    'confirm.deleteEvent': 'Удалить событие?',
+    'confirm.seriesSchedule': 'по расписанию серии',
+    'confirm.updateTask': 'Изменить задачу «{title}»?',
+    'confirm.deleteTask': 'Удалить задачу?',
+    'confirm.approve': 'Подтвердить',
+    'confirm.approved': 'Подтверждено',
+    'confirm.approvedChoice': 'Подтверждено: {choice}',
+    'diff.title': 'Название',
+    'diff.start': 'Начало',
+    'diff.end': 'Окончание',
+    'diff.location': 'Место',
+    'diff.attendees': 'Участники',
+    'diff.notes': 'Описание',
+    'diff.due': 'Срок',
+    'diff.status': 'Статус',
+    'diff.status.completed': 'Выполнена',
+    'diff.status.needsAction': 'В работе',
+    'diff.noChanges': 'Изменений не обнаружено.',
+
+    // --- Errors ---
+    'error.geminiInit': 'Не удалось инициализировать Gemini. Проверьте ваш API ключ.',
+    'error.googleInit': 'Не удалось инициализировать сервисы Google. Проверьте ваш Client ID и настройки в Google Cloud Console.',
+    'error.createEvent': 'Не удалось создать событие: {message}',
+    'error.createTask': 'Не удалось создать задачу: {message}',
+    'error.listTaskLists': 'Не удалось получить списки задач: {message}',
+    'error.listTasks': 'Не удалось получить задачи: {message}',
+    'error.completeTask': 'Не удалось отметить задачу: {message}',
+    'error.updateTask': 'Не удалось обновить задачу: {message}',
+    'error.moveTask': 'Не удалось переместить задачу: {message}',
+    'error.deleteTask': 'Не удалось удалить задачу: {message}',
+    'error.updateEvent': 'Не удалось обновить событие: {message}',
+    'error.deleteEvent': 'Не удалось удалить событие: {message}',
+    'error.freeBusy': 'Не удалось проверить занятость: {message}',
+    'error.findEvents': 'Ошибка при поиске событий: {message}',
+    'error.findContacts': 'Ошибка при поиске контактов: {message}',
+
+    // --- Instructions ---
+    'instructions.close': 'Закрыть инструкции',
+    'instructions.title': 'Получение ключей API',
+    'instructions.clientIdSteps': `<li>Перейдите в <a href="https://console.cloud.google.com/apis/credentials" target="_blank" rel="noopener noreferrer">Google Cloud Console</a> и выберите или создайте проект.</li>
+<li>Убедитесь, что для вашего проекта включены <strong>Google Calendar API</strong> и <strong>Google Tasks API</strong>. Вы можете включить их в разделе <a href="https://console.cloud.google.com/apis/library" target="_blank" rel="noopener noreferrer">Библиотека API</a>.</li>
+<li>Перейдите в раздел "Учетные данные", нажмите "Создать учетные данные" и выберите "Идентификатор клиента OAuth".</li>
+<li>В качестве типа приложения выберите "Веб-приложение".</li>
+<li>В разделе <strong>"Разрешенные источники JavaScript"</strong> добавьте URL, на котором вы размещаете приложение. Для GitHub Pages это будет: <code>https://&lt;ВАШ-НИК&gt;.github.io</code></li>
+<li>В разделе <strong>"Разрешенные URI перенаправления"</strong> добавьте тот же URL с путем к вашему репозиторию: <code>https://&lt;ВАШ-НИК&gt;.github.io/&lt;НАЗВАНИЕ-РЕПОЗИТОРИЯ&gt;/</code></li>
+<li>Нажмите "Создать" и скопируйте полученный "Идентификатор клиента".</li>`,
+    'instructions.apiKeySteps': `<li>Перейдите в <a href="https://aistudio.google.com/app/apikey" target="_blank" rel="noopener noreferrer">Google AI Studio</a>.</li>
+<li>Войдите в свой аккаунт Google.</li>
+<li>Нажмите "Create API key" (Создать ключ API).</li>
+<li>Выберите существующий проект или создайте новый.</li>
+<li>Скопируйте сгенерированный ключ API.</li>`,
+    'instructions.clientIdTitle': 'Google Client ID (для Календаря и Задач)',
+    'instructions.apiKeyTitle': 'Gemini API Key (для Ассистента)',
+};
@@ -0,0 +1,91 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// --- Model Settings ---
+// Which Gemini model each part of the app uses, the generation parameters they
+// share and the user's own instructions for the assistant. Kept in localStorage
+// ('modelSettings') and, like the credentials they are checked against on
+// saving, applied from the next page load.
+
+const STORAGE_KEY = 'modelSettings';
+export const DEFAULT_MODEL = 'gemini-2.5-flash';
+/** Offered in the settings; any other model name can be typed in. */
+export const KNOWN_MODELS = ['gemini-2.5-flash', 'gemini-2.5-pro', 'gemini-2.5-flash-lite'];
+/** What a model is chosen for: the chat, events found on attachments, welcome suggestions, the morning briefing. */
+export const MODEL_USES = ['chat', 'extraction', 'suggestions', 'briefing'];
+// Voice conversations go through the Live API, which has models of its own.
+export const DEFAULT_LIVE_MODEL = 'gemini-live-2.5-flash-preview';
+export const KNOWN_LIVE_MODELS = ['gemini-live-2.5-flash-preview', 'gemini-2.5-flash-native-audio-preview-09-2025'];
+export const MAX_TEMPERATURE = 2;
+export const MAX_CUSTOM_INSTRUCTIONS_LENGTH = 2000;
+// Model names end up in the request path, so nothing but the characters they use is let through.
+const MODEL_NAME_PATTERN = /^[\w.-]+$/;
+
+/**
+ * @typedef {object} ModelSettings
+ * @property {Record<string, string>} models Model name for each of MODEL_USES.
+ * @property {string} liveModel Model of voice conversations; Live API models don't answer ordinary requests, so it isn't tested on saving.
+ * @property {number | null} temperature Null keeps the model's default.
+ * @property {number | null} thinkingBudget Tokens the model may think for; 0 turns thinking off, null keeps the model's default.
+ * @property {string} customInstructions Appended to the system instruction.
+ */
+
+/** @returns {ModelSettings} */
+export function loadModelSettings() {
+    try {
+        return normalizeModelSettings(JSON.parse(localStorage.getItem(STORAGE_KEY)) || {});
+    } catch {
+        // Damaged settings: start over from the defaults.
+        return normalizeModelSettings({});
+    }
+}
+
+/** @param {ModelSettings} settings */
+export function saveModelSettings(settings) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(normalizeModelSettings(settings)));
+}
+
+/**
+ * Fills in defaults and brings values into range. Empty model names become
+ * DEFAULT_MODEL (DEFAULT_LIVE_MODEL for voice) and a "models/" prefix is dropped.
+ * @returns {ModelSettings}
+ */
+export function normalizeModelSettings(settings) {
+    const temperature = toNumberOrNull(settings.temperature);
+    const thinkingBudget = toNumberOrNull(settings.thinkingBudget);
+    return {
+        models: Object.fromEntries(MODEL_USES.map(use => [use, toModelName(settings.models?.[use]) || DEFAULT_MODEL])),
+        liveModel: toModelName(settings.liveModel) || DEFAULT_LIVE_MODEL,
+        temperature: temperature === null ? null : Math.min(Math.max(temperature, 0), MAX_TEMPERATURE),
+        thinkingBudget: thinkingBudget === null ? null : Math.round(thinkingBudget),
+        customInstructions: String(settings.customInstructions || '').trim().slice(0, MAX_CUSTOM_INSTRUCTIONS_LENGTH),
+    };
+}
+
+export function isValidModelName(name) {
+    return MODEL_NAME_PATTERN.test(name.replace(/^models\//, ''));
+}
+
+/**
+ * The part of a request's `config` the user controls, to be spread into it.
+ * @param {ModelSettings} settings
+ */
+export function generationConfig(settings) {
+    const config = {};
+    if (settings.temperature !== null) config.temperature = settings.temperature;
+    if (settings.thinkingBudget !== null) config.thinkingConfig = { thinkingBudget: settings.thinkingBudget };
+    return config;
+}
+
+function toModelName(value) {
+    return String(value || '').trim().replace(/^models\//, '');
+}
+
+function toNumberOrNull(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
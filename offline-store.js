@@ -0,0 +1,177 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// --- Offline Store ---
+// The local copy of the user's calendar kept in IndexedDB, so the app still
+// shows something useful without a connection:
+//  - events of every calendar, with the Calendar `syncToken` for incremental sync;
+//  - the last fetched tasks of each task list;
+//  - small values such as the calendar list and the signed-in profile;
+//  - the outbox of changes made offline, replayed when the connection returns.
+
+const DB_NAME = 'assistant-offline';
+const DB_VERSION = 1;
+const EVENTS_STORE = 'events';
+const SYNC_STORE = 'syncState';
+const TASKS_STORE = 'tasks';
+const VALUES_STORE = 'values';
+const OUTBOX_STORE = 'outbox';
+
+/**
+ * @typedef {object} OutboxEntry
+ * @property {number} [id] Assigned when queued; entries are replayed in this order.
+ * @property {'event' | 'task'} kind
+ * @property {'create' | 'update' | 'delete'} type
+ * @property {string} [calendarId] For events.
+ * @property {string} [tasklistId] For tasks.
+ * @property {string} itemId Event or task ID; a local placeholder for creates.
+ * @property {string} [etag] Version the change was made against.
+ * @property {object} [resource] Full event for creates and updates, changed fields for tasks.
+ * @property {string} [sendUpdates] Whether guests are notified when the change is sent.
+ * @property {string} title Shown in messages about the change.
+ * @property {string} createdAt ISO timestamp.
+ * @property {'changed' | 'deleted'} [conflict] Set when the item changed on the server meanwhile.
+ */
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore(EVENTS_STORE, { keyPath: ['calendarId', 'id'] }).createIndex('calendarId', 'calendarId');
+                db.createObjectStore(SYNC_STORE, { keyPath: 'calendarId' });
+                db.createObjectStore(TASKS_STORE, { keyPath: 'tasklistId' });
+                db.createObjectStore(VALUES_STORE);
+                db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+function toPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function withStore(storeName, mode, callback) {
+    const db = await openDatabase();
+    return toPromise(callback(db.transaction(storeName, mode).objectStore(storeName)));
+}
+
+// Several writes in one transaction: either all of them are stored or none.
+async function writeAll(storeName, callback) {
+    const db = await openDatabase();
+    const transaction = db.transaction(storeName, 'readwrite');
+    callback(transaction.objectStore(storeName));
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Every key of one calendar: arrays sort after strings, so [id, []] is past its last event.
+function calendarRange(calendarId) {
+    return IDBKeyRange.bound([calendarId], [calendarId, []]);
+}
+
+/** @returns {Promise<object[]>} Cached events of a calendar, each tagged with its `calendarId`. */
+export function getCachedEvents(calendarId) {
+    return withStore(EVENTS_STORE, 'readonly', store => store.index('calendarId').getAll(calendarId));
+}
+
+/** @returns {Promise<object | undefined>} */
+export function getCachedEvent(calendarId, eventId) {
+    return withStore(EVENTS_STORE, 'readonly', store => store.get([calendarId, eventId]));
+}
+
+/** Stores changed events and drops removed ones. Events must carry their `calendarId`. */
+export function updateCachedEvents(events, removed = []) {
+    return writeAll(EVENTS_STORE, (store) => {
+        removed.forEach(({ calendarId, id }) => store.delete([calendarId, id]));
+        events.forEach(event => store.put(event));
+    });
+}
+
+/** Replaces everything cached for a calendar, e.g. after a full sync. */
+export function replaceCachedEvents(calendarId, events) {
+    return writeAll(EVENTS_STORE, (store) => {
+        store.delete(calendarRange(calendarId));
+        events.forEach(event => store.put(event));
+    });
+}
+
+/** @returns {Promise<string | undefined>} */
+export async function getSyncToken(calendarId) {
+    return (await withStore(SYNC_STORE, 'readonly', store => store.get(calendarId)))?.syncToken;
+}
+
+export function saveSyncToken(calendarId, syncToken) {
+    return withStore(SYNC_STORE, 'readwrite', store => store.put({ calendarId, syncToken, syncedAt: new Date().toISOString() }));
+}
+
+/** @returns {Promise<object[]>} The tasks last fetched for the list, or [] if it was never loaded. */
+export async function getCachedTasks(tasklistId) {
+    return (await withStore(TASKS_STORE, 'readonly', store => store.get(tasklistId)))?.items || [];
+}
+
+export function saveCachedTasks(tasklistId, items) {
+    return withStore(TASKS_STORE, 'readwrite', store => store.put({ tasklistId, items }));
+}
+
+export function getCachedValue(key) {
+    return withStore(VALUES_STORE, 'readonly', store => store.get(key));
+}
+
+export function saveCachedValue(key, value) {
+    return withStore(VALUES_STORE, 'readwrite', store => store.put(value, key));
+}
+
+/**
+ * @param {OutboxEntry} entry
+ * @returns {Promise<number>} The new entry's ID.
+ */
+export function addToOutbox(entry) {
+    return withStore(OUTBOX_STORE, 'readwrite', store => store.add(entry));
+}
+
+/** @param {OutboxEntry} entry */
+export function saveOutboxEntry(entry) {
+    return withStore(OUTBOX_STORE, 'readwrite', store => store.put(entry));
+}
+
+/** @returns {Promise<OutboxEntry | undefined>} */
+export function getOutboxEntry(id) {
+    return withStore(OUTBOX_STORE, 'readonly', store => store.get(id));
+}
+
+/** @returns {Promise<OutboxEntry[]>} Oldest first. */
+export function listOutbox() {
+    return withStore(OUTBOX_STORE, 'readonly', store => store.getAll());
+}
+
+export function countOutbox() {
+    return withStore(OUTBOX_STORE, 'readonly', store => store.count());
+}
+
+export function removeFromOutbox(id) {
+    return withStore(OUTBOX_STORE, 'readwrite', store => store.delete(id));
+}
+
+/** Removes the whole database, e.g. on sign-out or when the app is reset. */
+export async function clearOfflineData() {
+    if (dbPromise) (await dbPromise).close();
+    dbPromise = null;
+    await toPromise(indexedDB.deleteDatabase(DB_NAME));
+}
@@ -0,0 +1,245 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { googleApi } from './google-auth.js';
+import {
+    getCachedEvents, updateCachedEvents, replaceCachedEvents, getSyncToken, saveSyncToken,
+    addToOutbox, saveOutboxEntry, listOutbox, removeFromOutbox,
+} from './offline-store.js';
+
+// --- Offline Sync ---
+// Keeps the copy in offline-store.js in step with Google Calendar, answers
+// event searches from it, and sends the outbox of changes made offline once
+// the connection is back. Every queued update or deletion is first checked
+// against the server's version (etag), so an edit made elsewhere meanwhile is
+// not overwritten without the user's say. How conflicts and refused changes
+// are shown is up to the app, see flushOutbox.
+
+// The span of events fetched on a full sync.
+const SYNC_PAST_DAYS = 90;
+const SYNC_FUTURE_DAYS = 365;
+
+let eventSync = null;
+let outboxFlush = null;
+
+export function isOffline() {
+    return !navigator.onLine;
+}
+
+/** Brings the offline copy of the given calendars up to date; one sync runs at a time. */
+export function syncCalendars(calendarIds) {
+    if (!eventSync) {
+        eventSync = Promise.all(calendarIds.map(calendarId => syncCalendar(calendarId)
+            .catch(err => console.error(`Error syncing calendar ${calendarId}:`, err))))
+            .finally(() => { eventSync = null; });
+    }
+    return eventSync;
+}
+
+/**
+ * Fetches what changed in a calendar since the last sync, using the Calendar
+ * `syncToken`. The first sync, and any sync after the server dropped the
+ * token (410 Gone), fetches the whole window around today instead.
+ */
+export async function syncCalendar(calendarId) {
+    const syncToken = await getSyncToken(calendarId);
+    const today = new Date();
+    const params = syncToken ? { calendarId, syncToken } : {
+        calendarId,
+        timeMin: new Date(today.getFullYear(), today.getMonth(), today.getDate() - SYNC_PAST_DAYS).toISOString(),
+        timeMax: new Date(today.getFullYear(), today.getMonth(), today.getDate() + SYNC_FUTURE_DAYS).toISOString(),
+    };
+    const items = [];
+    let pageToken, nextSyncToken;
+    try {
+        do {
+            const response = await googleApi.calendar.events.list({ ...params, singleEvents: true, maxResults: 2500, pageToken });
+            items.push(...(response.result.items || []));
+            pageToken = response.result.nextPageToken;
+            nextSyncToken = response.result.nextSyncToken;
+        } while (pageToken);
+    } catch (error) {
+        if (syncToken && (error?.status === 410 || error?.result?.error?.code === 410)) {
+            await saveSyncToken(calendarId, undefined);
+            return syncCalendar(calendarId);
+        }
+        throw error;
+    }
+    // Incremental results include deletions as cancelled events.
+    const events = items.filter(event => event.status !== 'cancelled').map(event => ({ ...event, calendarId }));
+    if (syncToken) {
+        await updateCachedEvents(events, items.filter(event => event.status === 'cancelled').map(event => ({ calendarId, id: event.id })));
+    } else {
+        await replaceCachedEvents(calendarId, events);
+    }
+    await saveSyncToken(calendarId, nextSyncToken);
+}
+
+/** Answers an events.list request from the offline copy. */
+export async function listCachedEvents(calendars, params) {
+    const from = params.timeMin ? Date.parse(params.timeMin) : -Infinity;
+    const to = params.timeMax ? Date.parse(params.timeMax) : Infinity;
+    const query = (params.q || '').toLowerCase();
+    const events = (await Promise.all(calendars.map(calendar => getCachedEvents(calendar.id)))).flat();
+    return events.filter(event => toEventTimestamp(event.start) < to && toEventTimestamp(event.end) > from
+        && (!query || [event.summary, event.description, event.location].some(text => text?.toLowerCase().includes(query))));
+}
+
+function toEventTimestamp({ dateTime, date }) {
+    return Date.parse(dateTime || `${date}T00:00:00`);
+}
+
+/**
+ * Adds a change to the outbox, merged with what is already queued for the
+ * same item: edits of an event created offline fold into its creation,
+ * deleting it drops it altogether, and later edits keep the etag of the
+ * version the first one was made against.
+ * @param {import('./offline-store.js').OutboxEntry} change
+ */
+export async function queueOfflineChange(change) {
+    const queued = (await listOutbox()).find(entry => entry.kind === change.kind && entry.itemId === change.itemId
+        && entry.calendarId === change.calendarId && entry.tasklistId === change.tasklistId);
+    if (!queued) {
+        await addToOutbox(change);
+    } else if (queued.type === 'create' && change.type === 'delete') {
+        await removeFromOutbox(queued.id);
+    } else {
+        await saveOutboxEntry({
+            ...queued,
+            type: queued.type === 'create' ? 'create' : change.type,
+            resource: change.type === 'delete' ? undefined : { ...queued.resource, ...change.resource },
+            // Guests who were to be notified still are.
+            sendUpdates: queued.sendUpdates === 'all' ? 'all' : change.sendUpdates,
+            title: change.title,
+        });
+    }
+}
+
+/**
+ * @typedef {object} OutboxHandlers
+ * @property {(entry: import('./offline-store.js').OutboxEntry) => void} onConflict The entry was set aside with its `conflict`; ask the user.
+ * @property {(entry: import('./offline-store.js').OutboxEntry, error: any) => void} onRejected The server refused the change; it was dropped.
+ * @property {(result: { sent: number, replayed: number }) => void} onFinished
+ */
+/**
+ * Sends the changes made offline, one at a time and in the order they were
+ * made. While a replay runs, further calls wait for it instead of starting another.
+ * @param {OutboxHandlers} handlers
+ */
+export function flushOutbox(handlers) {
+    if (!outboxFlush) {
+        outboxFlush = replayOutbox(handlers).finally(() => { outboxFlush = null; });
+    }
+    return outboxFlush;
+}
+
+/** @param {OutboxHandlers} handlers */
+async function replayOutbox({ onConflict, onRejected, onFinished }) {
+    const entries = (await listOutbox()).filter(entry => !entry.conflict); // conflicts wait for the user
+    let sent = 0;
+    for (const entry of entries) {
+        if (isOffline()) break;
+        try {
+            const conflict = await findOutboxConflict(entry);
+            if (conflict) {
+                await saveOutboxEntry({ ...entry, conflict });
+                onConflict({ ...entry, conflict });
+                continue;
+            }
+            await sendOutboxEntry(entry);
+            await removeFromOutbox(entry.id);
+            sent++;
+        } catch (error) {
+            console.error('Outbox Replay Error:', error);
+            // Only a change the server refused is given up; anything else is tried again later.
+            if (!isRejectedChange(error)) break;
+            await removeFromOutbox(entry.id);
+            onRejected(entry, error);
+        }
+    }
+    onFinished({ sent, replayed: entries.length });
+}
+
+/**
+ * Settles a conflict the user was asked about: sends their change anyway
+ * (`keepMine`) or drops it in favour of the server's version.
+ * @param {import('./offline-store.js').OutboxEntry} entry
+ */
+export async function resolveOutboxConflict(entry, keepMine) {
+    if (keepMine) await sendOutboxEntry(entry);
+    await removeFromOutbox(entry.id);
+}
+
+function isRejectedChange(error) {
+    const status = error?.status || error?.result?.error?.code;
+    return status >= 400 && status < 500 && status !== 401 && status !== 429;
+}
+
+function isNotFound(error) {
+    return [404, 410].includes(error?.status || error?.result?.error?.code);
+}
+
+/** Returns 'changed' or 'deleted' if the item is no longer the version the change was made against. */
+async function findOutboxConflict(entry) {
+    if (entry.type === 'create') return null;
+    const current = await fetchServerVersion(entry);
+    if (!current) return entry.type === 'delete' ? null : 'deleted';
+    return entry.etag && current.etag !== entry.etag ? 'changed' : null;
+}
+
+async function fetchServerVersion(entry) {
+    try {
+        const response = entry.kind === 'task'
+            ? await googleApi.tasks.tasks.get({ tasklist: entry.tasklistId, task: entry.itemId })
+            : await googleApi.calendar.events.get({ calendarId: entry.calendarId, eventId: entry.itemId });
+        const item = response.result;
+        return item.status === 'cancelled' || item.deleted ? null : item;
+    } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+    }
+}
+
+async function sendOutboxEntry(entry) {
+    if (entry.kind === 'task') {
+        const params = { tasklist: entry.tasklistId, task: entry.itemId };
+        if (entry.type === 'delete') await ignoreNotFound(googleApi.tasks.tasks.delete(params));
+        else await googleApi.tasks.tasks.patch({ ...params, resource: entry.resource });
+        return;
+    }
+    const { calendarId } = entry;
+    if (entry.type === 'create') {
+        // The local placeholder ID is not a valid Calendar ID.
+        const { id, etag, status, ...resource } = entry.resource;
+        const response = await googleApi.calendar.events.insert({ calendarId, resource, conferenceDataVersion: 1 });
+        await updateCachedEvents([{ ...response.result, calendarId }], [{ calendarId, id: entry.itemId }]);
+    } else if (entry.type === 'update') {
+        // A confirmed status also brings back an event deleted meanwhile, if the user keeps their version.
+        const response = await googleApi.calendar.events.update({
+            calendarId, eventId: entry.itemId, sendUpdates: entry.sendUpdates, resource: { ...writableEventFields(entry.resource), status: 'confirmed' },
+        });
+        await updateCachedEvents([{ ...response.result, calendarId }]);
+    } else {
+        await ignoreNotFound(googleApi.calendar.events.delete({ calendarId, eventId: entry.itemId }));
+    }
+}
+
+/**
+ * An event without the fields the server manages, to write back a copy made
+ * earlier. Every change raises the server's `sequence`, and an update that
+ * sends an older one is rejected.
+ */
+export function writableEventFields({ id, etag, sequence, htmlLink, created, updated, iCalUID, ...fields }) {
+    return fields;
+}
+
+async function ignoreNotFound(request) {
+    try {
+        await request;
+    } catch (error) {
+        if (!isNotFound(error)) throw error;
+    }
+}
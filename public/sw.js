@@ -0,0 +1,67 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// --- Service Worker ---
+// Keeps the app shell available offline. The app's own files are fetched from
+// the network first and served from the cache when there is no connection;
+// libraries and fonts from CDNs come from the cache and are refreshed in the
+// background. Google API and sign-in requests are never cached: calendar data
+// offline comes from the app's own IndexedDB copy. When the team's Gemini proxy
+// (server/gemini-proxy.js) serves the app, its API paths are not app files and
+// are left to the network.
+
+const CACHE_NAME = 'assistant-shell-v1';
+// Must match PROXY_PREFIX in server/gemini-proxy.js; this file is served as is
+// and can't import it.
+const PROXY_PATH_PREFIX = '/gemini/';
+const SHELL_URLS = ['./', './index.html'];
+const CDN_HOSTS = ['esm.sh', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(SHELL_URLS)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        if (!url.pathname.startsWith(PROXY_PATH_PREFIX)) event.respondWith(networkFirst(request));
+    } else if (CDN_HOSTS.includes(url.hostname)) event.respondWith(staleWhileRevalidate(request));
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        // Any page of the app falls back to the cached shell.
+        const cached = await cache.match(request) || (request.mode === 'navigate' && await cache.match('./index.html'));
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    const update = fetch(request).then((response) => {
+        // Stylesheets loaded without CORS come back opaque; they are still worth keeping.
+        if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+        return response;
+    });
+    if (!cached) return update;
+    update.catch(() => {});
+    return cached;
+}
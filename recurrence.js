@@ -0,0 +1,90 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { t, getLocale } from './i18n.js';
+
+// --- Recurrence Rules ---
+// Helpers for the RFC 5545 lines stored in a Calendar event's `recurrence`
+// array ("RRULE:FREQ=WEEKLY;BYDAY=MO", "EXDATE;...").
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+/** Parses "RRULE:FREQ=WEEKLY;COUNT=3" into { FREQ: 'WEEKLY', COUNT: '3' }. */
+export function parseRule(line) {
+    return Object.fromEntries(line.replace(/^RRULE:/, '').split(';').filter(Boolean).map(part => part.split('=')));
+}
+
+function formatRule(parts) {
+    return `RRULE:${Object.entries(parts).map(([key, value]) => `${key}=${value}`).join(';')}`;
+}
+
+export function isValidRecurrenceLine(line) {
+    return /^(RRULE|EXRULE|RDATE|EXDATE)[:;]/.test(line) && (!line.startsWith('RRULE') || !!parseRule(line).FREQ);
+}
+
+/**
+ * Human-readable description of an event's recurrence in the interface
+ * language, e.g. "каждую неделю по пн, ср, до 31.12.2025". Returns '' without an RRULE.
+ */
+export function describeRecurrence(recurrence = []) {
+    const line = recurrence.find(item => item.startsWith('RRULE:'));
+    if (!line) return '';
+    const rule = parseRule(line);
+    if (!FREQUENCIES.includes(rule.FREQ)) return line;
+
+    const interval = Number(rule.INTERVAL || 1);
+    let text = interval > 1 ? t(`recurrence.everyN.${rule.FREQ}`, { count: interval }) : t(`recurrence.every.${rule.FREQ}`);
+    if (rule.BYDAY) {
+        const weekday = new Intl.DateTimeFormat(getLocale(), { weekday: 'short' });
+        // 2023-01-01 was a Sunday.
+        const days = rule.BYDAY.split(',').map(day => {
+            const index = WEEKDAYS.indexOf(day.slice(-2));
+            return index === -1 ? day : weekday.format(new Date(2023, 0, 1 + index));
+        });
+        text += ` ${t('recurrence.onDays', { days: days.join(', ') })}`;
+    }
+    if (rule.COUNT) text += `, ${t('recurrence.count', { count: Number(rule.COUNT) })}`;
+    if (rule.UNTIL) text += `, ${t('recurrence.until', { date: parseUntil(rule.UNTIL).toLocaleDateString(getLocale()) })}`;
+    return text;
+}
+
+function parseUntil(value) {
+    const [, y, m, d, hh = '00', mm = '00', ss = '00'] = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?/) || [];
+    return new Date(Date.UTC(Number(y), Number(m) - 1, Number(d), Number(hh), Number(mm), Number(ss)));
+}
+
+function formatUntil(date, allDay) {
+    // All-day series use a floating date, so the local calendar day is what counts.
+    if (allDay) return `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Ends a series right before `occurrenceStart`, for "this and following"
+ * edits. COUNT and UNTIL can't be combined, so any COUNT is replaced.
+ */
+export function truncateRecurrence(recurrence, occurrenceStart, allDay = false) {
+    const until = new Date(occurrenceStart.getTime() - (allDay ? 86400000 : 1000));
+    return recurrence.map(line => {
+        if (!line.startsWith('RRULE:')) return line;
+        const { COUNT, ...rule } = parseRule(line);
+        return formatRule({ ...rule, UNTIL: formatUntil(until, allDay) });
+    });
+}
+
+/**
+ * Rules for the new series that continues from a split point: keeps UNTIL,
+ * and reduces COUNT by the occurrences that stay in the original series.
+ */
+export function continueRecurrence(recurrence, occurrencesBefore) {
+    return recurrence.map(line => {
+        if (!line.startsWith('RRULE:')) return line;
+        const rule = parseRule(line);
+        if (rule.COUNT) rule.COUNT = String(Math.max(1, Number(rule.COUNT) - occurrencesBefore));
+        return formatRule(rule);
+    });
+}
@@ -0,0 +1,142 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { marked } from 'marked';
+
+// --- Safe HTML Rendering ---
+// Everything the app turns into markup goes through here. Event titles,
+// contact names, model output and the like come from other people, so:
+//  - `html` templates escape every interpolated value that isn't SafeHtml;
+//  - Markdown and third-party HTML are cleaned against an allowlist;
+//  - URLs are only kept when their scheme is known to be harmless.
+
+const SAFE_URL_SCHEMES = ['http:', 'https:', 'mailto:', 'tel:'];
+const ALLOWED_TAGS = new Set([
+    'a', 'b', 'blockquote', 'br', 'code', 'del', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'li',
+    'ol', 'p', 'pre', 's', 'span', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'th', 'thead', 'tr', 'u', 'ul',
+]);
+// Removed together with their content; any other unknown tag is unwrapped.
+const DROPPED_TAGS = new Set([
+    'audio', 'base', 'button', 'embed', 'form', 'frame', 'frameset', 'iframe', 'img', 'input', 'link', 'math',
+    'meta', 'noscript', 'object', 'script', 'select', 'style', 'svg', 'template', 'textarea', 'video',
+]);
+const ALLOWED_ATTRIBUTES = { a: ['href', 'title'], code: ['class'], ol: ['start'], td: ['align'], th: ['align'] };
+
+/** Markup that is safe to insert as is. Only this module creates it from raw strings. */
+export class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+export function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Tagged template that escapes interpolated values. SafeHtml values (nested
+ * `html` templates, sanitized Markdown) are inserted as is, arrays are
+ * joined, and null/undefined/false render as nothing.
+ * @returns {SafeHtml}
+ */
+export function html(strings, ...values) {
+    let markup = strings[0];
+    values.forEach((value, i) => { markup += renderValue(value) + strings[i + 1]; });
+    return new SafeHtml(markup);
+}
+
+function renderValue(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    return escapeHtml(value);
+}
+
+/**
+ * Marks markup this app produced earlier (e.g. a card restored from chat
+ * history) as safe. Never use it for data that came from outside.
+ */
+export function trustedHtml(markup) {
+    return markup instanceof SafeHtml ? markup : new SafeHtml(String(markup ?? ''));
+}
+
+/** Parses Markdown (e.g. a model answer) and sanitizes the result. */
+export function renderMarkdown(text) {
+    return sanitizeHtml(marked.parse(text || ''));
+}
+
+/**
+ * Cleans third-party HTML: unknown tags are unwrapped, dangerous ones dropped
+ * with their content, attributes limited to an allowlist and links checked.
+ * @returns {SafeHtml}
+ */
+export function sanitizeHtml(dirty) {
+    // Template content is inert: nothing in it loads or runs while we clean it.
+    const template = document.createElement('template');
+    template.innerHTML = String(dirty ?? '');
+    cleanChildren(template.content);
+    const container = document.createElement('div');
+    container.appendChild(template.content);
+    return new SafeHtml(container.innerHTML);
+}
+
+function cleanChildren(parent) {
+    [...parent.childNodes].forEach((node) => {
+        if (node.nodeType === Node.TEXT_NODE) return;
+        if (node.nodeType !== Node.ELEMENT_NODE) { node.remove(); return; }
+        const tag = node.localName;
+        if (DROPPED_TAGS.has(tag)) { node.remove(); return; }
+        cleanChildren(node);
+        if (!ALLOWED_TAGS.has(tag)) { node.replaceWith(...node.childNodes); return; }
+
+        const allowed = ALLOWED_ATTRIBUTES[tag] || [];
+        [...node.attributes].forEach((attribute) => {
+            if (!allowed.includes(attribute.name)) node.removeAttribute(attribute.name);
+        });
+        if (tag === 'code' && !/^language-[\w-]+$/.test(node.getAttribute('class') || '')) node.removeAttribute('class');
+        if (tag === 'a') {
+            const href = safeUrl(node.getAttribute('href'));
+            if (href) {
+                node.setAttribute('href', href);
+                node.setAttribute('target', '_blank');
+                node.setAttribute('rel', 'noopener noreferrer');
+            } else {
+                node.removeAttribute('href');
+            }
+        }
+    });
+}
+
+/** Returns the URL if it uses an allowed scheme (http, https, mailto, tel), otherwise ''. */
+export function safeUrl(value) {
+    if (!value) return '';
+    try {
+        const url = new URL(String(value).trim(), window.location.href);
+        return SAFE_URL_SCHEMES.includes(url.protocol) ? url.href : '';
+    } catch {
+        return '';
+    }
+}
+
+/** Builds a data: URL for an attached image, or '' if the type or data look wrong. */
+export function imageDataUrl(mimeType, base64Data) {
+    if (!/^image\/[\w.+-]+$/.test(mimeType || '') || !/^[A-Za-z0-9+/]*={0,2}$/.test(base64Data || '')) return '';
+    return `data:${mimeType};base64,${base64Data}`;
+}
+
+/** Accepts hex colors and CSS variables; anything else becomes the fallback. */
+export function safeColor(value, fallback = 'var(--primary-color)') {
+    return /^#[0-9a-f]{3,8}$/i.test(value || '') || /^var\(--[\w-]+\)$/.test(value || '') ? value : fallback;
+}
@@ -0,0 +1,181 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// --- Free Slot Search ---
+// Pure helpers for turning free/busy intervals into ranked meeting slots.
+// Working hours are wall-clock times in the given time zone, the device's by default.
+
+const SLOT_STEP_MINUTES = 15;
+// Mid-morning is the easiest time to get everyone together.
+const PREFERRED_HOUR = 11;
+
+/**
+ * Merges overlapping or touching busy intervals into a sorted list.
+ * @param {{ start: string | Date, end: string | Date }[]} intervals
+ * @returns {{ start: Date, end: Date }[]}
+ */
+export function mergeBusyIntervals(intervals) {
+    const sorted = intervals
+        .map(({ start, end }) => ({ start: new Date(start), end: new Date(end) }))
+        .sort((a, b) => a.start - b.start);
+    const merged = [];
+    sorted.forEach((interval) => {
+        const last = merged[merged.length - 1];
+        if (last && interval.start <= last.end) {
+            if (interval.end > last.end) last.end = interval.end;
+        } else {
+            merged.push(interval);
+        }
+    });
+    return merged;
+}
+
+/**
+ * Finds free slots of the requested length and ranks them: earlier days first,
+ * on-the-hour starts and times near mid-morning preferred, at most two per day.
+ * @param {object} options
+ * @param {{ start: string | Date, end: string | Date }[]} options.busy Busy intervals of all participants.
+ * @param {Date} options.timeMin
+ * @param {Date} options.timeMax
+ * @param {number} options.durationMinutes
+ * @param {string} [options.workdayStart] Wall-clock time in `timeZone`, "HH:MM".
+ * @param {string} [options.workdayEnd] Wall-clock time in `timeZone`, "HH:MM".
+ * @param {boolean} [options.includeWeekends]
+ * @param {number} [options.maxResults]
+ * @param {Date} [options.near] Rank by distance from this time instead, without the per-day limit.
+ * @param {string} [options.timeZone] IANA time zone of the working hours and days.
+ * @returns {{ start: Date, end: Date }[]}
+ */
+export function findFreeSlots({
+    busy, timeMin, timeMax, durationMinutes,
+    workdayStart = '09:00', workdayEnd = '18:00', includeWeekends = false, maxResults = 5, near = null,
+    timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone,
+}) {
+    const busyIntervals = mergeBusyIntervals(busy);
+    const durationMs = durationMinutes * 60000;
+    const [startHour, startMinute] = workdayStart.split(':').map(Number);
+    const [endHour, endMinute] = workdayEnd.split(':').map(Number);
+    const now = new Date();
+    const rangeStart = new Date(Math.max(timeMin.getTime(), now.getTime()));
+
+    const candidates = [];
+    // The calendar day in `timeZone`, kept as a UTC date so that stepping through days ignores offsets.
+    const first = wallClock(rangeStart, timeZone);
+    const day = new Date(Date.UTC(first.year, first.month, first.day));
+    const at = (hour, minute) => zonedTime(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hour, minute, timeZone);
+    for (let dayIndex = 0; at(0, 0) < timeMax; dayIndex++, day.setUTCDate(day.getUTCDate() + 1)) {
+        const weekday = day.getUTCDay();
+        if (!includeWeekends && (weekday === 0 || weekday === 6)) continue;
+
+        const windowStart = at(startHour, startMinute || 0);
+        const windowEnd = at(endHour, endMinute || 0);
+        const from = new Date(Math.max(windowStart.getTime(), rangeStart.getTime()));
+        const to = new Date(Math.min(windowEnd.getTime(), timeMax.getTime()));
+
+        // Start on the next step boundary so slots look like "10:15", not "10:07".
+        const stepMs = SLOT_STEP_MINUTES * 60000;
+        let start = new Date(Math.ceil(from.getTime() / stepMs) * stepMs);
+        for (; start.getTime() + durationMs <= to.getTime(); start = new Date(start.getTime() + stepMs)) {
+            const end = new Date(start.getTime() + durationMs);
+            if (busyIntervals.some(interval => interval.start < end && interval.end > start)) continue;
+            const { hour, minute } = wallClock(start, timeZone);
+            const score = near
+                ? Math.abs(start.getTime() - near.getTime()) / 3600000
+                : dayIndex * 100 + (minute === 0 ? 0 : 3) + Math.abs(hour + minute / 60 - PREFERRED_HOUR);
+            candidates.push({ start, end, score, dayKey: day.toISOString() });
+        }
+    }
+
+    const perDay = new Map();
+    const slots = [];
+    candidates.sort((a, b) => a.score - b.score).forEach((candidate) => {
+        if (slots.length >= maxResults) return;
+        const count = perDay.get(candidate.dayKey) || 0;
+        if (!near && count >= 2) return;
+        // Skip slots overlapping one that is already offered.
+        if (slots.some(slot => slot.start < candidate.end && slot.end > candidate.start)) return;
+        perDay.set(candidate.dayKey, count + 1);
+        slots.push({ start: candidate.start, end: candidate.end });
+    });
+    return slots.sort((a, b) => a.start - b.start);
+}
+
+/** The midnight in `timeZone` that begins the day of `date`, or the day `addDays` later. */
+export function startOfZonedDay(date, timeZone, addDays = 0) {
+    const { year, month, day } = wallClock(date, timeZone);
+    return zonedTime(year, month, day + addDays, 0, 0, timeZone);
+}
+
+// Year, month (0-11), day, hour and minute that a clock in `timeZone` shows at `date`.
+function wallClock(date, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+    }).formatToParts(date).map(part => [part.type, Number(part.value)]));
+    return { year: parts.year, month: parts.month - 1, day: parts.day, hour: parts.hour, minute: parts.minute };
+}
+
+// The moment a clock in `timeZone` shows the given wall-clock time. The
+// offset is measured twice, since the first guess may fall across a DST change.
+function zonedTime(year, month, day, hour, minute, timeZone) {
+    const target = Date.UTC(year, month, day, hour, minute);
+    let time = target;
+    for (let i = 0; i < 2; i++) {
+        const shown = wallClock(new Date(time), timeZone);
+        time += target - Date.UTC(shown.year, shown.month, shown.day, shown.hour, shown.minute);
+    }
+    return new Date(time);
+}
+
+/**
+ * Pairs of timed events that overlap, each pair in start order. All-day
+ * events and events the user declined or marked as free are ignored.
+ * @param {object[]} events Calendar API events.
+ * @returns {[object, object][]}
+ */
+export function findOverlappingEvents(events) {
+    const timed = events
+        .filter(isBusyEvent)
+        .sort((a, b) => new Date(a.start.dateTime) - new Date(b.start.dateTime));
+    const pairs = [];
+    timed.forEach((event, i) => {
+        const end = new Date(event.end.dateTime);
+        for (let j = i + 1; j < timed.length && new Date(timed[j].start.dateTime) < end; j++) {
+            pairs.push([event, timed[j]]);
+        }
+    });
+    return pairs;
+}
+
+/** Whether a Calendar API event takes up the user's time: timed, not marked as free, not declined. */
+export function isBusyEvent(event) {
+    return Boolean(event.start?.dateTime) && event.transparency !== 'transparent' && !isDeclined(event);
+}
+
+/**
+ * Back-to-back events at different places with less than `minGapMinutes`
+ * between them — likely too little time to get from one to the other.
+ * @param {object[]} events Calendar API events.
+ * @returns {{ from: object, to: object, gapMinutes: number }[]}
+ */
+export function findTravelGaps(events, minGapMinutes = 30) {
+    const located = events
+        .filter(event => event.start?.dateTime && event.location && !isDeclined(event))
+        .sort((a, b) => new Date(a.start.dateTime) - new Date(b.start.dateTime));
+    const gaps = [];
+    for (let i = 1; i < located.length; i++) {
+        const from = located[i - 1];
+        const to = located[i];
+        if (from.location.trim().toLowerCase() === to.location.trim().toLowerCase()) continue;
+        const gapMinutes = Math.round((new Date(to.start.dateTime) - new Date(from.end.dateTime)) / 60000);
+        // Overlaps are reported as conflicts instead.
+        if (gapMinutes >= 0 && gapMinutes < minGapMinutes) gaps.push({ from, to, gapMinutes });
+    }
+    return gaps;
+}
+
+function isDeclined(event) {
+    return (event.attendees || []).some(attendee => attendee.self && attendee.responseStatus === 'declined');
+}
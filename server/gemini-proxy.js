@@ -0,0 +1,179 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// --- Gemini Proxy ---
+// A small Node server that holds the Gemini API key, so a team can use the
+// assistant without each person having a key of their own. The app, switched
+// to proxy mode, sends its requests to /gemini/...; they are forwarded to the
+// Gemini API with the key added. The Live API WebSocket is passed through the
+// same way. If the built app (dist/) is present it is served too, which keeps
+// everything on one origin.
+//
+//   GEMINI_API_KEY=... ALLOWED_ORIGINS=https://assistant.example.com npm run proxy
+//
+// Only pages from the server's own origin or from ALLOWED_ORIGINS may use it.
+// That keeps other websites away from the key, but not a determined script:
+// for real access control run it behind the team's single sign-on or VPN.
+
+import { createServer } from 'node:http';
+import { connect } from 'node:tls';
+import { createReadStream, existsSync, statSync } from 'node:fs';
+import { extname, join, resolve, sep } from 'node:path';
+import { Readable } from 'node:stream';
+
+const UPSTREAM_HOST = 'generativelanguage.googleapis.com';
+// public/sw.js keeps its own copy (PROXY_PATH_PREFIX) to leave these paths uncached; change both together.
+const PROXY_PREFIX = '/gemini';
+const LIVE_API_PATH = '/ws/google.ai.generativelanguage.v1beta.GenerativeService.BidiGenerateContent';
+// Generation requests only: the key must not give access to files, tuning or caches.
+const ALLOWED_API_PATH = /^\/v1(alpha|beta)?\/models\/[\w.-]+:(generateContent|streamGenerateContent|countTokens)$/;
+// Requests carry base64 attachments of up to 15 MB, which grow by a third.
+const MAX_BODY_BYTES = 25 * 1024 * 1024;
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8', '.js': 'text/javascript; charset=utf-8', '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json', '.svg': 'image/svg+xml', '.png': 'image/png', '.ico': 'image/x-icon', '.webmanifest': 'application/manifest+json',
+};
+
+try {
+    process.loadEnvFile?.('.env.local');
+} catch {
+    // No .env.local: the settings come from the environment.
+}
+
+const apiKey = process.env.GEMINI_API_KEY;
+const port = Number(process.env.PORT) || 8787;
+const allowedOrigins = (process.env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+const staticDir = resolve(process.env.STATIC_DIR || 'dist');
+const serveStatic = existsSync(join(staticDir, 'index.html'));
+
+if (!apiKey) {
+    console.error('GEMINI_API_KEY is not set.');
+    process.exit(1);
+}
+
+function isAllowedOrigin(request) {
+    const origin = request.headers.origin;
+    if (!origin) return false;
+    const ownOrigin = `${request.socket.encrypted ? 'https' : 'http'}://${request.headers.host}`;
+    return origin === ownOrigin || allowedOrigins.includes(origin);
+}
+
+function corsHeaders(request) {
+    if (!request.headers.origin || !allowedOrigins.includes(request.headers.origin)) return {};
+    return {
+        'Access-Control-Allow-Origin': request.headers.origin,
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': request.headers['access-control-request-headers'] || 'content-type',
+        'Access-Control-Max-Age': '600',
+        'Vary': 'Origin',
+    };
+}
+
+function sendError(response, status, message, headers = {}) {
+    response.writeHead(status, { ...headers, 'Content-Type': 'application/json' });
+    response.end(JSON.stringify({ error: { code: status, message } }));
+}
+
+async function readBody(request) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) throw new Error('Request body is too large.');
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+async function forwardApiRequest(request, response, url) {
+    const cors = corsHeaders(request);
+    if (request.method === 'OPTIONS') {
+        response.writeHead(isAllowedOrigin(request) ? 204 : 403, cors);
+        response.end();
+        return;
+    }
+    if (!isAllowedOrigin(request)) return sendError(response, 403, 'Origin not allowed.');
+    const apiPath = url.pathname.slice(PROXY_PREFIX.length);
+    if (request.method !== 'POST' || !ALLOWED_API_PATH.test(apiPath)) return sendError(response, 404, 'Not found.', cors);
+
+    let body;
+    try {
+        body = await readBody(request);
+    } catch (error) {
+        return sendError(response, 413, error.message, cors);
+    }
+    // The app sends a placeholder key; only the query options (e.g. alt=sse) are kept.
+    url.searchParams.delete('key');
+    const upstream = await fetch(`https://${UPSTREAM_HOST}${apiPath}${url.search}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+        body,
+    });
+    response.writeHead(upstream.status, { ...cors, 'Content-Type': upstream.headers.get('content-type') || 'application/json' });
+    if (upstream.body) Readable.fromWeb(upstream.body).pipe(response);
+    else response.end();
+}
+
+function serveFile(response, url) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.pathname);
+    } catch {
+        // A broken escape such as "%E0%A4%A" must not take the server down.
+        return sendError(response, 400, 'Malformed URL.');
+    }
+    const requested = resolve(staticDir, `.${pathname}`);
+    if (requested !== staticDir && !requested.startsWith(staticDir + sep)) return sendError(response, 404, 'Not found.');
+    // Anything that isn't a file is a route of the app itself.
+    const file = existsSync(requested) && statSync(requested).isFile() ? requested : join(staticDir, 'index.html');
+    response.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(file)] || 'application/octet-stream' });
+    createReadStream(file).pipe(response);
+}
+
+const server = createServer((request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    if (url.pathname.startsWith(`${PROXY_PREFIX}/`)) {
+        forwardApiRequest(request, response, url).catch(error => {
+            console.error('Proxy error:', error);
+            if (!response.headersSent) sendError(response, 502, 'Gemini API is not reachable.');
+            else response.destroy();
+        });
+    } else if (serveStatic && request.method === 'GET') {
+        serveFile(response, url);
+    } else {
+        sendError(response, 404, 'Not found.');
+    }
+});
+
+// The WebSocket handshake is replayed to Google with the key added, then the
+// two connections are piped together; frames are passed through unchanged.
+server.on('upgrade', (request, socket, head) => {
+    const url = new URL(request.url, 'http://localhost');
+    if (url.pathname !== `${PROXY_PREFIX}${LIVE_API_PATH}` || !isAllowedOrigin(request)) {
+        socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+        return;
+    }
+    const upstream = connect({ host: UPSTREAM_HOST, port: 443, servername: UPSTREAM_HOST }, () => {
+        const forwarded = ['upgrade', 'connection', 'sec-websocket-key', 'sec-websocket-version', 'sec-websocket-extensions', 'sec-websocket-protocol']
+            .filter(name => request.headers[name])
+            .map(name => `${name}: ${request.headers[name]}`);
+        upstream.write([
+            `GET ${LIVE_API_PATH}?key=${encodeURIComponent(apiKey)} HTTP/1.1`,
+            `host: ${UPSTREAM_HOST}`,
+            ...forwarded,
+            '', '',
+        ].join('\r\n'));
+        if (head.length) upstream.write(head);
+        upstream.pipe(socket);
+        socket.pipe(upstream);
+    });
+    upstream.on('error', () => socket.destroy());
+    socket.on('error', () => upstream.destroy());
+});
+
+server.listen(port, () => {
+    console.log(`Gemini proxy on http://localhost:${port}${PROXY_PREFIX}${serveStatic ? `, serving ${staticDir}` : ''}`);
+});
@@ -0,0 +1,94 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// --- Speech Output ---
+// Reads assistant replies aloud with the browser's speechSynthesis. Replies are
+// Markdown and action confirmations are card markup, so both are reduced to
+// plain sentences first: a screen reader's "звездочка" or a spoken URL helps nobody.
+
+export function isSpeechSupported() {
+    return 'speechSynthesis' in window;
+}
+
+/**
+ * Voices the browser offers, those for `lang` ("ru-RU") first. Some browsers
+ * fill the list in asynchronously, see onVoicesChanged.
+ * @returns {SpeechSynthesisVoice[]}
+ */
+export function listVoices(lang = 'ru-RU') {
+    if (!isSpeechSupported()) return [];
+    const language = lang.slice(0, 2).toLowerCase();
+    const matches = voice => voice.lang.toLowerCase().startsWith(language);
+    return [...speechSynthesis.getVoices()].sort((a, b) => Number(matches(b)) - Number(matches(a)));
+}
+
+/**
+ * Calls `listener` whenever the list of voices changes.
+ * @returns {() => void} Removes the listener again.
+ */
+export function onVoicesChanged(listener) {
+    if (!isSpeechSupported()) return () => {};
+    speechSynthesis.addEventListener('voiceschanged', listener);
+    return () => speechSynthesis.removeEventListener('voiceschanged', listener);
+}
+
+/**
+ * Queues `text` for speaking after anything already being said.
+ * @param {string} text Plain text, see markdownToSpeech and markupToSpeech.
+ * @param {{ voiceURI?: string, rate?: number, lang?: string }} [options]
+ */
+export function speak(text, { voiceURI = '', rate = 1, lang = 'ru-RU' } = {}) {
+    if (!isSpeechSupported() || !text) return;
+    const utterance = new SpeechSynthesisUtterance(text);
+    const voice = speechSynthesis.getVoices().find(item => item.voiceURI === voiceURI);
+    utterance.voice = voice || null;
+    utterance.lang = voice?.lang || lang;
+    utterance.rate = rate;
+    speechSynthesis.speak(utterance);
+}
+
+export function stopSpeaking() {
+    if (isSpeechSupported()) speechSynthesis.cancel();
+}
+
+/** Plain text of a Markdown reply: formatting marks, code and link targets are dropped. */
+export function markdownToSpeech(markdown) {
+    return collapse(markdown
+        .replace(/```[\s\S]*?(```|$)/g, ' ')
+        .replace(/`([^`]*)`/g, '$1')
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/https?:\/\/\S+/g, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/^\s{0,3}(#{1,6}\s+|>\s?|[-*+]\s+|\d+[.)]\s+)/gm, '')
+        .replace(/^\s*[-*_]{3,}\s*$/gm, ' ')
+        .replace(/^\s*\|?[\s:-]+\|[\s|:-]*$/gm, ' ')
+        .replace(/^\s*\||\|\s*$/gm, '')
+        .replace(/\|/g, ', ')
+        .replace(/(\*\*|__|\*|_|~~)(?=\S)([\s\S]*?\S)\1/g, '$2')
+        // A line without closing punctuation (a heading, a list item) still ends a sentence.
+        .replace(/([^\s.!?:;,])[ \t]*\n/g, '$1.\n'));
+}
+
+/**
+ * Plain text of card markup, e.g. "Событие создано. Встреча в 10:00". Buttons
+ * and icon ligatures are left out; each block becomes its own sentence.
+ */
+export function markupToSpeech(markup) {
+    const body = new DOMParser().parseFromString(String(markup), 'text/html').body;
+    body.querySelectorAll('button, img, .material-symbols-outlined, [aria-hidden="true"]').forEach(element => element.remove());
+    body.querySelectorAll('h1, h2, h3, h4, h5, h6, p, li, tr, div').forEach(element => element.append('. '));
+    return collapse(body.textContent);
+}
+
+function collapse(text) {
+    return text
+        .replace(/\s+/g, ' ')
+        .replace(/\s+([.,!?:;])/g, '$1')
+        .replace(/([.!?:;,])(\s*[.,])+/g, '$1')
+        .replace(/^[\s.,]+/, '')
+        .trim();
+}
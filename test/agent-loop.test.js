@@ -0,0 +1,148 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import './helpers/browser.js';
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { Type } from '@google/genai';
+import { createScriptedGemini, text, functionCall } from './fakes/gemini.js';
+import { registerTool } from '../tool-registry.js';
+import { runAgentLoop, MAX_AGENT_STEPS } from '../agent-loop.js';
+import { t } from '../i18n.js';
+
+const gemini = createScriptedGemini();
+const notes = [];
+
+before(() => {
+    registerTool({
+        name: 'save_note',
+        description: 'Saves a note.',
+        parameters: { type: Type.OBJECT, properties: { text: { type: Type.STRING } }, required: ['text'] },
+        handler: async ({ text: note }) => {
+            notes.push(note);
+            return { status: 'saved', count: notes.length };
+        },
+        renderCard: ({ count }) => `card: ${count}`,
+    });
+    registerTool({
+        name: 'clear_notes',
+        description: 'Removes every note.',
+        parameters: { type: Type.OBJECT, properties: {}, required: [] },
+        handler: async () => {
+            notes.length = 0;
+            return { status: 'cleared' };
+        },
+        destructive: true,
+        preview: async () => ({ card: 'clear all notes?', snapshot: [...notes] }),
+        undo: async (snapshot) => { notes.push(...snapshot); },
+    });
+});
+
+/** Runs the loop on a fresh conversation and records what it reports. */
+async function run(message, { confirm = async () => true, signal = new AbortController().signal } = {}) {
+    const history = [{ role: 'user', parts: [{ text: message }] }];
+    const report = { streamed: [], turns: [], messages: [], replies: [], undos: [] };
+    await runAgentLoop({ ai: gemini, model: 'gemini-2.5-flash', config: { temperature: 0.5 }, history, systemInstruction: 'Be brief.', signal }, {
+        confirm,
+        onText: streamed => report.streamed.push(streamed),
+        onTurnEnd: (turnText, aborted) => report.turns.push({ text: turnText, aborted }),
+        onMessage: (type, messageText, card) => report.messages.push(card ? [type, messageText, card] : [type, messageText]),
+        onReply: reply => report.replies.push(reply),
+        onUndo: undo => report.undos.push(undo),
+    });
+    return { history, ...report };
+}
+
+test('streams a text reply and adds it to the history', async () => {
+    gemini.queueTurn(text('Две '), text('встречи.'));
+    const { history, streamed, turns, replies } = await run('Что у меня завтра?');
+
+    assert.deepEqual(streamed, ['Две ', 'Две встречи.']);
+    assert.deepEqual(turns, [{ text: 'Две встречи.', aborted: false }]);
+    assert.deepEqual(replies, ['Две встречи.']);
+    assert.deepEqual(history.at(-1), { role: 'model', parts: [{ text: 'Две встречи.' }] });
+    const [request] = gemini.chatRequests().slice(-1);
+    assert.equal(request.model, 'gemini-2.5-flash');
+    assert.equal(request.config.temperature, 0.5);
+    assert.deepEqual(request.config.systemInstruction, { parts: [{ text: 'Be brief.' }] });
+    assert.deepEqual(request.config.tools[0].functionDeclarations.map(declaration => declaration.name), ['save_note', 'clear_notes']);
+});
+
+test('runs the function calls and sends their results back', async () => {
+    gemini.queueTurn(functionCall('save_note', { text: 'Купить хлеб' }), functionCall('save_note', { text: 'Позвонить маме' }));
+    gemini.queueTurn(text('Сохранила.'));
+    const { history, messages } = await run('Запиши две заметки');
+
+    assert.deepEqual(notes.slice(-2), ['Купить хлеб', 'Позвонить маме']);
+    assert.deepEqual(messages, [
+        ['system', t('chat.running')],
+        ['system', t('chat.cardDone'), `card: ${notes.length - 1}`],
+        ['system', t('chat.cardDone'), `card: ${notes.length}`],
+    ]);
+    const responses = gemini.chatRequests().at(-1).contents.at(-1).parts.map(part => part.functionResponse);
+    assert.deepEqual(responses.map(({ name, response }) => [name, response.status]), [['save_note', 'saved'], ['save_note', 'saved']]);
+    assert.deepEqual(history.at(-1), { role: 'model', parts: [{ text: 'Сохранила.' }] });
+});
+
+test('reports invalid arguments to the model instead of running the tool', async () => {
+    const before = notes.length;
+    gemini.queueTurn(functionCall('save_note', {}));
+    gemini.queueTurn(text('Нужен текст заметки.'));
+    await run('Запиши заметку');
+
+    assert.equal(notes.length, before);
+    const { response } = gemini.chatRequests().at(-1).contents.at(-1).parts[0].functionResponse;
+    assert.equal(response.error.code, 'INVALID_ARGUMENTS');
+});
+
+test('asks before a destructive call and offers to undo it', async () => {
+    const saved = [...notes];
+    gemini.queueTurn(functionCall('clear_notes'));
+    gemini.queueTurn(text('Оставила заметки.'));
+    const shown = [];
+    const declined = await run('Удали заметки', { confirm: async (card) => { shown.push(card); return false; } });
+    assert.deepEqual(shown, ['clear all notes?']);
+    assert.deepEqual(notes, saved);
+    assert.equal(gemini.chatRequests().at(-1).contents.at(-1).parts[0].functionResponse.response.status, 'cancelled');
+    assert.deepEqual(declined.undos, []);
+
+    gemini.queueTurn(functionCall('clear_notes'));
+    gemini.queueTurn(text('Удалила.'));
+    const { undos } = await run('Удали заметки');
+    assert.deepEqual(notes, []);
+    await undos[0]();
+    assert.deepEqual(notes, saved);
+});
+
+test('answers with a default text when the model only called functions', async () => {
+    gemini.queueTurn(functionCall('save_note', { text: 'Тест' }));
+    gemini.queueTurn();
+    const { history, messages, replies } = await run('Запиши');
+
+    assert.deepEqual(messages.at(-1), ['model', t('chat.done')]);
+    assert.deepEqual(replies, [t('chat.done')]);
+    assert.deepEqual(history.at(-1), { role: 'model', parts: [{ text: t('chat.done') }] });
+});
+
+test('stops a runaway tool loop after a fixed number of steps', async () => {
+    for (let step = 0; step < MAX_AGENT_STEPS; step++) gemini.queueTurn(functionCall('save_note', { text: `${step}` }));
+    const { history, messages } = await run('Пиши заметки');
+
+    assert.equal(gemini.pendingTurns(), 0);
+    assert.deepEqual(messages.at(-1), ['error', t('chat.error.tooManySteps')]);
+    assert.deepEqual(history.at(-1), { role: 'model', parts: [{ text: t('chat.error.tooManySteps') }] });
+});
+
+test('keeps the history well-formed when stopped', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    gemini.queueTurn(text('Не будет показано'));
+    const { history, turns, messages } = await run('Расскажи историю', { signal: controller.signal });
+
+    assert.deepEqual(turns, [{ text: '', aborted: true }]);
+    assert.deepEqual(messages, [['system', t('chat.stopped')]]);
+    assert.deepEqual(history.at(-1), { role: 'model', parts: [{ text: t('chat.stopped') }] });
+});
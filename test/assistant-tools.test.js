@@ -0,0 +1,44 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import './helpers/browser.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TOOL_DECLARATIONS, registerAssistantTools } from '../assistant-tools.js';
+import { getTool, getFunctionDeclarations, executeTool } from '../tool-registry.js';
+
+const names = TOOL_DECLARATIONS.map(declaration => declaration.name);
+const handled = [];
+const implementations = Object.fromEntries(names.map(name => [name, { handler: async (args) => {
+    handled.push([name, args]);
+    return { status: 'ok' };
+} }]));
+
+test('declares every argument it requires', () => {
+    TOOL_DECLARATIONS.forEach(({ name, parameters }) => {
+        (parameters.required || []).forEach((key) => {
+            assert.ok(parameters.properties[key], `${name} requires the undeclared argument ${key}`);
+        });
+    });
+    assert.equal(new Set(names).size, names.length);
+});
+
+test('refuses to register a tool without an implementation', () => {
+    const { [names[0]]: _, ...incomplete } = implementations;
+    assert.throws(() => registerAssistantTools(incomplete), new RegExp(names[0]));
+    assert.equal(getTool(names[0]), undefined);
+});
+
+test('registers every declared tool with its implementation', async () => {
+    registerAssistantTools(implementations);
+
+    assert.deepEqual(getFunctionDeclarations().map(declaration => declaration.name), names);
+    assert.equal(getTool('delete_calendar_event').destructive, true);
+    assert.equal(getTool('find_events').destructive, false);
+    const { response } = await executeTool('complete_task', { task_id: 'task-1' });
+    assert.equal(response.status, 'ok');
+    assert.deepEqual(handled, [['complete_task', { task_id: 'task-1' }]]);
+});
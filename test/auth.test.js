@@ -0,0 +1,41 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeGoogleApi, apiError } from './fakes/google-api.js';
+import { createScriptedGemini } from './fakes/gemini.js';
+import { startApp, chatMessages } from './helpers/app.js';
+
+const googleApi = createFakeGoogleApi();
+let app;
+let t;
+
+before(async () => {
+    // The profile request fails once with a server error while the app starts.
+    googleApi.failNext('request', apiError(503, 'Backend Error'));
+    app = await startApp({ googleApi, gemini: createScriptedGemini(), waitForSignIn: false });
+    ({ t } = await import('../i18n.js'));
+});
+
+after(() => app.close());
+
+test('stays signed in when a server error interrupts loading the account', () => {
+    assert.equal(app.window.localStorage.getItem('googleSignedIn'), 'true');
+    assert.ok(app.window.sessionStorage.getItem('googleToken'));
+    assert.equal(app.document.getElementById('auth-button'), null);
+    assert.deepEqual(chatMessages(app.document).slice(-1), [`error: ${t('auth.loadFailed', { message: 'Backend Error' })}`]);
+    assert.ok(app.document.getElementById('sign-out-header'));
+    assert.ok(app.document.getElementById('sign-out-settings'));
+});
+
+test('loads the account again on request', async () => {
+    app.document.getElementById('auth-retry-header').click();
+    await app.settle();
+
+    assert.ok(app.document.getElementById('user-avatar-button'));
+    assert.equal(app.document.getElementById('auth-retry-header'), null);
+});
@@ -0,0 +1,126 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeGoogleApi, TEST_USER } from './fakes/google-api.js';
+import { createScriptedGemini } from './fakes/gemini.js';
+import { startApp, waitFor } from './helpers/app.js';
+
+// The app shows the current month, so the data is placed around today.
+const today = new Date();
+const at = (hours, minutes = 0) => new Date(today.getFullYear(), today.getMonth(), today.getDate(), hours, minutes).toISOString();
+const todayKey = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+
+const googleApi = createFakeGoogleApi({
+    events: {
+        [TEST_USER.email]: [
+            { id: 'standup', summary: 'Стендап', start: { dateTime: at(10) }, end: { dateTime: at(10, 30) } },
+            { id: 'review', summary: 'Ревью дизайна', location: 'Переговорная 3', start: { dateTime: at(10, 15) }, end: { dateTime: at(11) } },
+            { id: 'lunch', summary: 'Обед с командой', start: { dateTime: at(13) }, end: { dateTime: at(14) } },
+        ],
+    },
+    tasks: {
+        'default-list': [
+            { id: 'later', title: 'Подготовить квартальный отчет', status: 'needsAction' },
+            { id: 'due', title: 'Оплатить счет', status: 'needsAction', due: `${todayKey}T00:00:00.000Z` },
+            { id: 'done', title: 'Уже сделано', status: 'completed' },
+        ],
+    },
+});
+let app;
+let t;
+
+before(async () => {
+    app = await startApp({ googleApi, gemini: createScriptedGemini() });
+    ({ t } = await import('../i18n.js'));
+});
+
+after(() => app.close());
+
+const texts = selector => [...app.document.querySelectorAll(selector)].map(element => element.textContent.trim());
+const todayCell = () => app.document.querySelector(`#calendar-grid-days [data-day="${today.getDate()}"]`);
+
+test('renders the current month starting on Monday for Russian', () => {
+    assert.deepEqual(texts('#calendar-grid-weekdays .weekday-header'), ['пн', 'вт', 'ср', 'чт', 'пт', 'сб', 'вс']);
+    const firstWeekday = (new Date(today.getFullYear(), today.getMonth(), 1).getDay() + 6) % 7;
+    assert.equal(app.document.querySelectorAll('#calendar-grid-days .other-month').length, firstWeekday);
+    assert.equal(app.document.querySelectorAll('#calendar-grid-days [data-day]').length, new Date(today.getFullYear(), today.getMonth() + 1, 0).getDate());
+    assert.ok(todayCell().classList.contains('today'));
+});
+
+test('marks days with events and overlapping meetings', async () => {
+    await waitFor(() => todayCell().querySelector('.event-dot'));
+    assert.equal(todayCell().dataset.count, '3');
+    assert.ok(todayCell().classList.contains('has-conflict'));
+    assert.match(todayCell().title, /Стендап/);
+    assert.ok(todayCell().title.includes(t('calendar.overlap', { first: 'Стендап', second: 'Ревью дизайна' })));
+});
+
+test('lists the events of the selected day in order', async () => {
+    await waitFor(() => app.document.querySelector('#daily-events-list .event-item'));
+    assert.deepEqual(texts('#daily-events-list .event-item-title'), ['Стендап', 'Ревью дизайна', 'Обед с командой']);
+    assert.equal(app.document.querySelector('[data-event-id="review"] .event-item-location span:last-child').textContent, 'Переговорная 3');
+});
+
+test('shows an empty day', async () => {
+    const otherDay = today.getDate() === 1 ? 2 : 1;
+    app.document.querySelector(`#calendar-grid-days [data-day="${otherDay}"]`).click();
+    await waitFor(() => app.document.querySelector('#daily-events-list li')?.textContent === t('calendar.noEventsForDay'));
+    todayCell().click();
+    await waitFor(() => app.document.querySelectorAll('#daily-events-list .event-item').length === 3);
+});
+
+test('redraws the weekdays when the week start changes', async () => {
+    const select = app.document.getElementById('settings-week-start');
+    select.value = '0';
+    select.dispatchEvent(new app.window.Event('change'));
+    assert.deepEqual(texts('#calendar-grid-weekdays .weekday-header'), ['вс', 'пн', 'вт', 'ср', 'чт', 'пт', 'сб']);
+    assert.equal(app.window.localStorage.getItem('weekStart'), '0');
+    const firstWeekday = new Date(today.getFullYear(), today.getMonth(), 1).getDay();
+    assert.equal(app.document.querySelectorAll('#calendar-grid-days .other-month').length, firstWeekday);
+    await app.settle();
+});
+
+test('lists open tasks, those with a due date first', async () => {
+    await waitFor(() => app.document.querySelector('#tasks-list .task-item'));
+    assert.deepEqual(texts('#tasks-list .task-item-title'), ['Оплатить счет', 'Подготовить квартальный отчет']);
+    assert.ok(todayCell().querySelector('.task-dot'));
+});
+
+test('completes a task from the checkbox', async () => {
+    app.document.querySelector('#tasks-list [data-task-id="due"] .task-checkbox').click();
+    await waitFor(() => googleApi.tasks('@default').find(task => task.id === 'due').status === 'completed');
+    await waitFor(() => texts('#tasks-list .task-item-title').join() === 'Подготовить квартальный отчет');
+});
+
+test('warns with a conflict card before saving a drawer edit that overlaps other events', async () => {
+    app.document.querySelector('#daily-events-list [data-event-id="lunch"]').click();
+    (await waitFor(() => app.document.querySelector('[data-drawer-action="edit"]'))).click();
+    const form = app.document.querySelector('.drawer-form');
+    form.elements.start.value = `${todayKey}T10:15`;
+    form.elements.end.value = `${todayKey}T11:00`;
+
+    const modal = app.document.getElementById('conflict-modal');
+    form.requestSubmit();
+    await waitFor(() => modal.classList.contains('visible'));
+    assert.match(modal.querySelector('.confirm-card h4').textContent, /Обед с командой/);
+    assert.match(modal.querySelector('.conflict-list').textContent, /Стендап/);
+    assert.ok(modal.querySelector(`[data-confirm="proceed"]`));
+    modal.querySelector('[data-confirm="no"]').click();
+    await waitFor(() => !form.querySelector('[type="submit"]').disabled && modal.style.display === 'none');
+    assert.equal(googleApi.callsOf('calendar.events.patch').length, 0);
+    assert.equal(app.confirms.length, 0);
+
+    // The preferred choice is the nearest free slot.
+    form.requestSubmit();
+    const slot = await waitFor(() => modal.classList.contains('visible') && modal.querySelector('.action-button.primary'));
+    const [slotStart] = slot.dataset.confirm.split('/');
+    slot.click();
+    await waitFor(() => googleApi.callsOf('calendar.events.patch').length === 1);
+    assert.equal(Date.parse(googleApi.events('primary').find(event => event.id === 'lunch').start.dateTime), Date.parse(slotStart));
+    await app.settle();
+});
@@ -0,0 +1,139 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeGoogleApi } from './fakes/google-api.js';
+import { createScriptedGemini, text, functionCall } from './fakes/gemini.js';
+import { startApp, sendChatMessage, waitFor, waitForReply, chatMessages } from './helpers/app.js';
+
+const googleApi = createFakeGoogleApi({
+    tasks: { 'default-list': [{ id: 'task-report', title: 'Сдать отчет', status: 'needsAction', due: '2030-03-14T00:00:00.000Z' }] },
+});
+const gemini = createScriptedGemini();
+let app;
+let t;
+
+before(async () => {
+    app = await startApp({ googleApi, gemini, storage: { modelSettings: JSON.stringify({ customInstructions: 'Встречи по умолчанию длятся 30 минут.' }) } });
+    ({ t } = await import('../i18n.js'));
+});
+
+after(() => app.close());
+
+beforeEach(async () => {
+    // A fresh conversation for every test.
+    app.document.getElementById('history-button').click();
+    app.document.getElementById('new-chat-button').click();
+    await app.settle();
+});
+
+test('streams a text reply into the chat', async () => {
+    gemini.queueTurn(text('Завтра у вас '), text('**две** встречи.'));
+    sendChatMessage(app.document, 'Что у меня завтра?');
+    await waitForReply(app.document);
+
+    const messages = chatMessages(app.document);
+    assert.deepEqual(messages.slice(-2), ['user: Что у меня завтра?', 'model: Завтра у вас две встречи.']);
+    assert.equal(app.document.querySelector('.model-bubble strong').textContent, 'две');
+    const [request] = gemini.chatRequests().slice(-1);
+    assert.equal(request.model, 'gemini-2.5-flash');
+    assert.deepEqual(request.contents.at(-1), { role: 'user', parts: [{ text: 'Что у меня завтра?' }] });
+});
+
+test('puts the time zone and custom instructions into the system instruction', async () => {
+    gemini.queueTurn(text('Хорошо.'));
+    sendChatMessage(app.document, 'Привет');
+    await waitForReply(app.document);
+
+    const instruction = gemini.chatRequests().at(-1).config.systemInstruction.parts[0].text;
+    assert.match(instruction, /Europe\/Moscow/);
+    assert.match(instruction, /Встречи по умолчанию длятся 30 минут\.$/);
+});
+
+test('runs the requested function and sends its result back to the model', async () => {
+    gemini.queueTurn(functionCall('create_calendar_event', {
+        summary: 'Планерка', start_time: '2030-03-15T10:00:00+03:00', end_time: '2030-03-15T10:30:00+03:00',
+    }));
+    gemini.queueTurn(text('Создала планерку на пятницу.'));
+    sendChatMessage(app.document, 'Поставь планерку на пятницу в 10');
+    await waitForReply(app.document);
+
+    const [created] = googleApi.events('primary');
+    assert.equal(created.summary, 'Планерка');
+    assert.deepEqual(created.start, { dateTime: '2030-03-15T10:00:00+03:00', timeZone: 'Europe/Moscow' });
+    assert.ok(app.document.querySelector(`#message-list .event-card[data-event-id="${created.id}"]`), 'the created event is shown as a card');
+
+    const followUp = gemini.chatRequests().at(-1).contents;
+    assert.deepEqual(followUp.at(-2).parts, [{ functionCall: { name: 'create_calendar_event', args: {
+        summary: 'Планерка', start_time: '2030-03-15T10:00:00+03:00', end_time: '2030-03-15T10:30:00+03:00',
+    } } }]);
+    const { functionResponse } = followUp.at(-1).parts[0];
+    assert.equal(functionResponse.name, 'create_calendar_event');
+    assert.equal(functionResponse.response.status, 'created');
+    assert.equal(functionResponse.response.event.id, created.id);
+    assert.equal(chatMessages(app.document).at(-1), 'model: Создала планерку на пятницу.');
+});
+
+test('chains several function calls within one request', async () => {
+    gemini.queueTurn(functionCall('list_tasks', {}));
+    gemini.queueTurn(functionCall('complete_task', { task_id: 'task-report' }));
+    gemini.queueTurn(text('Отметила «Сдать отчет» как выполненную.'));
+    sendChatMessage(app.document, 'Я сдал отчет');
+    await waitForReply(app.document);
+
+    const listed = gemini.chatRequests().at(-2).contents.at(-1).parts[0].functionResponse.response;
+    assert.deepEqual(listed.tasks.map(task => task.id), ['task-report']);
+    assert.equal(googleApi.tasks('@default')[0].status, 'completed');
+    assert.equal(gemini.pendingTurns(), 0);
+});
+
+test('asks before a destructive action and keeps the task when declined', async () => {
+    googleApi.tasks('@default').push({ id: 'task-keep', title: 'Купить билеты', status: 'needsAction' });
+    gemini.queueTurn(functionCall('delete_task', { task_id: 'task-keep' }));
+    gemini.queueTurn(text('Хорошо, оставила задачу.'));
+    sendChatMessage(app.document, 'Удали задачу про билеты');
+
+    const cancel = await waitFor(() => app.document.querySelector('#message-list [data-confirm="no"]'));
+    assert.match(cancel.closest('.confirm-block').textContent, /Купить билеты/);
+    cancel.click();
+    await waitForReply(app.document);
+
+    assert.ok(googleApi.tasks('@default').some(task => task.id === 'task-keep'));
+    const { response } = gemini.chatRequests().at(-1).contents.at(-1).parts[0].functionResponse;
+    assert.equal(response.status, 'cancelled');
+});
+
+test('deletes after confirmation and offers to undo', async () => {
+    googleApi.tasks('@default').push({ id: 'task-old', title: 'Старая задача', status: 'needsAction' });
+    gemini.queueTurn(functionCall('delete_task', { task_id: 'task-old' }));
+    gemini.queueTurn(text('Удалила.'));
+    sendChatMessage(app.document, 'Удали старую задачу');
+
+    (await waitFor(() => app.document.querySelector('#message-list [data-confirm="yes"]'))).click();
+    await waitForReply(app.document);
+    assert.ok(!googleApi.tasks('@default').some(task => task.id === 'task-old'));
+
+    app.document.querySelector('.undo-bar [data-action="undo"]').click();
+    await waitFor(() => googleApi.tasks('@default').some(task => task.title === 'Старая задача'));
+});
+
+test('shows an error when Gemini fails', async () => {
+    gemini.queueError(new Error('RESOURCE_EXHAUSTED'));
+    sendChatMessage(app.document, 'Привет');
+    await waitForReply(app.document);
+
+    assert.equal(chatMessages(app.document).at(-1), `error: ${t('chat.error.gemini')}`);
+});
+
+test('stops a runaway tool loop after a fixed number of steps', async () => {
+    for (let step = 0; step < 6; step++) gemini.queueTurn(functionCall('list_task_lists'));
+    sendChatMessage(app.document, 'Покажи списки');
+    await waitForReply(app.document);
+
+    assert.equal(gemini.pendingTurns(), 0);
+    assert.equal(chatMessages(app.document).at(-1), `error: ${t('chat.error.tooManySteps')}`);
+});
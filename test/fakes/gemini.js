@@ -0,0 +1,54 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// --- Scripted Gemini ---
+// A client shaped like GoogleGenAI whose chat turns are queued by the test:
+// each generateContentStream call plays the next turn, text and function
+// calls alike. One-off generateContent calls (suggestions, the briefing,
+// the settings check) are answered by `respond`. Requests are kept for assertions.
+
+export const text = value => ({ text: value });
+export const functionCall = (name, args = {}) => ({ functionCall: { name, args } });
+
+export function createScriptedGemini() {
+    const turns = [];
+    const requests = [];
+    let respond = request => (request.config?.responseMimeType === 'application/json' ? '[]' : 'ok');
+
+    const models = {
+        async generateContentStream(request) {
+            requests.push(request);
+            const turn = turns.shift();
+            if (!turn) throw new Error('Scripted Gemini: no turn queued for this request');
+            if (turn instanceof Error) throw turn;
+            return (async function* () {
+                // One chunk per part, so text arrives in pieces like a real stream.
+                for (const part of turn) {
+                    if (request.config?.abortSignal?.aborted) return;
+                    yield { candidates: [{ content: { role: 'model', parts: [part] } }] };
+                }
+            })();
+        },
+        async generateContent(request) {
+            requests.push(request);
+            return { text: await respond(request) };
+        },
+    };
+
+    return {
+        models,
+        requests,
+        /** Queues the parts of the next streamed model turn. */
+        queueTurn: (...parts) => turns.push(parts),
+        /** Makes the next streamed turn fail, e.g. with a quota error. */
+        queueError: error => turns.push(error),
+        /** Sets the answer to one-off requests; the function gets the request. */
+        respondWith: (handler) => { respond = handler; },
+        pendingTurns: () => turns.length,
+        /** Requests of the chat, i.e. those that carry the function declarations. */
+        chatRequests: () => requests.filter(request => request.config?.tools),
+    };
+}
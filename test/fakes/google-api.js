@@ -0,0 +1,254 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// --- Fake Google APIs ---
+// In-memory stand-ins for the parts of `gapi` (Calendar, Tasks, People and the
+// userinfo endpoint) and Google Identity Services that the app uses. Requests
+// resolve to `{ result }` like gapi's, failures reject with `{ status, result: { error } }`,
+// and every call is recorded in `calls` for assertions.
+
+export const TEST_USER = { name: 'Анна Петрова', email: 'anna@example.com', picture: 'https://example.com/anna.png' };
+
+/**
+ * @param {object} [data]
+ * @param {object[]} [data.calendars] calendarList entries; the first is primary unless one says so.
+ * @param {Record<string, object[]>} [data.events] Events by calendar ID.
+ * @param {object[]} [data.taskLists]
+ * @param {Record<string, object[]>} [data.tasks] Tasks by task list ID.
+ * @param {{ name: string, email: string }[]} [data.contacts]
+ * @param {{ name: string, email: string }[]} [data.otherContacts]
+ * @param {Record<string, { start: string, end: string }[]>} [data.busy] Free/busy of other people by email.
+ */
+export function createFakeGoogleApi(data = {}) {
+    const calendars = structuredClone(data.calendars || [{ id: TEST_USER.email, summary: TEST_USER.email, primary: true, accessRole: 'owner', backgroundColor: '#4285f4' }]);
+    const primaryId = (calendars.find(calendar => calendar.primary) || calendars[0]).id;
+    const events = new Map(calendars.map(calendar => [calendar.id, structuredClone(data.events?.[calendar.id] || []).map(event => ({ sequence: 0, ...event }))]));
+    const taskLists = structuredClone(data.taskLists || [{ id: 'default-list', title: 'Мои задачи' }]);
+    const tasks = new Map(taskLists.map(list => [list.id, structuredClone(data.tasks?.[list.id] || [])]));
+    const calls = [];
+    const failures = new Map();
+    let token = null;
+    let nextId = 1;
+
+    const calendarId = id => (id === 'primary' ? primaryId : id);
+    const taskListId = id => (id === '@default' ? taskLists[0].id : id);
+    const eventsOf = id => {
+        if (!events.has(calendarId(id))) throw apiError(404, `Calendar ${id} not found.`);
+        return events.get(calendarId(id));
+    };
+    const tasksOf = id => {
+        if (!tasks.has(taskListId(id))) throw apiError(404, `Task list ${id} not found.`);
+        return tasks.get(taskListId(id));
+    };
+    const findIn = (items, id) => {
+        const item = items.find(candidate => candidate.id === id);
+        if (!item) throw apiError(404, 'Not Found');
+        return item;
+    };
+
+    // Each method records its call and turns a thrown error into a rejected request, as gapi does.
+    const method = (name, implementation) => async (params = {}) => {
+        calls.push({ method: name, params: structuredClone(params) });
+        if (failures.has(name)) {
+            const error = failures.get(name);
+            failures.delete(name);
+            throw error;
+        }
+        return { result: structuredClone(implementation(params)) };
+    };
+
+    const client = {
+        init: async () => {},
+        getToken: () => token,
+        setToken: (value) => { token = value; },
+        request: method('request', ({ path }) => {
+            if (path.includes('/userinfo')) return TEST_USER;
+            throw apiError(404, `Unknown path ${path}`);
+        }),
+        calendar: {
+            calendarList: {
+                list: method('calendar.calendarList.list', () => ({ items: calendars })),
+            },
+            events: {
+                list: method('calendar.events.list', (params) => {
+                    const items = eventsOf(params.calendarId)
+                        .filter(event => params.showDeleted || event.status !== 'cancelled')
+                        .filter(event => !params.iCalUID || event.iCalUID === params.iCalUID)
+                        .filter(event => !params.q || textOf(event).includes(params.q.toLowerCase()))
+                        .filter(event => !params.timeMin || eventEnd(event) > new Date(params.timeMin))
+                        .filter(event => !params.timeMax || eventStart(event) < new Date(params.timeMax))
+                        .sort((a, b) => eventStart(a) - eventStart(b));
+                    return { items: params.maxResults ? items.slice(0, params.maxResults) : items };
+                }),
+                get: method('calendar.events.get', ({ calendarId: id, eventId }) => findIn(eventsOf(id), eventId)),
+                insert: method('calendar.events.insert', ({ calendarId: id, resource, conferenceDataVersion }) => {
+                    const event = {
+                        ...structuredClone(resource),
+                        id: `event-${nextId++}`,
+                        status: 'confirmed',
+                        sequence: 0,
+                        htmlLink: 'https://calendar.google.com/event',
+                        organizer: { email: TEST_USER.email, self: true },
+                    };
+                    if (conferenceDataVersion && resource.conferenceData?.createRequest) {
+                        event.hangoutLink = 'https://meet.google.com/abc-defg-hij';
+                    }
+                    eventsOf(id).push(event);
+                    return event;
+                }),
+                import: method('calendar.events.import', ({ calendarId: id, resource }) => {
+                    const event = { ...structuredClone(resource), id: `event-${nextId++}`, status: 'confirmed' };
+                    eventsOf(id).push(event);
+                    return event;
+                }),
+                patch: method('calendar.events.patch', ({ calendarId: id, eventId, resource }) => {
+                    const event = findIn(eventsOf(id), eventId);
+                    checkSequence(event, resource);
+                    return Object.assign(event, structuredClone(resource), nextVersion(event));
+                }),
+                update: method('calendar.events.update', ({ calendarId: id, eventId, resource }) => {
+                    const items = eventsOf(id);
+                    const index = items.indexOf(findIn(items, eventId));
+                    checkSequence(items[index], resource);
+                    items[index] = { ...structuredClone(resource), id: eventId, ...nextVersion(items[index]) };
+                    return items[index];
+                }),
+                // Like the real API, a deleted event stays behind as "cancelled" and can be updated back.
+                delete: method('calendar.events.delete', ({ calendarId: id, eventId }) => {
+                    const event = findIn(eventsOf(id), eventId);
+                    if (event.status === 'cancelled') throw apiError(410, 'Resource has been deleted');
+                    Object.assign(event, { status: 'cancelled' }, nextVersion(event));
+                    return {};
+                }),
+                // Recurring events are not expanded: a series has no separate instances here.
+                instances: method('calendar.events.instances', ({ calendarId: id, eventId }) => ({ items: [findIn(eventsOf(id), eventId)] })),
+            },
+            freebusy: {
+                query: method('calendar.freebusy.query', ({ resource }) => ({
+                    calendars: Object.fromEntries(resource.items.map(({ id }) => [id, {
+                        busy: events.has(calendarId(id))
+                            ? eventsOf(id)
+                                .filter(event => event.status !== 'cancelled' && event.start.dateTime && eventEnd(event) > new Date(resource.timeMin) && eventStart(event) < new Date(resource.timeMax))
+                                .map(event => ({ start: event.start.dateTime, end: event.end.dateTime }))
+                            : (data.busy?.[id] || []),
+                    }])),
+                })),
+            },
+        },
+        tasks: {
+            tasklists: {
+                list: method('tasks.tasklists.list', () => ({ items: taskLists })),
+            },
+            tasks: {
+                list: method('tasks.tasks.list', (params) => ({
+                    items: tasksOf(params.tasklist)
+                        .filter(task => params.showCompleted !== false || task.status !== 'completed')
+                        .filter(task => !params.dueMin || (task.due && task.due >= params.dueMin))
+                        .filter(task => !params.dueMax || (task.due && task.due < params.dueMax)),
+                })),
+                get: method('tasks.tasks.get', ({ tasklist, task }) => findIn(tasksOf(tasklist), task)),
+                insert: method('tasks.tasks.insert', ({ tasklist, parent, resource }) => {
+                    const task = { status: 'needsAction', ...structuredClone(resource), id: `task-${nextId++}`, ...(parent ? { parent } : {}) };
+                    tasksOf(tasklist).push(task);
+                    return task;
+                }),
+                patch: method('tasks.tasks.patch', ({ tasklist, task, resource }) => Object.assign(findIn(tasksOf(tasklist), task), structuredClone(resource))),
+                update: method('tasks.tasks.update', ({ tasklist, task, resource }) => {
+                    const items = tasksOf(tasklist);
+                    const index = items.indexOf(findIn(items, task));
+                    items[index] = { ...structuredClone(resource), id: task };
+                    return items[index];
+                }),
+                move: method('tasks.tasks.move', ({ tasklist, task, destinationTasklist, parent }) => {
+                    const items = tasksOf(tasklist);
+                    const moved = findIn(items, task);
+                    if (parent) moved.parent = parent;
+                    if (destinationTasklist) {
+                        items.splice(items.indexOf(moved), 1);
+                        tasksOf(destinationTasklist).push(moved);
+                    }
+                    return moved;
+                }),
+                delete: method('tasks.tasks.delete', ({ tasklist, task }) => {
+                    const items = tasksOf(tasklist);
+                    items.splice(items.indexOf(findIn(items, task)), 1);
+                    return {};
+                }),
+            },
+        },
+        people: {
+            people: {
+                searchContacts: method('people.people.searchContacts', ({ query }) => ({ results: searchPeople(data.contacts, query) })),
+            },
+            otherContacts: {
+                search: method('people.otherContacts.search', ({ query }) => ({ results: searchPeople(data.otherContacts, query) })),
+            },
+        },
+    };
+
+    return {
+        gapi: { load: (name, { callback }) => callback(), client },
+        calls,
+        /** The stored events of a calendar, 'primary' included. */
+        events: id => events.get(calendarId(id)),
+        /** The stored tasks of a task list, '@default' included. */
+        tasks: id => tasks.get(taskListId(id)),
+        /** Calls of one method, e.g. 'calendar.events.insert'. */
+        callsOf: name => calls.filter(call => call.method === name),
+        /** Makes the next call of a method fail, e.g. failNext('calendar.calendarList.list', apiError(503, 'Backend Error')). */
+        failNext: (name, error) => { failures.set(name, error); },
+    };
+}
+
+/**
+ * Google Identity Services that grants a token to every request, as it does
+ * for a user who has already given consent.
+ */
+export function createFakeIdentity() {
+    return {
+        oauth2: {
+            initTokenClient: ({ callback }) => ({
+                requestAccessToken: () => queueMicrotask(() => callback({ access_token: 'test-token', expires_in: 3600 })),
+            }),
+            revoke: (accessToken, done) => queueMicrotask(done),
+        },
+    };
+}
+
+export function apiError(code, message, reason) {
+    return { status: code, result: { error: { code, message, errors: reason ? [{ reason, message }] : [] } } };
+}
+
+// Every change raises an event's sequence, and writes may not send an older one.
+function checkSequence(event, resource) {
+    if (resource.sequence !== undefined && resource.sequence < (event.sequence || 0)) {
+        throw apiError(400, 'Invalid sequence value. The specified sequence number is below the current sequence number of the resource.');
+    }
+}
+
+// A changed event gets a new etag as well.
+function nextVersion(event) {
+    const sequence = (event.sequence || 0) + 1;
+    return { sequence, etag: `"${sequence}"` };
+}
+
+function eventStart(event) {
+    return new Date(event.start.dateTime || `${event.start.date}T00:00:00`);
+}
+
+function eventEnd(event) {
+    return new Date(event.end.dateTime || `${event.end.date}T00:00:00`);
+}
+
+function textOf(event) {
+    return `${event.summary || ''} ${event.description || ''} ${(event.attendees || []).map(a => `${a.displayName || ''} ${a.email}`).join(' ')}`.toLowerCase();
+}
+
+function searchPeople(people = [], query) {
+    return people
+        .filter(person => !query || `${person.name} ${person.email}`.toLowerCase().includes(query.toLowerCase()))
+        .map(person => ({ person: { names: [{ displayName: person.name }], emailAddresses: [{ value: person.email }] } }));
+}
@@ -0,0 +1,73 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import './helpers/browser.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeGoogleApi, apiError } from './fakes/google-api.js';
+import { setApiClients } from '../api-clients.js';
+import { setAuthHandlers, initTokenClient, restoreSavedToken, forgetToken, isSignInError, TokenError, googleApi } from '../google-auth.js';
+
+const api = createFakeGoogleApi();
+let tokensIssued = 0;
+// What GIS answers the next token request with; it grants one by default.
+let answerTokenRequest = () => ({ access_token: `token-${++tokensIssued}`, expires_in: 3600 });
+const expiredSessions = [];
+
+before(() => {
+    setApiClients({
+        gapi: () => api.gapi,
+        identity: () => ({
+            oauth2: {
+                initTokenClient: ({ callback }) => ({ requestAccessToken: () => queueMicrotask(() => callback(answerTokenRequest())) }),
+            },
+        }),
+    });
+    setAuthHandlers({ isSignedIn: () => true, onSessionExpired: error => expiredSessions.push(error) });
+    initTokenClient('test-client-id', 'https://www.googleapis.com/auth/calendar');
+});
+
+// The stored token's refresh timer would keep the process alive.
+after(forgetToken);
+
+test('renews the token and retries once when a request fails with 401', async () => {
+    api.failNext('calendar.calendarList.list', apiError(401, 'Invalid Credentials'));
+    const { result } = await googleApi.calendar.calendarList.list();
+
+    assert.equal(result.items.length, 1);
+    assert.equal(api.callsOf('calendar.calendarList.list').length, 2);
+    assert.deepEqual(api.gapi.client.getToken(), { access_token: 'token-1' });
+    assert.equal(JSON.parse(sessionStorage.getItem('googleToken')).access_token, 'token-1');
+    assert.equal(localStorage.getItem('googleSignedIn'), 'true');
+});
+
+test('ends the session when the token cannot be renewed', async () => {
+    answerTokenRequest = () => ({ error: 'interaction_required' });
+    api.failNext('calendar.calendarList.list', apiError(401, 'Invalid Credentials'));
+
+    await assert.rejects(googleApi.calendar.calendarList.list(), error => error.status === 401);
+    assert.equal(expiredSessions.length, 1);
+    assert.ok(expiredSessions[0] instanceof TokenError);
+});
+
+test('reuses the tab\'s token only while it stays valid for a while', () => {
+    sessionStorage.setItem('googleToken', JSON.stringify({ access_token: 'saved', expiresAt: Date.now() + 60000 }));
+    assert.equal(restoreSavedToken(), false);
+
+    sessionStorage.setItem('googleToken', JSON.stringify({ access_token: 'saved', expiresAt: Date.now() + 3600000 }));
+    assert.equal(restoreSavedToken(), true);
+    assert.deepEqual(api.gapi.client.getToken(), { access_token: 'saved' });
+});
+
+test('tells sign-in failures from other errors', () => {
+    assert.ok(isSignInError(apiError(401, 'Invalid Credentials')));
+    assert.ok(isSignInError(new TokenError('access_denied')));
+    assert.ok(isSignInError(apiError(403, 'Insufficient Permission', 'insufficientPermissions')));
+    assert.ok(!isSignInError(apiError(403, 'Calendar API has not been used in this project', 'accessNotConfigured')));
+    assert.ok(!isSignInError(apiError(403, 'Rate Limit Exceeded', 'rateLimitExceeded')));
+    assert.ok(!isSignInError(apiError(503, 'Backend Error')));
+    assert.ok(!isSignInError(new Error('Failed to fetch')));
+});
@@ -0,0 +1,152 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import 'fake-indexeddb/auto';
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+import { createFakeIdentity } from '../fakes/google-api.js';
+
+// --- Test App ---
+// Starts the real app (index.html and index.js) in jsdom with fake API
+// clients. index.js keeps its state in module scope, so it can only be
+// started once per process: node --test runs every test file in its own.
+
+const ROOT = new URL('../../', import.meta.url);
+// jsdom's versions replace Node's own, so events created by the app reach jsdom listeners.
+const OVERRIDDEN_GLOBALS = ['Event', 'CustomEvent', 'navigator'];
+// The app runs on Node's timers (jsdom's own are built on them), so they are
+// recorded here to be cleared when the app is closed.
+const timers = new Set();
+
+/**
+ * @param {object} options
+ * @param {ReturnType<typeof import('../fakes/google-api.js').createFakeGoogleApi>} options.googleApi
+ * @param {ReturnType<typeof import('../fakes/gemini.js').createScriptedGemini>} options.gemini
+ * @param {Record<string, string>} [options.storage] localStorage entries on top of the defaults.
+ * @param {boolean} [options.signedIn] Start signed in to Google, as after an earlier visit.
+ * @param {boolean} [options.waitForSignIn] Wait for the signed-in header; off for tests where setting it up fails.
+ */
+export async function startApp({ googleApi, gemini, storage = {}, signedIn = true, waitForSignIn = signedIn }) {
+    const { window } = new JSDOM(readFileSync(new URL('index.html', ROOT), 'utf8'), { url: 'http://localhost/', pretendToBeVisual: true });
+    const alerts = [];
+    const confirms = [];
+    let confirmAnswer = true;
+    window.alert = message => alerts.push(message);
+    window.confirm = (message) => {
+        confirms.push(message);
+        return confirmAnswer;
+    };
+    // The Google scripts count as loaded; their objects come from the fakes.
+    window.gapiLoaded = true;
+    window.gisLoaded = true;
+    installGlobals(window);
+    trackTimers();
+
+    Object.entries({
+        language: 'ru',
+        timeZone: 'Europe/Moscow',
+        geminiApiKey: 'test-key',
+        googleClientId: 'test-client-id',
+        briefingEnabled: 'false',
+        ...(signedIn ? { googleSignedIn: 'true' } : {}),
+        ...storage,
+    }).forEach(([key, value]) => window.localStorage.setItem(key, value));
+
+    const { setApiClients } = await import('../../api-clients.js');
+    setApiClients({ gapi: () => googleApi.gapi, identity: createFakeIdentity, createGemini: () => gemini });
+    const { initializeApp } = await import('../../index.js');
+    await initializeApp();
+
+    const settle = () => waitForQuiet(() => googleApi.calls.length + gemini.requests.length);
+    if (waitForSignIn) await waitFor(() => window.document.getElementById('user-avatar-button'));
+    if (signedIn) await settle();
+    /** Sets what the browser's confirm() dialogs answer from now on; they say yes by default. */
+    const answerConfirms = (answer) => { confirmAnswer = answer; };
+    /**
+     * Ends the app so the test process can exit: clears its timers (the
+     * notification check, the token refresh, the undo bar) and closes the
+     * window along with its listeners. Call it from `after()`.
+     */
+    const close = async () => {
+        await settle();
+        timers.forEach(timer => clearTimeout(timer));
+        timers.clear();
+        window.close();
+    };
+    return { window, document: window.document, alerts, confirms, answerConfirms, settle, close };
+}
+
+function installGlobals(window) {
+    Object.getOwnPropertyNames(window).forEach((name) => {
+        if (name in globalThis && !OVERRIDDEN_GLOBALS.includes(name)) return;
+        Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+    });
+}
+
+/** Resolves with the first truthy result of `check`, polling until `timeout` ms have passed. */
+export async function waitFor(check, { timeout = 3000 } = {}) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const result = check();
+        if (result) return result;
+        if (Date.now() > deadline) throw new Error(`waitFor timed out: ${check}`);
+        await delay(10);
+    }
+}
+
+/** Waits until `count()` stops changing, i.e. the app has no more requests in flight. */
+async function waitForQuiet(count, { stableFor = 60, timeout = 3000 } = {}) {
+    const deadline = Date.now() + timeout;
+    let last = count();
+    let stableSince = Date.now();
+    while (Date.now() - stableSince < stableFor) {
+        if (Date.now() > deadline) throw new Error('The app did not settle');
+        await delay(10);
+        if (count() !== last) {
+            last = count();
+            stableSince = Date.now();
+        }
+    }
+}
+
+export function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/** Types `text` into the chat input and presses the send button. */
+export function sendChatMessage(document, text) {
+    const input = document.getElementById('chat-text-input');
+    input.value = text;
+    input.dispatchEvent(new document.defaultView.Event('input', { bubbles: true }));
+    document.getElementById('send-button-chat').click();
+}
+
+/** Resolves once the chat takes input again; while a confirmation is pending it doesn't. */
+export function waitForReply(document) {
+    return waitFor(() => !document.getElementById('chat-text-input').disabled);
+}
+
+/** Texts of the messages in the chat, in order, each as `type: text`. */
+export function chatMessages(document) {
+    return [...document.querySelectorAll('#message-list .message-wrapper')].map((wrapper) => {
+        const type = [...wrapper.classList].find(name => name.endsWith('-wrapper') && name !== 'message-wrapper')?.replace('-wrapper', '');
+        return `${type}: ${wrapper.textContent.replace(/\s+/g, ' ').trim()}`;
+    });
+}
+
+function trackTimers() {
+    const { setTimeout, setInterval } = globalThis;
+    globalThis.setTimeout = (...args) => {
+        const timer = setTimeout(...args);
+        timers.add(timer);
+        return timer;
+    };
+    globalThis.setInterval = (...args) => {
+        const timer = setInterval(...args);
+        timers.add(timer);
+        return timer;
+    };
+}
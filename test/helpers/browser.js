@@ -0,0 +1,40 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import 'fake-indexeddb/auto';
+
+// --- Browser Globals ---
+// The few browser objects the app's modules use (storage, navigator,
+// IndexedDB), for tests that import a module directly instead of starting
+// the app. Import this first: i18n.js reads the language when it loads.
+
+class MemoryStorage {
+    #items = new Map();
+    getItem(key) {
+        return this.#items.has(key) ? this.#items.get(key) : null;
+    }
+    setItem(key, value) {
+        this.#items.set(key, String(value));
+    }
+    removeItem(key) {
+        this.#items.delete(key);
+    }
+    clear() {
+        this.#items.clear();
+    }
+}
+
+const navigator = { language: 'ru-RU', onLine: true };
+Object.entries({ localStorage: new MemoryStorage(), sessionStorage: new MemoryStorage(), navigator }).forEach(([name, value]) => {
+    Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+});
+localStorage.setItem('language', 'ru');
+localStorage.setItem('timeZone', 'Europe/Moscow');
+
+/** Switches what `navigator.onLine` reports. */
+export function setOnline(onLine) {
+    navigator.onLine = onLine;
+}
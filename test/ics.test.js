@@ -0,0 +1,141 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import './helpers/browser.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseIcs, serializeIcs } from '../ics.js';
+import { t } from '../i18n.js';
+
+const calendar = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+// A zone as Outlook writes it: a Windows name with a VTIMEZONE that switches to summer time.
+const customZone = (tzid, extra = []) => [
+    'BEGIN:VTIMEZONE', `TZID:${tzid}`, ...extra,
+    'BEGIN:STANDARD', 'DTSTART:16010101T030000', 'TZOFFSETFROM:+0200', 'TZOFFSETTO:+0100', 'RRULE:FREQ=YEARLY;BYDAY=-1SU;BYMONTH=10', 'END:STANDARD',
+    'BEGIN:DAYLIGHT', 'DTSTART:16010101T020000', 'TZOFFSETFROM:+0100', 'TZOFFSETTO:+0200', 'RRULE:FREQ=YEARLY;BYDAY=-1SU;BYMONTH=3', 'END:DAYLIGHT',
+    'END:VTIMEZONE',
+];
+
+test('reads events with folded lines, escaped text, attendees and durations', () => {
+    const { events, skipped } = parseIcs(calendar(
+        'BEGIN:VEVENT',
+        'UID:kickoff@example.com',
+        'DTSTART:20300318T070000Z',
+        'DURATION:PT1H30M',
+        'SUMMARY:Старт проекта\\, этап 1',
+        'DESCRIPTION:Повестка:\\n1. Цели\\n2. Сроки; риск',
+        '  и бюджет',
+        'LOCATION:Переговорная 3',
+        'ATTENDEE;CN="Мария Соколова";ROLE=REQ-PARTICIPANT:mailto:maria@example.com',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:vacation@example.com',
+        'DTSTART;VALUE=DATE:20300701',
+        'SUMMARY:Отпуск',
+        'END:VEVENT',
+    ));
+
+    assert.equal(skipped, 0);
+    assert.deepEqual(events, [
+        {
+            iCalUID: 'kickoff@example.com',
+            summary: 'Старт проекта, этап 1',
+            start: { dateTime: '2030-03-18T07:00:00Z' },
+            end: { dateTime: '2030-03-18T08:30:00Z' },
+            description: 'Повестка:\n1. Цели\n2. Сроки; риск и бюджет',
+            location: 'Переговорная 3',
+            attendees: [{ email: 'maria@example.com', displayName: 'Мария Соколова' }],
+        },
+        { iCalUID: 'vacation@example.com', summary: 'Отпуск', start: { date: '2030-07-01' }, end: { date: '2030-07-02' } },
+    ]);
+});
+
+test('skips cancelled events and changed occurrences', () => {
+    const { events, skipped } = parseIcs(calendar(
+        'BEGIN:VEVENT', 'UID:a', 'DTSTART:20300318T070000Z', 'STATUS:CANCELLED', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:b', 'RECURRENCE-ID:20300325T070000Z', 'DTSTART:20300325T080000Z', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:c', 'SUMMARY:Без даты', 'END:VEVENT',
+    ));
+    assert.deepEqual(events, []);
+    assert.equal(skipped, 3);
+});
+
+test('refuses text that is not a calendar', () => {
+    assert.throws(() => parseIcs('Встреча завтра в 10'), { message: t('ics.noCalendar') });
+});
+
+test('keeps floating times in the user\'s time zone', () => {
+    const { events: [event] } = parseIcs(calendar('BEGIN:VEVENT', 'UID:a', 'DTSTART:20300318T100000', 'DTEND:20300318T110000', 'END:VEVENT'));
+    assert.deepEqual(event.start, { dateTime: '2030-03-18T10:00:00', timeZone: 'Europe/Moscow' });
+});
+
+test('maps Windows and prefixed zone names to their IANA zone', () => {
+    const { events: [outlook, mozilla] } = parseIcs(calendar(
+        'BEGIN:VEVENT', 'UID:a', 'DTSTART;TZID=Russian Standard Time:20300318T100000', 'DTEND;TZID=Russian Standard Time:20300318T110000', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:b', 'DTSTART;TZID=/mozilla.org/20070129_1/Europe/Berlin:20300318T100000', 'DURATION:PT1H', 'END:VEVENT',
+    ));
+    assert.deepEqual(outlook.start, { dateTime: '2030-03-18T10:00:00', timeZone: 'Europe/Moscow' });
+    assert.deepEqual(mozilla.end, { dateTime: '2030-03-18T11:00:00', timeZone: 'Europe/Berlin' });
+});
+
+test('resolves an unknown zone through its VTIMEZONE, with summer time', () => {
+    const { events: [winter, summer] } = parseIcs(calendar(
+        ...customZone('Customized Time Zone'),
+        'BEGIN:VEVENT', 'UID:a', 'DTSTART;TZID=Customized Time Zone:20300114T100000', 'DURATION:PT1H', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:b', 'DTSTART;TZID=Customized Time Zone:20300715T100000', 'DURATION:PT1H', 'END:VEVENT',
+    ));
+    assert.deepEqual(winter.start, { dateTime: '2030-01-14T10:00:00+01:00' });
+    assert.deepEqual(summer.start, { dateTime: '2030-07-15T10:00:00+02:00' });
+});
+
+test('keeps the source zone of a recurring event', () => {
+    const { events: [located, windows] } = parseIcs(calendar(
+        ...customZone('Customized Time Zone', ['X-LIC-LOCATION:Europe/Paris']),
+        'BEGIN:VEVENT', 'UID:a', 'DTSTART;TZID=Customized Time Zone:20300114T100000', 'DURATION:PT1H',
+        'RRULE:FREQ=WEEKLY;BYDAY=MO', 'EXDATE;TZID=Customized Time Zone:20300121T100000', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:b', 'DTSTART;TZID=Russian Standard Time:20300114T100000', 'DURATION:PT1H', 'RRULE:FREQ=DAILY;COUNT=5', 'END:VEVENT',
+    ));
+
+    assert.deepEqual(located.start, { dateTime: '2030-01-14T10:00:00', timeZone: 'Europe/Paris' });
+    assert.deepEqual(located.recurrence, ['RRULE:FREQ=WEEKLY;BYDAY=MO', 'EXDATE;TZID=Europe/Paris:20300121T100000']);
+    assert.deepEqual(windows.end, { dateTime: '2030-01-14T11:00:00', timeZone: 'Europe/Moscow' });
+});
+
+test('keeps the offset of a recurring event in a zone known only from its VTIMEZONE', () => {
+    const { events: [event] } = parseIcs(calendar(
+        'BEGIN:VTIMEZONE', 'TZID:Gulf', 'BEGIN:STANDARD', 'DTSTART:16010101T000000', 'TZOFFSETFROM:+0400', 'TZOFFSETTO:+0400', 'END:STANDARD', 'END:VTIMEZONE',
+        'BEGIN:VEVENT', 'UID:a', 'DTSTART;TZID=Gulf:20300114T100000', 'DURATION:PT1H', 'RRULE:FREQ=WEEKLY', 'END:VEVENT',
+    ));
+    assert.deepEqual(event.start, { dateTime: '2030-01-14T10:00:00+04:00', timeZone: 'Etc/GMT-4' });
+});
+
+test('writes events that read back the same', () => {
+    const events = [
+        {
+            id: 'planning', iCalUID: 'planning@google.com', summary: 'Планирование, спринт 12', description: 'Повестка:\n1. Итоги; 2. Планы',
+            location: 'Офис', start: { dateTime: '2030-03-18T10:00:00+03:00', timeZone: 'Europe/Moscow' }, end: { dateTime: '2030-03-18T11:00:00+03:00', timeZone: 'Europe/Moscow' },
+            recurrence: ['RRULE:FREQ=WEEKLY;BYDAY=MO'], attendees: [{ email: 'maria@example.com', displayName: 'Мария "Маша" Соколова' }],
+        },
+        { id: 'review', summary: 'Ревью', start: { dateTime: '2030-03-19T13:00:00Z' }, end: { dateTime: '2030-03-19T14:00:00Z' }, status: 'tentative' },
+        { id: 'vacation', summary: 'Отпуск', start: { date: '2030-07-01' }, end: { date: '2030-07-15' } },
+    ];
+    const text = serializeIcs(events, { name: 'Работа' });
+
+    assert.ok(text.split('\r\n').every(line => new TextEncoder().encode(line).length <= 75));
+    assert.match(text, /^X-WR-CALNAME:Работа\r$/m);
+    assert.match(text, /^DTSTART;TZID=Europe\/Moscow:20300318T100000\r$/m);
+
+    const { events: [planning, review, vacation] } = parseIcs(text);
+    assert.deepEqual(planning, {
+        iCalUID: 'planning@google.com', summary: 'Планирование, спринт 12', description: 'Повестка:\n1. Итоги; 2. Планы', location: 'Офис',
+        start: { dateTime: '2030-03-18T10:00:00', timeZone: 'Europe/Moscow' }, end: { dateTime: '2030-03-18T11:00:00', timeZone: 'Europe/Moscow' },
+        recurrence: ['RRULE:FREQ=WEEKLY;BYDAY=MO'], attendees: [{ email: 'maria@example.com', displayName: 'Мария Маша Соколова' }],
+    });
+    assert.equal(review.iCalUID, 'review@google.com');
+    assert.deepEqual([review.start, review.end], [{ dateTime: '2030-03-19T13:00:00Z' }, { dateTime: '2030-03-19T14:00:00Z' }]);
+    assert.deepEqual([vacation.start, vacation.end], [{ date: '2030-07-01' }, { date: '2030-07-15' }]);
+});
@@ -0,0 +1,110 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startLiveSession, liveApiUrl, INPUT_SAMPLE_RATE } from '../live-session.js';
+
+/** A transport that records what the session sends; `receive` plays a server message. */
+function createFakeTransport() {
+    const transport = {
+        sent: [],
+        closed: false,
+        onmessage: null,
+        onclose: null,
+        send: message => transport.sent.push(message),
+        close: () => {
+            transport.closed = true;
+            transport.onclose?.('closed by client');
+        },
+        receive: message => transport.onmessage(message),
+    };
+    return transport;
+}
+
+/** Starts a session on a fresh transport, records what reaches the handlers, and completes the setup. */
+async function start(options = {}) {
+    const transport = createFakeTransport();
+    const events = [];
+    const handlers = Object.fromEntries(['onAudio', 'onInputTranscript', 'onOutputTranscript', 'onInterrupted', 'onTurnComplete', 'onToolCall', 'onClose']
+        .map(name => [name, (...args) => events.push([name, ...args])]));
+    const starting = startLiveSession(transport, {
+        model: 'gemini-live-2.5-flash-preview',
+        systemInstruction: 'Be brief.',
+        functionDeclarations: [{ name: 'find_events', description: 'Finds events.' }],
+        languageCode: 'en-US',
+        handlers,
+        ...options,
+    });
+    transport.receive({ setupComplete: {} });
+    return { transport, events, session: await starting };
+}
+
+test('sets up the session with the given model, language and tools', async () => {
+    const { transport } = await start();
+
+    assert.deepEqual(transport.sent, [{
+        setup: {
+            model: 'models/gemini-live-2.5-flash-preview',
+            generationConfig: { responseModalities: ['AUDIO'], speechConfig: { languageCode: 'en-US' } },
+            systemInstruction: { parts: [{ text: 'Be brief.' }] },
+            tools: [{ functionDeclarations: [{ name: 'find_events', description: 'Finds events.' }] }],
+            inputAudioTranscription: {},
+            outputAudioTranscription: {},
+        },
+    }]);
+    assert.equal(liveApiUrl('a key/1'), 'wss://generativelanguage.googleapis.com/ws/google.ai.generativelanguage.v1beta.GenerativeService.BidiGenerateContent?key=a%20key%2F1');
+});
+
+test('fails to start when the server closes before accepting the setup', async () => {
+    const transport = createFakeTransport();
+    const starting = startLiveSession(transport, { model: 'models/unknown', systemInstruction: '', functionDeclarations: [], languageCode: 'ru-RU', handlers: {} });
+    transport.onclose('models/unknown is not found');
+
+    await assert.rejects(starting, { message: 'models/unknown is not found' });
+    assert.equal(transport.sent[0].setup.model, 'models/unknown');
+});
+
+test('passes audio, transcripts and turn events on to the handlers', async () => {
+    const { transport, events, session } = await start();
+    session.sendAudio('AAEC');
+    transport.receive({ serverContent: { inputTranscription: { text: 'What is on ' } } });
+    transport.receive({ serverContent: { inputTranscription: { text: 'tomorrow?' } } });
+    transport.receive({ serverContent: { modelTurn: { parts: [{ inlineData: { data: 'UklG', mimeType: 'audio/pcm;rate=24000' } }] }, outputTranscription: { text: 'Two meetings.' } } });
+    transport.receive({ serverContent: { interrupted: true } });
+    transport.receive({ serverContent: { turnComplete: true } });
+
+    assert.deepEqual(transport.sent.at(-1), { realtimeInput: { audio: { data: 'AAEC', mimeType: `audio/pcm;rate=${INPUT_SAMPLE_RATE}` } } });
+    assert.deepEqual(events, [
+        ['onInputTranscript', 'What is on '],
+        ['onInputTranscript', 'tomorrow?'],
+        ['onAudio', 'UklG'],
+        ['onOutputTranscript', 'Two meetings.'],
+        ['onInterrupted'],
+        ['onTurnComplete'],
+    ]);
+});
+
+test('hands tool calls over and sends their results back', async () => {
+    const { transport, events, session } = await start();
+    session.sendText('Find my meetings');
+    transport.receive({ toolCall: { functionCalls: [{ id: 'call-1', name: 'find_events', args: { query: 'review' } }] } });
+    session.sendToolResponses([{ id: 'call-1', name: 'find_events', response: { events: [] } }]);
+
+    assert.deepEqual(events, [['onToolCall', [{ id: 'call-1', name: 'find_events', args: { query: 'review' } }]]]);
+    assert.deepEqual(transport.sent.slice(1), [
+        { clientContent: { turns: [{ role: 'user', parts: [{ text: 'Find my meetings' }] }], turnComplete: true } },
+        { toolResponse: { functionResponses: [{ id: 'call-1', name: 'find_events', response: { events: [] } }] } },
+    ]);
+});
+
+test('reports the end of the session', async () => {
+    const { transport, events, session } = await start();
+    session.close();
+
+    assert.equal(transport.closed, true);
+    assert.deepEqual(events, [['onClose', 'closed by client']]);
+});
@@ -0,0 +1,136 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { setOnline } from './helpers/browser.js';
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeGoogleApi, apiError, TEST_USER } from './fakes/google-api.js';
+import { setApiClients } from '../api-clients.js';
+import { listOutbox, removeFromOutbox, getCachedEvent } from '../offline-store.js';
+import { syncCalendar, listCachedEvents, queueOfflineChange, flushOutbox, resolveOutboxConflict } from '../offline-sync.js';
+
+// A full sync fetches the months around today.
+const day = new Date(Date.now() + 7 * 86400000).toISOString().slice(0, 10);
+const googleApi = createFakeGoogleApi({
+    events: {
+        [TEST_USER.email]: [
+            { id: 'standup', etag: '"1"', summary: 'Стендап', start: { dateTime: `${day}T10:00:00+03:00` }, end: { dateTime: `${day}T10:30:00+03:00` } },
+            { id: 'review', etag: '"1"', summary: 'Ревью', start: { dateTime: `${day}T15:00:00+03:00` }, end: { dateTime: `${day}T16:00:00+03:00` } },
+        ],
+    },
+    tasks: { 'default-list': [{ id: 'report', title: 'Сдать отчет', status: 'needsAction' }] },
+});
+const createdAt = '2030-03-17T12:00:00.000Z';
+const serverEvent = id => googleApi.events('primary').find(event => event.id === id);
+
+before(() => setApiClients({ gapi: () => googleApi.gapi }));
+
+beforeEach(async () => {
+    setOnline(true);
+    for (const entry of await listOutbox()) await removeFromOutbox(entry.id);
+});
+
+/** Replays the outbox and collects what it reports. */
+async function flush() {
+    const report = { conflicts: [], rejected: [], finished: null };
+    await flushOutbox({
+        onConflict: entry => report.conflicts.push(entry),
+        onRejected: (entry, error) => report.rejected.push({ entry, error }),
+        onFinished: (result) => { report.finished = result; },
+    });
+    return report;
+}
+
+test('answers event searches from the synced copy', async () => {
+    await syncCalendar('primary');
+    assert.equal((await getCachedEvent('primary', 'standup')).summary, 'Стендап');
+
+    const found = await listCachedEvents([{ id: 'primary' }], { timeMin: `${day}T12:00:00+03:00`, q: 'ревью' });
+    assert.deepEqual(found.map(event => event.id), ['review']);
+});
+
+test('folds edits of an event created offline into its creation', async () => {
+    const event = { summary: 'Обед', start: { dateTime: '2030-03-19T13:00:00+03:00' }, end: { dateTime: '2030-03-19T14:00:00+03:00' } };
+    await queueOfflineChange({ kind: 'event', type: 'create', calendarId: 'primary', itemId: 'local-1', resource: event, title: 'Обед', createdAt });
+    await queueOfflineChange({ kind: 'event', type: 'update', calendarId: 'primary', itemId: 'local-1', resource: { ...event, location: 'Кафе' }, title: 'Обед', createdAt });
+
+    const [queued, ...rest] = await listOutbox();
+    assert.equal(rest.length, 0);
+    assert.equal(queued.type, 'create');
+    assert.equal(queued.resource.location, 'Кафе');
+
+    await queueOfflineChange({ kind: 'event', type: 'delete', calendarId: 'primary', itemId: 'local-1', title: 'Обед', createdAt });
+    assert.deepEqual(await listOutbox(), []);
+});
+
+test('sends the queued changes once online', async () => {
+    const standup = structuredClone(serverEvent('standup'));
+    await queueOfflineChange({ kind: 'event', type: 'update', calendarId: 'primary', itemId: 'standup', etag: standup.etag, resource: { ...standup, location: 'Zoom' }, title: 'Стендап', createdAt });
+    await queueOfflineChange({ kind: 'task', type: 'update', tasklistId: '@default', itemId: 'report', resource: { status: 'completed' }, title: 'Сдать отчет', createdAt });
+
+    setOnline(false);
+    assert.equal((await flush()).finished.sent, 0);
+    assert.equal((await listOutbox()).length, 2);
+
+    setOnline(true);
+    const report = await flush();
+    assert.deepEqual(report.finished, { sent: 2, replayed: 2 });
+    assert.equal(serverEvent('standup').location, 'Zoom');
+    assert.equal(googleApi.tasks('@default')[0].status, 'completed');
+    assert.deepEqual(await listOutbox(), []);
+});
+
+test('sets a change aside when the item was edited elsewhere meanwhile', async () => {
+    const review = structuredClone(serverEvent('review'));
+    await queueOfflineChange({ kind: 'event', type: 'update', calendarId: 'primary', itemId: 'review', etag: '"0"', resource: { ...review, summary: 'Ревью кода' }, title: 'Ревью кода', createdAt });
+
+    const report = await flush();
+    assert.equal(report.conflicts.length, 1);
+    assert.equal(report.conflicts[0].conflict, 'changed');
+    assert.equal(serverEvent('review').summary, 'Ревью');
+    assert.equal((await listOutbox())[0].conflict, 'changed');
+
+    // Conflicts wait for the user.
+    assert.equal((await flush()).conflicts.length, 0);
+    await resolveOutboxConflict(report.conflicts[0], true);
+    assert.equal(serverEvent('review').summary, 'Ревью кода');
+    assert.deepEqual(await listOutbox(), []);
+});
+
+test('drops a change the server refuses', async () => {
+    await queueOfflineChange({ kind: 'task', type: 'update', tasklistId: '@default', itemId: 'report', resource: { title: '' }, title: 'Сдать отчет', createdAt });
+    googleApi.failNext('tasks.tasks.patch', apiError(400, 'Invalid Value'));
+
+    const report = await flush();
+    assert.equal(report.rejected.length, 1);
+    assert.equal(report.rejected[0].error.status, 400);
+    assert.deepEqual(await listOutbox(), []);
+});
+
+test('applies the user\'s version over an edit made elsewhere', async () => {
+    const standup = structuredClone(serverEvent('standup'));
+    await queueOfflineChange({ kind: 'event', type: 'update', calendarId: 'primary', itemId: 'standup', etag: standup.etag, resource: { ...standup, summary: 'Планерка' }, title: 'Планерка', createdAt });
+    // Someone moves the meeting to another room meanwhile, which raises its sequence.
+    await googleApi.gapi.client.calendar.events.patch({ calendarId: 'primary', eventId: 'standup', resource: { location: 'Переговорная 2' } });
+
+    const { conflicts: [entry] } = await flush();
+    assert.equal(entry.conflict, 'changed');
+    await resolveOutboxConflict(entry, true);
+    assert.equal(serverEvent('standup').summary, 'Планерка');
+    assert.equal(googleApi.callsOf('calendar.events.update').at(-1).params.resource.sequence, undefined);
+});
+
+test('brings back an event deleted elsewhere when the user keeps their change', async () => {
+    const review = structuredClone(serverEvent('review'));
+    await queueOfflineChange({ kind: 'event', type: 'update', calendarId: 'primary', itemId: 'review', etag: review.etag, resource: { ...review, location: 'Zoom' }, title: review.summary, createdAt });
+    await googleApi.gapi.client.calendar.events.delete({ calendarId: 'primary', eventId: 'review' });
+
+    const { conflicts: [entry] } = await flush();
+    assert.equal(entry.conflict, 'deleted');
+    await resolveOutboxConflict(entry, true);
+    assert.equal(serverEvent('review').status, 'confirmed');
+    assert.equal(serverEvent('review').location, 'Zoom');
+});
@@ -0,0 +1,86 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeGoogleApi } from './fakes/google-api.js';
+import { createScriptedGemini } from './fakes/gemini.js';
+import { startApp, waitFor } from './helpers/app.js';
+
+const gemini = createScriptedGemini();
+let app;
+let t;
+let setApiClients;
+
+before(async () => {
+    app = await startApp({ googleApi: createFakeGoogleApi(), gemini });
+    ({ t } = await import('../i18n.js'));
+    ({ setApiClients } = await import('../api-clients.js'));
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+    app.alerts.length = 0;
+});
+
+const saveButton = () => app.document.getElementById('save-settings-button');
+
+function useProxy(url) {
+    const mode = app.document.getElementById('settings-gemini-mode');
+    mode.value = 'proxy';
+    mode.dispatchEvent(new app.window.Event('change'));
+    app.document.getElementById('settings-gemini-proxy-url').value = url;
+}
+
+test('rejects a proxy address that is not a URL before testing it', async () => {
+    useProxy('http://');
+    saveButton().click();
+    await waitFor(() => app.alerts.length > 0);
+
+    assert.deepEqual(app.alerts, [t('settings.alert.invalidProxyUrl', { url: 'http://' })]);
+    assert.equal(gemini.requests.filter(request => request.contents === 'ping').length, 0);
+    assert.equal(saveButton().disabled, false);
+});
+
+test('restores the save button when the test call cannot be made', async () => {
+    setApiClients({ createGemini: () => { throw new Error('Invalid base URL'); } });
+    useProxy('/gemini');
+    saveButton().click();
+    await waitFor(() => app.alerts.length > 0);
+
+    assert.match(app.alerts[0], /Invalid base URL/);
+    assert.equal(saveButton().disabled, false);
+    assert.equal(saveButton().textContent, t('settings.save'));
+    assert.equal(app.window.localStorage.getItem('geminiMode'), null);
+    setApiClients({ createGemini: () => gemini });
+});
+
+test('keeps the old settings when a model does not answer', async () => {
+    gemini.respondWith(() => { throw new Error('models/gemini-9 is not found'); });
+    useProxy('/gemini');
+    saveButton().click();
+    await waitFor(() => app.alerts.length > 0);
+
+    assert.match(app.alerts[0], /is not found/);
+    assert.equal(saveButton().disabled, false);
+    assert.equal(app.window.localStorage.getItem('geminiProxyUrl'), null);
+    // Live API models only hold voice sessions, so the voice model is not pinged.
+    const pinged = gemini.requests.filter(request => request.contents === 'ping').map(request => request.model);
+    assert.ok(pinged.length > 0 && !pinged.includes(app.document.getElementById('settings-model-live').value));
+});
+
+test('checks the name of the voice conversation model', async () => {
+    const live = app.document.getElementById('settings-model-live');
+    assert.equal(live.value, 'gemini-live-2.5-flash-preview');
+    live.value = 'gemini live';
+    useProxy('/gemini');
+    saveButton().click();
+    await waitFor(() => app.alerts.length > 0);
+
+    assert.deepEqual(app.alerts, [t('settings.alert.invalidModel', { model: 'gemini live' })]);
+    live.value = 'gemini-live-2.5-flash-preview';
+});
@@ -0,0 +1,60 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import './helpers/browser.js';
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { Type } from '@google/genai';
+import { apiError } from './fakes/google-api.js';
+import { registerTool, executeTool } from '../tool-registry.js';
+import { t } from '../i18n.js';
+
+const parameters = { type: Type.OBJECT, properties: { title: { type: Type.STRING } }, required: ['title'] };
+
+before(() => {
+    registerTool({
+        name: 'rename_list',
+        description: 'Renames a list.',
+        parameters,
+        handler: async () => { throw apiError(503, 'Backend Error'); },
+    });
+    registerTool({
+        name: 'archive_list',
+        description: 'Archives a list.',
+        parameters,
+        handler: async () => ({ status: 'archived' }),
+        destructive: true,
+        preview: async () => { throw new TypeError('Cannot read properties of undefined'); },
+    });
+});
+
+test('reports an exception from the handler as an error', async () => {
+    const { response, card, undo } = await executeTool('rename_list', { title: 'Покупки' });
+
+    assert.deepEqual(response.error, { code: 'EXECUTION_FAILED', message: t('tools.error.failed', { message: 'Backend Error' }) });
+    assert.equal(card, null);
+    assert.equal(undo, null);
+});
+
+test('reports an exception from the preview without running the handler', async () => {
+    const asked = [];
+    const { response } = await executeTool('archive_list', { title: 'Покупки' }, { confirm: async (card) => { asked.push(card); return true; } });
+
+    assert.equal(response.error.code, 'EXECUTION_FAILED');
+    assert.equal(response.status, undefined);
+    assert.deepEqual(asked, []);
+});
+
+test('describes unknown functions and invalid arguments in the user\'s language', async () => {
+    assert.equal((await executeTool('missing_tool')).response.error.message, t('tools.error.unknownFunction', { name: 'missing_tool' }));
+
+    const { response } = await executeTool('rename_list', { title: 5, color: 'red' });
+    assert.equal(response.error.code, 'INVALID_ARGUMENTS');
+    assert.deepEqual(response.error.details, [
+        t('tools.validation.string', { path: 'args.title' }),
+        t('tools.validation.unknownField', { path: 'args.color' }),
+    ]);
+});
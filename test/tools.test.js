@@ -0,0 +1,208 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeGoogleApi, TEST_USER } from './fakes/google-api.js';
+import { createScriptedGemini } from './fakes/gemini.js';
+import { startApp } from './helpers/app.js';
+
+// The tool handlers are called the way the chat calls them, through the
+// registry, so argument validation and confirmations are covered too.
+
+// Past meetings are searched for attendees only within the last year.
+const monthAgo = new Date(Date.now() - 30 * 86400000);
+
+const googleApi = createFakeGoogleApi({
+    events: {
+        [TEST_USER.email]: [
+            { id: 'budget', summary: 'Бюджет на 2031 год', description: 'Обсуждаем бюджет', start: { dateTime: '2030-03-18T10:00:00+03:00' }, end: { dateTime: '2030-03-18T11:00:00+03:00' } },
+            { id: 'retro', summary: 'Ретро', start: { dateTime: '2030-03-19T16:00:00+03:00' }, end: { dateTime: '2030-03-19T17:00:00+03:00' } },
+            { id: 'past', summary: 'Знакомство', start: { dateTime: monthAgo.toISOString() }, end: { dateTime: new Date(monthAgo.getTime() + 3600000).toISOString() },
+                attendees: [{ email: TEST_USER.email, self: true }, { email: 'ivan.s@partner.com', displayName: 'Иван Смирнов' }] },
+        ],
+    },
+    contacts: [{ name: 'Иван Петров', email: 'ivan@example.com' }, { name: 'Мария Соколова', email: 'maria@example.com' }],
+    busy: { 'maria@example.com': [{ start: '2030-03-18T06:00:00Z', end: '2030-03-18T09:00:00Z' }] },
+});
+let app;
+let executeTool;
+
+before(async () => {
+    app = await startApp({ googleApi, gemini: createScriptedGemini() });
+    ({ executeTool } = await import('../tool-registry.js'));
+});
+
+after(() => app.close());
+
+const approve = async () => true;
+const decline = async () => false;
+
+test('rejects arguments that do not match the schema', async () => {
+    const { response } = await executeTool('create_task', { notes: 'Без названия', priority: 'high' });
+    assert.equal(response.error.code, 'INVALID_ARGUMENTS');
+    assert.deepEqual(response.error.details, ['args.title: обязательное поле', 'args.priority: неизвестное поле']);
+    assert.equal(googleApi.callsOf('tasks.tasks.insert').length, 0);
+});
+
+test('reports an unknown function', async () => {
+    const { response } = await executeTool('send_email', {});
+    assert.equal(response.error.code, 'UNKNOWN_FUNCTION');
+});
+
+test('creates an event in the user time zone with attendees and a Meet link', async () => {
+    const { response, card } = await executeTool('create_calendar_event', {
+        summary: 'Созвон с партнерами',
+        start_time: '2030-03-20T15:00:00+03:00',
+        end_time: '2030-03-20T16:00:00+03:00',
+        attendees: ['maria@example.com', 'Иван Петров'],
+        add_meet_link: true,
+    }, { confirm: approve });
+
+    assert.equal(response.status, 'created');
+    assert.deepEqual(response.event.attendees, ['maria@example.com', 'ivan@example.com']);
+    const [{ params }] = googleApi.callsOf('calendar.events.insert');
+    assert.equal(params.calendarId, 'primary');
+    assert.equal(params.conferenceDataVersion, 1);
+    assert.deepEqual(params.resource.end, { dateTime: '2030-03-20T16:00:00+03:00', timeZone: 'Europe/Moscow' });
+    assert.ok(params.resource.conferenceData.createRequest.requestId);
+    assert.equal(googleApi.events('primary').find(event => event.id === response.event.id).hangoutLink, 'https://meet.google.com/abc-defg-hij');
+    assert.match(card.toString(), /Созвон с партнерами/);
+});
+
+test('creates an all-day event from bare dates', async () => {
+    const { response } = await executeTool('create_calendar_event', { summary: 'Отпуск', start_time: '2030-07-01', end_time: '2030-07-15' });
+    const created = googleApi.events('primary').find(event => event.id === response.event.id);
+    assert.deepEqual([created.start, created.end], [{ date: '2030-07-01' }, { date: '2030-07-15' }]);
+});
+
+test('asks about an overlapping event before creating it', async () => {
+    const before = googleApi.events('primary').length;
+    let shown = null;
+    const { response } = await executeTool('create_calendar_event', {
+        summary: 'Интервью', start_time: '2030-03-18T10:30:00+03:00', end_time: '2030-03-18T11:30:00+03:00',
+    }, { confirm: async (card) => { shown = card.toString(); return false; } });
+
+    assert.equal(response.status, 'cancelled');
+    assert.match(shown, /Бюджет на 2031 год/);
+    assert.equal(googleApi.events('primary').length, before);
+});
+
+test('looks for conflicts and free slots within the day of the user\'s time zone', async () => {
+    // Behind the device's UTC: 20:00 in New York is already the next day on the device.
+    app.window.localStorage.setItem('timeZone', 'America/New_York');
+    const { result: call } = await googleApi.gapi.client.calendar.events.insert({ calendarId: 'primary', resource: {
+        summary: 'Звонок с Нью-Йорком', start: { dateTime: '2030-03-18T19:30:00-04:00' }, end: { dateTime: '2030-03-18T20:30:00-04:00' },
+    } });
+    try {
+        let shown = null;
+        let options = [];
+        const { response } = await executeTool('create_calendar_event', {
+            summary: 'Разбор релиза', start_time: '2030-03-18T20:00:00-04:00', end_time: '2030-03-18T21:00:00-04:00',
+        }, { confirm: async (card, choices) => { shown = card.toString(); options = choices.options.map(option => option.value); return false; } });
+
+        assert.equal(response.status, 'cancelled');
+        assert.match(shown, /Звонок с Нью-Йорком/);
+        // The nearest free hour is earlier that evening, before midnight on the device.
+        assert.ok(options.includes('2030-03-18T22:30:00.000Z/2030-03-18T23:30:00.000Z'), options.join());
+    } finally {
+        app.window.localStorage.setItem('timeZone', 'Europe/Moscow');
+        await googleApi.gapi.client.calendar.events.delete({ calendarId: 'primary', eventId: call.id });
+    }
+});
+
+test('asks which person is meant when a name is ambiguous', async () => {
+    const { response } = await executeTool('create_calendar_event', {
+        summary: 'Обед', start_time: '2030-03-21T13:00:00+03:00', end_time: '2030-03-21T14:00:00+03:00', attendees: ['Иван'],
+    });
+    assert.match(response.error, /find_contacts/);
+    assert.deepEqual(response.candidates.map(candidate => candidate.email).sort(), ['ivan.s@partner.com', 'ivan@example.com']);
+});
+
+test('finds events by keyword', async () => {
+    const { response } = await executeTool('find_events', { time_min: '2030-03-01T00:00:00+03:00', query: 'бюджет' });
+    assert.deepEqual(response.events.map(event => event.id), ['budget']);
+    assert.equal(response.events[0].calendar_id, TEST_USER.email);
+});
+
+test('finds free slots that avoid everyone being busy', async () => {
+    const { response, card } = await executeTool('find_free_slots', {
+        attendees: ['maria@example.com'], duration_minutes: 60,
+        time_min: '2030-03-18T00:00:00+03:00', time_max: '2030-03-20T00:00:00+03:00',
+    });
+
+    const [{ params }] = googleApi.callsOf('calendar.freebusy.query');
+    assert.deepEqual(params.resource.items, [{ id: 'primary' }, { id: 'maria@example.com' }]);
+    assert.equal(params.resource.timeZone, 'Europe/Moscow');
+    const busy = [['2030-03-18T06:00:00Z', '2030-03-18T09:00:00Z'], ['2030-03-18T07:00:00Z', '2030-03-18T08:00:00Z'], ['2030-03-19T13:00:00Z', '2030-03-19T14:00:00Z']]
+        .map(([start, end]) => [Date.parse(start), Date.parse(end)]);
+    assert.ok(response.slots.length > 0);
+    // Working hours are those of the time zone in the settings, whatever the device's.
+    const moscowTime = iso => new Date(iso).toLocaleTimeString('en-GB', { timeZone: 'Europe/Moscow', hour: '2-digit', minute: '2-digit' });
+    response.slots.forEach(({ start, end }) => {
+        assert.equal(Date.parse(end) - Date.parse(start), 3600000);
+        assert.ok(moscowTime(start) >= '09:00' && moscowTime(end) <= '18:00', `${start} is outside working hours`);
+        assert.ok(!busy.some(([busyStart, busyEnd]) => busyStart < Date.parse(end) && busyEnd > Date.parse(start)), `${start} overlaps a busy period`);
+    });
+    assert.ok(card, 'the slots are offered to the user');
+});
+
+test('creates and lists tasks with due dates', async () => {
+    const { response } = await executeTool('create_task', { title: 'Отправить договор', due: '2030-03-22' });
+    assert.equal(response.status, 'created');
+    assert.equal(googleApi.tasks('@default').find(task => task.id === response.task.id).due, '2030-03-22T00:00:00.000Z');
+
+    const listed = await executeTool('list_tasks', { due_min: '2030-03-22', due_max: '2030-03-22' });
+    assert.deepEqual(listed.response.tasks.map(task => task.title), ['Отправить договор']);
+});
+
+test('deletes a task only when confirmed and can undo it', async () => {
+    const { response: created } = await executeTool('create_task', { title: 'Забронировать зал', notes: 'На 20 человек' });
+    const id = created.task.id;
+
+    const declined = await executeTool('delete_task', { task_id: id }, { confirm: decline });
+    assert.equal(declined.response.status, 'cancelled');
+    assert.ok(googleApi.tasks('@default').some(task => task.id === id));
+
+    const { response, undo } = await executeTool('delete_task', { task_id: id }, { confirm: approve });
+    assert.ok(!response.error);
+    assert.ok(!googleApi.tasks('@default').some(task => task.id === id));
+
+    await undo();
+    const restored = googleApi.tasks('@default').find(task => task.title === 'Забронировать зал');
+    assert.equal(restored.notes, 'На 20 человек');
+});
+
+test('deletes an event after confirmation and can undo it', async () => {
+    const { response, undo } = await executeTool('delete_calendar_event', { event_id: 'retro' }, { confirm: approve });
+    assert.equal(response.status, 'deleted');
+    const retro = () => googleApi.events('primary').find(event => event.id === 'retro');
+    assert.equal(retro().status, 'cancelled');
+
+    // Deleting raised the event's sequence; undo must not send the old one back.
+    await undo();
+    assert.equal(retro().status, 'confirmed');
+    assert.equal(retro().summary, 'Ретро');
+});
+
+test('undoes moving an event', async () => {
+    const { response, undo } = await executeTool('update_calendar_event', {
+        event_id: 'budget', start_time: '2030-03-18T15:00:00+03:00', end_time: '2030-03-18T16:00:00+03:00',
+    }, { confirm: approve });
+    assert.equal(response.status, 'updated');
+    const budget = () => googleApi.events('primary').find(event => event.id === 'budget');
+    assert.equal(budget().start.dateTime, '2030-03-18T15:00:00+03:00');
+
+    await undo();
+    assert.equal(budget().start.dateTime, '2030-03-18T10:00:00+03:00');
+    const [restore] = googleApi.callsOf('calendar.events.update').slice(-1);
+    assert.equal(restore.params.resource.sequence, undefined);
+});
+
+test('returns API errors to the model', async () => {
+    const { response } = await executeTool('complete_task', { task_id: 'missing' });
+    assert.equal(response.error, 'Not Found');
+});
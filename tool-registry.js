@@ -0,0 +1,140 @@
+/**
+ * @license
+ * Copyright 2025 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { Type } from '@google/genai';
+import { t } from './i18n.js';
+
+// --- Tool Registry ---
+// Every assistant capability is described once here: its Gemini function
+// declaration, the handler that executes it, an optional chat card renderer
+// and whether it modifies or removes existing data. Destructive tools may also
+// provide a preview (shown to the user for approval) and an undo step.
+const registry = new Map();
+
+/**
+ * @param {object} tool
+ * @param {string} tool.name Function name exposed to the model.
+ * @param {string} tool.description
+ * @param {object} tool.parameters Gemini schema (Type.OBJECT) for the arguments.
+ * @param {(args: object) => Promise<object>} tool.handler Returns the function response sent back to the model.
+ * @param {(result: object, args: object) => SafeHtml | null} [tool.renderCard] Builds a chat card from a successful result.
+ * @param {boolean} [tool.destructive] True for operations that change or remove existing data.
+ * @param {(args: object) => Promise<{ card: SafeHtml, snapshot: any, choices?: PreviewChoices } | { error: any } | null>} [tool.preview]
+ *     Describes a call before it runs; `snapshot` is the state to restore on undo.
+ *     With `choices`, the user approves by picking one option, which is passed to the handler as `args[choices.arg]`.
+ *     Non-destructive tools use it to warn about problems (e.g. a scheduling conflict) and resolve with null when there are none.
+ * @param {(snapshot: any, response: object) => Promise<void>} [tool.undo] Restores the state captured by `preview`.
+ */
+/** @typedef {import('./safe-html.js').SafeHtml} SafeHtml */
+/**
+ * @typedef {object} PreviewChoices
+ * @property {string} arg Argument that receives the chosen value.
+ * @property {{ value: string, label: string }[]} options
+ * @property {string} [preferred] Value to highlight as the default.
+ */
+export function registerTool(tool) {
+    if (registry.has(tool.name)) throw new Error(`Tool "${tool.name}" is already registered.`);
+    registry.set(tool.name, { destructive: false, renderCard: null, preview: null, undo: null, ...tool });
+}
+
+export function getTool(name) {
+    return registry.get(name);
+}
+
+export function getFunctionDeclarations() {
+    return [...registry.values()].map(({ name, description, parameters }) => ({ name, description, parameters }));
+}
+
+/**
+ * Validates the arguments and runs the tool. Never throws: problems, and
+ * exceptions from the preview or the handler, are reported as a structured
+ * `error` so the model can correct itself or tell the user.
+ * @param {object} [options]
+ * @param {(previewCard: SafeHtml, choices?: PreviewChoices) => Promise<boolean | string>} [options.confirm]
+ *     Asks the user to approve a destructive call; resolves with the chosen value when `choices` are given.
+ * @returns {Promise<{ response: object, card: SafeHtml | null, undo: (() => Promise<void>) | null }>}
+ */
+export async function executeTool(name, args = {}, { confirm } = {}) {
+    const tool = registry.get(name);
+    if (!tool) {
+        return { response: { error: { code: 'UNKNOWN_FUNCTION', message: t('tools.error.unknownFunction', { name }) } }, card: null, undo: null };
+    }
+
+    const problems = validateValue(tool.parameters, args, 'args');
+    if (problems.length > 0) {
+        return { response: { error: { code: 'INVALID_ARGUMENTS', message: t('tools.error.invalidArguments'), details: problems } }, card: null, undo: null };
+    }
+
+    let snapshot = null;
+    let preview = null;
+    try {
+        preview = (tool.preview && confirm) ? await tool.preview(args) : null;
+    } catch (error) {
+        return executionFailed(name, error);
+    }
+    if (preview?.error) return { response: preview, card: null, undo: null };
+    if (preview) {
+        const decision = await confirm(preview.card, preview.choices);
+        if (!decision) {
+            return { response: { status: 'cancelled', message: t('tools.cancelled') }, card: null, undo: null };
+        }
+        if (preview.choices) args = { ...args, [preview.choices.arg]: decision };
+        snapshot = preview.snapshot;
+    }
+
+    let response;
+    try {
+        response = await tool.handler(args);
+    } catch (error) {
+        return executionFailed(name, error);
+    }
+    const succeeded = response && !response.error;
+    const card = (tool.renderCard && succeeded) ? tool.renderCard(response, args) : null;
+    const undo = (tool.undo && snapshot && succeeded) ? () => tool.undo(snapshot, response) : null;
+    return { response, card, undo };
+}
+
+function executionFailed(name, error) {
+    console.error(`Tool "${name}" failed:`, error);
+    const message = error?.result?.error?.message || error?.message || String(error);
+    return { response: { error: { code: 'EXECUTION_FAILED', message: t('tools.error.failed', { message }) } }, card: null, undo: null };
+}
+
+// --- Schema Validation ---
+function validateValue(schema, value, path) {
+    if (!schema) return [];
+    switch (schema.type) {
+        case Type.OBJECT: {
+            if (typeof value !== 'object' || value === null || Array.isArray(value)) return [t('tools.validation.object', { path })];
+            const problems = [];
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined || value[key] === null || value[key] === '') problems.push(t('tools.validation.required', { path: `${path}.${key}` }));
+            });
+            Object.entries(value).forEach(([key, item]) => {
+                const propertySchema = schema.properties?.[key];
+                if (!propertySchema) problems.push(t('tools.validation.unknownField', { path: `${path}.${key}` }));
+                else if (item !== undefined && item !== null) problems.push(...validateValue(propertySchema, item, `${path}.${key}`));
+            });
+            return problems;
+        }
+        case Type.ARRAY:
+            if (!Array.isArray(value)) return [t('tools.validation.array', { path })];
+            return value.flatMap((item, i) => validateValue(schema.items, item, `${path}[${i}]`));
+        case Type.STRING:
+            if (typeof value !== 'string') return [t('tools.validation.string', { path })];
+            if (schema.enum && !schema.enum.includes(value)) return [t('tools.validation.enum', { path, values: schema.enum.join(', ') })];
+            if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) return [t('tools.validation.dateTime', { path })];
+            return [];
+        case Type.BOOLEAN:
+            return typeof value === 'boolean' ? [] : [t('tools.validation.boolean', { path })];
+        case Type.INTEGER:
+            return Number.isInteger(value) ? [] : [t('tools.validation.integer', { path })];
+        case Type.NUMBER:
+            return (typeof value === 'number' && Number.isFinite(value)) ? [] : [t('tools.validation.number', { path })];
+        default:
+            return [];
+    }
+}
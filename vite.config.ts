@@ -8,6 +8,12 @@ export default defineConfig(({ mode }) => {
         'process.env.API_KEY': JSON.stringify(env.GEMINI_API_KEY),
         'process.env.GEMINI_API_KEY': JSON.stringify(env.GEMINI_API_KEY)
       },
+      server: {
+        // In proxy mode the app can use "/gemini" during development too: run `npm run proxy` alongside.
+        proxy: {
+          '/gemini': { target: 'http://localhost:8787', ws: true },
+        },
+      },
       resolve: {
         alias: {
           '@': path.resolve(__dirname, '.'),